@@ -10,7 +10,11 @@ import { Server } from 'socket.io';
 import path from 'path';
 import fs from 'fs';
 import { fileURLToPath } from 'url';
-import { loadOrCreateIdentity } from '../crypto/identity.js';
+import { unlockIdentity } from '../cli/passphrase.js';
+import { PROFILE, SHARE_DIR, DL_DIR } from '../config/profile.js';
+import { listTrusted, vouch, trust, getVerificationKeys } from '../crypto/wot.js';
+import { safetyNumber, matchesSafetyNumber } from '../crypto/safety-number.js';
+import QRCode from 'qrcode';
 import { PeerDiscovery } from '../network/peer-discovery.js';
 import { TcpServer } from '../network/tcp-server.js';
 import { Messenger } from '../messaging/messenger.js';
@@ -19,12 +23,17 @@ import { peerTable } from '../network/peer-table.js';
 import { initDatabase, getHistory } from '../database/db.js';
 import { listAllFiles, indexSharedFiles } from '../transfer/file-index.js';
 import { downloadFile } from '../transfer/transfer.js';
+import { STRICT_MODE } from '../crypto/packet.js';
+import { createNetwork, joinNetwork, leaveNetwork, listNetworks } from '../crypto/network-keys.js';
+import { normalizeAddress } from '../network/interfaces.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const app = express();
 const server = createServer(app);
 const io = new Server(server);
 const WEB_PORT = 3000;
+// L'API n'a pas d'authentification : boucle locale par défaut (ARCHIPEL_API_HOST=0.0.0.0 pour l'exposer au LAN)
+const WEB_HOST = process.env.ARCHIPEL_API_HOST || '127.0.0.1';
 
 // Configuration Gemini
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || null;
@@ -32,8 +41,19 @@ const gemini = new GeminiAssistant(GEMINI_API_KEY);
 
 app.use(express.json());
 app.use(express.static(path.join(__dirname, '../../public')));
-app.use('/shared', express.static(path.join(__dirname, '../../shared')));
-app.use('/downloads', express.static(path.join(__dirname, '../../downloads')));
+app.use('/shared', express.static(SHARE_DIR));
+app.use('/downloads', express.static(DL_DIR));
+
+/**
+ * Routes réservées à la machine locale, même quand l'API est exposée au LAN (ARCHIPEL_API_HOST) :
+ * gestion des réseaux et des abonnements aux canaux (la clé d'un canal privé ne sort pas de la machine),
+ * balayage du /24 local (connexions sortantes lancées en notre nom) et décisions de confiance (vérification d'un pair, attestation signée en notre nom)
+ */
+function localOnly(req, res, next) {
+    const ip = normalizeAddress(req.socket.remoteAddress);
+    if (ip === '::1' || ip?.startsWith('127.')) return next();
+    res.status(403).json({ error: 'Réservé à la machine locale' });
+}
 
 // ─── Initialisation du Moteur ARCHIPEL ─────────────────────────────────────────
 
@@ -43,7 +63,8 @@ async function startArchipelEngine() {
     // Mission : Indexation des fichiers locaux pour partage décentralisé
     indexSharedFiles();
 
-    const identity = loadOrCreateIdentity();
+    // Trousseau chiffré : ARCHIPEL_PASSPHRASE (ou saisie si lancé dans un terminal)
+    const identity = await unlockIdentity();
 
     let messenger; // Sera initialisé après tcpServer
 
@@ -61,19 +82,37 @@ async function startArchipelEngine() {
     const tcpPort = await tcpServer.start();
     const discovery = new PeerDiscovery(identity, tcpPort, (peer) => {
         io.emit('new_peer', peer);
-    });
+        // Pair (re)découvert : échange des files de relais (messages multi-sauts en attente)
+        tcpServer.router.onContact(peer.nodeId);
+    }, { tcpServer });
     await discovery.start();
 
     messenger = new Messenger(identity, tcpServer);
+    // Statut de remise des messages (queued, sent, relayed, delivered, read) poussé au frontend
+    messenger.on('status', status => io.emit('message_status', status));
+    // Conversations de groupe : messages reçus et changements de membres
+    messenger.groups.on('message', message => io.emit('group_message', message));
+    messenger.groups.on('updated', group => io.emit('group_updated', group));
+    // Canaux : publications reçues (propagées ou rattrapées)
+    messenger.channels.on('post', post => io.emit('channel_post', post));
+
+    // État des handshakes poussé au frontend
+    tcpServer.handshakes.on('state', (nodeId, state) => io.emit('session_state', { nodeId, state }));
 
     // ─── Routes API ─────────────────────────────────────────────────────────────
 
     app.get('/api/status', (req, res) => {
         res.json({
             nodeId: identity.nodeId,
+            profile: PROFILE.name,
             tcpPort,
             peers: peerTable.getActivePeers().length,
-            messages: messenger.getHistory().length
+            messages: messenger.getHistory().length,
+            strictPackets: STRICT_MODE,
+            droppedPackets: {
+                tcp: tcpServer.drops,
+                discovery: discovery.drops,
+            },
         });
     });
 
@@ -81,10 +120,224 @@ async function startArchipelEngine() {
         res.json(peerTable.getActivePeers());
     });
 
+    // Mission : Découverte au-delà du multicast (broadcast, adresses connues, balayage du /24)
+    app.get('/api/discovery', (req, res) => {
+        res.json(discovery.status());
+    });
+
+    app.post('/api/discovery/scan', localOnly, async (req, res) => {
+        try {
+            res.json({ success: true, found: await discovery.scan() });
+        } catch (err) {
+            res.status(500).json({ error: err.message });
+        }
+    });
+
+    // Mission : Numéro de sécurité à comparer hors bande (chiffres + QR code)
+    app.get('/api/peers/:id/fingerprint', async (req, res) => {
+        const keys = getVerificationKeys(req.params.id);
+        if (!keys) return res.status(404).json({ error: 'Pair inconnu du Web of Trust' });
+
+        const local = { nodeId: identity.nodeId, signingPub: identity.signing.publicKey, dhPub: identity.dh.publicKey };
+        const number = safetyNumber(local, keys);
+        res.json({
+            nodeId: keys.nodeId,
+            safetyNumber: number.digits,
+            groups: number.groups,
+            qr: await QRCode.toDataURL(number.qrPayload),
+            verified: keys.verified,
+            keyChanged: keys.keyChanged,
+        });
+    });
+
+    // Le numéro correspond (comparé à l'œil ou QR scanné) : pair vérifié
+    app.post('/api/peers/:id/verify', localOnly, (req, res) => {
+        const keys = getVerificationKeys(req.params.id);
+        if (!keys) return res.status(404).json({ error: 'Pair inconnu du Web of Trust' });
+
+        // Contenu scanné facultatif : s'il est fourni, il doit correspondre
+        const local = { nodeId: identity.nodeId, signingPub: identity.signing.publicKey, dhPub: identity.dh.publicKey };
+        if (req.body.scanned && !matchesSafetyNumber(req.body.scanned, safetyNumber(local, keys))) {
+            return res.status(409).json({ error: 'Numéro de sécurité différent : connexion peut-être interceptée' });
+        }
+        if (!trust(keys.nodeId)) return res.status(409).json({ error: 'Clé révoquée ou remplacée' });
+        peerTable.refreshTrust();
+        res.json({ success: true });
+    });
+
+    // Mission : État des sessions E2E par pair (idle, init-sent, resp-sent, established, failed)
+    app.get('/api/sessions', (req, res) => {
+        res.json(tcpServer.handshakes.toJSON());
+    });
+
+    // Mission : Web of Trust (confiance, rotations et révocations de clés)
+    app.get('/api/trust', (req, res) => {
+        res.json(listTrusted());
+    });
+
+    // Se porter garant de la clé d'un pair (attestation signée, diffusée aux pairs)
+    app.post('/api/trust/vouch', localOnly, (req, res) => {
+        try {
+            const attestation = vouch(identity, req.body.nodeId);
+            peerTable.refreshTrust();
+            tcpServer.broadcastCertificates([attestation]);
+            res.json({ success: true, attestation });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Mission : Réseaux privés (clés pré-partagées) — jamais de clé ni de jeton servi en HTTP
+    // (export : commande "network export" de la CLI)
+    app.get('/api/network', (req, res) => {
+        res.json(listNetworks());
+    });
+
+    app.post('/api/network/create', localOnly, (req, res) => {
+        try {
+            const { name } = createNetwork(req.body.name);
+            discovery.announce();
+            res.json({ success: true, name });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.post('/api/network/join', localOnly, (req, res) => {
+        try {
+            const name = joinNetwork(req.body.token);
+            discovery.announce();
+            res.json({ success: true, name });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.delete('/api/network/:name', localOnly, (req, res) => {
+        try {
+            res.json({ success: leaveNetwork(req.params.name) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
     app.get('/api/messages', (req, res) => {
         res.json(messenger.getHistory(100));
     });
 
+    // Conversation ouverte : messages reçus marqués lus (accusé de lecture si ARCHIPEL_READ_RECEIPTS=1)
+    app.post('/api/messages/read', (req, res) => {
+        const { nodeId } = req.body;
+        if (!nodeId) return res.status(400).json({ error: "NodeId requis" });
+        res.json({ success: true, read: messenger.markRead(nodeId) });
+    });
+
+    // Mission : Groupes (clé de groupe, membres gérés par le créateur)
+    app.get('/api/groups', (req, res) => {
+        res.json(messenger.groups.list());
+    });
+
+    app.post('/api/groups', async (req, res) => {
+        try {
+            const group = await messenger.groups.create(req.body.name, req.body.members || []);
+            res.json({ success: true, group });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.post('/api/groups/:id/:action(invite|kick)', async (req, res) => {
+        const { nodeId } = req.body;
+        if (!nodeId) return res.status(400).json({ error: "NodeId requis" });
+        try {
+            const group = await messenger.groups[req.params.action](req.params.id, nodeId);
+            res.json({ success: true, group });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.post('/api/groups/:id/leave', async (req, res) => {
+        try {
+            res.json({ success: true, group: await messenger.groups.leave(req.params.id) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.get('/api/groups/:id/messages', (req, res) => {
+        try {
+            res.json(messenger.groups.history(req.params.id, 100));
+        } catch (err) {
+            res.status(404).json({ error: err.message });
+        }
+    });
+
+    app.post('/api/groups/:id/messages', async (req, res) => {
+        const { message } = req.body;
+        if (!message) return res.status(400).json({ error: "Message requis" });
+        try {
+            res.json({ success: true, ...(await messenger.groups.send(req.params.id, message)) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    // Mission : Canaux publics ou privés (alertes propagées de proche en proche)
+    app.get('/api/channels', (req, res) => {
+        res.json(messenger.channels.list());
+    });
+
+    app.post('/api/channels/join', localOnly, (req, res) => {
+        try {
+            res.json({ success: true, channel: messenger.channels.join(req.body.channel) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.post('/api/channels/create', localOnly, (req, res) => {
+        try {
+            res.json({ success: true, ...messenger.channels.create(req.body.name) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
+    app.get('/api/channels/:name/export', localOnly, (req, res) => {
+        try {
+            res.json({ token: messenger.channels.export(req.params.name) });
+        } catch (err) {
+            res.status(404).json({ error: err.message });
+        }
+    });
+
+    app.delete('/api/channels/:name', localOnly, (req, res) => {
+        try {
+            res.json({ success: true, channel: messenger.channels.leave(req.params.name) });
+        } catch (err) {
+            res.status(404).json({ error: err.message });
+        }
+    });
+
+    app.get('/api/channels/:name/messages', (req, res) => {
+        try {
+            res.json(messenger.channels.history(req.params.name, 100));
+        } catch (err) {
+            res.status(404).json({ error: err.message });
+        }
+    });
+
+    app.post('/api/channels/:name/messages', async (req, res) => {
+        const { message } = req.body;
+        if (!message) return res.status(400).json({ error: "Message requis" });
+        try {
+            res.json({ success: true, ...(await messenger.channels.publish(req.params.name, message)) });
+        } catch (err) {
+            res.status(400).json({ error: err.message });
+        }
+    });
+
     app.get('/api/files', (req, res) => {
         // Force l'indexation au besoin
         indexSharedFiles();
@@ -152,6 +405,9 @@ async function startArchipelEngine() {
                 from: 'MOI',
                 to: nodeId,
                 message: result.relayed ? `(Relais) ${message}` : message,
+                encrypted: result.encrypted,
+                msgId: result.msgId,
+                status: result.status,
                 timestamp: Date.now()
             });
 
@@ -186,7 +442,7 @@ async function startArchipelEngine() {
     });
 
     // Configuration Multer pour les fichiers reçus du navigateur
-    const upload = multer({ dest: 'shared/' });
+    const upload = multer({ dest: SHARE_DIR });
 
     app.post('/api/upload', upload.single('file'), async (req, res) => {
         const { targetNodeId } = req.body;
@@ -194,7 +450,7 @@ async function startArchipelEngine() {
 
         try {
             // Renommer le fichier avec son nom d'origine dans shared/
-            const finalPath = path.join('shared', req.file.originalname);
+            const finalPath = path.join(SHARE_DIR, req.file.originalname);
             fs.renameSync(req.file.path, finalPath);
 
             // Indexation immédiate
@@ -240,7 +496,7 @@ async function startArchipelEngine() {
 
         try {
             const fileName = `VOICE_${Date.now()}.webm`;
-            const finalPath = path.join('shared', fileName);
+            const finalPath = path.join(SHARE_DIR, fileName);
             
             // Écriture du fichier binaire
             fs.writeFileSync(finalPath, Buffer.from(audioData, 'base64'));
@@ -281,7 +537,7 @@ async function startArchipelEngine() {
 
         try {
             const fileName = `PHOTO_${Date.now()}.jpg`;
-            const finalPath = path.join('shared', fileName);
+            const finalPath = path.join(SHARE_DIR, fileName);
             
             // On retire le prefixe base64 data:image/jpeg;base64,
             const base64Data = photoData.replace(/^data:image\/jpeg;base64,/, "");
@@ -307,7 +563,7 @@ async function startArchipelEngine() {
     console.log(`[UI] 🚀 ARCHIPEL Engine prêt.`);
 }
 
-server.listen(WEB_PORT, () => {
-    console.log(`[UI] 🌐 Interface accessible sur http://localhost:${WEB_PORT}`);
+server.listen(WEB_PORT, WEB_HOST, () => {
+    console.log(`[UI] 🌐 Interface accessible sur http://${WEB_HOST === '127.0.0.1' ? 'localhost' : WEB_HOST}:${WEB_PORT}`);
     startArchipelEngine().catch(console.error);
 });
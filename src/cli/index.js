@@ -5,9 +5,15 @@
  * Commandes : start, peers, msg, send, receive, download, ai
  */
 
-import readline from 'readline';
+import fs from 'fs';
 import chalk from 'chalk';
-import { loadOrCreateIdentity } from '../crypto/identity.js';
+import { exportIdentity, importIdentity, generateIdentity, replaceIdentity, loadOrCreateIdentity } from '../crypto/identity.js';
+import { createRotationCertificate, createRevocation, recordCertificate, listTrusted, vouch, trust, getVerificationKeys } from '../crypto/wot.js';
+import { safetyNumber } from '../crypto/safety-number.js';
+import { SignatureStatus } from '../crypto/signing.js';
+import QRCode from 'qrcode';
+import { unlockIdentity, askPassphrase, askNewPassphrase, createTerminal } from './passphrase.js';
+import { PROFILE, listProfiles, createProfile, switchProfile } from '../config/profile.js';
 import { PeerDiscovery } from '../network/peer-discovery.js';
 import { TcpServer } from '../network/tcp-server.js';
 import { peerTable } from '../network/peer-table.js';
@@ -16,6 +22,8 @@ import { GeminiAssistant } from '../messaging/gemini.js';
 import { initDatabase, persist } from '../database/db.js';
 import { indexSharedFiles, listAllFiles } from '../transfer/file-index.js';
 import { sendManifest, downloadFile } from '../transfer/transfer.js';
+import { STRICT_MODE } from '../crypto/packet.js';
+import { createNetwork, joinNetwork, leaveNetwork, exportNetwork, listNetworks } from '../crypto/network-keys.js';
 
 // ─── Configuration ────────────────────────────────────────────────────────────
 const NO_AI = process.argv.includes('--no-ai');
@@ -45,15 +53,49 @@ function printHelp() {
 ${chalk.bold.cyan('COMMANDES DISPONIBLES :')}
 
   ${chalk.green('peers')}                        → Affiche les nœuds actifs découverts
+  ${chalk.green('discovery')}                    → Stratégies de découverte actives et pairs trouvés par chacune
+  ${chalk.green('discovery scan')}               → Balaie le /24 local (port 7777, débit limité)
   ${chalk.green('msg')} ${chalk.yellow('<nodeId>')} ${chalk.white('<message>')}     → Envoie un message à un pair
   ${chalk.green('msg')} ${chalk.yellow('<n>')} ${chalk.white('<message>')}           → Envoie par numéro de pair (ex: msg 1 Bonjour)
-  ${chalk.green('history')}                      → Affiche l'historique des messages
+  ${chalk.green('history')} ${chalk.yellow('[n|nodeId]')}           → Historique (d'un pair), avec le statut de remise ; marque lus
+  ${chalk.green('group')}                        → Liste vos groupes (membres, époque de la clé)
+  ${chalk.green('group create')} ${chalk.yellow('<nom>')} ${chalk.white('[n|nodeId…]')} → Crée un groupe (vous en êtes le créateur)
+  ${chalk.green('group invite')} ${chalk.yellow('<groupe>')} ${chalk.white('<n|nodeId>')} → Ajoute un membre (nouvelle clé de groupe)
+  ${chalk.green('group kick')} ${chalk.yellow('<groupe>')} ${chalk.white('<n|nodeId>')}   → Exclut un membre (nouvelle clé de groupe)
+  ${chalk.green('group leave')} ${chalk.yellow('<groupe>')}         → Quitte un groupe (le créateur le dissout)
+  ${chalk.green('group msg')} ${chalk.yellow('<groupe>')} ${chalk.white('<message>')}  → Envoie un message au groupe
+  ${chalk.green('group history')} ${chalk.yellow('<groupe>')}       → Historique d'un groupe
+  ${chalk.green('channel')}                      → Canaux abonnés (alertes propagées de proche en proche)
+  ${chalk.green('channel join')} ${chalk.yellow('<nom|jeton>')}      → S'abonne à un canal public (nom) ou privé (jeton)
+  ${chalk.green('channel create')} ${chalk.yellow('<nom>')}          → Crée un canal privé et affiche son jeton
+  ${chalk.green('channel export')} ${chalk.yellow('<nom>')}          → Affiche le jeton d'un canal privé
+  ${chalk.green('channel leave')} ${chalk.yellow('<nom>')}           → Se désabonne (le nœud relaie toujours)
+  ${chalk.green('channel post')} ${chalk.yellow('<nom>')} ${chalk.white('<message>')} → Publie dans un canal
+  ${chalk.green('channel history')} ${chalk.yellow('<nom>')}         → Publications d'un canal
+  ${chalk.green('outbox')}                       → Messages en attente d'un pair hors ligne (tentatives, expiration)
+  ${chalk.green('outbox retry')} ${chalk.yellow('[n|nodeId]')}      → Renvoie tout de suite les messages en attente
   ${chalk.green('whoami')}                       → Affiche votre identité (NODE_ID)
   ${chalk.green('status')}                       → Statut du nœud (connexions, pairs, etc.)
+  ${chalk.green('sessions')}                     → État du handshake / de la session E2E par pair
   ${chalk.green('@archipel-ai')} ${chalk.white('<question>')}  → Pose une question à l'assistant Gemini
   ${chalk.green('files')}                        → Liste les fichiers dispo (locaux et distants)
   ${chalk.green('share')} ${chalk.yellow('<fileId>')} ${chalk.white('<nodeId>')}   → Envoie un manifest à un pair
   ${chalk.green('download')} ${chalk.yellow('<fileId>')}         → Télécharge un fichier depuis un pair
+  ${chalk.green('network')}                      → Liste les réseaux rejoints
+  ${chalk.green('network create')} ${chalk.yellow('<nom>')}          → Crée un réseau privé (clé pré-partagée)
+  ${chalk.green('network join')} ${chalk.yellow('<jeton|public>')}   → Rejoint un réseau à partir de son jeton
+  ${chalk.green('network export')} ${chalk.yellow('<nom>')}          → Affiche le jeton d'un réseau (à partager)
+  ${chalk.green('network leave')} ${chalk.yellow('<nom>')}           → Quitte un réseau
+  ${chalk.green('profile')}                      → Liste les profils (une identité chacun)
+  ${chalk.green('profile create')} ${chalk.yellow('<nom>')}          → Crée un profil (démarrage: --profile <nom>)
+  ${chalk.green('profile switch')} ${chalk.yellow('<nom>')}          → Profil par défaut des prochains démarrages
+  ${chalk.green('identity export')} ${chalk.yellow('<fichier>')}     → Sauvegarde chiffrée de l'identité
+  ${chalk.green('identity import')} ${chalk.yellow('<fichier>')}     → Restaure une identité (au redémarrage)
+  ${chalk.green('identity rotate')}              → Nouvelle clé, certifiée par l'ancienne (au redémarrage)
+  ${chalk.green('identity revoke')} ${chalk.yellow('[raison]')}      → Révoque définitivement la clé actuelle
+  ${chalk.green('trust')}                        → Web of Trust : pairs connus, niveau de confiance, historique des clés
+  ${chalk.green('trust vouch')} ${chalk.yellow('<n|nodeId>')}       → Se porte garant de la clé d'un pair (après vérification)
+  ${chalk.green('verify')} ${chalk.yellow('<n|nodeId>')}            → Numéro de sécurité (chiffres + QR) à comparer avec le pair
   ${chalk.green('help')}                         → Affiche cette aide
   ${chalk.green('exit')}                         → Arrête le nœud
 
@@ -62,6 +104,55 @@ ${chalk.gray('Exemple: @archipel-ai Comment fonctionne le chunking ?')}
 `);
 }
 
+// ─── Paquets rejetés ──────────────────────────────────────────────────────────
+function printDrops(label, drops) {
+    const color = drops.total > 0 ? chalk.red : chalk.green;
+    console.log(`  ${label.padEnd(12)}: ${color(drops.total)}`);
+    for (const [peer, entry] of drops.peers) {
+        const reasons = Object.entries(entry.reasons).map(([r, n]) => `${r}×${n}`).join(', ');
+        console.log(chalk.gray(`    ${peer.slice(0, 12)}… → ${entry.total} (${reasons})`));
+    }
+}
+
+// ─── Âge des clés de session ──────────────────────────────────────────────────
+function printSessionKeys(sessions) {
+    const active = sessions.filter(s => s.keyAgeMs !== null);
+    console.log(`  Sessions E2E: ${chalk.green(active.length)}`);
+    for (const s of active) {
+        const minutes = Math.floor(s.keyAgeMs / 60_000);
+        const seconds = Math.floor(s.keyAgeMs / 1000) % 60;
+        const kb = (s.bytes / 1024).toFixed(1);
+        console.log(chalk.gray(`    ${s.nodeId.slice(0, 12)}… → clé de ${minutes}m${seconds}s, ${s.packets} paquet(s) / ${kb} Ko reçus, ${s.rekeys} renouvellement(s)`));
+    }
+}
+
+// ─── Résolution d'un pair (numéro dans "peers" ou nodeId) ────────────────────
+function resolvePeer(target) {
+    const peers = peerTable.getActivePeers();
+    const byNumber = parseInt(target);
+    if (!isNaN(byNumber) && byNumber >= 1 && byNumber <= peers.length) {
+        return peers[byNumber - 1].nodeId;
+    }
+    return target;
+}
+
+// ─── Statut de remise d'un message envoyé ─────────────────────────────────────
+const STATUS_LABEL = {
+    queued: chalk.gray('⏳ en file'),
+    sent: chalk.gray('✓ envoyé'),
+    relayed: chalk.blue('🔄 relayé'),
+    delivered: chalk.green('✓✓ reçu'),
+    read: chalk.cyan('👁 lu'),
+};
+
+// ─── Numéro de sécurité (chiffres + QR code) ──────────────────────────────────
+async function printSafetyNumber(number) {
+    for (let i = 0; i < number.groups.length; i += 4) {
+        console.log(chalk.bold(`    ${number.groups.slice(i, i + 4).join('  ')}`));
+    }
+    console.log(await QRCode.toString(number.qrPayload, { type: 'terminal', small: true }));
+}
+
 // ─── Point d'entrée principal ─────────────────────────────────────────────────
 async function main() {
     printBanner();
@@ -70,13 +161,28 @@ async function main() {
     console.log(chalk.gray('[*] Initialisation de la base de données...'));
     await initDatabase();
 
-    // Chargement de l'identité
+    // Chargement de l'identité (trousseau chiffré : ARCHIPEL_PASSPHRASE ou saisie)
+    console.log(chalk.gray(`[*] Profil "${PROFILE.name}" (${PROFILE.dir})`));
     console.log(chalk.gray('[*] Chargement de l\'identité cryptographique...'));
-    const identity = loadOrCreateIdentity();
+    let identity;
+    try {
+        identity = await unlockIdentity();
+    } catch (err) {
+        console.error(chalk.red(`[✗] ${err.message}`));
+        process.exit(1);
+    }
     console.log(chalk.green(`[✓] NODE_ID: ${identity.nodeId.slice(0, 24)}…`));
     console.log(chalk.green(`[✓] Clé publique Ed25519 chargée`));
     console.log(chalk.green(`[✓] Clé publique X25519 chargée\n`));
 
+    // Réseaux privés rejoints
+    const networks = listNetworks();
+    if (networks.length === 0) {
+        console.log(chalk.yellow('[!] Aucun réseau rejoint : "network create <nom>" ou "network join <jeton>"\n'));
+    } else {
+        console.log(chalk.green(`[✓] Réseau(x) : ${networks.map(n => n.name).join(', ')}\n`));
+    }
+
     // Indexation des fichiers locaux partagés
     console.log(chalk.gray('[*] Indexation des fichiers (dossier shared/)...'));
     const manifests = indexSharedFiles();
@@ -99,27 +205,35 @@ async function main() {
 
         const shortId = msgInfo.from.slice(0, 12);
         const lock = msgInfo.encrypted ? chalk.green('🔒') : chalk.red('🔓');
-        process.stdout.write(`\r${lock} ${chalk.cyan(`[${shortId}…]`)} ${msgInfo.message}\n`);
+        const unsigned = msgInfo.signatureStatus === SignatureStatus.UNSIGNED ? chalk.yellow(' ⚠️ non signé') : '';
+        process.stdout.write(`\r${lock} ${chalk.cyan(`[${shortId}…]`)}${unsigned} ${msgInfo.message}\n`);
         rl.prompt(true);
     }, async (peer) => {
         // Silencieux pour ne pas couper la frappe de l'utilisateur
     });
 
     const tcpPort = await tcpServer.start();
-    const discovery = new PeerDiscovery(identity, tcpPort);
+    // Pair (re)découvert : échange des files de relais (messages multi-sauts en attente)
+    const discovery = new PeerDiscovery(identity, tcpPort, (peer) => tcpServer.router.onContact(peer.nodeId), { tcpServer });
     await discovery.start();
 
     // Initialisation du messenger
     const messenger = new Messenger(identity, tcpServer);
+    messenger.channels.on('post', (p) => {
+        if (p.from === 'MOI') return;
+        process.stdout.write(`\r📢 ${chalk.magenta(`#${p.name}`)} ${chalk.cyan(`[${p.from.slice(0, 12)}…]`)} ${p.message}\n`);
+        rl.prompt(true);
+    });
+    messenger.groups.on('message', (m) => {
+        if (m.from === 'MOI') return;
+        process.stdout.write(`\r${chalk.green('🔒')} ${chalk.magenta(`[${m.name}]`)} ${chalk.cyan(`[${m.from.slice(0, 12)}…]`)} ${m.message}\n`);
+        rl.prompt(true);
+    });
 
     console.log(chalk.bold('\n✅ Nœud ARCHIPEL démarré ! Tapez "help" pour la liste des commandes.\n'));
 
     // ─── Interface CLI Interactive ─────────────────────────────────────────────
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        prompt: chalk.gray('archipel> '),
-    });
+    const rl = createTerminal({ prompt: chalk.gray('archipel> ') });
 
     rl.prompt();
 
@@ -159,6 +273,22 @@ async function main() {
                 }
             }
 
+            // ── discovery [scan] ─────────────────────────────────────────────────
+            else if (cmd === 'discovery') {
+                if ((parts[1] || '').toLowerCase() === 'scan') {
+                    console.log(chalk.cyan('🔍 Balayage du réseau local en cours…'));
+                    const found = await discovery.scan();
+                    console.log(chalk.green(`✓ Balayage terminé : ${found} nœud(s) contacté(s).`));
+                } else {
+                    const { strategies, found } = discovery.status();
+                    console.log(chalk.bold('\n🛰️  Stratégies actives : ') + strategies.map(s => chalk.cyan(s)).join(', '));
+                    const sources = Object.entries(found);
+                    if (sources.length === 0) console.log(chalk.yellow('  Aucun pair découvert.'));
+                    sources.forEach(([source, count]) => console.log(`  • ${chalk.cyan(source)} : ${count} pair(s)`));
+                    console.log();
+                }
+            }
+
             // ── msg <n|nodeId> <message> ─────────────────────────────────────────
             else if (cmd === 'msg') {
                 if (parts.length < 3) {
@@ -177,7 +307,12 @@ async function main() {
 
                     const result = await messenger.send(nodeId, message);
                     const lock = result.encrypted ? chalk.green('🔒 chiffré') : chalk.red('🔓 non chiffré');
-                    console.log(chalk.green(`✓ Message envoyé à ${nodeId.slice(0, 12)}… (${lock})`));
+                    if (result.status === 'queued') {
+                        const via = result.relayed ? 'en relais et dans la boîte d\'envoi' : 'dans la boîte d\'envoi';
+                        console.log(chalk.yellow(`⏳ ${nodeId.slice(0, 12)}… injoignable : message gardé ${via} (${lock})`));
+                    } else {
+                        console.log(chalk.green(`✓ Message envoyé à ${nodeId.slice(0, 12)}… (${lock})`));
+                    }
                 }
             }
 
@@ -196,7 +331,8 @@ async function main() {
 
             // ── history ──────────────────────────────────────────────────────────
             else if (cmd === 'history') {
-                const hist = messenger.getHistory();
+                const peerId = parts[1] ? resolvePeer(parts[1]) : null;
+                const hist = peerId ? messenger.getChatWith(peerId).slice(-50) : messenger.getHistory();
                 if (hist.length === 0) {
                     console.log(chalk.yellow('  Aucun message dans l\'historique.'));
                 } else {
@@ -205,9 +341,152 @@ async function main() {
                         const time = new Date(m.timestamp).toLocaleTimeString();
                         const who = m.from === 'MOI' ? chalk.cyan('MOI') : chalk.yellow(m.from.slice(0, 8) + '…');
                         const lock = m.encrypted ? chalk.green('🔒') : chalk.red('🔓');
-                        console.log(`  ${chalk.gray(time)} ${lock} ${who}: ${m.message}`);
+                        const unsigned = m.signatureStatus === SignatureStatus.UNSIGNED ? chalk.yellow(' ⚠️ non signé') : '';
+                        const status = m.from === 'MOI' && STATUS_LABEL[m.status] ? ` ${STATUS_LABEL[m.status]}` : '';
+                        console.log(`  ${chalk.gray(time)} ${lock} ${who}${unsigned}: ${m.message}${status}`);
                     });
                     console.log();
+
+                    // Messages affichés = messages lus (accusé de lecture si ARCHIPEL_READ_RECEIPTS=1)
+                    for (const from of new Set(hist.filter(m => m.from !== 'MOI').map(m => m.from))) messenger.markRead(from);
+                }
+            }
+
+            // ── group [create|invite|kick|leave|msg|history] ─────────────────────
+            else if (cmd === 'group') {
+                const sub = (parts[1] || 'list').toLowerCase();
+                const ref = parts[2];
+
+                if (sub === 'list') {
+                    const groups = messenger.groups.list();
+                    if (groups.length === 0) {
+                        console.log(chalk.yellow('  Aucun groupe. Créez-en un avec "group create <nom> [n|nodeId…]".'));
+                    } else {
+                        console.log(chalk.bold('\n👥 Groupes :'));
+                        groups.forEach(g => {
+                            const role = g.creator === identity.nodeId ? chalk.green(' (créateur)') : '';
+                            const status = g.status === 'active' ? '' : chalk.red(` [${g.status === 'left' ? 'quitté' : 'retiré'}]`);
+                            console.log(`  • ${chalk.cyan(g.name)} ${chalk.gray(g.groupId.slice(0, 8))}${role}${status} — ${g.state.members.length} membre(s), époque ${g.epoch}`);
+                            console.log(chalk.gray(`      ${g.state.members.map(m => m === identity.nodeId ? 'MOI' : m.slice(0, 12) + '…').join(', ')}`));
+                        });
+                        console.log();
+                    }
+                } else if (!ref) {
+                    console.log(chalk.yellow('Usage: group [list|create|invite|kick|leave|msg|history] <groupe> <arg>'));
+                } else if (sub === 'create') {
+                    const group = await messenger.groups.create(ref, parts.slice(3).map(resolvePeer));
+                    console.log(chalk.green(`✓ Groupe "${group.name}" créé (${group.state.members.length} membre(s)).`));
+                } else if ((sub === 'invite' || sub === 'kick') && !parts[3]) {
+                    console.log(chalk.yellow(`Usage: group ${sub} <groupe> <n|nodeId>`));
+                } else if (sub === 'invite') {
+                    const group = await messenger.groups.invite(ref, resolvePeer(parts[3]));
+                    console.log(chalk.green(`✓ Invitation envoyée : "${group.name}" compte ${group.state.members.length} membre(s), nouvelle clé.`));
+                } else if (sub === 'kick') {
+                    const group = await messenger.groups.kick(ref, resolvePeer(parts[3]));
+                    console.log(chalk.green(`✓ Membre exclu de "${group.name}", nouvelle clé distribuée.`));
+                } else if (sub === 'leave') {
+                    const group = await messenger.groups.leave(ref);
+                    console.log(chalk.green(`✓ Groupe "${group.name}" quitté.`));
+                } else if (sub === 'msg') {
+                    if (parts.length < 4) {
+                        console.log(chalk.yellow('Usage: group msg <groupe> <message>'));
+                    } else {
+                        const { results } = await messenger.groups.send(ref, parts.slice(3).join(' '));
+                        const direct = results.filter(r => !r.relayed && !r.error).length;
+                        const relayed = results.filter(r => r.relayed).length;
+                        const failed = results.filter(r => r.error).length;
+                        console.log(chalk.green(`✓ Message de groupe envoyé : ${direct} direct(s), ${relayed} en relais${failed ? chalk.red(`, ${failed} échec(s)`) : ''}.`));
+                    }
+                } else if (sub === 'history') {
+                    const hist = messenger.groups.history(ref);
+                    if (hist.length === 0) {
+                        console.log(chalk.yellow('  Aucun message dans ce groupe.'));
+                    } else {
+                        console.log(chalk.bold(`\n📜 Groupe "${messenger.groups.resolve(ref).name}" :`));
+                        hist.forEach(m => {
+                            const who = m.sender === 'MOI' ? chalk.cyan('MOI') : chalk.yellow(m.sender.slice(0, 8) + '…');
+                            console.log(`  ${chalk.gray(new Date(m.timestamp).toLocaleTimeString())} ${who}: ${m.content}`);
+                        });
+                        console.log();
+                    }
+                } else {
+                    console.log(chalk.yellow('Usage: group [list|create|invite|kick|leave|msg|history] <groupe> <arg>'));
+                }
+            }
+
+            // ── channel [join|create|export|leave|post|history] ──────────────────
+            else if (cmd === 'channel') {
+                const sub = (parts[1] || 'list').toLowerCase();
+                const arg = parts[2];
+
+                if (sub === 'list') {
+                    const channels = messenger.channels.list();
+                    if (channels.length === 0) {
+                        console.log(chalk.yellow('  Aucun abonnement. Abonnez-vous avec "channel join <nom>".'));
+                    } else {
+                        console.log(chalk.bold('\n📢 Canaux abonnés :'));
+                        channels.forEach(c => console.log(`  • ${chalk.cyan('#' + c.name)} ${chalk.gray(c.channelId.slice(0, 8))}${c.private ? chalk.yellow(' (privé)') : ''}`));
+                        console.log();
+                    }
+                } else if (!arg) {
+                    console.log(chalk.yellow(`Usage: channel ${sub} <${sub === 'join' ? 'nom|jeton' : 'nom'}>`));
+                } else if (sub === 'join') {
+                    const channel = messenger.channels.join(arg);
+                    console.log(chalk.green(`✓ Abonné à #${channel.name}${channel.private ? ' (privé)' : ''}. Historique demandé aux voisins.`));
+                } else if (sub === 'create') {
+                    const { name, token } = messenger.channels.create(arg);
+                    console.log(chalk.green(`✓ Canal privé #${name} créé. Jeton à partager (hors-bande) :`));
+                    console.log(chalk.bold(`  ${token}`));
+                } else if (sub === 'export') {
+                    console.log(chalk.bold(`  ${messenger.channels.export(arg)}`));
+                } else if (sub === 'leave') {
+                    const channel = messenger.channels.leave(arg);
+                    console.log(chalk.green(`✓ Désabonné de #${channel.name}.`));
+                } else if (sub === 'post') {
+                    if (parts.length < 4) {
+                        console.log(chalk.yellow('Usage: channel post <nom> <message>'));
+                    } else {
+                        const { peers } = await messenger.channels.publish(arg, parts.slice(3).join(' '));
+                        console.log(chalk.green(`✓ Publication envoyée à ${peers} pair(s), relayée de proche en proche.`));
+                    }
+                } else if (sub === 'history') {
+                    const hist = messenger.channels.history(arg);
+                    if (hist.length === 0) {
+                        console.log(chalk.yellow('  Aucune publication dans ce canal.'));
+                    } else {
+                        console.log(chalk.bold(`\n📜 #${messenger.channels.resolve(arg).name} :`));
+                        hist.forEach(m => {
+                            const who = m.sender === 'MOI' ? chalk.cyan('MOI') : chalk.yellow(m.sender.slice(0, 8) + '…');
+                            console.log(`  ${chalk.gray(new Date(m.timestamp).toLocaleString())} ${who}: ${m.content}`);
+                        });
+                        console.log();
+                    }
+                } else {
+                    console.log(chalk.yellow('Usage: channel [list|join|create|export|leave|post|history] <nom>'));
+                }
+            }
+
+            // ── outbox [retry [n|nodeId]] ────────────────────────────────────────
+            else if (cmd === 'outbox') {
+                if (parts[1] === 'retry') {
+                    const peerId = parts[2] ? resolvePeer(parts[2]) : null;
+                    const sent = await messenger.outbox.retry(peerId);
+                    console.log(chalk.green(`✓ ${sent} message(s) renvoyé(s) en direct (en attente de l'accusé de réception).`));
+                } else {
+                    const pending = messenger.outbox.list();
+                    if (pending.length === 0) {
+                        console.log(chalk.yellow('  Boîte d\'envoi vide.'));
+                    } else {
+                        console.log(chalk.bold(`\n📤 Boîte d'envoi (${pending.length} message(s)) :`));
+                        pending.forEach(entry => {
+                            const preview = entry.content.length > 40 ? entry.content.slice(0, 40) + '…' : entry.content;
+                            const next = new Date(entry.nextAttemptAt).toLocaleTimeString();
+                            const expires = new Date(entry.expiresAt).toLocaleString();
+                            console.log(`  ${chalk.yellow(entry.peerId.slice(0, 12) + '…')} ${chalk.gray(entry.msgId.slice(0, 8))} ${preview}`);
+                            console.log(chalk.gray(`      ${entry.attempts} tentative(s), prochaine à ${next}, expire le ${expires}${entry.lastError ? ` — ${entry.lastError}` : ''}`));
+                        });
+                        console.log();
+                    }
                 }
             }
 
@@ -223,10 +502,34 @@ async function main() {
             else if (cmd === 'status') {
                 const peers = peerTable.getActivePeers();
                 console.log(`\n${chalk.bold('📊 Statut du nœud :')}`);
+                console.log(`  Profil      : ${chalk.green(PROFILE.name)}`);
                 console.log(`  TCP Port    : ${chalk.green(tcpPort)}`);
                 console.log(`  Pairs actifs: ${chalk.green(peers.length)}`);
                 console.log(`  Messages    : ${chalk.green(messenger.getHistory().length)}`);
-                console.log(`  Gemini AI   : ${gemini.enabled ? chalk.green('activé') : chalk.red('désactivé')}\n`);
+                console.log(`  Gemini AI   : ${gemini.enabled ? chalk.green('activé') : chalk.red('désactivé')}`);
+                console.log(`  Mode strict : ${STRICT_MODE ? chalk.green('activé') : chalk.yellow('désactivé (--dev)')}`);
+                printDrops('Rejets TCP', tcpServer.drops);
+                printDrops('Rejets UDP', discovery.drops);
+                printSessionKeys(tcpServer.handshakes.toJSON());
+                console.log();
+            }
+
+            // ── sessions ─────────────────────────────────────────────────────────
+            else if (cmd === 'sessions') {
+                const sessions = tcpServer.handshakes.toJSON();
+                if (sessions.length === 0) {
+                    console.log(chalk.yellow('  Aucun pair actif.'));
+                } else {
+                    const colors = { established: chalk.green, failed: chalk.red, idle: chalk.gray };
+                    console.log(chalk.bold('\n🔑 Sessions E2E :'));
+                    sessions.forEach((s, i) => {
+                        const color = colors[s.state] || chalk.yellow;
+                        const ago = s.since ? ` depuis ${Math.floor((Date.now() - s.since) / 1000)}s` : '';
+                        const error = s.error && s.state === 'failed' ? chalk.gray(` (${s.error})`) : '';
+                        console.log(`  [${i + 1}] ${s.nodeId.slice(0, 12)}… | ${color(s.state)}${ago}${error}`);
+                    });
+                    console.log();
+                }
             }
 
             // ── files ────────────────────────────────────────────────────────────
@@ -301,6 +604,171 @@ async function main() {
                 }
             }
 
+            // ── network [list|create|join|export|leave] ──────────────────────────
+            else if (cmd === 'network') {
+                const sub = (parts[1] || 'list').toLowerCase();
+                const arg = parts[2];
+
+                if (sub === 'list') {
+                    const networks = listNetworks();
+                    if (networks.length === 0) {
+                        console.log(chalk.yellow('  Aucun réseau rejoint.'));
+                    } else {
+                        console.log(chalk.bold('\n🔑 Réseaux rejoints :'));
+                        networks.forEach(n => console.log(`  • ${chalk.cyan(n.name)} ${chalk.gray(`(rejoint le ${new Date(n.joinedAt).toLocaleString()})`)}`));
+                        console.log();
+                    }
+                } else if (!arg) {
+                    console.log(chalk.yellow(`Usage: network ${sub} <${sub === 'join' ? 'jeton' : 'nom'}>`));
+                } else if (sub === 'create') {
+                    const { name, token } = createNetwork(arg);
+                    console.log(chalk.green(`✓ Réseau "${name}" créé. Jeton à partager (hors-bande) :`));
+                    console.log(chalk.bold(`  ${token}`));
+                    discovery.announce();
+                } else if (sub === 'join') {
+                    const name = joinNetwork(arg);
+                    console.log(chalk.green(`✓ Réseau "${name}" rejoint.`));
+                    discovery.announce();
+                } else if (sub === 'export') {
+                    console.log(chalk.bold(`  ${exportNetwork(arg)}`));
+                } else if (sub === 'leave') {
+                    const left = leaveNetwork(arg);
+                    console.log(left ? chalk.green(`✓ Réseau "${arg}" quitté.`) : chalk.yellow(`Réseau inconnu: ${arg}`));
+                } else {
+                    console.log(chalk.yellow('Usage: network [list|create|join|export|leave] <arg>'));
+                }
+            }
+
+            // ── trust [vouch <n|nodeId>] ─────────────────────────────────────────
+            else if (cmd === 'trust' && (parts[1] || '').toLowerCase() === 'vouch') {
+                if (!parts[2]) {
+                    console.log(chalk.yellow('Usage: trust vouch <n|nodeId>'));
+                } else {
+                    const nodeId = resolvePeer(parts[2]);
+                    const attestation = vouch(identity, nodeId);
+                    peerTable.refreshTrust();
+                    tcpServer.broadcastCertificates([attestation]);
+                    console.log(chalk.green(`✓ Vous vous portez garant de ${nodeId.slice(0, 12)}… (attestation signée et diffusée).`));
+                }
+            }
+
+            else if (cmd === 'trust') {
+                const entries = listTrusted();
+                if (entries.length === 0) {
+                    console.log(chalk.yellow('  Aucun pair dans le Web of Trust.'));
+                } else {
+                    console.log(chalk.bold('\n🛡️  Web of Trust :'));
+                    entries.forEach(e => {
+                        const state = e.revoked ? chalk.red('révoquée')
+                            : e.rotatedTo ? chalk.gray(`remplacée par ${e.rotatedTo.slice(0, 12)}…`)
+                            : e.trusted ? chalk.green('fiable') : chalk.red('non fiable');
+                        const introducers = e.trustLevel.introducers.length ? ` (${e.trustLevel.introducers.length} garant(s))` : '';
+                        console.log(`  ${e.nodeId.slice(0, 12)}… | ${state} | confiance: ${e.trustLevel.level}${introducers} | vu le ${new Date(e.lastSeen).toLocaleString()}`);
+                        e.history.forEach(h => {
+                            console.log(chalk.gray(`      ↳ ancienne clé ${h.nodeId.slice(0, 12)}… (${new Date(h.since).toLocaleDateString()} → ${new Date(h.until).toLocaleDateString()})`));
+                        });
+                    });
+                    console.log();
+                }
+            }
+
+            // ── verify <n|nodeId> ────────────────────────────────────────────────
+            else if (cmd === 'verify') {
+                const keys = parts[1] ? getVerificationKeys(resolvePeer(parts[1])) : null;
+                if (!parts[1]) {
+                    console.log(chalk.yellow('Usage: verify <n|nodeId>'));
+                } else if (!keys) {
+                    console.log(chalk.yellow(`Pair inconnu du Web of Trust: ${parts[1]}`));
+                } else {
+                    const local = { nodeId: identity.nodeId, signingPub: identity.signing.publicKey, dhPub: identity.dh.publicKey };
+                    const number = safetyNumber(local, keys);
+
+                    if (keys.keyChanged) {
+                        console.log(chalk.red(`\n⚠️  La clé de ${keys.nodeId.slice(0, 12)}… a changé : vérifiez le NOUVEAU numéro avant de reprendre la conversation.`));
+                    }
+                    console.log(chalk.bold(`\n🔐 Numéro de sécurité avec ${keys.nodeId.slice(0, 12)}…${keys.verified ? chalk.green(' (déjà vérifié)') : ''}`));
+                    await printSafetyNumber(number);
+
+                    const answer = await new Promise(resolve => rl.question('Votre correspondant affiche-t-il le même numéro ? (oui/non) ', resolve));
+                    if (answer.trim().toLowerCase() !== 'oui') {
+                        console.log(chalk.gray('  Pair non vérifié. En cas de différence, la connexion est peut-être interceptée.'));
+                    } else if (trust(keys.nodeId)) {
+                        peerTable.refreshTrust();
+                        console.log(chalk.green(`✓ ${keys.nodeId.slice(0, 12)}… marqué comme vérifié.`));
+                    } else {
+                        console.log(chalk.red(`✗ Clé révoquée ou remplacée : ${keys.nodeId.slice(0, 12)}… ne peut pas être vérifié.`));
+                    }
+                }
+            }
+
+            // ── profile [list|create|switch] ─────────────────────────────────────
+            else if (cmd === 'profile') {
+                const sub = (parts[1] || 'list').toLowerCase();
+                const arg = parts[2];
+
+                if (sub === 'list') {
+                    console.log(chalk.bold('\n👤 Profils :'));
+                    listProfiles().forEach(p => {
+                        const mark = p.active ? chalk.green('●') : ' ';
+                        const id = p.hasIdentity ? '' : chalk.gray(' (pas encore d\'identité)');
+                        console.log(`  ${mark} ${chalk.cyan(p.name)} ${chalk.gray(p.dir)}${id}`);
+                    });
+                    console.log();
+                } else if (!arg) {
+                    console.log(chalk.yellow(`Usage: profile ${sub} <nom>`));
+                } else if (sub === 'create') {
+                    const dir = createProfile(arg);
+                    console.log(chalk.green(`✓ Profil "${arg}" créé dans ${dir}. Démarrez avec --profile ${arg}`));
+                } else if (sub === 'switch') {
+                    const name = switchProfile(arg);
+                    console.log(chalk.green(`✓ Profil "${name}" utilisé aux prochains démarrages. Redémarrez le nœud.`));
+                } else {
+                    console.log(chalk.yellow('Usage: profile [list|create|switch] <nom>'));
+                }
+            }
+
+            // ── identity [export|import|rotate|revoke] ───────────────────────────
+            else if (cmd === 'identity') {
+                const sub = (parts[1] || '').toLowerCase();
+                const file = parts.slice(2).join(' ');
+
+                if (sub === 'rotate') {
+                    // La phrase de passe actuelle chiffre aussi la nouvelle clé
+                    const passphrase = await askPassphrase('Phrase de passe du trousseau : ', rl);
+                    loadOrCreateIdentity(passphrase);
+                    const next = generateIdentity();
+                    const certificate = createRotationCertificate(identity, next);
+                    recordCertificate(certificate, { local: true });
+                    replaceIdentity(next, passphrase);
+                    tcpServer.broadcastCertificates([certificate]);
+                    console.log(chalk.green(`✓ Nouvelle identité ${next.nodeId.slice(0, 12)}… certifiée par l'ancienne et diffusée.`));
+                    console.log(chalk.yellow('  Redémarrez le nœud pour l\'utiliser (ancien trousseau conservé en .bak).'));
+                } else if (sub === 'revoke') {
+                    const reason = parts.slice(2).join(' ') || 'compromise';
+                    const answer = await new Promise(resolve => rl.question(chalk.red('Révoquer définitivement cette identité ? (oui/non) '), resolve));
+                    if (answer.trim().toLowerCase() !== 'oui') {
+                        console.log(chalk.gray('  Révocation annulée.'));
+                    } else {
+                        const certificate = createRevocation(identity, reason);
+                        recordCertificate(certificate, { local: true });
+                        tcpServer.broadcastCertificates([certificate]);
+                        console.log(chalk.red(`⛔ Identité ${identity.nodeId.slice(0, 12)}… révoquée et révocation diffusée.`));
+                        console.log(chalk.yellow('  Plus aucune rotation depuis cette clé ne sera acceptée : créez un nouveau profil.'));
+                    }
+                } else if (!file || (sub !== 'export' && sub !== 'import')) {
+                    console.log(chalk.yellow('Usage: identity [export|import] <fichier> | identity rotate | identity revoke [raison]'));
+                } else if (sub === 'export') {
+                    const passphrase = await askNewPassphrase('Phrase de passe de la sauvegarde : ', rl);
+                    fs.writeFileSync(file, exportIdentity(identity, passphrase), { mode: 0o600 });
+                    console.log(chalk.green(`✓ Identité sauvegardée (chiffrée) dans ${file}`));
+                } else {
+                    const passphrase = await askPassphrase('Phrase de passe de la sauvegarde : ', rl);
+                    const restored = importIdentity(fs.readFileSync(file, 'utf-8'), passphrase);
+                    console.log(chalk.green(`✓ Identité ${restored.nodeId.slice(0, 12)}… restaurée (ancien trousseau conservé en .bak).`));
+                    console.log(chalk.yellow('  Redémarrez le nœud et déverrouillez avec la phrase de passe de la sauvegarde.'));
+                }
+            }
+
             // ── help ─────────────────────────────────────────────────────────────
             else if (cmd === 'help') {
                 printHelp();
@@ -311,7 +779,8 @@ async function main() {
                 if (parts.length < 2) {
                     console.log(chalk.yellow('Usage: connect <ip> [port]'));
                 } else {
-                    const ip = parts[1];
+                    // IPv6 acceptée avec ou sans crochets ([fe80::1%wlan0])
+                    const ip = parts[1].replace(/^\[(.*)\]$/, '$1');
                     const port = parseInt(parts[2]) || 7777;
                     console.log(chalk.cyan(`🔗 Tentative de connexion vers ${ip}:${port}...`));
                     try {
@@ -320,7 +789,7 @@ async function main() {
                         // Force un rafraîchissement visuel après un court délai
                         setTimeout(() => {
                             const peers = peerTable.getActivePeers();
-                            if (peers.some(p => p.ip === ip)) {
+                            if (peers.some(p => p.addresses.some(a => a.ip === ip))) {
                                 console.log(chalk.green(`\n✨ Connexion réussie avec ${ip} !`));
                             }
                         }, 2000);
@@ -0,0 +1,105 @@
+/**
+ * ARCHIPEL — Saisie de la phrase de passe du trousseau
+ * Source : variable ARCHIPEL_PASSPHRASE, sinon invite (saisie masquée) sur le terminal
+ */
+
+import readline from 'readline';
+import { Writable } from 'stream';
+import { getKeystoreStatus, loadOrCreateIdentity, KeystoreError } from '../crypto/identity.js';
+
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Sortie du terminal qu'une saisie masquée rend muette : la frappe n'est plus renvoyée à l'écran.
+ * Ce qui est écrit directement sur process.stdout (journaux) reste affiché.
+ */
+class MutableStdout extends Writable {
+    constructor() {
+        super();
+        this.muted = false;
+        this.isTTY = process.stdout.isTTY;
+    }
+
+    get columns() {
+        return process.stdout.columns;
+    }
+
+    // Acquitté aussitôt : l'écriture suivante est jugée muette ou non au moment où readline l'émet
+    _write(chunk, encoding, callback) {
+        if (!this.muted) process.stdout.write(chunk, encoding);
+        callback();
+    }
+}
+
+/**
+ * Interface readline sur le terminal, capable de masquer une saisie (voir askPassphrase)
+ * @param {Object} [options] - Options de readline.createInterface (prompt…)
+ * @returns {readline.Interface}
+ */
+export function createTerminal(options = {}) {
+    return readline.createInterface({ input: process.stdin, output: new MutableStdout(), ...options });
+}
+
+/**
+ * Pose une question sans afficher la réponse
+ * @param {string} question
+ * @param {readline.Interface} [rl] - Interface existante (CLI, créée par createTerminal), sinon une interface temporaire
+ * @returns {Promise<string>}
+ */
+export function askPassphrase(question, rl = null) {
+    const iface = rl || createTerminal();
+
+    return new Promise(resolve => {
+        iface.question(question, answer => {
+            iface.output.muted = false;
+            iface.output.write('\n');
+            if (!rl) iface.close();
+            resolve(answer);
+        });
+        // La question est affichée, la frappe ne l'est plus
+        iface.output.muted = true;
+    });
+}
+
+/**
+ * Demande une nouvelle phrase de passe, avec confirmation
+ */
+export async function askNewPassphrase(question, rl = null) {
+    const first = await askPassphrase(question, rl);
+    if (!first) throw new KeystoreError('Phrase de passe vide refusée');
+    const second = await askPassphrase('Confirmez la phrase de passe : ', rl);
+    if (first !== second) throw new KeystoreError('Les deux phrases de passe ne correspondent pas');
+    return first;
+}
+
+/**
+ * Déverrouille (ou crée) l'identité au démarrage
+ * @returns {Promise<Object>} Identité déverrouillée
+ * @throws {KeystoreError} phrase de passe incorrecte (ou absente sans terminal)
+ */
+export async function unlockIdentity() {
+    const fromEnv = process.env.ARCHIPEL_PASSPHRASE;
+    if (fromEnv) return loadOrCreateIdentity(fromEnv);
+
+    if (!process.stdin.isTTY) {
+        throw new KeystoreError('Aucun terminal pour saisir la phrase de passe : définissez ARCHIPEL_PASSPHRASE');
+    }
+
+    const status = getKeystoreStatus();
+    if (status !== 'encrypted') {
+        const question = status === 'missing'
+            ? 'Nouvelle phrase de passe (chiffre vos clés privées) : '
+            : 'Clés privées en clair détectées — phrase de passe pour les chiffrer : ';
+        return loadOrCreateIdentity(await askNewPassphrase(question));
+    }
+
+    for (let attempt = 1; ; attempt++) {
+        const passphrase = await askPassphrase('Phrase de passe du trousseau : ');
+        try {
+            return loadOrCreateIdentity(passphrase);
+        } catch (err) {
+            if (!(err instanceof KeystoreError) || attempt >= MAX_ATTEMPTS) throw err;
+            console.log(`[ID] ❌ ${err.message} (${attempt}/${MAX_ATTEMPTS})`);
+        }
+    }
+}
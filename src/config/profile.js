@@ -0,0 +1,139 @@
+/**
+ * ARCHIPEL — Profils (un répertoire de données par identité)
+ *
+ * Chaque profil a ses propres clés, base SQLite, Web of Trust, réseaux, index,
+ * dossiers shared/ et downloads/. Répertoire de données retenu, par priorité :
+ *   1. --profile <nom> ou ARCHIPEL_PROFILE  → ~/.archipel/profiles/<nom>
+ *   2. ARCHIPEL_HOME                        → ce répertoire tel quel
+ *   3. profil choisi par "profile switch"   → ~/.archipel/profiles/<nom>
+ *   4. racine du dépôt (profil historique "default")
+ *
+ * Résolu une seule fois au chargement : changer de profil demande un redémarrage.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Profil historique : les fichiers à la racine du dépôt
+export const DEFAULT_PROFILE = 'default';
+const LEGACY_DIR = path.join(__dirname, '../..');
+const ARCHIPEL_DIR = path.join(os.homedir(), '.archipel');
+const PROFILES_DIR = path.join(ARCHIPEL_DIR, 'profiles');
+const CURRENT_FILE = path.join(ARCHIPEL_DIR, 'current-profile');
+
+const NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+
+/**
+ * Normalise et valide un nom de profil
+ */
+function normalizeName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    if (!NAME_PATTERN.test(normalized)) {
+        throw new Error(`Nom de profil invalide: "${name}" (a-z, 0-9, "-", 32 caractères max)`);
+    }
+    return normalized;
+}
+
+/**
+ * Répertoire d'un profil nommé
+ */
+function profileDir(name) {
+    return name === DEFAULT_PROFILE ? LEGACY_DIR : path.join(PROFILES_DIR, name);
+}
+
+/**
+ * Profil sélectionné par "profile switch" (null si aucun)
+ */
+function readCurrentProfile() {
+    try { return fs.readFileSync(CURRENT_FILE, 'utf-8').trim() || null; } catch { return null; }
+}
+
+/**
+ * Détermine le profil actif à partir des arguments et de l'environnement
+ * @returns {{ name: string, dir: string }}
+ */
+function resolveProfile() {
+    const flag = process.argv.indexOf('--profile');
+    const requested = (flag !== -1 && process.argv[flag + 1]) || process.env.ARCHIPEL_PROFILE;
+    if (requested) {
+        const name = normalizeName(requested);
+        return { name, dir: profileDir(name) };
+    }
+    if (process.env.ARCHIPEL_HOME) {
+        const dir = path.resolve(process.env.ARCHIPEL_HOME);
+        return { name: path.basename(dir), dir };
+    }
+    const current = readCurrentProfile();
+    if (current) return { name: current, dir: profileDir(current) };
+    return { name: DEFAULT_PROFILE, dir: LEGACY_DIR };
+}
+
+/** Profil actif de ce processus */
+export const PROFILE = resolveProfile();
+export const DATA_DIR = PROFILE.dir;
+export const SHARE_DIR = path.join(DATA_DIR, 'shared');
+export const DL_DIR = path.join(DATA_DIR, 'downloads');
+
+// Crée les dossiers du profil s'ils n'existent pas
+for (const dir of [DATA_DIR, SHARE_DIR, DL_DIR]) {
+    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+}
+
+/**
+ * Chemin d'un fichier de données dans le profil actif
+ * @param {string} file - ex: '.keys.json'
+ */
+export function dataPath(file) {
+    return path.join(DATA_DIR, file);
+}
+
+/**
+ * Liste les profils existants (le profil historique "default" toujours en tête)
+ * @returns {{ name: string, dir: string, active: boolean, hasIdentity: boolean }[]}
+ */
+export function listProfiles() {
+    const names = fs.existsSync(PROFILES_DIR)
+        ? fs.readdirSync(PROFILES_DIR).filter(n => NAME_PATTERN.test(n) && n !== DEFAULT_PROFILE)
+        : [];
+    return [DEFAULT_PROFILE, ...names.sort()].map(name => {
+        const dir = profileDir(name);
+        return {
+            name,
+            dir,
+            active: dir === DATA_DIR,
+            hasIdentity: fs.existsSync(path.join(dir, '.keys.json')),
+        };
+    });
+}
+
+/**
+ * Crée un profil vide (l'identité est générée à son premier démarrage)
+ * @returns {string} Répertoire du profil
+ */
+export function createProfile(name) {
+    const normalized = normalizeName(name);
+    if (normalized === DEFAULT_PROFILE) throw new Error(`"${DEFAULT_PROFILE}" est le profil historique (racine du dépôt)`);
+
+    const dir = profileDir(normalized);
+    if (fs.existsSync(dir)) throw new Error(`Profil déjà existant: ${normalized}`);
+    for (const sub of ['shared', 'downloads']) fs.mkdirSync(path.join(dir, sub), { recursive: true });
+    return dir;
+}
+
+/**
+ * Choisit le profil utilisé aux prochains démarrages (sans --profile ni ARCHIPEL_HOME)
+ */
+export function switchProfile(name) {
+    const normalized = normalizeName(name);
+    if (normalized !== DEFAULT_PROFILE && !fs.existsSync(profileDir(normalized))) {
+        throw new Error(`Profil inconnu: ${normalized} (créez-le avec "profile create")`);
+    }
+    fs.mkdirSync(ARCHIPEL_DIR, { recursive: true });
+    if (normalized === DEFAULT_PROFILE) fs.rmSync(CURRENT_FILE, { force: true });
+    else fs.writeFileSync(CURRENT_FILE, normalized);
+    return normalized;
+}
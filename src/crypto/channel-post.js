@@ -0,0 +1,134 @@
+/**
+ * ARCHIPEL — Canaux de diffusion (publications signées, propagées de proche en proche)
+ *
+ * Identifiant de canal :
+ *   public : SHA256("ARCHIPEL-CHANNEL|" || nom)
+ *   privé  : SHA256("ARCHIPEL-CHANNEL|" || nom || "|" || clé)  (clé de 32 octets partagée hors bande)
+ * Publication, signée par son auteur et vérifiable par tout nœud sans le connaître :
+ *   { postId, channelId, author, authorSigningPub, timestamp, content }                 (public)
+ *   { postId, channelId, author, authorSigningPub, timestamp, ciphertext, nonce }       (privé, AES-256-GCM)
+ * Les nœuds qui ne sont pas abonnés (ou n'ont pas la clé) relaient la publication sans la lire.
+ *
+ * Jeton d'un canal privé (compatible QR alphanumérique) :
+ *   ARCHIPEL-CH:<NOM>:<CLÉ HEX>:<CHECKSUM>
+ */
+
+import { createHash, randomBytes } from 'crypto';
+import { encryptMessage, decryptMessage } from './encryption.js';
+import { signChannelPost, verifyChannelPost, SignatureStatus } from './signing.js';
+
+const NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+const TOKEN_PREFIX = 'ARCHIPEL-CH';
+// Taille maximale du texte d'une publication (une alerte, pas un fichier)
+export const CHANNEL_MAX_POST_LENGTH = 2000;
+// Chiffré hexadécimal maximal : 3 octets UTF-8 par caractère au plus, plus le tag GCM de 16 octets
+const MAX_CIPHERTEXT_HEX = 2 * (3 * CHANNEL_MAX_POST_LENGTH + 16);
+
+/**
+ * Normalise et valide un nom de canal
+ */
+export function normalizeChannelName(name) {
+    const normalized = String(name || '').trim().replace(/^#/, '').toLowerCase();
+    if (!NAME_PATTERN.test(normalized)) {
+        throw new Error(`Nom de canal invalide: "${name}" (a-z, 0-9, "-", 32 caractères max)`);
+    }
+    return normalized;
+}
+
+/**
+ * Identifiant d'un canal (la clé d'un canal privé en fait un canal distinct du public de même nom)
+ * @param {string} name
+ * @param {string|null} [key] - Clé du canal privé (hex)
+ */
+export function channelId(name, key = null) {
+    const material = key ? `ARCHIPEL-CHANNEL|${name}|${key}` : `ARCHIPEL-CHANNEL|${name}`;
+    return createHash('sha256').update(material).digest('hex');
+}
+
+function checksum(name, keyHex) {
+    return createHash('sha256').update(`${name}:${keyHex}`).digest('hex').slice(0, 4).toUpperCase();
+}
+
+/**
+ * Jeton partageable d'un canal privé
+ */
+export function exportChannelToken(name, key) {
+    return [TOKEN_PREFIX, name.toUpperCase(), key.toUpperCase(), checksum(name, key)].join(':');
+}
+
+/**
+ * Lit un jeton de canal privé
+ * @returns {{ name: string, key: string }}
+ * @throws {Error} jeton mal formé ou checksum invalide
+ */
+export function parseChannelToken(token) {
+    const parts = String(token || '').trim().split(':');
+    if (parts.length !== 4 || parts[0].toUpperCase() !== TOKEN_PREFIX) {
+        throw new Error('Jeton de canal invalide (attendu ARCHIPEL-CH:<NOM>:<CLÉ>:<CHECKSUM>)');
+    }
+    const name = normalizeChannelName(parts[1]);
+    const key = parts[2].toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(key)) throw new Error('Clé de canal invalide (64 caractères hex attendus)');
+    if (checksum(name, key) !== parts[3].toUpperCase()) throw new Error('Checksum du jeton invalide (faute de frappe ?)');
+    return { name, key };
+}
+
+/**
+ * Nouvelle clé de canal privé
+ */
+export function generateChannelKey() {
+    return randomBytes(32).toString('hex');
+}
+
+/**
+ * Publie un message dans un canal (chiffré si le canal est privé), signé par l'auteur
+ * @param {Object} identity
+ * @param {{ channelId: string, key: string|null }} channel
+ * @param {string} message
+ */
+export function createChannelPost(identity, channel, message) {
+    const post = {
+        postId: randomBytes(16).toString('hex'),
+        channelId: channel.channelId,
+        author: identity.nodeId,
+        authorSigningPub: identity.signing.publicKey,
+        timestamp: Date.now(),
+    };
+    if (channel.key) Object.assign(post, encryptMessage(message, channel.key));
+    else post.content = message;
+    return signChannelPost(post, identity.signing.privateKey);
+}
+
+/**
+ * Vérifie qu'une publication vient bien de son auteur annoncé (NODE_ID = SHA256(clé), signature)
+ * @returns {boolean}
+ */
+export function isValidChannelPost(post) {
+    if (!post || typeof post.postId !== 'string' || typeof post.channelId !== 'string' || typeof post.timestamp !== 'number') {
+        return false;
+    }
+    const derivedId = createHash('sha256').update(Buffer.from(post.authorSigningPub || '', 'hex')).digest('hex');
+    if (post.author !== derivedId) return false;
+    return verifyChannelPost(post, post.authorSigningPub) === SignatureStatus.VALID;
+}
+
+/**
+ * Publication trop longue pour être relayée (texte ou chiffré au-delà de CHANNEL_MAX_POST_LENGTH)
+ * @returns {boolean}
+ */
+export function isOversizedChannelPost(post) {
+    if (typeof post.content === 'string' && post.content.length > CHANNEL_MAX_POST_LENGTH) return true;
+    if (typeof post.ciphertext === 'string' && post.ciphertext.length > MAX_CIPHERTEXT_HEX) return true;
+    return typeof post.nonce === 'string' && post.nonce.length > 24;
+}
+
+/**
+ * Texte d'une publication (déchiffré avec la clé d'un canal privé)
+ * @returns {string|null} null si illisible
+ */
+export function readChannelPost(post, channel) {
+    if (!channel.key) return typeof post.content === 'string' ? post.content : null;
+    if (typeof post.ciphertext !== 'string' || typeof post.nonce !== 'string') return null;
+    const text = decryptMessage(post.ciphertext, post.nonce, channel.key);
+    return text !== null && text.length <= CHANNEL_MAX_POST_LENGTH ? text : null;
+}
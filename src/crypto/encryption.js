@@ -3,6 +3,7 @@
  * Utilise le module crypto NATIF de Node.js 22
  * X25519 ECDH pour la dérivation de clé de session
  * AES-256-GCM pour le chiffrement des messages (nonce 96-bit unique)
+ * Sealed box : chiffrement anonyme vers une clé publique X25519 statique (enveloppes RELAY)
  */
 
 import {
@@ -13,10 +14,14 @@ import {
     randomBytes,
     createCipheriv,
     createDecipheriv,
-    sign,
-    verify
+    generateKeyPairSync,
+    hkdfSync,
 } from 'crypto';
 
+const SEALED_BOX_INFO = 'ARCHIPEL-SEALED-BOX-v1';
+// Clé publique X25519 en DER SPKI : 44 octets
+const X25519_SPKI_LENGTH = 44;
+
 /**
  * Dérive une clé de session partagée via X25519 ECDH
  * @param {string} myPrivKeyHex  - Ma clé privée X25519 (DER PKCS8 en hex)
@@ -89,29 +94,62 @@ export function decryptMessage(ciphertextHex, nonceHex, sessionKeyHex) {
 }
 
 /**
- * Signe une donnée avec une clé privée Ed25519
+ * Clé AES d'une sealed box : HKDF(DH(éphémère, destinataire), sel = pub éphémère || pub destinataire)
  */
-export function signData(data, privateKeyHex) {
-    const key = createPrivateKey({
-        key: Buffer.from(privateKeyHex, 'hex'),
-        format: 'der',
-        type: 'pkcs8'
-    });
-    return sign(null, Buffer.from(data), key).toString('hex');
+function sealedBoxKey(privateKey, publicKey, ephemeralPub, recipientPub) {
+    const shared = diffieHellman({ privateKey, publicKey });
+    return Buffer.from(hkdfSync('sha256', shared, Buffer.concat([ephemeralPub, recipientPub]), SEALED_BOX_INFO, 32));
 }
 
 /**
- * Vérifie une signature Ed25519
+ * Chiffre pour une clé publique X25519 avec une clé éphémère anonyme (sealed box).
+ * Seul le détenteur de la clé privée correspondante peut ouvrir la boîte ; l'expéditeur n'y figure pas.
+ * @param {string|Buffer} plaintext
+ * @param {string} recipientPubHex - Clé publique X25519 du destinataire (DER SPKI en hex)
+ * @param {string|Buffer} [aad]    - Données authentifiées non chiffrées (ex: destinataire, expiration)
+ * @returns {string} Boîte opaque (base64) : pub éphémère || nonce || chiffré + authTag
  */
-export function verifySignature(data, signatureHex, publicKeyHex) {
+export function sealBox(plaintext, recipientPubHex, aad = '') {
+    const recipientPub = Buffer.from(recipientPubHex, 'hex');
+    const ephemeral = generateKeyPairSync('x25519');
+    const ephemeralPub = ephemeral.publicKey.export({ type: 'spki', format: 'der' });
+    const publicKey = createPublicKey({ key: recipientPub, format: 'der', type: 'spki' });
+    const key = sealedBoxKey(ephemeral.privateKey, publicKey, ephemeralPub, recipientPub);
+
+    const iv = randomBytes(12);
+    const cipher = createCipheriv('aes-256-gcm', key, iv);
+    cipher.setAAD(Buffer.from(aad));
+    const msg = typeof plaintext === 'string' ? Buffer.from(plaintext, 'utf-8') : plaintext;
+    const encrypted = Buffer.concat([cipher.update(msg), cipher.final(), cipher.getAuthTag()]);
+    return Buffer.concat([ephemeralPub, iv, encrypted]).toString('base64');
+}
+
+/**
+ * Ouvre une sealed box avec notre clé privée X25519
+ * @param {string} box            - Boîte produite par sealBox (base64)
+ * @param {string} myPrivKeyHex   - Clé privée X25519 (DER PKCS8 en hex)
+ * @param {string} myPubKeyHex    - Clé publique X25519 correspondante (DER SPKI en hex)
+ * @param {string|Buffer} [aad]
+ * @returns {Buffer|null} Contenu, ou null si la boîte n'est pas pour nous ou a été modifiée
+ */
+export function openBox(box, myPrivKeyHex, myPubKeyHex, aad = '') {
     try {
-        const key = createPublicKey({
-            key: Buffer.from(publicKeyHex, 'hex'),
-            format: 'der',
-            type: 'spki'
-        });
-        return verify(null, Buffer.from(data), key, Buffer.from(signatureHex, 'hex'));
+        const data = Buffer.from(box, 'base64');
+        if (data.length < X25519_SPKI_LENGTH + 12 + 16) return null;
+        const ephemeralPub = data.subarray(0, X25519_SPKI_LENGTH);
+        const iv = data.subarray(X25519_SPKI_LENGTH, X25519_SPKI_LENGTH + 12);
+        const encrypted = data.subarray(X25519_SPKI_LENGTH + 12, -16);
+        const authTag = data.subarray(-16);
+
+        const privateKey = createPrivateKey({ key: Buffer.from(myPrivKeyHex, 'hex'), format: 'der', type: 'pkcs8' });
+        const publicKey = createPublicKey({ key: ephemeralPub, format: 'der', type: 'spki' });
+        const key = sealedBoxKey(privateKey, publicKey, ephemeralPub, Buffer.from(myPubKeyHex, 'hex'));
+
+        const decipher = createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAAD(Buffer.from(aad));
+        decipher.setAuthTag(authTag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]);
     } catch {
-        return false;
+        return null;
     }
 }
@@ -1,11 +1,17 @@
 /**
- * ARCHIPEL — Handshake Archipel (inspiré Noise Protocol XX)
- * Établit une clé de session E2E avec Forward Secrecy
+ * ARCHIPEL — Handshake Archipel authentifié (inspiré SIGMA / Noise XX)
+ * Établit des clés de session E2E avec Forward Secrecy et authentification mutuelle
  *
- * Séquence :
- *   1. Alice → Bob : { ephemeral_dh_pub_Alice, nodeId_Alice, signingPub_Alice }
- *   2. Bob  → Alice : { ephemeral_dh_pub_Bob,  nodeId_Bob,   signingPub_Bob,  session_key_encrypted }
- *   3. Clé de session = HKDF(DH(ephAlice, ephBob) || DH(staticAlice, staticBob))
+ * Séquence (3 messages, tous en paquets MSG) :
+ *   1. Alice → Bob : INIT   { nodeId, signingPub, dhPub, ephemeralDhPub }
+ *   2. Bob → Alice : RESP   { nodeId, signingPub, dhPub, ephemeralDhPub, signature_Bob(th), confirm_Bob }
+ *   3. Alice → Bob : FINISH { nodeId, signature_Alice(th), confirm_Alice }
+ *
+ *   th   = SHA256(INIT || RESP sans signature/confirm)            (hash du transcript)
+ *   ikm  = DH(ephAlice, ephBob) || DH(staticAlice, staticBob)
+ *   HKDF-SHA256(ikm, salt = th) → Alice→Bob (chiffrement, HMAC) | Bob→Alice (chiffrement, HMAC) | confirmation
+ *   Chaque clé ne sert qu'à une primitive : AES-256-GCM pour le contenu, HMAC-SHA256 pour les trames
+ *   confirm = HMAC(clé de confirmation, rôle || th) : prouve que l'autre a dérivé les mêmes clés
  */
 
 import {
@@ -15,19 +21,22 @@ import {
     diffieHellman,
     createHash,
     createHmac,
-    randomBytes,
+    hkdfSync,
+    timingSafeEqual,
 } from 'crypto';
-import { buildPacket, parsePacket, PacketType, PUBLIC_HMAC_KEY, parseJsonPayload } from './packet.js';
+import { buildPacket, PacketType } from './packet.js';
+import { sign, verify } from './signing.js';
+
+const HKDF_INFO = 'ARCHIPEL-HANDSHAKE-v3';
 
 /**
- * Dérive une clé de session via double DH (Forward Secrecy)
- * @param {Buffer} dh1 - DH(éphémère_Alice, éphémère_Bob)
- * @param {Buffer} dh2 - DH(statique_Alice, statique_Bob)
- * @returns {string} Clé de session 32 bytes hex
+ * Erreur d'authentification du handshake (signature, confirmation, identité)
  */
-function deriveKey(dh1, dh2) {
-    // HKDF simplifié : SHA256(dh1 || dh2)
-    return createHash('sha256').update(Buffer.concat([dh1, dh2])).digest('hex');
+export class HandshakeError extends Error {
+    constructor(message) {
+        super(`Handshake: ${message}`);
+        this.name = 'HandshakeError';
+    }
 }
 
 /**
@@ -40,78 +49,187 @@ function dh(privHex, pubHex) {
 }
 
 /**
- * INITIATEUR (Alice) — Étape 1 : génère un message de handshake
- * @param {Object} identity - Identité locale
- * @returns {{ message: Buffer, ephemeralPriv: string }} Message à envoyer + clé éphémère privée
+ * Génère une paire X25519 éphémère (DER hex)
  */
-export function initiateHandshake(identity) {
-    const ephemeral = generateKeyPairSync('x25519', {
+function ephemeralKeyPair() {
+    const pair = generateKeyPairSync('x25519', {
         publicKeyEncoding: { type: 'spki', format: 'der' },
         privateKeyEncoding: { type: 'pkcs8', format: 'der' },
     });
+    return { publicKey: pair.publicKey.toString('hex'), privateKey: pair.privateKey.toString('hex') };
+}
+
+/**
+ * JSON d'un message de handshake sans ses champs d'authentification
+ */
+function canonical(fields) {
+    const { signature, confirm, ...rest } = fields;
+    return JSON.stringify(rest);
+}
+
+/**
+ * Hash du transcript INIT || RESP
+ */
+function transcriptHash(initData, respData) {
+    return createHash('sha256').update(canonical(initData)).update(canonical(respData)).digest();
+}
+
+/**
+ * Dérive les clés de session via HKDF : par sens, une clé de chiffrement et une clé HMAC distinctes
+ * @returns {{ initiator: SessionKeys, responder: SessionKeys, confirmKey: Buffer }}
+ * @typedef {{ encKey: string, macKey: string }} SessionKeys
+ */
+function deriveSessionKeys(dh1, dh2, th) {
+    const okm = Buffer.from(hkdfSync('sha256', Buffer.concat([dh1, dh2]), th, HKDF_INFO, 160));
+    const hex = (start) => okm.subarray(start, start + 32).toString('hex');
+    return {
+        initiator: { encKey: hex(0), macKey: hex(32) },  // Alice → Bob
+        responder: { encKey: hex(64), macKey: hex(96) }, // Bob → Alice
+        confirmKey: okm.subarray(128, 160),
+    };
+}
+
+/**
+ * MAC de confirmation de clé pour un rôle donné
+ */
+function confirmMac(confirmKey, role, th) {
+    return createHmac('sha256', confirmKey).update(role).update(th).digest();
+}
+
+/**
+ * Vérifie que le NODE_ID annoncé dérive bien de la clé de signature
+ */
+function assertNodeId(data, expectedNodeId = null) {
+    const derived = createHash('sha256').update(Buffer.from(data.signingPub || '', 'hex')).digest('hex');
+    if (data.nodeId !== derived) throw new HandshakeError(`NODE_ID ${String(data.nodeId).slice(0, 12)}… ne correspond pas à sa clé`);
+    if (expectedNodeId && data.nodeId !== expectedNodeId) {
+        throw new HandshakeError(`réponse de ${data.nodeId.slice(0, 12)}… au lieu de ${expectedNodeId.slice(0, 12)}…`);
+    }
+}
+
+/**
+ * Vérifie signature et confirmation d'un message RESP ou FINISH
+ */
+function assertAuthenticated(data, role, th, signingPub, confirmKey) {
+    const signed = Buffer.concat([Buffer.from(role), th]);
+    if (!data.signature || !verify(signed, data.signature, signingPub)) {
+        throw new HandshakeError(`signature ${role} invalide`);
+    }
+    const received = Buffer.from(data.confirm || '', 'hex');
+    const expected = confirmMac(confirmKey, role, th);
+    if (received.length !== expected.length || !timingSafeEqual(received, expected)) {
+        throw new HandshakeError(`confirmation de clé ${role} invalide`);
+    }
+}
 
-    const payload = JSON.stringify({
+/**
+ * INITIATEUR (Alice) — Étape 1 : génère un message de handshake
+ * @param {Object} identity - Identité locale
+ * @param {string} hmacKey  - Clé du réseau partagé avec Bob
+ * @returns {{ message: Buffer, state: Object }} Message à envoyer + état à conserver jusqu'à la RESP
+ */
+export function initiateHandshake(identity, hmacKey) {
+    const ephemeral = ephemeralKeyPair();
+
+    const initData = {
         type: 'HANDSHAKE_INIT',
         nodeId: identity.nodeId,
         signingPub: identity.signing.publicKey,
         dhPub: identity.dh.publicKey,
-        ephemeralDhPub: ephemeral.publicKey.toString('hex'),
+        ephemeralDhPub: ephemeral.publicKey,
         timestamp: Date.now(),
-    });
+    };
 
-    const packet = buildPacket(PacketType.MSG, identity.nodeId, payload, PUBLIC_HMAC_KEY);
+    const packet = buildPacket(PacketType.MSG, identity.nodeId, JSON.stringify(initData), hmacKey);
 
     return {
         message: packet,
-        ephemeralPriv: ephemeral.privateKey.toString('hex'),
-        ephemeralPub: ephemeral.publicKey.toString('hex'),
+        state: { initData, ephemeralPriv: ephemeral.privateKey },
     };
 }
 
 /**
- * RÉPONDEUR (Bob) — Étape 2 : répond au handshake et calcule la clé de session
+ * RÉPONDEUR (Bob) — Étape 2 : répond au handshake, signe le transcript
  * @param {Object} initData   - Données reçues du HANDSHAKE_INIT
  * @param {Object} identity   - Identité locale de Bob
- * @returns {{ responsePacket: Buffer, sessionKey: string }}
+ * @param {string} hmacKey    - Clé du réseau sur lequel l'INIT a été reçu
+ * @returns {{ responsePacket: Buffer, pending: Object }} pending : à passer à completeHandshake
+ * @throws {HandshakeError}
  */
-export function respondHandshake(initData, identity) {
-    const ephemeral = generateKeyPairSync('x25519', {
-        publicKeyEncoding: { type: 'spki', format: 'der' },
-        privateKeyEncoding: { type: 'pkcs8', format: 'der' },
-    });
-
-    // DH1 : éphémère Bob × éphémère Alice
-    const dh1 = dh(ephemeral.privateKey.toString('hex'), initData.ephemeralDhPub);
-    // DH2 : statique Bob × statique Alice
-    const dh2 = dh(identity.dh.privateKey, initData.dhPub);
-    // Clé de session
-    const sessionKey = deriveKey(dh1, dh2);
+export function respondHandshake(initData, identity, hmacKey) {
+    assertNodeId(initData);
+    const ephemeral = ephemeralKeyPair();
 
-    const payload = JSON.stringify({
+    const respData = {
         type: 'HANDSHAKE_RESP',
         nodeId: identity.nodeId,
         signingPub: identity.signing.publicKey,
         dhPub: identity.dh.publicKey,
-        ephemeralDhPub: ephemeral.publicKey.toString('hex'),
+        ephemeralDhPub: ephemeral.publicKey,
         timestamp: Date.now(),
-    });
+    };
+
+    // DH1 : éphémère Bob × éphémère Alice ; DH2 : statique Bob × statique Alice
+    const dh1 = dh(ephemeral.privateKey, initData.ephemeralDhPub);
+    const dh2 = dh(identity.dh.privateKey, initData.dhPub);
+    const th = transcriptHash(initData, respData);
+    const keys = deriveSessionKeys(dh1, dh2, th);
 
-    const responsePacket = buildPacket(PacketType.MSG, identity.nodeId, payload, PUBLIC_HMAC_KEY);
+    respData.signature = sign(Buffer.concat([Buffer.from('RESP'), th]), identity.signing.privateKey);
+    respData.confirm = confirmMac(keys.confirmKey, 'RESP', th).toString('hex');
 
-    return { responsePacket, sessionKey };
+    const responsePacket = buildPacket(PacketType.MSG, identity.nodeId, JSON.stringify(respData), hmacKey);
+
+    return {
+        responsePacket,
+        pending: { nodeId: initData.nodeId, signingPub: initData.signingPub, th, keys },
+    };
 }
 
 /**
- * INITIATEUR (Alice) — Étape 3 : finalise la clé de session après réponse de Bob
- * @param {Object} respData       - Données reçues du HANDSHAKE_RESP
- * @param {string} ephemeralPriv  - Clé éphémère privée d'Alice
- * @param {Object} identity       - Identité locale d'Alice
- * @returns {string} sessionKey
+ * INITIATEUR (Alice) — Étape 3 : vérifie la RESP de Bob, dérive les clés et prépare le FINISH
+ * @param {Object} respData - Données reçues du HANDSHAKE_RESP
+ * @param {Object} state    - État retourné par initiateHandshake
+ * @param {Object} identity - Identité locale d'Alice
+ * @param {string} hmacKey  - Clé du réseau partagé avec Bob
+ * @param {string} [expectedNodeId] - Pair avec qui le handshake a été lancé
+ * @returns {{ finishPacket: Buffer, session: { send: SessionKeys, recv: SessionKeys } }}
+ * @throws {HandshakeError}
  */
-export function finalizeHandshake(respData, ephemeralPriv, identity) {
-    // DH1 : éphémère Alice × éphémère Bob
-    const dh1 = dh(ephemeralPriv, respData.ephemeralDhPub);
-    // DH2 : statique Alice × statique Bob
+export function finalizeHandshake(respData, state, identity, hmacKey, expectedNodeId = null) {
+    assertNodeId(respData, expectedNodeId);
+
+    // DH1 : éphémère Alice × éphémère Bob ; DH2 : statique Alice × statique Bob
+    const dh1 = dh(state.ephemeralPriv, respData.ephemeralDhPub);
     const dh2 = dh(identity.dh.privateKey, respData.dhPub);
-    return deriveKey(dh1, dh2);
+    const th = transcriptHash(state.initData, respData);
+    const keys = deriveSessionKeys(dh1, dh2, th);
+
+    assertAuthenticated(respData, 'RESP', th, respData.signingPub, keys.confirmKey);
+
+    const finishData = {
+        type: 'HANDSHAKE_FINISH',
+        nodeId: identity.nodeId,
+        signature: sign(Buffer.concat([Buffer.from('FINISH'), th]), identity.signing.privateKey),
+        confirm: confirmMac(keys.confirmKey, 'FINISH', th).toString('hex'),
+    };
+    const finishPacket = buildPacket(PacketType.MSG, identity.nodeId, JSON.stringify(finishData), hmacKey);
+
+    return {
+        finishPacket,
+        session: { send: keys.initiator, recv: keys.responder },
+    };
+}
+
+/**
+ * RÉPONDEUR (Bob) — Étape 4 : vérifie le FINISH d'Alice et active la session
+ * @param {Object} finishData - Données reçues du HANDSHAKE_FINISH
+ * @param {Object} pending    - État retourné par respondHandshake
+ * @returns {{ send: SessionKeys, recv: SessionKeys }}
+ * @throws {HandshakeError}
+ */
+export function completeHandshake(finishData, pending) {
+    if (finishData.nodeId !== pending.nodeId) throw new HandshakeError('FINISH d\'un autre nœud');
+    assertAuthenticated(finishData, 'FINISH', pending.th, pending.signingPub, pending.keys.confirmKey);
+    return { send: pending.keys.responder, recv: pending.keys.initiator };
 }
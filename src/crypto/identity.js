@@ -1,18 +1,39 @@
 /**
  * ARCHIPEL — Module Cryptographique : Identité
  * Utilise le module crypto NATIF de Node.js 22 (pas de lib externe)
- * Ed25519 pour la signature/identité
+ * Ed25519 pour la signature/identité (signer et vérifier : voir signing.js)
  * X25519 pour l'échange de clé Diffie-Hellman
  * NODE_ID = SHA256(publicKey Ed25519)
+ *
+ * Trousseau (.keys.json) : clés publiques en clair, clés privées chiffrées en AES-256-GCM
+ * sous une clé dérivée de la phrase de passe (scrypt). Les anciens fichiers en clair sont
+ * migrés au premier chargement.
  */
 
-import { generateKeyPairSync, createHash, createSign, createVerify, createHmac, timingSafeEqual } from 'crypto';
+import {
+  generateKeyPairSync, createHash, createHmac, timingSafeEqual,
+  scryptSync, randomBytes, createCipheriv, createDecipheriv,
+} from 'crypto';
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { dataPath } from '../config/profile.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const KEYS_FILE = path.join(__dirname, '../../.keys.json');
+const KEYS_FILE = dataPath('.keys.json');
+
+const KEYSTORE_VERSION = 2;
+const BACKUP_TYPE = 'ARCHIPEL_IDENTITY_BACKUP';
+// scrypt : N=2^15, r=8 → 32 MB de mémoire par dérivation
+const SCRYPT_PARAMS = { N: 2 ** 15, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+
+/**
+ * Erreur de déverrouillage du trousseau (phrase de passe absente ou incorrecte, fichier corrompu)
+ */
+export class KeystoreError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'KeystoreError';
+  }
+}
 
 /**
  * Génère une nouvelle paire de clés Ed25519 + X25519
@@ -49,50 +70,144 @@ export function generateIdentity() {
 }
 
 /**
- * Sauvegarde l'identité dans un fichier local
+ * Dérive la clé de chiffrement du trousseau depuis la phrase de passe
  */
-export function saveIdentity(identity) {
-  fs.writeFileSync(KEYS_FILE, JSON.stringify(identity, null, 2));
+function deriveKeystoreKey(passphrase, salt, { N, r, p }) {
+  return scryptSync(passphrase.normalize('NFKC'), salt, 32, { N, r, p, maxmem: SCRYPT_MAXMEM });
 }
 
 /**
- * Charge ou génère une identité persistante
+ * Chiffre les clés privées d'une identité sous une phrase de passe
+ * @returns {Object} Enregistrement du trousseau (sérialisable en JSON)
  */
-export function loadOrCreateIdentity() {
+function sealIdentity(identity, passphrase) {
+  if (!passphrase) throw new KeystoreError('Phrase de passe requise pour chiffrer les clés privées');
+
+  const salt = randomBytes(16);
+  const nonce = randomBytes(12);
+  const key = deriveKeystoreKey(passphrase, salt, SCRYPT_PARAMS);
+  const secrets = JSON.stringify({ signing: identity.signing.privateKey, dh: identity.dh.privateKey });
+
+  const cipher = createCipheriv('aes-256-gcm', key, nonce);
+  cipher.setAAD(Buffer.from(identity.nodeId));
+  const ciphertext = Buffer.concat([cipher.update(secrets, 'utf-8'), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    version: KEYSTORE_VERSION,
+    nodeId: identity.nodeId,
+    signing: { publicKey: identity.signing.publicKey },
+    dh: { publicKey: identity.dh.publicKey },
+    keystore: {
+      kdf: 'scrypt',
+      ...SCRYPT_PARAMS,
+      salt: salt.toString('hex'),
+      nonce: nonce.toString('hex'),
+      ciphertext: ciphertext.toString('hex'),
+    },
+  };
+}
+
+/**
+ * Déchiffre un enregistrement du trousseau
+ * @throws {KeystoreError} phrase de passe incorrecte ou trousseau altéré
+ */
+function openIdentity(record, passphrase) {
+  if (!passphrase) throw new KeystoreError('Trousseau chiffré : phrase de passe requise (ARCHIPEL_PASSPHRASE)');
+  const { keystore } = record;
+  if (keystore?.kdf !== 'scrypt') throw new KeystoreError('Format de trousseau inconnu');
+
+  let secrets;
+  try {
+    const key = deriveKeystoreKey(passphrase, Buffer.from(keystore.salt, 'hex'), keystore);
+    const data = Buffer.from(keystore.ciphertext, 'hex');
+    const decipher = createDecipheriv('aes-256-gcm', key, Buffer.from(keystore.nonce, 'hex'));
+    decipher.setAAD(Buffer.from(record.nodeId));
+    decipher.setAuthTag(data.subarray(-16));
+    secrets = JSON.parse(Buffer.concat([decipher.update(data.subarray(0, -16)), decipher.final()]).toString('utf-8'));
+  } catch {
+    throw new KeystoreError('Phrase de passe incorrecte (ou trousseau altéré)');
+  }
+
+  const identity = {
+    nodeId: record.nodeId,
+    signing: { publicKey: record.signing.publicKey, privateKey: secrets.signing },
+    dh: { publicKey: record.dh.publicKey, privateKey: secrets.dh },
+  };
+  const derivedId = createHash('sha256').update(Buffer.from(identity.signing.publicKey, 'hex')).digest('hex');
+  if (derivedId !== identity.nodeId) throw new KeystoreError('Trousseau incohérent : NODE_ID ≠ SHA256(clé publique)');
+  return identity;
+}
+
+/**
+ * État du trousseau sur le disque
+ * @returns {'missing'|'plaintext'|'encrypted'}
+ */
+export function getKeystoreStatus() {
+  if (!fs.existsSync(KEYS_FILE)) return 'missing';
+  const record = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf-8'));
+  return record.keystore ? 'encrypted' : 'plaintext';
+}
+
+/**
+ * Sauvegarde l'identité dans le trousseau local (clés privées chiffrées, fichier en mode 600)
+ */
+export function saveIdentity(identity, passphrase) {
+  fs.writeFileSync(KEYS_FILE, JSON.stringify(sealIdentity(identity, passphrase), null, 2), { mode: 0o600 });
+  fs.chmodSync(KEYS_FILE, 0o600); // fichier migré : le mode d'origine est conservé par writeFileSync
+}
+
+/**
+ * Charge (en déverrouillant le trousseau) ou génère une identité persistante.
+ * Un ancien fichier en clair est chiffré sous la phrase de passe au passage.
+ * @param {string} passphrase
+ * @throws {KeystoreError}
+ */
+export function loadOrCreateIdentity(passphrase) {
   if (fs.existsSync(KEYS_FILE)) {
-    return JSON.parse(fs.readFileSync(KEYS_FILE, 'utf-8'));
+    const record = JSON.parse(fs.readFileSync(KEYS_FILE, 'utf-8'));
+    if (record.keystore) return openIdentity(record, passphrase);
+
+    // Migration : clés privées en clair → trousseau chiffré
+    saveIdentity(record, passphrase);
+    console.log('[ID] 🔐 Trousseau migré : clés privées désormais chiffrées');
+    return record;
   }
   const identity = generateIdentity();
-  saveIdentity(identity);
+  saveIdentity(identity, passphrase);
   return identity;
 }
 
 /**
- * Signe un message avec la clé privée Ed25519
+ * Exporte l'identité dans un bundle de sauvegarde chiffré (phrase de passe propre à la sauvegarde)
+ * @returns {string} Bundle JSON
  */
-export function signMessage(message, privateKeyHex) {
-  const privKeyDer = Buffer.from(privateKeyHex, 'hex');
-  const privateKey = { key: privKeyDer, format: 'der', type: 'pkcs8' };
-  const signer = createSign('SHA256');
-  const msgBytes = typeof message === 'string' ? Buffer.from(message) : message;
-  signer.update(msgBytes);
-  return signer.sign(privateKey).toString('hex');
+export function exportIdentity(identity, passphrase) {
+  const bundle = { type: BACKUP_TYPE, exportedAt: Date.now(), ...sealIdentity(identity, passphrase) };
+  return JSON.stringify(bundle, null, 2);
 }
 
 /**
- * Vérifie la signature Ed25519
+ * Restaure une identité depuis un bundle de sauvegarde et la place dans le trousseau local
+ * (voir replaceIdentity). La phrase de passe de la sauvegarde devient celle du trousseau.
+ * @throws {KeystoreError}
  */
-export function verifySignature(signatureHex, message, publicKeyHex) {
-  try {
-    const pubKeyDer = Buffer.from(publicKeyHex, 'hex');
-    const publicKey = { key: pubKeyDer, format: 'der', type: 'spki' };
-    const verifier = createVerify('SHA256');
-    const msgBytes = typeof message === 'string' ? Buffer.from(message) : message;
-    verifier.update(msgBytes);
-    return verifier.verify(publicKey, Buffer.from(signatureHex, 'hex'));
-  } catch {
-    return false;
-  }
+export function importIdentity(bundleText, passphrase) {
+  let bundle;
+  try { bundle = JSON.parse(bundleText); } catch { bundle = null; }
+  if (bundle?.type !== BACKUP_TYPE) throw new KeystoreError('Fichier de sauvegarde d\'identité invalide');
+
+  const identity = openIdentity(bundle, passphrase);
+  replaceIdentity(identity, passphrase);
+  return identity;
+}
+
+/**
+ * Remplace l'identité du trousseau (import, rotation de clé). L'ancien trousseau est
+ * conservé à côté (.keys.json.<date>.bak). Effectif au redémarrage.
+ */
+export function replaceIdentity(identity, passphrase) {
+  if (fs.existsSync(KEYS_FILE)) fs.renameSync(KEYS_FILE, `${KEYS_FILE}.${Date.now()}.bak`);
+  saveIdentity(identity, passphrase);
 }
 
 /**
@@ -0,0 +1,173 @@
+/**
+ * ARCHIPEL — Réseaux privés (clés pré-partagées)
+ * Chaque "réseau" nommé possède sa propre clé HMAC de 32 bytes.
+ * Un nœud n'accepte que le trafic (HELLO, CHUNK, RELAY…) des réseaux qu'il a rejoints,
+ * et peut appartenir à plusieurs réseaux à la fois.
+ *
+ * Format d'export (compatible QR alphanumérique) :
+ *   ARCHIPEL:<NOM>:<CLÉ HEX>:<CHECKSUM>
+ */
+
+import fs from 'fs';
+import { createHash, randomBytes } from 'crypto';
+import { PUBLIC_HMAC_KEY } from './packet.js';
+import { dataPath } from '../config/profile.js';
+
+const NETWORKS_FILE = dataPath('.networks.json');
+
+// Réseau historique à clé publique (opt-in explicite, pour parler aux anciens nœuds)
+export const PUBLIC_NETWORK = 'public';
+
+const NAME_PATTERN = /^[a-z0-9-]{1,32}$/;
+const TOKEN_PREFIX = 'ARCHIPEL';
+
+// Réseaux rejoints gardés en mémoire : consultés à chaque trame reçue ou envoyée.
+// Seuls create/join/leave les modifient (via save), en remplaçant le cache.
+let cache = null;
+
+/**
+ * Réseaux rejoints (lus sur le disque au premier appel). Ne pas modifier l'objet retourné.
+ * @returns {Object} Map nom -> { key, createdAt, joinedAt }
+ */
+function load() {
+    if (!cache) {
+        cache = {};
+        if (fs.existsSync(NETWORKS_FILE)) {
+            try { cache = JSON.parse(fs.readFileSync(NETWORKS_FILE, 'utf-8')); } catch { /* ignore */ }
+        }
+    }
+    return cache;
+}
+
+/**
+ * Sauvegarde les réseaux sur le disque (contient des secrets → mode 600), puis met à jour le cache
+ */
+function save(networks) {
+    fs.writeFileSync(NETWORKS_FILE, JSON.stringify(networks, null, 2), { mode: 0o600 });
+    cache = networks;
+}
+
+/**
+ * Normalise et valide un nom de réseau
+ */
+function normalizeName(name) {
+    const normalized = String(name || '').trim().toLowerCase();
+    if (!NAME_PATTERN.test(normalized)) {
+        throw new Error(`Nom de réseau invalide: "${name}" (a-z, 0-9, "-", 32 caractères max)`);
+    }
+    return normalized;
+}
+
+/**
+ * Checksum court pour détecter une faute de frappe dans un jeton
+ */
+function checksum(name, keyHex) {
+    return createHash('sha256').update(`${name}:${keyHex}`).digest('hex').slice(0, 4).toUpperCase();
+}
+
+/**
+ * Crée un nouveau réseau avec une clé aléatoire et le rejoint
+ * @returns {{ name: string, token: string }}
+ */
+export function createNetwork(name) {
+    const normalized = normalizeName(name);
+    if (normalized === PUBLIC_NETWORK) throw new Error(`"${PUBLIC_NETWORK}" est réservé au réseau historique`);
+
+    const networks = { ...load() };
+    if (networks[normalized]) throw new Error(`Réseau déjà rejoint: ${normalized}`);
+
+    networks[normalized] = {
+        key: randomBytes(32).toString('hex'),
+        createdAt: Date.now(),
+        joinedAt: Date.now(),
+    };
+    save(networks);
+    return { name: normalized, token: exportNetwork(normalized) };
+}
+
+/**
+ * Exporte la clé d'un réseau sous forme de jeton partageable (QR)
+ */
+export function exportNetwork(name) {
+    const normalized = normalizeName(name);
+    const entry = load()[normalized];
+    if (!entry) throw new Error(`Réseau inconnu: ${normalized}`);
+    if (normalized === PUBLIC_NETWORK) throw new Error('Le réseau public ne s\'exporte pas');
+
+    const key = entry.key.toUpperCase();
+    return [TOKEN_PREFIX, normalized.toUpperCase(), key, checksum(normalized, entry.key)].join(':');
+}
+
+/**
+ * Rejoint un réseau à partir d'un jeton exporté (ou "public" pour le réseau historique)
+ * @returns {string} Nom du réseau rejoint
+ */
+export function joinNetwork(token) {
+    const networks = { ...load() };
+    const raw = String(token || '').trim();
+
+    if (raw.toLowerCase() === PUBLIC_NETWORK) {
+        networks[PUBLIC_NETWORK] = { key: PUBLIC_HMAC_KEY, createdAt: null, joinedAt: Date.now() };
+        save(networks);
+        return PUBLIC_NETWORK;
+    }
+
+    const parts = raw.split(':');
+    if (parts.length !== 4 || parts[0].toUpperCase() !== TOKEN_PREFIX) {
+        throw new Error('Jeton de réseau invalide (attendu ARCHIPEL:<NOM>:<CLÉ>:<CHECKSUM>)');
+    }
+    const name = normalizeName(parts[1]);
+    const key = parts[2].toLowerCase();
+    if (!/^[0-9a-f]{64}$/.test(key)) throw new Error('Clé de réseau invalide (64 caractères hex attendus)');
+    if (checksum(name, key) !== parts[3].toUpperCase()) throw new Error('Checksum du jeton invalide (faute de frappe ?)');
+
+    networks[name] = { key, createdAt: networks[name]?.createdAt || null, joinedAt: Date.now() };
+    save(networks);
+    return name;
+}
+
+/**
+ * Quitte un réseau
+ */
+export function leaveNetwork(name) {
+    const normalized = normalizeName(name);
+    const networks = { ...load() };
+    if (!networks[normalized]) return false;
+    delete networks[normalized];
+    save(networks);
+    return true;
+}
+
+/**
+ * Liste les réseaux rejoints (sans les clés)
+ */
+export function listNetworks() {
+    return Object.entries(load()).map(([name, entry]) => ({
+        name,
+        createdAt: entry.createdAt,
+        joinedAt: entry.joinedAt,
+    }));
+}
+
+/**
+ * Clés HMAC de tous les réseaux rejoints
+ * @returns {string[]}
+ */
+export function getNetworkKeys() {
+    return Object.values(load()).map(entry => entry.key);
+}
+
+/**
+ * Nom du réseau correspondant à une clé HMAC (null si inconnue)
+ */
+export function networkForKey(key) {
+    const entry = Object.entries(load()).find(([, e]) => e.key === key);
+    return entry ? entry[0] : null;
+}
+
+/**
+ * Clé HMAC d'un réseau rejoint (null si non rejoint)
+ */
+export function getNetworkKey(name) {
+    return load()[name]?.key || null;
+}
@@ -1,15 +1,34 @@
 /**
- * ARCHIPEL — Format de Paquet v1
+ * ARCHIPEL — Format de Paquet v1 / v2
  * Utilise le module crypto NATIF de Node.js (HMAC-SHA256)
  *
- * Structure binaire :
- * MAGIC(4) | TYPE(1) | NODE_ID(32) | PAYLOAD_LEN(4) | PAYLOAD(N) | HMAC-SHA256(32)
+ * Structure binaire v1 :
+ * MAGIC "ARCH"(4) | TYPE(1) | NODE_ID(32) | PAYLOAD_LEN(4) | PAYLOAD(N) | HMAC-SHA256(32)
+ *
+ * Structure binaire v2 :
+ * MAGIC "ARCV"(4) | VERSION(1) | TYPE(1) | FLAGS(1) | SEQ(4) | NODE_ID(32) | PAYLOAD_LEN(4) | PAYLOAD(N) | HMAC-SHA256(32)
+ *
+ * FLAGS v2 : COMPRESSED (deflate), ENCRYPTED (payload chiffré E2E), BINARY (payload brut, voir encodeBinaryPayload)
  */
 
-import { createHmac, timingSafeEqual } from 'crypto';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { deflateRawSync, inflateRawSync } from 'zlib';
+import { Transform } from 'stream';
+import { signHello, verifyHelloSignature, SignatureStatus } from './signing.js';
 
-// Magic bytes : "ARCH"
+// Magic bytes : "ARCH" (v1) et "ARCV" (trames versionnées, v2+)
 export const MAGIC = Buffer.from([0x41, 0x52, 0x43, 0x48]);
+export const MAGIC_V2 = Buffer.from([0x41, 0x52, 0x43, 0x56]);
+
+// Version maximale du format supportée par ce nœud (annoncée dans HELLO)
+export const PROTOCOL_VERSION = 2;
+
+// Drapeaux de trame v2
+export const PacketFlag = {
+    COMPRESSED: 0x01,
+    ENCRYPTED: 0x02,
+    BINARY: 0x04,
+};
 
 // Types de paquets
 export const PacketType = {
@@ -21,6 +40,10 @@ export const PacketType = {
     MANIFEST: 0x06,
     ACK: 0x07,
     RELAY: 0x08,
+    TRUST: 0x09,
+    RELAY_SUMMARY: 0x0A,
+    GROUP: 0x0B,
+    CHANNEL: 0x0C,
 };
 
 export const PacketTypeName = {
@@ -32,13 +55,65 @@ export const PacketTypeName = {
     0x06: 'MANIFEST',
     0x07: 'ACK',
     0x08: 'RELAY',
+    0x09: 'TRUST',
+    0x0A: 'RELAY_SUMMARY',
+    0x0B: 'GROUP',
+    0x0C: 'CHANNEL',
 };
 
-// Clé HMAC "publique" pour les paquets de découverte (HELLO)
-// STRICTEMENT IDENTIQUE sur tous les nœuds pour le Hackathon
+// Statut porté par un paquet ACK (accusé de réception ou de lecture d'un message)
+export const AckStatus = Object.freeze({
+    DELIVERED: 'delivered',
+    READ: 'read',
+});
+
+// Clé HMAC historique du Hackathon, identique sur tous les nœuds.
+// N'est plus utilisée que par le réseau "public" (opt-in, voir network-keys.js)
 export const PUBLIC_HMAC_KEY = "ARCHIPEL_SECRET_KEY_2026_LBS_HACKATHON";
 
 const HMAC_SIZE = 32;
+const V1_HEADER_SIZE = 4 + 1 + 32 + 4;
+const V2_HEADER_SIZE = 4 + 1 + 1 + 1 + 4 + 32 + 4;
+// Taille max d'un payload décompressé (protection contre les "zip bombs")
+const MAX_INFLATED_SIZE = 16 * 1024 * 1024;
+
+// Mode strict : HMAC, longueur et TYPE vérifiés (désactivable en dev avec --dev ou ARCHIPEL_DEV=1)
+export const STRICT_MODE = !(process.env.ARCHIPEL_DEV === '1' || process.argv.includes('--dev'));
+
+// Raisons de rejet d'un paquet
+export const DropReason = {
+    TRUNCATED: 'TRUNCATED',
+    BAD_MAGIC: 'BAD_MAGIC',
+    UNKNOWN_TYPE: 'UNKNOWN_TYPE',
+    BAD_HMAC: 'BAD_HMAC',
+    BAD_VERSION: 'BAD_VERSION',
+    BAD_PAYLOAD: 'BAD_PAYLOAD',
+    OVERSIZED: 'OVERSIZED',
+    // HELLO
+    UNSIGNED: 'UNSIGNED',
+    BAD_SIGNATURE: 'BAD_SIGNATURE',
+    SPOOFED_ID: 'SPOOFED_ID',
+    STALE: 'STALE',
+    REPLAY: 'REPLAY',
+    // CHANNEL
+    RATE_LIMITED: 'RATE_LIMITED',
+};
+
+// Fenêtre d'acceptation d'un HELLO (horloges non synchronisées hors-ligne)
+export const HELLO_MAX_SKEW_MS = 5 * 60_000;
+
+/**
+ * Erreur levée par parsePacket quand un paquet est rejeté
+ * `reason` est l'une des valeurs de DropReason, `nodeId` l'émetteur annoncé (si lisible)
+ */
+export class PacketError extends Error {
+    constructor(reason, message, nodeId = null) {
+        super(message);
+        this.name = 'PacketError';
+        this.reason = reason;
+        this.nodeId = nodeId;
+    }
+}
 
 /**
  * Calcule le HMAC-SHA256 d'un buffer avec une clé hex
@@ -54,74 +129,364 @@ function hmac(data, keyHex) {
 }
 
 /**
- * Construit un paquet ARCHIPEL v1
+ * Construit un paquet ARCHIPEL (v1 par défaut, v2 si demandé)
+ * @param {number}        type
+ * @param {string}        nodeIdHex
+ * @param {string|Buffer} payload
+ * @param {string}        hmacKeyHex
+ * @param {Object}        [opts]
+ * @param {number}        [opts.version=1] - 1 ou 2
+ * @param {number}        [opts.flags=0]   - PacketFlag (v2 uniquement) ; COMPRESSED compresse le payload
+ * @param {number}        [opts.seq=0]     - Numéro de séquence (v2 uniquement)
  */
-export function buildPacket(type, nodeIdHex, payload, hmacKeyHex) {
+export function buildPacket(type, nodeIdHex, payload, hmacKeyHex, { version = 1, flags = 0, seq = 0 } = {}) {
     const nodeId = Buffer.from(nodeIdHex.slice(0, 64), 'hex'); // 32 bytes
-    const payloadBuf = typeof payload === 'string' ? Buffer.from(payload) : payload;
+    let payloadBuf = typeof payload === 'string' ? Buffer.from(payload) : payload;
+
+    let header;
+    if (version === 1) {
+        if (flags !== 0) throw new Error('Les drapeaux de trame nécessitent le format v2');
+        header = Buffer.concat([MAGIC, Buffer.from([type]), nodeId]);
+    } else if (version === 2) {
+        if (flags & PacketFlag.COMPRESSED) payloadBuf = deflateRawSync(payloadBuf);
+        const seqBuf = Buffer.alloc(4);
+        seqBuf.writeUInt32BE(seq >>> 0, 0);
+        header = Buffer.concat([MAGIC_V2, Buffer.from([version, type, flags]), seqBuf, nodeId]);
+    } else {
+        throw new Error(`Version de paquet non supportée: ${version}`);
+    }
+
     const payloadLen = Buffer.alloc(4);
     payloadLen.writeUInt32BE(payloadBuf.length, 0);
 
-    const body = Buffer.concat([MAGIC, Buffer.from([type]), nodeId, payloadLen, payloadBuf]);
+    const body = Buffer.concat([header, payloadLen, payloadBuf]);
     const mac = hmac(body, hmacKeyHex);
 
     return Buffer.concat([body, mac]);
 }
 
 /**
- * Parse et vérifie un paquet ARCHIPEL v1
+ * Lit l'en-tête d'une trame v1 ou v2, sans vérifier le HMAC
+ * @param {Buffer} buf - Début de trame
+ * @returns {{ version, type, flags, seq, nodeId, headerSize, payloadLen, frameLen }|null}
+ *          null si l'en-tête n'est pas encore complet
+ * @throws {PacketError} BAD_MAGIC ou BAD_VERSION
  */
-export function parsePacket(buf, hmacKeyHex) {
-    if (buf.length < 4 + 1 + 32 + 4 + HMAC_SIZE) return null;
+export function peekHeader(buf) {
+    if (buf.length < 5) return null;
+    const magic = buf.subarray(0, 4);
 
-    // Vérifie le magic "ARCH"
-    if (!buf.slice(0, 4).equals(MAGIC)) return null;
+    if (magic.equals(MAGIC)) {
+        if (buf.length < V1_HEADER_SIZE) return null;
+        const payloadLen = buf.readUInt32BE(37);
+        return {
+            version: 1,
+            type: buf[4],
+            flags: 0,
+            seq: null,
+            nodeId: buf.subarray(5, 37).toString('hex'),
+            headerSize: V1_HEADER_SIZE,
+            payloadLen,
+            frameLen: V1_HEADER_SIZE + payloadLen + HMAC_SIZE,
+        };
+    }
 
-    const type = buf[4];
-    const nodeId = buf.slice(5, 37).toString('hex');
-    const payloadLen = buf.readUInt32BE(37);
-    const payloadEnd = 41 + payloadLen;
+    if (magic.equals(MAGIC_V2)) {
+        const version = buf[4];
+        if (version !== 2) throw new PacketError(DropReason.BAD_VERSION, `Version de trame inconnue: ${version}`);
+        if (buf.length < V2_HEADER_SIZE) return null;
+        const payloadLen = buf.readUInt32BE(43);
+        return {
+            version,
+            type: buf[5],
+            flags: buf[6],
+            seq: buf.readUInt32BE(7),
+            nodeId: buf.subarray(11, 43).toString('hex'),
+            headerSize: V2_HEADER_SIZE,
+            payloadLen,
+            frameLen: V2_HEADER_SIZE + payloadLen + HMAC_SIZE,
+        };
+    }
 
-    if (buf.length < payloadEnd + HMAC_SIZE) return null;
+    throw new PacketError(DropReason.BAD_MAGIC, 'Magic ARCH/ARCV absent');
+}
 
-    const payload = buf.slice(41, payloadEnd);
-    const receivedMac = buf.slice(payloadEnd, payloadEnd + HMAC_SIZE);
-    const body = buf.slice(0, payloadEnd);
-    const expectedMac = hmac(body, hmacKeyHex);
+/**
+ * Parse et vérifie un paquet ARCHIPEL v1 ou v2
+ * @param {Buffer}          buf
+ * @param {string|string[]} hmacKeys - Clé(s) HMAC acceptées (la première qui correspond gagne)
+ * @param {Object}          [opts]
+ * @param {boolean}         [opts.strict=STRICT_MODE] - Rejette HMAC invalide et TYPE inconnu
+ * @returns {{ version, type, typeName, flags, seq, nodeId, payload, verified: boolean, hmacKey: string|null }}
+ *          hmacKey = clé qui a validé le HMAC ; payload est décompressé si besoin
+ * @throws {PacketError} Si le paquet est rejeté
+ */
+export function parsePacket(buf, hmacKeys, { strict = STRICT_MODE } = {}) {
+    const header = peekHeader(buf);
+    if (!header) {
+        throw new PacketError(DropReason.TRUNCATED, `Paquet trop court (${buf.length} octets)`);
+    }
+
+    const { version, type, flags, seq, nodeId, headerSize, frameLen } = header;
+    const payloadEnd = frameLen - HMAC_SIZE;
+
+    if (buf.length < frameLen) {
+        throw new PacketError(DropReason.TRUNCATED, `Paquet tronqué (${buf.length}/${frameLen} octets)`, nodeId);
+    }
 
     const typeName = PacketTypeName[type] || 'UNKNOWN';
+    if (strict && !PacketTypeName[type]) {
+        throw new PacketError(DropReason.UNKNOWN_TYPE, `TYPE inconnu: 0x${type.toString(16)}`, nodeId);
+    }
+
+    const receivedMac = buf.subarray(payloadEnd, frameLen);
+    const body = buf.subarray(0, payloadEnd);
 
     // Vérification HMAC en temps constant (protection timing attack)
-    if (!timingSafeEqual(receivedMac, expectedMac)) {
-        // MISSION : Tolérance maximale pour le Hackathon (Silencieux pour le CLI)
-        return { type, typeName, nodeId, payload };
+    const keys = Array.isArray(hmacKeys) ? hmacKeys : [hmacKeys];
+    const hmacKey = keys.find(key => key && timingSafeEqual(receivedMac, hmac(body, key))) || null;
+    const verified = hmacKey !== null;
+
+    if (!verified && strict) {
+        throw new PacketError(DropReason.BAD_HMAC, `HMAC invalide pour ${typeName}`, nodeId);
+    }
+
+    let payload = buf.subarray(headerSize, payloadEnd);
+    if (flags & PacketFlag.COMPRESSED) {
+        try {
+            payload = inflateRawSync(payload, { maxOutputLength: MAX_INFLATED_SIZE });
+        } catch (err) {
+            throw new PacketError(DropReason.BAD_PAYLOAD, `Décompression impossible: ${err.message}`, nodeId);
+        }
     }
 
-    return { type, typeName, nodeId, payload };
+    return { version, type, typeName, flags, seq, nodeId, payload, verified, hmacKey };
+}
+
+/**
+ * Encode un payload binaire : META_LEN(2) | META (JSON) | DATA (brut)
+ * Évite le surcoût base64 (~33%) des CHUNK_DATA en v2
+ */
+export function encodeBinaryPayload(meta, data) {
+    const metaBuf = Buffer.from(JSON.stringify(meta));
+    const metaLen = Buffer.alloc(2);
+    metaLen.writeUInt16BE(metaBuf.length, 0);
+    return Buffer.concat([metaLen, metaBuf, data]);
+}
+
+/**
+ * Décode un payload binaire produit par encodeBinaryPayload
+ * @returns {Object} meta, avec `data` (Buffer) en plus
+ */
+export function decodeBinaryPayload(buf) {
+    const metaLen = buf.readUInt16BE(0);
+    const meta = JSON.parse(buf.subarray(2, 2 + metaLen).toString('utf-8'));
+    return { ...meta, data: buf.subarray(2 + metaLen) };
 }
 
 /**
  * Construit un paquet HELLO pour la découverte UDP
+ * Le payload est signé avec la clé Ed25519 du nœud (preuve de possession du NODE_ID)
+ * @param {string}   hmacKey     - Clé du réseau sur lequel on s'annonce
+ * @param {string[]} [addresses] - Adresses de nos interfaces (le même HELLO peut arriver par chacune)
  */
-export function buildHelloPacket(identity, tcpPort, sharedFiles = []) {
-    const payload = JSON.stringify({
+export function buildHelloPacket(identity, tcpPort, sharedFiles, hmacKey, addresses = []) {
+    const fields = {
         nodeId: identity.nodeId,
         dhPublicKey: identity.dh.publicKey,
         signingPublicKey: identity.signing.publicKey,
         tcpPort,
         sharedFiles,
+        addresses,
+        protocolVersion: PROTOCOL_VERSION,
         timestamp: Date.now(),
-    });
-    return buildPacket(PacketType.HELLO, identity.nodeId, payload, PUBLIC_HMAC_KEY);
+    };
+    const signed = signHello(fields, identity.signing.privateKey);
+    return buildPacket(PacketType.HELLO, identity.nodeId, JSON.stringify(signed), hmacKey);
+}
+
+/**
+ * Vérifie un HELLO reçu avant de l'inscrire dans la peerTable
+ * @param {Object} data         - Payload JSON du HELLO
+ * @param {string} senderNodeId - NODE_ID de l'en-tête du paquet
+ * @param {Object} [ctx]
+ * @param {string} [ctx.ip]     - Adresse d'où provient le HELLO
+ * @param {Object} [ctx.known]  - Entrée peerTable existante ({ ip, helloTimestamp })
+ * @returns {string|null} Une valeur de DropReason, ou null si le HELLO est valide
+ */
+export function verifyHello(data, senderNodeId, { ip = null, known = null } = {}) {
+    if (!data?.signature || !data.signingPublicKey) return DropReason.UNSIGNED;
+
+    // NODE_ID = SHA256(clé publique Ed25519), et doit correspondre à l'en-tête
+    const derivedId = createHash('sha256').update(Buffer.from(data.signingPublicKey, 'hex')).digest('hex');
+    if (data.nodeId !== derivedId || senderNodeId !== derivedId) return DropReason.SPOOFED_ID;
+
+    if (typeof data.timestamp !== 'number' || Math.abs(Date.now() - data.timestamp) > HELLO_MAX_SKEW_MS) {
+        return DropReason.STALE;
+    }
+    // Un HELLO rejoué (plus ancien, ou identique depuis une autre adresse) ne doit pas écraser l'adresse connue.
+    // Identique depuis une autre adresse annoncée (signée) par le pair : reçu par une autre de ses interfaces.
+    const last = known?.helloTimestamp || 0;
+    const announced = ip && Array.isArray(data.addresses) && data.addresses.includes(ip.split('%')[0]);
+    if (data.timestamp < last || (data.timestamp === last && ip !== known.ip && !announced)) return DropReason.REPLAY;
+
+    if (verifyHelloSignature(data) !== SignatureStatus.VALID) {
+        return DropReason.BAD_SIGNATURE;
+    }
+    return null;
 }
 
 /**
- * Parse le payload JSON d'un paquet
+ * Parse le payload JSON d'un paquet (ou le payload binaire v2 : meta + `data` Buffer)
  */
 export function parseJsonPayload(packet) {
     try {
+        if (packet.flags & PacketFlag.BINARY) return decodeBinaryPayload(packet.payload);
         return JSON.parse(packet.payload.toString('utf-8'));
     } catch {
         return null;
     }
 }
+
+// Taille maximale d'une trame complète par TYPE (protège contre un PAYLOAD_LEN de 4 GB)
+export const MAX_FRAME_SIZE = {
+    default: 64 * 1024,
+    [PacketType.MSG]: 256 * 1024,
+    [PacketType.PEER_LIST]: 256 * 1024,
+    [PacketType.RELAY]: 256 * 1024,
+    [PacketType.TRUST]: 256 * 1024,
+    [PacketType.RELAY_SUMMARY]: 256 * 1024,
+    [PacketType.GROUP]: 256 * 1024,
+    [PacketType.CHANNEL]: 256 * 1024,    // publication, ou historique de rattrapage (50 publications)
+    [PacketType.CHUNK_DATA]: 1024 * 1024,    // chunk de 512 KB, base64 en v1
+    [PacketType.MANIFEST]: 4 * 1024 * 1024,
+};
+
+/**
+ * Décodeur de flux de trames ARCHIPEL (v1 et v2), réutilisable par tout transport orienté flux.
+ *
+ * - Entrée : octets bruts (socket.pipe(decoder)) ; sortie (objectMode) : paquets vérifiés par parsePacket
+ * - Les octets reçus sont gardés en liste de morceaux et ne sont concaténés qu'une fois la trame complète
+ * - Une trame plus grande que maxFrameSize[TYPE] est rejetée avant d'être accumulée
+ * - Magic invalide / trame hors limite : on avance jusqu'au prochain "ARCH"/"ARCV" (resynchronisation)
+ * - Back-pressure : au-delà de `queueSize` paquets non consommés, le flux source est mis en pause
+ *
+ * Les rejets sont émis via l'événement 'drop' (PacketError) et n'interrompent pas le flux.
+ */
+export class FrameDecoder extends Transform {
+    /**
+     * @param {Object}   opts
+     * @param {Function} opts.getHmacKeys  - (header) => string[] clés HMAC acceptées pour cette trame
+     * @param {Object}   [opts.maxFrameSize] - Surcharges de MAX_FRAME_SIZE par TYPE (ou `default`)
+     * @param {number}   [opts.queueSize=16] - Paquets décodés en attente avant mise en pause
+     * @param {boolean}  [opts.strict=STRICT_MODE]
+     */
+    constructor({ getHmacKeys, maxFrameSize = {}, queueSize = 16, strict = STRICT_MODE }) {
+        super({ readableObjectMode: true, readableHighWaterMark: queueSize });
+        this.getHmacKeys = getHmacKeys;
+        this.maxFrameSize = { ...MAX_FRAME_SIZE, ...maxFrameSize };
+        this.strict = strict;
+        /** @type {Buffer[]} */
+        this._chunks = [];
+        this._length = 0;
+        this._resyncing = false;
+    }
+
+    _transform(chunk, encoding, callback) {
+        this._chunks.push(chunk);
+        this._length += chunk.length;
+        this._drain();
+        callback();
+    }
+
+    /* ── Extrait toutes les trames complètes disponibles ───────────── */
+    _drain() {
+        while (this._length > 0) {
+            let header;
+            try {
+                header = peekHeader(this._peek(Math.min(this._length, V2_HEADER_SIZE)));
+            } catch (err) {
+                this._dropAndResync(err);
+                continue;
+            }
+            if (!header) return;
+            this._resyncing = false;
+
+            const max = this.maxFrameSize[header.type] ?? this.maxFrameSize.default;
+            if (header.frameLen > max) {
+                this._dropAndResync(new PacketError(
+                    DropReason.OVERSIZED,
+                    `Trame ${PacketTypeName[header.type] || header.type} trop grande (${header.frameLen} > ${max} octets)`,
+                    header.nodeId,
+                ));
+                continue;
+            }
+            if (this._length < header.frameLen) return;
+
+            const frame = this._consume(header.frameLen);
+            try {
+                this.push(parsePacket(frame, this.getHmacKeys(header), { strict: this.strict }));
+            } catch (err) {
+                if (!(err instanceof PacketError)) throw err;
+                this.emit('drop', err);
+            }
+        }
+    }
+
+    /* ── Premiers n octets sans les consommer ──────────────────────── */
+    _peek(n) {
+        if (this._chunks[0].length >= n) return this._chunks[0].subarray(0, n);
+        const parts = [];
+        let size = 0;
+        for (const c of this._chunks) {
+            parts.push(c);
+            size += c.length;
+            if (size >= n) break;
+        }
+        return Buffer.concat(parts, size).subarray(0, n);
+    }
+
+    /* ── Retire et retourne les n premiers octets ──────────────────── */
+    _consume(n) {
+        const parts = [];
+        let remaining = n;
+        while (remaining > 0) {
+            const c = this._chunks[0];
+            if (c.length <= remaining) {
+                parts.push(c);
+                this._chunks.shift();
+                remaining -= c.length;
+            } else {
+                parts.push(c.subarray(0, remaining));
+                this._chunks[0] = c.subarray(remaining);
+                remaining = 0;
+            }
+        }
+        this._length -= n;
+        return parts.length === 1 ? parts[0] : Buffer.concat(parts, n);
+    }
+
+    /* ── Signale le rejet puis saute jusqu'au prochain magic ───────── */
+    _dropAndResync(err) {
+        // Un seul rejet compté par plage d'octets invalides
+        if (!this._resyncing) this.emit('drop', err);
+
+        const buf = this._consume(this._length);
+        const candidates = [buf.indexOf(MAGIC, 1), buf.indexOf(MAGIC_V2, 1)].filter(i => i > 0);
+        let next;
+        if (candidates.length) {
+            next = Math.min(...candidates);
+            this._resyncing = false;
+        } else {
+            // Sans magic trouvé, on ne garde que la fin qui peut commencer un magic ("A", "AR", "ARC")
+            next = buf.length;
+            for (let k = Math.min(3, buf.length - 1); k > 0; k--) {
+                if (buf.subarray(buf.length - k).equals(MAGIC.subarray(0, k))) { next = buf.length - k; break; }
+            }
+            this._resyncing = true;
+        }
+        const rest = buf.subarray(next);
+        this._chunks = rest.length ? [rest] : [];
+        this._length = rest.length;
+    }
+}
@@ -0,0 +1,120 @@
+/**
+ * ARCHIPEL — Enveloppes RELAY (stockage et retransmission par des nœuds intermédiaires)
+ *
+ * Enveloppe visible des relais :  { target, expiresAt, sealed }
+ *   sealed = sealed box vers la clé X25519 statique du destinataire (clé éphémère anonyme),
+ *            AAD = target || expiresAt (un relais ne peut ni rediriger ni prolonger l'enveloppe)
+ * Contenu scellé, signé par l'expéditeur d'origine :
+ *   { sender, senderSigningPub, senderDhPub, target, expiresAt, timestamp, msgId, groupId, content, signature }
+ *   (groupId : message d'un groupe relayé vers un membre hors ligne, null sinon)
+ * Seul le destinataire connaît l'expéditeur, l'horodatage et le message.
+ *
+ * Accusé de remise, signé par le destinataire et vérifiable par tout relais :
+ *   { envelopeId, target, targetSigningPub, expiresAt, signature }
+ * Il circule de proche en proche et fait disparaître l'enveloppe des files de relais.
+ */
+
+import { createHash } from 'crypto';
+import { sealBox, openBox } from './encryption.js';
+import { signRelay, verifyRelay, signRelayReceipt, verifyRelayReceipt, SignatureStatus } from './signing.js';
+import { DropReason, PacketError } from './packet.js';
+
+// Durée de garde par défaut d'une enveloppe dans les files de relais
+export const RELAY_TTL_MS = 24 * 3600_000;
+
+function envelopeAad(target, expiresAt) {
+    return `${target}|${expiresAt}`;
+}
+
+/**
+ * Scelle un message pour `target`
+ * @param {Object} identity     - Identité de l'expéditeur (signe le contenu)
+ * @param {string} target       - NODE_ID du destinataire
+ * @param {string} targetDhPub  - Clé publique X25519 statique du destinataire (hex)
+ * @param {string} message
+ * @param {Object} [opts] - { ttlMs = RELAY_TTL_MS, msgId, groupId } : durée de garde, identifiant du message
+ *                          (accusés), groupe du message
+ * @returns {{ target: string, expiresAt: number, sealed: string }}
+ */
+export function sealRelayEnvelope(identity, target, targetDhPub, message, { ttlMs = RELAY_TTL_MS, msgId = null, groupId = null } = {}) {
+    const timestamp = Date.now();
+    const expiresAt = timestamp + ttlMs;
+    const content = signRelay({
+        sender: identity.nodeId,
+        senderSigningPub: identity.signing.publicKey,
+        senderDhPub: identity.dh.publicKey,
+        target,
+        expiresAt,
+        timestamp,
+        msgId,
+        groupId,
+        content: message,
+    }, identity.signing.privateKey);
+
+    return {
+        target,
+        expiresAt,
+        sealed: sealBox(JSON.stringify(content), targetDhPub, envelopeAad(target, expiresAt)),
+    };
+}
+
+/**
+ * Ouvre une enveloppe adressée au nœud local et vérifie son expéditeur d'origine
+ * @returns {{ sender: string, senderSigningPub: string, senderDhPub: string, timestamp: number, msgId: string|null,
+ *             groupId: string|null, content: string }}
+ * @throws {PacketError} enveloppe expirée, illisible, usurpée ou mal signée
+ */
+export function openRelayEnvelope(identity, envelope) {
+    if (typeof envelope.expiresAt !== 'number' || envelope.expiresAt < Date.now()) {
+        throw new PacketError(DropReason.STALE, 'enveloppe RELAY expirée');
+    }
+
+    const opened = openBox(envelope.sealed || '', identity.dh.privateKey, identity.dh.publicKey, envelopeAad(envelope.target, envelope.expiresAt));
+    let inner;
+    try { inner = opened && JSON.parse(opened.toString('utf-8')); } catch { inner = null; }
+    if (!inner || typeof inner.content !== 'string') {
+        throw new PacketError(DropReason.BAD_PAYLOAD, 'enveloppe RELAY indéchiffrable');
+    }
+
+    // L'expéditeur prouve son NODE_ID : SHA256(clé de signature) + signature du contenu
+    const derivedId = createHash('sha256').update(Buffer.from(inner.senderSigningPub || '', 'hex')).digest('hex');
+    if (inner.sender !== derivedId || inner.target !== identity.nodeId || inner.expiresAt !== envelope.expiresAt) {
+        throw new PacketError(DropReason.SPOOFED_ID, 'expéditeur ou destinataire RELAY incohérent', inner.sender);
+    }
+    if (verifyRelay(inner, inner.senderSigningPub) !== SignatureStatus.VALID) {
+        throw new PacketError(DropReason.BAD_SIGNATURE, 'signature RELAY invalide', inner.sender);
+    }
+    return inner;
+}
+
+/**
+ * Identifiant anti-rejeu d'une enveloppe (la clé éphémère la rend unique)
+ */
+export function envelopeId(envelope) {
+    return createHash('sha256').update(String(envelope.sealed)).digest('hex');
+}
+
+/**
+ * Accusé de remise d'une enveloppe ouverte par le nœud local
+ * @returns {{ envelopeId: string, target: string, targetSigningPub: string, expiresAt: number, signature: string }}
+ */
+export function createRelayReceipt(identity, envelope) {
+    return signRelayReceipt({
+        envelopeId: envelopeId(envelope),
+        target: identity.nodeId,
+        targetSigningPub: identity.signing.publicKey,
+        expiresAt: envelope.expiresAt,
+    }, identity.signing.privateKey);
+}
+
+/**
+ * Vérifie qu'un accusé de remise vient bien du destinataire de l'enveloppe
+ * (un relais ne peut pas interrompre la diffusion d'un message en forgeant un accusé)
+ * @returns {boolean}
+ */
+export function isValidRelayReceipt(receipt) {
+    if (!receipt || typeof receipt.envelopeId !== 'string' || typeof receipt.expiresAt !== 'number') return false;
+    const derivedId = createHash('sha256').update(Buffer.from(receipt.targetSigningPub || '', 'hex')).digest('hex');
+    if (receipt.target !== derivedId) return false;
+    return verifyRelayReceipt(receipt, receipt.targetSigningPub) === SignatureStatus.VALID;
+}
@@ -0,0 +1,66 @@
+/**
+ * ARCHIPEL — Numéro de sécurité (vérification hors bande, inspiré de Signal)
+ *
+ * Chaque partie a une empreinte de 30 chiffres dérivée de ses clés publiques :
+ *   h = SHA512(version || nodeId || signingPub || dhPub), puis 5200 fois h = SHA512(h || signingPub)
+ *   6 blocs de 5 octets → chacun (entier big-endian mod 100000) sur 5 chiffres
+ * Le numéro de sécurité concatène les deux empreintes, la plus petite en premier :
+ * les deux pairs lisent les mêmes 60 chiffres (comparés à voix haute ou par QR code).
+ */
+
+import { createHash } from 'crypto';
+
+const VERSION = 1;
+const ITERATIONS = 5200;
+const QR_PREFIX = 'ARCHIPEL-SN';
+
+/**
+ * Empreinte (30 chiffres) d'une identité
+ * @param {{ nodeId: string, signingPub: string, dhPub: string }} keys - Clés publiques (hex)
+ * @returns {string}
+ */
+export function fingerprint({ nodeId, signingPub, dhPub }) {
+    const signing = Buffer.from(signingPub, 'hex');
+    let hash = createHash('sha512')
+        .update(Buffer.from([0, VERSION]))
+        .update(Buffer.from(nodeId, 'hex'))
+        .update(signing)
+        .update(Buffer.from(dhPub, 'hex'))
+        .digest();
+    for (let i = 0; i < ITERATIONS; i++) {
+        hash = createHash('sha512').update(hash).update(signing).digest();
+    }
+
+    let digits = '';
+    for (let offset = 0; offset < 30; offset += 5) {
+        const chunk = hash.readUIntBE(offset, 5) % 100_000;
+        digits += String(chunk).padStart(5, '0');
+    }
+    return digits;
+}
+
+/**
+ * Numéro de sécurité entre deux identités (identique des deux côtés)
+ * @param {{ nodeId: string, signingPub: string, dhPub: string }} local
+ * @param {{ nodeId: string, signingPub: string, dhPub: string }} remote
+ * @returns {{ digits: string, groups: string[], qrPayload: string }}
+ */
+export function safetyNumber(local, remote) {
+    const digits = [fingerprint(local), fingerprint(remote)].sort().join('');
+    return {
+        digits,
+        groups: digits.match(/\d{5}/g),
+        qrPayload: `${QR_PREFIX}:${VERSION}:${digits}`,
+    };
+}
+
+/**
+ * Compare un QR code scanné (ou des chiffres saisis) au numéro attendu
+ * @param {string} scanned - Contenu du QR ou chiffres (espaces tolérés)
+ * @param {{ digits: string }} expected
+ */
+export function matchesSafetyNumber(scanned, expected) {
+    const text = String(scanned || '').trim();
+    const digits = text.startsWith(`${QR_PREFIX}:`) ? text.split(':')[2] : text.replace(/\s+/g, '');
+    return digits === expected.digits;
+}
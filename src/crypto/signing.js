@@ -0,0 +1,194 @@
+/**
+ * ARCHIPEL — Module de signature Ed25519 (unique point d'entrée)
+ *
+ * - sign / verify : signature brute d'octets (handshake, certificats du Web of Trust)
+ * - signMessage / verifyMessage, signManifest / verifyManifest, signHello / verifyHelloSignature,
+ *   signRelay / verifyRelay, signRelayReceipt / verifyRelayReceipt, signAck / verifyAck,
+ *   signGroup / verifyGroup, signGroupMessage / verifyGroupMessage, signChannelPost / verifyChannelPost,
+ *   signPeerEntry / verifyPeerEntry :
+ *   signature typée d'un objet JSON (sans son champ `signature`), préfixée par un contexte
+ *   propre à chaque type : une signature de MANIFEST ne peut pas être rejouée comme HELLO ou MSG.
+ */
+
+import { createPrivateKey, createPublicKey, sign as ed25519Sign, verify as ed25519Verify } from 'crypto';
+
+export const SignatureContext = Object.freeze({
+    MESSAGE: 'ARCHIPEL-MSG-v1',
+    MANIFEST: 'ARCHIPEL-MANIFEST-v1',
+    HELLO: 'ARCHIPEL-HELLO-v1',
+    RELAY: 'ARCHIPEL-RELAY-v1',
+    RELAY_RECEIPT: 'ARCHIPEL-RELAY-RECEIPT-v1',
+    ACK: 'ARCHIPEL-ACK-v1',
+    GROUP: 'ARCHIPEL-GROUP-v1',
+    GROUP_MESSAGE: 'ARCHIPEL-GROUP-MSG-v1',
+    CHANNEL_POST: 'ARCHIPEL-CHANNEL-v1',
+    PEER_ENTRY: 'ARCHIPEL-PEER-LIST-v1',
+});
+
+// Résultat de la vérification d'un objet signé reçu
+export const SignatureStatus = Object.freeze({
+    VALID: 'valid',
+    UNSIGNED: 'unsigned',
+    FORGED: 'forged',
+});
+
+/**
+ * Signe des octets avec une clé privée Ed25519
+ * @param {string|Buffer} data
+ * @param {string} privateKeyHex - Clé privée (DER PKCS8 en hex)
+ * @returns {string} Signature (hex)
+ */
+export function sign(data, privateKeyHex) {
+    const key = createPrivateKey({ key: Buffer.from(privateKeyHex, 'hex'), format: 'der', type: 'pkcs8' });
+    return ed25519Sign(null, Buffer.from(data), key).toString('hex');
+}
+
+/**
+ * Vérifie une signature Ed25519
+ * @param {string|Buffer} data
+ * @param {string} signatureHex
+ * @param {string} publicKeyHex - Clé publique (DER SPKI en hex)
+ * @returns {boolean} false aussi pour une clé ou une signature mal formée
+ */
+export function verify(data, signatureHex, publicKeyHex) {
+    try {
+        const key = createPublicKey({ key: Buffer.from(publicKeyHex, 'hex'), format: 'der', type: 'spki' });
+        return ed25519Verify(null, Buffer.from(data), key, Buffer.from(signatureHex, 'hex'));
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Octets signés d'un objet : contexte + JSON sans la signature
+ */
+function signingBytes(context, fields) {
+    const { signature, ...signed } = fields;
+    return `${context}\n${JSON.stringify(signed)}`;
+}
+
+function signFields(context, fields, privateKeyHex) {
+    return { ...fields, signature: sign(signingBytes(context, fields), privateKeyHex) };
+}
+
+function verifyFields(context, fields, publicKeyHex) {
+    if (!fields?.signature) return SignatureStatus.UNSIGNED;
+    if (!publicKeyHex) return SignatureStatus.FORGED;
+    return verify(signingBytes(context, fields), fields.signature, publicKeyHex)
+        ? SignatureStatus.VALID
+        : SignatureStatus.FORGED;
+}
+
+/**
+ * Signe le payload d'un message chat (chiffré : ciphertext, nonce, nodeId, timestamp…)
+ * @returns {Object} Payload complété de `signature`
+ */
+export function signMessage(payload, privateKeyHex) {
+    return signFields(SignatureContext.MESSAGE, payload, privateKeyHex);
+}
+
+/**
+ * @returns {string} SignatureStatus
+ */
+export function verifyMessage(payload, publicKeyHex) {
+    return verifyFields(SignatureContext.MESSAGE, payload, publicKeyHex);
+}
+
+/**
+ * Signe un manifest de fichier (l'émetteur garantit nom, taille et hash des chunks)
+ */
+export function signManifest(manifest, privateKeyHex) {
+    return signFields(SignatureContext.MANIFEST, manifest, privateKeyHex);
+}
+
+export function verifyManifest(manifest, publicKeyHex) {
+    return verifyFields(SignatureContext.MANIFEST, manifest, publicKeyHex);
+}
+
+/**
+ * Signe les champs d'un HELLO (preuve de possession du NODE_ID)
+ */
+export function signHello(fields, privateKeyHex) {
+    return signFields(SignatureContext.HELLO, fields, privateKeyHex);
+}
+
+export function verifyHelloSignature(fields) {
+    return verifyFields(SignatureContext.HELLO, fields, fields?.signingPublicKey);
+}
+
+/**
+ * Signe le contenu scellé d'une enveloppe RELAY (expéditeur d'origine)
+ */
+export function signRelay(content, privateKeyHex) {
+    return signFields(SignatureContext.RELAY, content, privateKeyHex);
+}
+
+export function verifyRelay(content, publicKeyHex) {
+    return verifyFields(SignatureContext.RELAY, content, publicKeyHex);
+}
+
+/**
+ * Signe un accusé de remise d'enveloppe RELAY (destinataire final)
+ */
+export function signRelayReceipt(receipt, privateKeyHex) {
+    return signFields(SignatureContext.RELAY_RECEIPT, receipt, privateKeyHex);
+}
+
+export function verifyRelayReceipt(receipt, publicKeyHex) {
+    return verifyFields(SignatureContext.RELAY_RECEIPT, receipt, publicKeyHex);
+}
+
+/**
+ * Signe un accusé de réception ou de lecture (paquet ACK : msgIds, status, nodeId, timestamp)
+ */
+export function signAck(ack, privateKeyHex) {
+    return signFields(SignatureContext.ACK, ack, privateKeyHex);
+}
+
+export function verifyAck(ack, publicKeyHex) {
+    return verifyFields(SignatureContext.ACK, ack, publicKeyHex);
+}
+
+/**
+ * Signe l'état d'un groupe (liste des membres, époque : créateur) ou un départ (membre)
+ */
+export function signGroup(fields, privateKeyHex) {
+    return signFields(SignatureContext.GROUP, fields, privateKeyHex);
+}
+
+export function verifyGroup(fields, publicKeyHex) {
+    return verifyFields(SignatureContext.GROUP, fields, publicKeyHex);
+}
+
+/**
+ * Signe un message de groupe (chiffré avec la clé de groupe : groupId, epoch, msgId, ciphertext…)
+ */
+export function signGroupMessage(payload, privateKeyHex) {
+    return signFields(SignatureContext.GROUP_MESSAGE, payload, privateKeyHex);
+}
+
+export function verifyGroupMessage(payload, publicKeyHex) {
+    return verifyFields(SignatureContext.GROUP_MESSAGE, payload, publicKeyHex);
+}
+
+/**
+ * Signe une publication de canal (auteur : postId, channelId, horodatage, contenu ou chiffré)
+ */
+export function signChannelPost(post, privateKeyHex) {
+    return signFields(SignatureContext.CHANNEL_POST, post, privateKeyHex);
+}
+
+export function verifyChannelPost(post, publicKeyHex) {
+    return verifyFields(SignatureContext.CHANNEL_POST, post, publicKeyHex);
+}
+
+/**
+ * Signe une entrée de PEER_LIST (le pair qui l'annonce se porte garant de l'adresse)
+ */
+export function signPeerEntry(entry, privateKeyHex) {
+    return signFields(SignatureContext.PEER_ENTRY, entry, privateKeyHex);
+}
+
+export function verifyPeerEntry(entry, publicKeyHex) {
+    return verifyFields(SignatureContext.PEER_ENTRY, entry, publicKeyHex);
+}
@@ -2,46 +2,427 @@
  * ARCHIPEL — Web of Trust (WoT) — Modèle TOFU
  * Trust On First Use : on fait confiance à la première clé vue,
  * et on alerte si elle change lors des contacts suivants (protection MITM).
+ *
+ * Rotation et révocation de clés (certificats diffusés de pair en pair) :
+ *   - KEY_ROTATION   : l'ancienne clé signe la nouvelle (et la nouvelle contre-signe) ;
+ *                      la confiance accordée à l'ancienne identité passe à la nouvelle
+ *   - KEY_REVOCATION : la clé signe sa propre révocation ; elle n'est plus jamais acceptée
+ *
+ * Introductions signées (KEY_ATTESTATION) : après avoir vérifié la clé d'un pair, l'utilisateur
+ * signe une attestation ("je me porte garant de ces clés"). Niveau de confiance calculé :
+ *   - direct     : clé vérifiée par nous-mêmes (numéro de sécurité ou attestation)
+ *   - introduced : attestée par au moins WOT_MIN_INTRODUCERS pairs eux-mêmes fiables
+ *                  (direct ou introduits, jusqu'à WOT_MAX_DEPTH intermédiaires)
+ *   - unknown    : simple TOFU, sans introduction suffisante
+ *   - untrusted  : clé changée, révoquée ou remplacée
  */
 
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
+import { createHash } from 'crypto';
+import { dataPath } from '../config/profile.js';
+import { sign, verify } from './signing.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const WOT_FILE = path.join(__dirname, '../../.wot.json');
+const WOT_FILE = dataPath('.wot.json');
+const CERTS_FILE = dataPath('.wot-certs.json');
+
+export const CertificateType = {
+    ROTATION: 'KEY_ROTATION',
+    REVOCATION: 'KEY_REVOCATION',
+    ATTESTATION: 'KEY_ATTESTATION',
+};
+
+export const TrustLevel = {
+    UNTRUSTED: 'untrusted',
+    UNKNOWN: 'unknown',
+    INTRODUCED: 'introduced',
+    DIRECT: 'direct',
+};
+
+// Valeur enregistrée dans la colonne peers.trust_level
+export const TRUST_LEVEL_SCORE = {
+    [TrustLevel.UNTRUSTED]: -1,
+    [TrustLevel.UNKNOWN]: 0,
+    [TrustLevel.INTRODUCED]: 1,
+    [TrustLevel.DIRECT]: 2,
+};
+
+// Seuils de confiance transitive (ARCHIPEL_WOT_INTRODUCERS, ARCHIPEL_WOT_DEPTH)
+export const WOT_MIN_INTRODUCERS = Number(process.env.ARCHIPEL_WOT_INTRODUCERS) || 2;
+export const WOT_MAX_DEPTH = Number(process.env.ARCHIPEL_WOT_DEPTH) || 2;
+
+// Attestations reçues gardées (et relayées) : au plus par garant, et au total
+const MAX_ATTESTATIONS_PER_VOUCHER = 64;
+const MAX_ATTESTATIONS = 4096;
+// Rotations et révocations reçues gardées (et relayées), au total pour chacun des deux types
+const MAX_KEY_CERTIFICATES = 4096;
+
+// Niveaux de confiance calculés (lus à chaque HELLO par la table des pairs) : gardés jusqu'à la
+// prochaine écriture du WoT (hors simple mise à jour de lastSeen) ou des certificats
+let trustLevels = null;
+
+// Dernier contact d'un pair connu (chaque handshake, chaque enveloppe RELAY remise) : tenu en mémoire
+// et écrit au plus une fois par LAST_SEEN_DELAY_MS (ou avec la prochaine écriture du WoT)
+const LAST_SEEN_DELAY_MS = 30_000;
+/** @type {Map<string, number>} nodeId -> lastSeen pas encore écrit */
+const lastSeen = new Map();
+let lastSeenTimer = null;
+process.on('exit', () => { if (lastSeenTimer) flushLastSeen(); });
 
 /**
- * Charge le Web of Trust depuis le disque
+ * Charge le Web of Trust depuis le disque (derniers contacts pas encore écrits compris)
  * @returns {Object} Map nodeId -> { signingPub, dhPub, firstSeen, lastSeen, trusted }
  */
 function load() {
+    let wot = {};
     if (fs.existsSync(WOT_FILE)) {
-        try { return JSON.parse(fs.readFileSync(WOT_FILE, 'utf-8')); } catch { /* ignore */ }
+        try { wot = JSON.parse(fs.readFileSync(WOT_FILE, 'utf-8')); } catch { /* ignore */ }
     }
-    return {};
+    for (const [nodeId, at] of lastSeen) {
+        if (wot[nodeId]) wot[nodeId].lastSeen = at;
+    }
+    return wot;
 }
 
 /**
  * Sauvegarde le Web of Trust sur le disque
+ * @param {Object}  wot - Tel que chargé par load()
+ * @param {Object}  [opts]
+ * @param {boolean} [opts.lastSeenOnly=false] - Seuls des lastSeen ont changé : niveaux de confiance conservés
  */
-function save(wot) {
+function save(wot, { lastSeenOnly = false } = {}) {
     fs.writeFileSync(WOT_FILE, JSON.stringify(wot, null, 2));
+    lastSeen.clear();
+    clearTimeout(lastSeenTimer);
+    lastSeenTimer = null;
+    if (!lastSeenOnly) trustLevels = null;
+}
+
+/**
+ * Note un contact avec un pair connu, écrit plus tard (voir LAST_SEEN_DELAY_MS)
+ */
+function touch(nodeId) {
+    lastSeen.set(nodeId, Date.now());
+    if (lastSeenTimer) return;
+    lastSeenTimer = setTimeout(flushLastSeen, LAST_SEEN_DELAY_MS);
+    lastSeenTimer.unref();
+}
+
+function flushLastSeen() {
+    save(load(), { lastSeenOnly: true });
+}
+
+/**
+ * Charge les certificats de rotation / révocation / attestation connus
+ * @returns {{ rotations: Object, revocations: Object, attestations: Object }}
+ *          ancien nodeId -> rotation, nodeId -> révocation, "garant>nodeId" -> attestation
+ */
+function loadCertificates() {
+    const empty = { rotations: {}, revocations: {}, attestations: {} };
+    if (fs.existsSync(CERTS_FILE)) {
+        try { return { ...empty, ...JSON.parse(fs.readFileSync(CERTS_FILE, 'utf-8')) }; } catch { /* ignore */ }
+    }
+    return empty;
+}
+
+function saveCertificates(certs) {
+    // Sans indentation : jusqu'à plusieurs milliers de certificats, réécrits à chaque trame TRUST utile
+    fs.writeFileSync(CERTS_FILE, JSON.stringify(certs));
+    trustLevels = null;
+}
+
+/**
+ * Octets signés d'un certificat (JSON sans les signatures)
+ */
+function certificateSigningBytes(cert) {
+    const { signature, newSignature, ...signed } = cert;
+    return JSON.stringify(signed);
+}
+
+function nodeIdOf(signingPub) {
+    return createHash('sha256').update(Buffer.from(signingPub || '', 'hex')).digest('hex');
+}
+
+/**
+ * Certificat de rotation : l'identité `oldIdentity` désigne `newIdentity` comme successeur
+ */
+export function createRotationCertificate(oldIdentity, newIdentity) {
+    const cert = {
+        type: CertificateType.ROTATION,
+        oldNodeId: oldIdentity.nodeId,
+        oldSigningPub: oldIdentity.signing.publicKey,
+        newNodeId: newIdentity.nodeId,
+        newSigningPub: newIdentity.signing.publicKey,
+        newDhPub: newIdentity.dh.publicKey,
+        timestamp: Date.now(),
+    };
+    const bytes = certificateSigningBytes(cert);
+    cert.signature = sign(bytes, oldIdentity.signing.privateKey);
+    cert.newSignature = sign(bytes, newIdentity.signing.privateKey);
+    return cert;
+}
+
+/**
+ * Révocation auto-signée d'une identité
+ */
+export function createRevocation(identity, reason = 'compromise') {
+    const cert = {
+        type: CertificateType.REVOCATION,
+        nodeId: identity.nodeId,
+        signingPub: identity.signing.publicKey,
+        reason: String(reason).slice(0, 200),
+        timestamp: Date.now(),
+    };
+    cert.signature = sign(certificateSigningBytes(cert), identity.signing.privateKey);
+    return cert;
+}
+
+/**
+ * Attestation : `identity` se porte garant des clés de `nodeId` (vérifiées hors bande)
+ * @throws {Error} pair absent du WoT ou déjà jugé non fiable
+ */
+export function createAttestation(identity, nodeId) {
+    const entry = load()[nodeId];
+    if (!entry) throw new Error(`Pair inconnu du Web of Trust: ${String(nodeId).slice(0, 12)}…`);
+    if (!entry.trusted || entry.rotatedTo) throw new Error(`Clé de ${nodeId.slice(0, 12)}… non fiable : attestation refusée`);
+    if (nodeId === identity.nodeId) throw new Error('Impossible de se porter garant de soi-même');
+
+    const cert = {
+        type: CertificateType.ATTESTATION,
+        voucherNodeId: identity.nodeId,
+        voucherSigningPub: identity.signing.publicKey,
+        nodeId,
+        signingPub: entry.signingPub,
+        dhPub: entry.dhPub,
+        timestamp: Date.now(),
+    };
+    cert.signature = sign(certificateSigningBytes(cert), identity.signing.privateKey);
+    return cert;
+}
+
+/**
+ * Vérifie les signatures et la cohérence des NODE_ID d'un certificat
+ */
+export function verifyCertificate(cert) {
+    if (!cert || typeof cert.timestamp !== 'number' || !cert.signature) return false;
+    const bytes = certificateSigningBytes(cert);
+
+    if (cert.type === CertificateType.ROTATION) {
+        return nodeIdOf(cert.oldSigningPub) === cert.oldNodeId
+            && nodeIdOf(cert.newSigningPub) === cert.newNodeId
+            && cert.oldNodeId !== cert.newNodeId
+            && verify(bytes, cert.signature, cert.oldSigningPub)
+            && !!cert.newSignature && verify(bytes, cert.newSignature, cert.newSigningPub);
+    }
+    if (cert.type === CertificateType.REVOCATION) {
+        return nodeIdOf(cert.signingPub) === cert.nodeId
+            && verify(bytes, cert.signature, cert.signingPub);
+    }
+    if (cert.type === CertificateType.ATTESTATION) {
+        return nodeIdOf(cert.voucherSigningPub) === cert.voucherNodeId
+            && nodeIdOf(cert.signingPub) === cert.nodeId
+            && cert.voucherNodeId !== cert.nodeId
+            && typeof cert.dhPub === 'string'
+            && verify(bytes, cert.signature, cert.voucherSigningPub);
+    }
+    return false;
+}
+
+/**
+ * Enregistre un certificat reçu (ou émis localement) après vérification (voir recordCertificates)
+ * @returns {'added'|'known'|'invalid'|'conflict'|'ignored'}
+ */
+export function recordCertificate(cert, { local = false } = {}) {
+    return recordCertificates([cert], { local })[0];
+}
+
+/**
+ * Enregistre les certificats d'une trame TRUST : WoT et certificats lus une fois, écrits une fois.
+ * N'importe quelle clé peut signer sa propre révocation ou rotation : seules celles d'une identité
+ * déjà présente dans le WoT (ou successeur d'une rotation gardée) sont retenues.
+ * @param {Object[]} list
+ * @param {Object}   [opts]
+ * @param {boolean}  [opts.local=false] - Certificats signés par le nœud local (absent de son propre WoT)
+ * @returns {('added'|'known'|'invalid'|'conflict'|'ignored')[]} Un résultat par certificat.
+ *          'added' : à diffuser aux autres pairs ; 'ignored' : identité ou garant inconnu, ou plafond atteint
+ */
+export function recordCertificates(list, { local = false } = {}) {
+    const certs = loadCertificates();
+    const batch = {
+        certs,
+        wot: load(),
+        local,
+        // Index construits une fois pour toute la trame, tenus à jour à chaque ajout
+        successors: new Set(Object.values(certs.rotations).map(c => c.newNodeId)),
+        byVoucher: new Map(),
+        attestations: Object.keys(certs.attestations).length,
+        certsChanged: false,
+        wotChanged: false,
+    };
+    for (const a of Object.values(certs.attestations)) {
+        batch.byVoucher.set(a.voucherNodeId, (batch.byVoucher.get(a.voucherNodeId) || 0) + 1);
+    }
+
+    const results = list.map(cert => applyCertificate(batch, cert));
+    if (batch.certsChanged) saveCertificates(certs);
+    if (batch.wotChanged) save(batch.wot);
+    return results;
+}
+
+/* ── Applique un certificat au lot en mémoire (voir recordCertificates) ── */
+function applyCertificate(batch, cert) {
+    if (!verifyCertificate(cert)) return 'invalid';
+    const { certs, wot, local } = batch;
+
+    if (cert.type === CertificateType.REVOCATION) {
+        if (certs.revocations[cert.nodeId]) return 'known';
+        if (!local && !acceptKeyCertificate(batch, certs.revocations, cert.nodeId)) return 'ignored';
+        certs.revocations[cert.nodeId] = cert;
+        batch.certsChanged = true;
+
+        if (wot[cert.nodeId]) {
+            wot[cert.nodeId].trusted = false;
+            wot[cert.nodeId].revoked = { reason: cert.reason, at: cert.timestamp };
+            batch.wotChanged = true;
+        }
+        console.warn(`[WOT] ⛔ Clé révoquée : ${cert.nodeId.slice(0, 12)}… (${cert.reason})`);
+        return 'added';
+    }
+
+    // Une attestation par couple (garant, pair) : la plus récente remplace les précédentes
+    if (cert.type === CertificateType.ATTESTATION) {
+        const key = `${cert.voucherNodeId}>${cert.nodeId}`;
+        const existing = certs.attestations[key];
+        if (existing && existing.timestamp >= cert.timestamp) return 'known';
+        if (!local) {
+            // Garant jamais rencontré : son attestation ne compterait pas, elle n'est ni gardée ni relayée
+            if (!wot[cert.voucherNodeId]) return 'ignored';
+            const fromVoucher = batch.byVoucher.get(cert.voucherNodeId) || 0;
+            if (!existing && (batch.attestations >= MAX_ATTESTATIONS || fromVoucher >= MAX_ATTESTATIONS_PER_VOUCHER)) {
+                console.warn(`[WOT] ⚠️  Attestation de ${cert.voucherNodeId.slice(0, 12)}… ignorée (plafond atteint)`);
+                return 'ignored';
+            }
+        }
+        if (!existing) {
+            batch.attestations++;
+            batch.byVoucher.set(cert.voucherNodeId, (batch.byVoucher.get(cert.voucherNodeId) || 0) + 1);
+        }
+        certs.attestations[key] = cert;
+        batch.certsChanged = true;
+        console.log(`[WOT] 🤝 ${cert.voucherNodeId.slice(0, 12)}… se porte garant de ${cert.nodeId.slice(0, 12)}…`);
+        return 'added';
+    }
+
+    // Une clé ne désigne qu'un seul successeur : une seconde rotation signe une compromission
+    const existing = certs.rotations[cert.oldNodeId];
+    if (existing) {
+        if (existing.signature === cert.signature) return 'known';
+        console.warn(`[WOT] 🚨 Rotations contradictoires pour ${cert.oldNodeId.slice(0, 12)}… — la première est conservée`);
+        return 'conflict';
+    }
+    // Rotation signée par une clé déjà révoquée à cette date : refusée
+    const revocation = certs.revocations[cert.oldNodeId];
+    if (revocation && revocation.timestamp <= cert.timestamp) return 'invalid';
+    if (!local && !acceptKeyCertificate(batch, certs.rotations, cert.oldNodeId)) return 'ignored';
+
+    certs.rotations[cert.oldNodeId] = cert;
+    batch.successors.add(cert.newNodeId);
+    batch.certsChanged = true;
+
+    // Le successeur déjà rencontré (TOFU avant réception du certificat) hérite de l'historique
+    if (wot[cert.oldNodeId]) {
+        wot[cert.oldNodeId].rotatedTo = cert.newNodeId;
+        if (wot[cert.newNodeId]) inheritTrust(wot, cert.oldNodeId, cert.newNodeId, cert);
+        batch.wotChanged = true;
+    }
+    console.log(`[WOT] 🔁 Rotation de clé : ${cert.oldNodeId.slice(0, 12)}… → ${cert.newNodeId.slice(0, 12)}…`);
+    return 'added';
+}
+
+/**
+ * Révocation ou rotation reçue pour `nodeId` : gardée si l'identité est connue (WoT, ou nouvelle clé
+ * d'une rotation gardée, pour suivre une chaîne) et que le plafond de son type n'est pas atteint
+ * @param {Object} kept - certs.revocations ou certs.rotations
+ */
+function acceptKeyCertificate(batch, kept, nodeId) {
+    if (!batch.wot[nodeId] && !batch.successors.has(nodeId)) return false;
+    if (Object.keys(kept).length >= MAX_KEY_CERTIFICATES) {
+        console.warn(`[WOT] ⚠️  Certificat de clé pour ${nodeId.slice(0, 12)}… ignoré (plafond atteint)`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Tous les certificats connus (diffusés aux pairs à la connexion)
+ */
+export function getCertificates() {
+    const certs = loadCertificates();
+    return [...Object.values(certs.rotations), ...Object.values(certs.revocations), ...Object.values(certs.attestations)];
+}
+
+/**
+ * Transfère confiance et historique de l'ancienne entrée vers la nouvelle
+ */
+function inheritTrust(wot, oldNodeId, newNodeId, cert) {
+    const previous = wot[oldNodeId];
+    const entry = wot[newNodeId];
+    entry.trusted = previous.trusted && !previous.revoked;
+    // Une vérification directe de l'ancienne clé vaut pour la nouvelle (certifiée par l'ancienne)
+    if (previous.verified && entry.trusted) entry.verified = previous.verified;
+    entry.rotatedFrom = oldNodeId;
+    entry.firstSeen = Math.min(entry.firstSeen, previous.firstSeen);
+    entry.history = [
+        ...(previous.history || []),
+        { nodeId: oldNodeId, signingPub: previous.signingPub, dhPub: previous.dhPub, since: previous.firstSeen, until: cert.timestamp },
+    ];
+}
+
+/**
+ * Remonte la chaîne de rotations menant à `nodeId` jusqu'à une identité déjà connue
+ * @returns {{ knownId: string, chain: Object[] }|null} chain : certificats, du plus ancien au plus récent
+ */
+function findRotationChain(wot, certs, nodeId, signingPub, dhPub) {
+    const byNew = new Map(Object.values(certs.rotations).map(c => [c.newNodeId, c]));
+    const chain = [];
+    let current = byNew.get(nodeId);
+    if (!current || current.newSigningPub !== signingPub || current.newDhPub !== dhPub) return null;
+
+    while (current && chain.length < 32) {
+        // Un maillon émis après la révocation de sa clé casse la chaîne
+        const revocation = certs.revocations[current.oldNodeId];
+        if (revocation && revocation.timestamp <= current.timestamp) return null;
+        chain.unshift(current);
+        if (wot[current.oldNodeId]) return { knownId: current.oldNodeId, chain };
+        current = byNew.get(current.oldNodeId);
+    }
+    return null;
 }
 
 /**
  * Vérifie et enregistre un nœud selon le modèle TOFU.
+ * Une identité issue d'une chaîne de rotations vérifiée hérite de la confiance de l'ancienne ;
+ * une clé révoquée ou remplacée par rotation n'est plus acceptée.
  * @param {string} nodeId
  * @param {string} signingPub - Clé publique Ed25519 (hex)
  * @param {string} dhPub      - Clé publique X25519 (hex)
- * @returns {{ status: 'new'|'known'|'mismatch', trusted: boolean }}
+ * @returns {{ status: 'new'|'known'|'rotated'|'mismatch'|'revoked'|'superseded', trusted: boolean }}
  */
 export function checkTrust(nodeId, signingPub, dhPub) {
     const wot = load();
+    const certs = loadCertificates();
     const entry = wot[nodeId];
 
+    if (certs.revocations[nodeId]) {
+        console.warn(`[WOT] ⛔ Clé révoquée présentée par ${nodeId.slice(0, 12)}…`);
+        if (entry && entry.trusted) {
+            entry.trusted = false;
+            save(wot);
+        }
+        return { status: 'revoked', trusted: false };
+    }
+
     if (!entry) {
-        // Premier contact → TOFU : on fait confiance
+        const rotation = findRotationChain(wot, certs, nodeId, signingPub, dhPub);
         wot[nodeId] = {
             signingPub,
             dhPub,
@@ -49,43 +430,180 @@ export function checkTrust(nodeId, signingPub, dhPub) {
             lastSeen: Date.now(),
             trusted: true,
         };
+
+        // Successeur d'une identité connue : la confiance suit la chaîne de rotations
+        if (rotation) {
+            let previousId = rotation.knownId;
+            for (const cert of rotation.chain) {
+                wot[cert.newNodeId] = wot[cert.newNodeId] || { signingPub: cert.newSigningPub, dhPub: cert.newDhPub, firstSeen: Date.now(), lastSeen: Date.now(), trusted: true };
+                wot[previousId].rotatedTo = cert.newNodeId;
+                inheritTrust(wot, previousId, cert.newNodeId, cert);
+                previousId = cert.newNodeId;
+            }
+            save(wot);
+            console.log(`[WOT] 🔁 ${nodeId.slice(0, 12)}… succède à ${rotation.knownId.slice(0, 12)}… (rotation vérifiée)`);
+            return { status: 'rotated', trusted: wot[nodeId].trusted };
+        }
+
+        // Premier contact → TOFU : on fait confiance
         save(wot);
         return { status: 'new', trusted: true };
     }
 
+    // Ancienne clé remplacée par rotation : son propriétaire ne l'utilise plus
+    if (entry.rotatedTo) {
+        console.warn(`[WOT] ⚠️  Ancienne clé (remplacée par ${entry.rotatedTo.slice(0, 12)}…) présentée par ${nodeId.slice(0, 12)}…`);
+        return { status: 'superseded', trusted: false };
+    }
+
     // Contact connu → vérifie la cohérence des clés
     if (entry.signingPub !== signingPub || entry.dhPub !== dhPub) {
         console.warn(`[WOT] ⚠️  ALERTE MITM potentiel ! Clé changée pour ${nodeId.slice(0, 12)}…`);
         wot[nodeId].trusted = false;
+        // Nouvelles clés retenues : adoptées seulement si l'utilisateur les vérifie (verify)
+        if (entry.pendingKeys?.signingPub !== signingPub || entry.pendingKeys?.dhPub !== dhPub) {
+            wot[nodeId].pendingKeys = { signingPub, dhPub, since: Date.now() };
+        }
         save(wot);
         return { status: 'mismatch', trusted: false };
     }
 
     // Clés identiques → met à jour lastSeen
-    wot[nodeId].lastSeen = Date.now();
-    save(wot);
+    touch(nodeId);
     return { status: 'known', trusted: entry.trusted };
 }
 
 /**
- * Marque manuellement un nœud comme fiable (après vérification manuelle)
+ * Marque manuellement un nœud comme fiable et vérifié (numéro de sécurité comparé hors bande).
+ * Si sa clé a changé depuis, ce sont les nouvelles clés (celles vérifiées) qui sont adoptées.
  */
 export function trust(nodeId) {
     const wot = load();
-    if (wot[nodeId]) {
-        wot[nodeId].trusted = true;
-        save(wot);
-        return true;
+    const entry = wot[nodeId];
+    if (!entry || entry.revoked || entry.rotatedTo) return false;
+
+    if (entry.pendingKeys) {
+        entry.signingPub = entry.pendingKeys.signingPub;
+        entry.dhPub = entry.pendingKeys.dhPub;
+        delete entry.pendingKeys;
     }
-    return false;
+    entry.trusted = true;
+    entry.verified = Date.now();
+    save(wot);
+    return true;
+}
+
+/**
+ * Clés à vérifier pour un nœud : les dernières présentées (nouvelles clés en attente, sinon connues)
+ * @returns {{ nodeId: string, signingPub: string, dhPub: string, verified: boolean, keyChanged: boolean }|null}
+ */
+export function getVerificationKeys(nodeId) {
+    const entry = load()[nodeId];
+    if (!entry) return null;
+    const keys = entry.pendingKeys || entry;
+    return {
+        nodeId,
+        signingPub: keys.signingPub,
+        dhPub: keys.dhPub,
+        verified: !!entry.verified && !entry.pendingKeys,
+        keyChanged: !!entry.pendingKeys,
+    };
+}
+
+/**
+ * Un pair vérifié dont la clé a changé : messagerie bloquée jusqu'à une nouvelle vérification
+ */
+export function requiresReverification(nodeId) {
+    const entry = load()[nodeId];
+    return !!entry?.verified && !!entry.pendingKeys;
+}
+
+/**
+ * Se porte garant d'un pair : signe, enregistre l'attestation et marque sa clé comme vérifiée
+ * @returns {Object} Attestation à diffuser aux pairs
+ */
+export function vouch(identity, nodeId) {
+    const cert = createAttestation(identity, nodeId);
+    recordCertificate(cert, { local: true });
+    trust(nodeId);
+    return cert;
+}
+
+/**
+ * Calcule le niveau de confiance de tous les nœuds du WoT.
+ * Une attestation ne compte que si elle porte sur les clés actuellement connues du pair
+ * et que son garant n'est pas révoqué ; un garant doit lui-même être direct ou introduit.
+ * Le résultat est réutilisé tant que ni le WoT ni les certificats ne changent : ne pas le modifier.
+ * @returns {Object} nodeId -> { level, score, introducers: string[], depth }
+ */
+export function computeTrustLevels() {
+    if (trustLevels) return trustLevels;
+    const wot = load();
+    const certs = loadCertificates();
+    const usable = (nodeId) => {
+        const entry = wot[nodeId];
+        return !!entry && entry.trusted && !entry.rotatedTo && !entry.revoked && !certs.revocations[nodeId];
+    };
+
+    // nodeId -> garants dont l'attestation porte sur ses clés actuelles
+    const vouchers = new Map();
+    for (const cert of Object.values(certs.attestations)) {
+        const entry = wot[cert.nodeId];
+        if (!entry || entry.signingPub !== cert.signingPub || entry.dhPub !== cert.dhPub) continue;
+        if (certs.revocations[cert.voucherNodeId]) continue;
+        if (!vouchers.has(cert.nodeId)) vouchers.set(cert.nodeId, new Set());
+        vouchers.get(cert.nodeId).add(cert.voucherNodeId);
+    }
+
+    // Profondeur 0 : pairs vérifiés directement ; puis une couche d'introductions par tour
+    const depths = new Map();
+    for (const nodeId of Object.keys(wot)) {
+        if (usable(nodeId) && wot[nodeId].verified) depths.set(nodeId, 0);
+    }
+    for (let depth = 1; depth <= WOT_MAX_DEPTH; depth++) {
+        const introduced = [];
+        for (const [nodeId, from] of vouchers) {
+            if (depths.has(nodeId) || !usable(nodeId)) continue;
+            const count = [...from].filter(v => depths.has(v)).length;
+            if (count >= WOT_MIN_INTRODUCERS) introduced.push(nodeId);
+        }
+        if (introduced.length === 0) break;
+        introduced.forEach(nodeId => depths.set(nodeId, depth));
+    }
+
+    const levels = {};
+    for (const nodeId of Object.keys(wot)) {
+        const depth = depths.get(nodeId);
+        const level = !usable(nodeId) ? TrustLevel.UNTRUSTED
+            : depth === 0 ? TrustLevel.DIRECT
+            : depth !== undefined ? TrustLevel.INTRODUCED
+            : TrustLevel.UNKNOWN;
+        // Garants eux-mêmes fiables, introduits avant ce pair
+        const introducers = [...(vouchers.get(nodeId) || [])]
+            .filter(v => depths.has(v) && (depth === undefined || depths.get(v) < depth));
+        levels[nodeId] = { level, score: TRUST_LEVEL_SCORE[level], introducers, depth: depth ?? null };
+    }
+    trustLevels = levels;
+    return levels;
+}
+
+/**
+ * Niveau de confiance d'un nœud (voir computeTrustLevels)
+ */
+export function getTrustLevel(nodeId) {
+    return computeTrustLevels()[nodeId]
+        || { level: TrustLevel.UNKNOWN, score: TRUST_LEVEL_SCORE[TrustLevel.UNKNOWN], introducers: [], depth: null };
 }
 
 /**
- * Retourne tous les nœuds connus dans le WoT
+ * Retourne tous les nœuds connus dans le WoT, avec l'historique de leurs clés
+ * (`history` : identités précédentes, de la plus ancienne à la plus récente)
+ * et leur niveau de confiance calculé (`trustLevel`)
  */
 export function listTrusted() {
     const wot = load();
-    return Object.entries(wot).map(([nodeId, data]) => ({ nodeId, ...data }));
+    const levels = computeTrustLevels();
+    return Object.entries(wot).map(([nodeId, data]) => ({ nodeId, history: [], ...data, trustLevel: levels[nodeId] }));
 }
 
 /**
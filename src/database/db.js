@@ -4,15 +4,67 @@
  */
 
 import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import initSqlJs from 'sql.js';
+import { dataPath } from '../config/profile.js';
+import { envelopeId } from '../crypto/relay-envelope.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DB_FILE = path.join(__dirname, '../../archipel.db');
+const DB_FILE = dataPath('archipel.db');
 
 let db = null;
 
+// Écritures fréquentes (file de relais) : regroupées en une sauvegarde au plus par PERSIST_DELAY_MS
+const PERSIST_DELAY_MS = 1_000;
+let persistTimer = null;
+
+/** @type {Map<string, Object>|null} File de relais déjà analysée (envelopeId -> entrée), tenue à jour en mémoire */
+let relayQueue = null;
+
+// Boîte d'envoi : messages directs en attente d'un pair hors ligne (renvoyés à son retour)
+const OUTBOX_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS outbox (
+        msg_id TEXT PRIMARY KEY,
+        peer_id TEXT,
+        content TEXT,
+        created_at INTEGER,
+        attempts INTEGER DEFAULT 0,
+        next_attempt_at INTEGER,
+        expires_at INTEGER,
+        last_error TEXT
+    );
+`;
+
+// Groupes : état signé par le créateur, clés de groupe par époque, historique par groupe
+const GROUPS_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS groups (
+        group_id TEXT PRIMARY KEY,
+        name TEXT,
+        creator TEXT,
+        state TEXT, -- JSON de la liste des membres signée par le créateur
+        epoch INTEGER,
+        keys TEXT DEFAULT '{}', -- JSON : époque -> clé de groupe (hex)
+        status TEXT -- active / left / removed
+    );
+    CREATE TABLE IF NOT EXISTS group_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        group_id TEXT,
+        msg_id TEXT,
+        sender TEXT,
+        content TEXT,
+        timestamp INTEGER,
+        UNIQUE (group_id, msg_id)
+    );
+`;
+
+// Canaux auxquels le nœud est abonné (publications stockées dans `messages`, peer_id = "channel:<id>")
+const CHANNELS_SCHEMA = `
+    CREATE TABLE IF NOT EXISTS channels (
+        channel_id TEXT PRIMARY KEY,
+        name TEXT,
+        key TEXT, -- clé d'un canal privé (hex), NULL pour un canal public
+        joined_at INTEGER
+    );
+`;
+
 /**
  * Initialise la base de données
  */
@@ -20,10 +72,13 @@ export async function initDatabase() {
     if (db) return db;
 
     const SQL = await initSqlJs();
+    // Sauvegarde différée pas encore écrite : écrite avant de quitter
+    process.on('exit', () => { if (persistTimer) persist(); });
 
     if (fs.existsSync(DB_FILE)) {
         const fileBuffer = fs.readFileSync(DB_FILE);
         db = new SQL.Database(fileBuffer);
+        migrate();
         console.log('[DB] ✅ Base de données chargée depuis archipel.db');
     } else {
         db = new SQL.Database();
@@ -35,53 +90,198 @@ export async function initDatabase() {
                 sender TEXT,
                 content TEXT,
                 timestamp INTEGER,
-                encrypted INTEGER
+                encrypted INTEGER,
+                signature_status TEXT, -- valid / unsigned (NULL pour nos propres messages)
+                msg_id TEXT, -- identifiant choisi par l'émetteur (accusés de réception / lecture)
+                status TEXT, -- queued / sent / relayed / delivered / read
+                envelope_id TEXT, -- enveloppe RELAY qui transporte le message (envoi relayé)
+                raw TEXT -- publication de canal signée (JSON, renvoyée aux abonnés qui rattrapent l'historique)
             );
             CREATE TABLE IF NOT EXISTS peers (
                 node_id TEXT PRIMARY KEY,
                 public_key_dh TEXT,
                 public_key_signing TEXT,
                 last_seen INTEGER,
-                trust_level INTEGER DEFAULT 0
+                trust_level INTEGER DEFAULT 0,
+                ip TEXT,
+                tcp_port INTEGER,
+                discovered_by TEXT
             );
             CREATE TABLE IF NOT EXISTS relay_queue (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 target_id TEXT,
                 sender_id TEXT,
                 packet_data TEXT, -- JSON string du paquet chiffré
-                expires_at INTEGER
+                expires_at INTEGER,
+                envelope_id TEXT,
+                copies INTEGER DEFAULT 1, -- copies que ce nœud peut encore distribuer (spray-and-wait)
+                hops INTEGER DEFAULT 0,
+                forwarded_to TEXT DEFAULT '[]' -- JSON : pairs ayant déjà reçu une copie
+            );
+            CREATE UNIQUE INDEX IF NOT EXISTS relay_queue_envelope ON relay_queue (envelope_id);
+            CREATE TABLE IF NOT EXISTS relay_receipts (
+                envelope_id TEXT,
+                target_id TEXT,
+                receipt TEXT, -- JSON de l'accusé signé par le destinataire
+                expires_at INTEGER,
+                PRIMARY KEY (envelope_id, target_id)
             );
         `);
+        db.run(OUTBOX_SCHEMA);
+        db.run(GROUPS_SCHEMA);
+        db.run(CHANNELS_SCHEMA);
         persist();
         console.log('[DB] ✨ Nouvelle base de données créée');
     }
     return db;
 }
 
+/**
+ * Met à niveau le schéma d'une base existante (colonnes ajoutées depuis sa création)
+ */
+function migrate() {
+    db.run(OUTBOX_SCHEMA);
+    db.run(GROUPS_SCHEMA);
+    db.run(CHANNELS_SCHEMA);
+
+    const columns = db.exec("PRAGMA table_info(messages)")[0]?.values.map(row => row[1]) || [];
+    if (!columns.includes('signature_status')) {
+        db.run("ALTER TABLE messages ADD COLUMN signature_status TEXT");
+        persist();
+    }
+    if (!columns.includes('msg_id')) {
+        db.run(`
+            ALTER TABLE messages ADD COLUMN msg_id TEXT;
+            ALTER TABLE messages ADD COLUMN status TEXT;
+            ALTER TABLE messages ADD COLUMN envelope_id TEXT;
+        `);
+        persist();
+    }
+    if (!columns.includes('raw')) {
+        db.run("ALTER TABLE messages ADD COLUMN raw TEXT");
+        persist();
+    }
+
+    // Routage multi-sauts : identifiant, copies et sauts des enveloppes en file, accusés de remise
+    const relayColumns = db.exec("PRAGMA table_info(relay_queue)")[0]?.values.map(row => row[1]) || [];
+    if (!relayColumns.includes('envelope_id')) {
+        db.run(`
+            ALTER TABLE relay_queue ADD COLUMN envelope_id TEXT;
+            ALTER TABLE relay_queue ADD COLUMN copies INTEGER DEFAULT 1;
+            ALTER TABLE relay_queue ADD COLUMN hops INTEGER DEFAULT 0;
+            ALTER TABLE relay_queue ADD COLUMN forwarded_to TEXT DEFAULT '[]';
+        `);
+        const res = db.exec("SELECT id, packet_data FROM relay_queue");
+        for (const [id, packetData] of res[0]?.values || []) {
+            let envelope = null;
+            try { envelope = JSON.parse(packetData); } catch { /* entrée illisible */ }
+            if (envelope?.sealed) db.run("UPDATE relay_queue SET envelope_id = ? WHERE id = ?", [envelopeId(envelope), id]);
+            else db.run("DELETE FROM relay_queue WHERE id = ?", [id]);
+        }
+        db.run(`
+            CREATE UNIQUE INDEX IF NOT EXISTS relay_queue_envelope ON relay_queue (envelope_id);
+            CREATE TABLE IF NOT EXISTS relay_receipts (
+                envelope_id TEXT,
+                target_id TEXT,
+                receipt TEXT,
+                expires_at INTEGER,
+                PRIMARY KEY (envelope_id, target_id)
+            );
+        `);
+        persist();
+    }
+
+    // Dernière adresse confirmée des pairs (reconnexion au démarrage) et stratégie de découverte
+    const peerColumns = db.exec("PRAGMA table_info(peers)")[0]?.values.map(row => row[1]) || [];
+    if (!peerColumns.includes('ip')) {
+        db.run(`
+            ALTER TABLE peers ADD COLUMN ip TEXT;
+            ALTER TABLE peers ADD COLUMN tcp_port INTEGER;
+            ALTER TABLE peers ADD COLUMN discovered_by TEXT;
+        `);
+        persist();
+    }
+}
+
 /**
  * Sauvegarde la base de données sur le disque
  */
 export function persist() {
     if (!db) return;
+    clearTimeout(persistTimer);
+    persistTimer = null;
     const data = db.export();
     const buffer = Buffer.from(data);
     fs.writeFileSync(DB_FILE, buffer);
 }
 
+/**
+ * Sauvegarde différée : les modifications rapprochées (file de relais, accusés) ne réécrivent
+ * le fichier qu'une fois
+ */
+function schedulePersist() {
+    if (persistTimer) return;
+    persistTimer = setTimeout(persist, PERSIST_DELAY_MS);
+    persistTimer.unref();
+}
+
 /**
  * Enregistre un message dans l'historique
+ * @param {string|null} signatureStatus - Vérification de la signature de l'émetteur (messages reçus)
+ * @param {Object} [opts] - { msgId, status, envelopeId } : suivi de remise du message ;
+ *                          { timestamp, raw } : date de l'auteur et publication signée (canaux)
  */
-export function saveMessage(peerId, sender, content, encrypted) {
+export function saveMessage(peerId, sender, content, encrypted, signatureStatus = null, {
+    msgId = null, status = null, envelopeId = null, timestamp = Date.now(), raw = null,
+} = {}) {
     if (!db) return;
     db.run(
-        "INSERT INTO messages (peer_id, sender, content, timestamp, encrypted) VALUES (?, ?, ?, ?, ?)",
-        [peerId, sender, content, Date.now(), encrypted ? 1 : 0]
+        `INSERT INTO messages (peer_id, sender, content, timestamp, encrypted, signature_status, msg_id, status, envelope_id, raw)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [peerId, sender, content, timestamp, encrypted ? 1 : 0, signatureStatus, msgId, status, envelopeId, raw]
     );
     persist();
 }
 
 /**
- * Récupère l'historique des messages avec un pair
+ * Message d'un pair (ou envoyé à ce pair) par identifiant, null s'il est inconnu
+ */
+export function getMessage(peerId, msgId) {
+    if (!db || !msgId) return null;
+    const res = db.exec("SELECT * FROM messages WHERE peer_id = ? AND msg_id = ? LIMIT 1", [peerId, msgId]);
+    if (res.length === 0) return null;
+    const obj = {};
+    res[0].columns.forEach((col, i) => obj[col] = res[0].values[0][i]);
+    return obj;
+}
+
+/**
+ * Message envoyé par relais, retrouvé par son enveloppe (null s'il est inconnu)
+ */
+export function getMessageByEnvelope(envelopeIdHex) {
+    if (!db) return null;
+    const res = db.exec("SELECT * FROM messages WHERE envelope_id = ? LIMIT 1", [envelopeIdHex]);
+    if (res.length === 0) return null;
+    const obj = {};
+    res[0].columns.forEach((col, i) => obj[col] = res[0].values[0][i]);
+    return obj;
+}
+
+/**
+ * Met à jour le statut de remise d'un message (et l'enveloppe qui le transporte, si fournie)
+ */
+export function updateMessageStatus(peerId, msgId, status, envelopeIdHex = undefined) {
+    if (!db) return;
+    if (envelopeIdHex === undefined) {
+        db.run("UPDATE messages SET status = ? WHERE peer_id = ? AND msg_id = ?", [status, peerId, msgId]);
+    } else {
+        db.run("UPDATE messages SET status = ?, envelope_id = ? WHERE peer_id = ? AND msg_id = ?", [status, envelopeIdHex, peerId, msgId]);
+    }
+    persist();
+}
+
+/**
+ * Récupère l'historique des messages avec un pair (sans peerId : messages directs, hors canaux)
  */
 export function getHistory(peerId = null, limit = 50) {
     if (!db) return [];
@@ -92,6 +292,8 @@ export function getHistory(peerId = null, limit = 50) {
     if (peerId) {
         query += " WHERE peer_id = ?";
         params.push(peerId);
+    } else {
+        query += " WHERE peer_id NOT LIKE 'channel:%'";
     }
 
     query += " ORDER BY timestamp ASC LIMIT ?";
@@ -110,59 +312,383 @@ export function getHistory(peerId = null, limit = 50) {
 
 /**
  * Enregistre/Met à jour un pair de confiance
+ * @param {number} trustLevel - Score du Web of Trust (-1 non fiable, 0 inconnu, 1 introduit, 2 direct)
+ * @param {Object} [addr]     - { ip, tcpPort, discoveredBy } : adresse confirmée (conservée si absente)
  */
-export function upsertPeer(nodeId, pkDh, pkSigning, trustLevel = 0) {
+export function upsertPeer(nodeId, pkDh, pkSigning, trustLevel = 0, { ip = null, tcpPort = null, discoveredBy = null } = {}) {
     if (!db) return;
     db.run(
-        `INSERT INTO peers (node_id, public_key_dh, public_key_signing, last_seen, trust_level) 
-         VALUES (?, ?, ?, ?, ?)
+        `INSERT INTO peers (node_id, public_key_dh, public_key_signing, last_seen, trust_level, ip, tcp_port, discovered_by) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
          ON CONFLICT(node_id) DO UPDATE SET 
             last_seen = excluded.last_seen,
             public_key_dh = excluded.public_key_dh,
-            public_key_signing = excluded.public_key_signing;`,
-        [nodeId, pkDh, pkSigning, Date.now(), trustLevel]
+            public_key_signing = excluded.public_key_signing,
+            trust_level = excluded.trust_level,
+            ip = COALESCE(excluded.ip, peers.ip),
+            tcp_port = COALESCE(excluded.tcp_port, peers.tcp_port),
+            discovered_by = COALESCE(peers.discovered_by, excluded.discovered_by);`,
+        [nodeId, pkDh, pkSigning, Date.now(), trustLevel, ip, tcpPort, discoveredBy]
+    );
+    persist();
+}
+
+/**
+ * Met à jour le niveau de confiance d'un pair déjà enregistré
+ */
+export function setPeerTrustLevel(nodeId, trustLevel) {
+    if (!db) return;
+    db.run("UPDATE peers SET trust_level = ? WHERE node_id = ?", [trustLevel, nodeId]);
+    persist();
+}
+
+/**
+ * RELAIS : Ajoute une enveloppe à la file de retransmission (ignorée si déjà connue ou déjà remise)
+ * @param {string} senderId   - Expéditeur d'origine si on l'est, sinon le pair qui nous a confié l'enveloppe
+ * @param {Object} packetData - Enveloppe scellée { target, expiresAt, sealed }
+ * @param {Object} [opts]     - { copies, hops, forwardedTo } : état du routage multi-sauts
+ * @returns {boolean} true si l'enveloppe est nouvelle
+ */
+export function queueRelayMessage(targetId, senderId, packetData, { copies = 1, hops = 0, forwardedTo = [] } = {}) {
+    if (!db) return false;
+    const id = envelopeId(packetData);
+    if (loadRelayQueue().has(id) || getRelayReceipt(id, targetId)) return false;
+
+    db.run(
+        `INSERT OR IGNORE INTO relay_queue (target_id, sender_id, packet_data, expires_at, envelope_id, copies, hops, forwarded_to)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [targetId, senderId, JSON.stringify(packetData), packetData.expiresAt, id, copies, hops, JSON.stringify(forwardedTo)]
+    );
+    if (db.getRowsModified() === 0) return false;
+
+    relayQueue.set(id, {
+        envelopeId: id,
+        targetId,
+        senderId,
+        envelope: packetData,
+        copies,
+        hops,
+        forwardedTo,
+        expiresAt: packetData.expiresAt,
+    });
+    schedulePersist();
+    return true;
+}
+
+/**
+ * RELAIS : Enveloppes en file, des plus anciennes aux plus récentes (les expirées sont purgées au passage).
+ * Les entrées sont partagées avec la file en mémoire : ne pas les modifier (voir updateRelayMessage).
+ * @returns {{ envelopeId: string, targetId: string, senderId: string, envelope: Object,
+ *             copies: number, hops: number, forwardedTo: string[], expiresAt: number }[]}
+ */
+export function getRelayQueue() {
+    if (!db) return [];
+
+    const now = Date.now();
+    const queue = loadRelayQueue();
+    let expired = false;
+    for (const [id, entry] of queue) {
+        if (entry.expiresAt < now) {
+            queue.delete(id);
+            expired = true;
+        }
+    }
+    if (expired) {
+        db.run("DELETE FROM relay_queue WHERE expires_at < ?", [now]);
+        schedulePersist();
+    }
+    return [...queue.values()];
+}
+
+/**
+ * File de relais lue une seule fois depuis la table, puis tenue à jour par les fonctions RELAIS
+ */
+function loadRelayQueue() {
+    if (relayQueue) return relayQueue;
+    relayQueue = new Map();
+    const res = db.exec("SELECT * FROM relay_queue ORDER BY id ASC");
+    if (res.length === 0) return relayQueue;
+
+    const columns = res[0].columns;
+    for (const row of res[0].values) {
+        let obj = {};
+        columns.forEach((col, i) => obj[col] = row[i]);
+        relayQueue.set(obj.envelope_id, {
+            envelopeId: obj.envelope_id,
+            targetId: obj.target_id,
+            senderId: obj.sender_id,
+            envelope: JSON.parse(obj.packet_data),
+            copies: obj.copies,
+            hops: obj.hops,
+            forwardedTo: JSON.parse(obj.forwarded_to || '[]'),
+            expiresAt: obj.expires_at,
+        });
+    }
+    return relayQueue;
+}
+
+/**
+ * RELAIS : Met à jour les copies restantes et les pairs déjà servis d'une enveloppe
+ */
+export function updateRelayMessage(envelopeIdHex, copies, forwardedTo) {
+    if (!db) return;
+    db.run("UPDATE relay_queue SET copies = ?, forwarded_to = ? WHERE envelope_id = ?", [copies, JSON.stringify(forwardedTo), envelopeIdHex]);
+    const entry = loadRelayQueue().get(envelopeIdHex);
+    if (entry) Object.assign(entry, { copies, forwardedTo });
+    schedulePersist();
+}
+
+/**
+ * RELAIS : Retire une enveloppe de la file (place faite pour une plus récente)
+ */
+export function deleteRelayMessage(envelopeIdHex) {
+    if (!db) return;
+    db.run("DELETE FROM relay_queue WHERE envelope_id = ?", [envelopeIdHex]);
+    loadRelayQueue().delete(envelopeIdHex);
+    schedulePersist();
+}
+
+/**
+ * RELAIS : Enregistre un accusé de remise (déjà vérifié) et retire l'enveloppe de la file
+ * (seulement si elle est bien adressée au signataire de l'accusé)
+ * @returns {boolean} true si l'accusé est nouveau
+ */
+export function saveRelayReceipt(receipt) {
+    if (!db) return false;
+    db.run(
+        "INSERT OR IGNORE INTO relay_receipts (envelope_id, target_id, receipt, expires_at) VALUES (?, ?, ?, ?)",
+        [receipt.envelopeId, receipt.target, JSON.stringify(receipt), receipt.expiresAt]
+    );
+    const added = db.getRowsModified() > 0;
+    db.run("DELETE FROM relay_queue WHERE envelope_id = ? AND target_id = ?", [receipt.envelopeId, receipt.target]);
+    const removed = db.getRowsModified() > 0;
+    if (removed) loadRelayQueue().delete(receipt.envelopeId);
+    if (added || removed) schedulePersist();
+    return added;
+}
+
+/**
+ * RELAIS : Accusé de remise connu pour une enveloppe et son destinataire (null sinon)
+ */
+export function getRelayReceipt(envelopeIdHex, targetId) {
+    if (!db) return null;
+    const res = db.exec("SELECT receipt FROM relay_receipts WHERE envelope_id = ? AND target_id = ?", [envelopeIdHex, targetId]);
+    return res.length ? JSON.parse(res[0].values[0][0]) : null;
+}
+
+/**
+ * RELAIS : Accusés de remise non expirés, les plus récents d'abord
+ */
+export function getRelayReceipts(limit = 300) {
+    if (!db) return [];
+
+    db.run("DELETE FROM relay_receipts WHERE expires_at < ?", [Date.now()]);
+    if (db.getRowsModified() > 0) schedulePersist();
+
+    const res = db.exec("SELECT receipt FROM relay_receipts ORDER BY expires_at DESC LIMIT ?", [limit]);
+    return res.length ? res[0].values.map(([receipt]) => JSON.parse(receipt)) : [];
+}
+
+/**
+ * BOÎTE D'ENVOI : Ajoute un message à renvoyer en direct (déjà tenté une fois)
+ */
+export function addOutboxMessage(peerId, msgId, content, nextAttemptAt, expiresAt, lastError = null) {
+    if (!db) return;
+    db.run(
+        `INSERT OR IGNORE INTO outbox (msg_id, peer_id, content, created_at, attempts, next_attempt_at, expires_at, last_error)
+         VALUES (?, ?, ?, ?, 1, ?, ?, ?)`,
+        [msgId, peerId, content, Date.now(), nextAttemptAt, expiresAt, lastError]
     );
     persist();
 }
 
 /**
- * RELAIS : Ajoute un paquet en attente de transmission
+ * BOÎTE D'ENVOI : Messages en attente (d'un pair ou de tous), les plus anciens d'abord
+ * @returns {{ msgId: string, peerId: string, content: string, createdAt: number, attempts: number,
+ *             nextAttemptAt: number, expiresAt: number, lastError: string|null }[]}
  */
-export function queueRelayMessage(targetId, senderId, packetData, ttlHours = 24) {
+export function getOutbox(peerId = null) {
+    if (!db) return [];
+    const res = peerId
+        ? db.exec("SELECT * FROM outbox WHERE peer_id = ? ORDER BY created_at ASC", [peerId])
+        : db.exec("SELECT * FROM outbox ORDER BY created_at ASC");
+    if (res.length === 0) return [];
+
+    const columns = res[0].columns;
+    return res[0].values.map(row => {
+        let obj = {};
+        columns.forEach((col, i) => obj[col] = row[i]);
+        return {
+            msgId: obj.msg_id,
+            peerId: obj.peer_id,
+            content: obj.content,
+            createdAt: obj.created_at,
+            attempts: obj.attempts,
+            nextAttemptAt: obj.next_attempt_at,
+            expiresAt: obj.expires_at,
+            lastError: obj.last_error,
+        };
+    });
+}
+
+/**
+ * BOÎTE D'ENVOI : Enregistre une tentative de renvoi
+ */
+export function updateOutboxAttempt(msgId, attempts, nextAttemptAt, lastError = null) {
     if (!db) return;
-    const expiresAt = Date.now() + (ttlHours * 3600 * 1000);
+    db.run("UPDATE outbox SET attempts = ?, next_attempt_at = ?, last_error = ? WHERE msg_id = ?", [attempts, nextAttemptAt, lastError, msgId]);
+    persist();
+}
+
+/**
+ * BOÎTE D'ENVOI : Retire un message (remis ou expiré)
+ */
+export function removeOutboxMessage(msgId) {
+    if (!db) return;
+    db.run("DELETE FROM outbox WHERE msg_id = ?", [msgId]);
+    if (db.getRowsModified() > 0) persist();
+}
+
+/**
+ * GROUPES : Enregistre l'état d'un groupe (et une nouvelle clé d'époque, si fournie)
+ * Les clés des époques précédentes sont gardées (messages en transit pendant une rotation).
+ */
+export function saveGroup(state, status, key = null) {
+    if (!db) return;
+    const keys = getGroup(state.groupId)?.keys || {};
+    if (key) keys[state.epoch] = key;
     db.run(
-        "INSERT INTO relay_queue (target_id, sender_id, packet_data, expires_at) VALUES (?, ?, ?, ?)",
-        [targetId, senderId, JSON.stringify(packetData), expiresAt]
+        `INSERT OR REPLACE INTO groups (group_id, name, creator, state, epoch, keys, status)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [state.groupId, state.name, state.creator, JSON.stringify(state), state.epoch, JSON.stringify(keys), status]
     );
     persist();
 }
 
 /**
- * RELAIS : Récupère les paquets en attente pour un pair spécifique
+ * GROUPES : Un groupe par identifiant, null s'il est inconnu
+ * @returns {{ groupId: string, name: string, creator: string, state: Object, epoch: number,
+ *             keys: Object<number, string>, status: string }|null}
  */
-export function fetchRelayMessages(targetId) {
+export function getGroup(groupId) {
+    if (!db) return null;
+    const res = db.exec("SELECT * FROM groups WHERE group_id = ? LIMIT 1", [groupId]);
+    return res.length ? rowToGroup(res[0].columns, res[0].values[0]) : null;
+}
+
+/**
+ * GROUPES : Tous les groupes connus
+ */
+export function getGroups() {
     if (!db) return [];
+    const res = db.exec("SELECT * FROM groups ORDER BY name ASC");
+    return res.length ? res[0].values.map(row => rowToGroup(res[0].columns, row)) : [];
+}
 
-    // Nettoyage des expirés
-    db.run("DELETE FROM relay_queue WHERE expires_at < ?", [Date.now()]);
+function rowToGroup(columns, row) {
+    let obj = {};
+    columns.forEach((col, i) => obj[col] = row[i]);
+    return {
+        groupId: obj.group_id,
+        name: obj.name,
+        creator: obj.creator,
+        state: JSON.parse(obj.state),
+        epoch: obj.epoch,
+        keys: JSON.parse(obj.keys || '{}'),
+        status: obj.status,
+    };
+}
 
-    const res = db.exec("SELECT * FROM relay_queue WHERE target_id = ?", [targetId]);
+/**
+ * GROUPES : Change le statut local d'un groupe (active, left, removed)
+ */
+export function setGroupStatus(groupId, status) {
+    if (!db) return;
+    db.run("UPDATE groups SET status = ? WHERE group_id = ?", [status, groupId]);
+    persist();
+}
+
+/**
+ * GROUPES : Ajoute un message à l'historique d'un groupe
+ * @returns {boolean} false si ce message (même msgId) est déjà connu
+ */
+export function saveGroupMessage(groupId, msgId, sender, content, timestamp = Date.now()) {
+    if (!db) return false;
+    db.run(
+        "INSERT OR IGNORE INTO group_messages (group_id, msg_id, sender, content, timestamp) VALUES (?, ?, ?, ?, ?)",
+        [groupId, msgId, sender, content, timestamp]
+    );
+    if (db.getRowsModified() === 0) return false;
+    persist();
+    return true;
+}
+
+/**
+ * GROUPES : Historique d'un groupe, du plus ancien au plus récent
+ */
+export function getGroupHistory(groupId, limit = 50) {
+    if (!db) return [];
+    const res = db.exec(
+        "SELECT * FROM (SELECT * FROM group_messages WHERE group_id = ? ORDER BY timestamp DESC LIMIT ?) ORDER BY timestamp ASC",
+        [groupId, limit]
+    );
     if (res.length === 0) return [];
 
     const columns = res[0].columns;
-    const messages = res[0].values.map(row => {
+    return res[0].values.map(row => {
         let obj = {};
         columns.forEach((col, i) => obj[col] = row[i]);
-        obj.packet_data = JSON.parse(obj.packet_data);
         return obj;
     });
+}
+
+/**
+ * CANAUX : Abonnement à un canal (clé NULL pour un canal public)
+ */
+export function saveChannel(channelIdHex, name, key = null) {
+    if (!db) return;
+    db.run("INSERT OR REPLACE INTO channels (channel_id, name, key, joined_at) VALUES (?, ?, ?, ?)", [channelIdHex, name, key, Date.now()]);
+    persist();
+}
 
-    // Supprimer après récupération (une seule tentative de remise par ce noeud)
-    db.run("DELETE FROM relay_queue WHERE target_id = ?", [targetId]);
+/**
+ * CANAUX : Désabonnement (l'historique du canal est conservé)
+ */
+export function removeChannel(channelIdHex) {
+    if (!db) return;
+    db.run("DELETE FROM channels WHERE channel_id = ?", [channelIdHex]);
     persist();
+}
+
+/**
+ * CANAUX : Canaux auxquels le nœud est abonné
+ * @returns {{ channelId: string, name: string, key: string|null, joinedAt: number }[]}
+ */
+export function getChannels() {
+    if (!db) return [];
+    const res = db.exec("SELECT channel_id, name, key, joined_at FROM channels ORDER BY name ASC");
+    if (res.length === 0) return [];
+    return res[0].values.map(([channelIdHex, name, key, joinedAt]) => ({ channelId: channelIdHex, name, key, joinedAt }));
+}
 
-    return messages;
+/**
+ * CANAUX : Dernières publications d'un canal (depuis `since`), de la plus ancienne à la plus récente
+ */
+export function getChannelHistory(channelIdHex, { since = 0, limit = 50 } = {}) {
+    if (!db) return [];
+    const res = db.exec(
+        `SELECT * FROM (SELECT * FROM messages WHERE peer_id = ? AND timestamp > ? ORDER BY timestamp DESC LIMIT ?)
+         ORDER BY timestamp ASC`,
+        [`channel:${channelIdHex}`, since, limit]
+    );
+    if (res.length === 0) return [];
+
+    const columns = res[0].columns;
+    return res[0].values.map(row => {
+        let obj = {};
+        columns.forEach((col, i) => obj[col] = row[i]);
+        return obj;
+    });
 }
 
 /**
@@ -0,0 +1,288 @@
+/**
+ * ARCHIPEL — Canaux publics ou privés (paquet CHANNEL, 0x0C) : alertes à l'échelle du maillage
+ *
+ * Un nœud s'abonne à un canal par son nom (privé : par jeton). Les publications sont signées par
+ * leur auteur (channel-post.js) et propagées par inondation contrôlée :
+ *   post    { kind, post, hops }  relayé par TOUS les nœuds (abonnés ou non) à leurs pairs actifs,
+ *           sauf au pair d'où il vient, tant que hops < ARCHIPEL_CHANNEL_HOPS (6 par défaut) ;
+ *           une publication déjà vue (cache anti-rejeu par auteur) ou de plus de 24 h n'est pas relayée.
+ *           Une publication trop longue est rejetée ; le débit est limité par pair émetteur (avant
+ *           la vérification de signature) et par auteur (seaux à jetons, token-bucket.js).
+ * Seuls les abonnés la stockent (table `messages`, peer_id = "channel:<channelId>") et l'affichent.
+ *
+ * Rattrapage : à l'abonnement, et quand un pair apparaît, on demande l'historique récent aux voisins
+ *   sync    { kind, channelId, since, timestamp }                → voisin abonné
+ *   history { kind, channelId, posts: [publication…], timestamp } → 50 publications au plus
+ * Chaque publication rattrapée est vérifiée comme une publication propagée.
+ *
+ * Événement : 'post' ({ channelId, name, from, message, postId, timestamp })
+ */
+
+import { EventEmitter } from 'events';
+import { PacketType, DropReason } from '../crypto/packet.js';
+import {
+    channelId as deriveChannelId, normalizeChannelName, exportChannelToken, parseChannelToken,
+    generateChannelKey, createChannelPost, isValidChannelPost, isOversizedChannelPost, readChannelPost,
+    CHANNEL_MAX_POST_LENGTH,
+} from '../crypto/channel-post.js';
+import { SignatureStatus } from '../crypto/signing.js';
+import { peerTable } from '../network/peer-table.js';
+import { TokenBuckets } from '../network/token-bucket.js';
+import {
+    saveChannel, removeChannel, getChannels, getChannelHistory, saveMessage, getMessage,
+} from '../database/db.js';
+
+// Sauts maximum d'une publication (ARCHIPEL_CHANNEL_HOPS)
+export const CHANNEL_MAX_HOPS = Number(process.env.ARCHIPEL_CHANNEL_HOPS) || 6;
+// Âge maximal d'une publication propagée (au-delà, seul le rattrapage la transmet)
+export const CHANNEL_MAX_AGE_MS = 24 * 3600_000;
+// Publications envoyées au plus par réponse de rattrapage (trame CHANNEL de 256 KB)
+const SYNC_MAX_POSTS = 50;
+// Historique demandé à un nouvel abonné (rien de plus ancien)
+const SYNC_WINDOW_MS = 7 * 24 * 3600_000;
+// Débit de publications relayées accepté d'un même pair (tous auteurs) et d'un même auteur
+const PEER_RATE = { ratePerSec: 10, burst: 50 };
+const AUTHOR_RATE = { ratePerSec: 0.5, burst: 10 };
+
+export class ChannelManager extends EventEmitter {
+    /**
+     * @param {Messenger} messenger - Identité et transport
+     */
+    constructor(messenger) {
+        super();
+        this.identity = messenger.identity;
+        this.tcpServer = messenger.tcpServer;
+        this.peerRate = new TokenBuckets(PEER_RATE);
+        this.authorRate = new TokenBuckets(AUTHOR_RATE);
+
+        this.tcpServer.onChannelPacket = packet => this.onPacket(packet);
+        // Nouveau voisin : il a peut-être des publications manquées
+        peerTable.on('seen', (peer, isNew) => {
+            if (!isNew) return;
+            for (const channel of getChannels()) this._requestSync(peer.nodeId, channel);
+        });
+    }
+
+    /**
+     * Canaux auxquels le nœud est abonné (sans les clés)
+     */
+    list() {
+        return getChannels().map(({ channelId, name, key, joinedAt }) => ({ channelId, name, private: !!key, joinedAt }));
+    }
+
+    /**
+     * Retrouve un canal abonné par nom ou début d'identifiant
+     * @throws {Error} canal non abonné ou nom ambigu (public et privé de même nom)
+     */
+    resolve(ref) {
+        const channels = getChannels();
+        const name = String(ref || '').trim().replace(/^#/, '').toLowerCase();
+        let matches = channels.filter(c => c.name === name);
+        if (matches.length === 0) matches = channels.filter(c => name && c.channelId.startsWith(name));
+        if (matches.length === 0) throw new Error(`Canal non abonné: ${ref}`);
+        if (matches.length > 1) throw new Error(`Plusieurs canaux "${name}" (public et privé) : précisez l'identifiant`);
+        return matches[0];
+    }
+
+    /**
+     * S'abonne à un canal public (par nom) ou privé (par jeton), puis rattrape son historique
+     */
+    join(nameOrToken) {
+        const { name, key } = String(nameOrToken || '').includes(':')
+            ? parseChannelToken(nameOrToken)
+            : { name: normalizeChannelName(nameOrToken), key: null };
+        return this._subscribe(name, key);
+    }
+
+    /**
+     * Crée un canal privé (clé aléatoire) et s'y abonne
+     * @returns {{ channelId: string, name: string, token: string }}
+     */
+    create(name) {
+        const key = generateChannelKey();
+        const channel = this._subscribe(normalizeChannelName(name), key);
+        return { ...channel, token: exportChannelToken(channel.name, key) };
+    }
+
+    /**
+     * Jeton d'un canal privé (à partager hors bande)
+     */
+    export(ref) {
+        const channel = this.resolve(ref);
+        if (!channel.key) throw new Error(`#${channel.name} est public : il suffit de son nom`);
+        return exportChannelToken(channel.name, channel.key);
+    }
+
+    /**
+     * Se désabonne (le nœud continue de relayer les publications du canal)
+     */
+    leave(ref) {
+        const channel = this.resolve(ref);
+        removeChannel(channel.channelId);
+        console.log(`[CHANNEL] 👋 Désabonné de #${channel.name}`);
+        return channel;
+    }
+
+    /**
+     * Historique d'un canal
+     */
+    history(ref, limit = 50) {
+        return getChannelHistory(this.resolve(ref).channelId, { limit });
+    }
+
+    /**
+     * Publie dans un canal : signée, stockée puis propagée à tous les pairs actifs
+     * @returns {{ postId: string, peers: number }}
+     */
+    async publish(ref, message) {
+        const channel = this.resolve(ref);
+        if (!message || message.length > CHANNEL_MAX_POST_LENGTH) {
+            throw new Error(`Publication vide ou trop longue (${CHANNEL_MAX_POST_LENGTH} caractères max)`);
+        }
+        const post = createChannelPost(this.identity, channel, message);
+        this.tcpServer.replays.check(post.author, post.postId, post.timestamp, CHANNEL_MAX_AGE_MS);
+        this._store(channel, post, 'MOI', message);
+
+        const peers = await this._gossip(post, 1);
+        console.log(`[CHANNEL] 📢 Publication dans #${channel.name} envoyée à ${peers} pair(s)`);
+        return { postId: post.postId, peers };
+    }
+
+    /* ── Paquet CHANNEL reçu ─────────────────────────────────────────── */
+    async onPacket({ from, data }) {
+        switch (data?.kind) {
+            case 'post': return this._onPost(from, data);
+            case 'sync': return this._onSync(from, data);
+            case 'history': return this._onHistory(from, data);
+        }
+    }
+
+    /* ── Publication propagée : vérifiée, stockée si abonné, relayée ─── */
+    async _onPost(from, { post, hops }) {
+        if (!this.peerRate.take(from)) {
+            this.tcpServer.drops.record(from, DropReason.RATE_LIMITED);
+            return;
+        }
+        if (post && isOversizedChannelPost(post)) {
+            this.tcpServer.drops.record(from, DropReason.OVERSIZED);
+            console.warn(`[CHANNEL] 🚫 Publication trop longue reçue de ${from.slice(0, 12)}…`);
+            return;
+        }
+        if (!isValidChannelPost(post)) {
+            this.tcpServer.drops.record(from, DropReason.BAD_SIGNATURE);
+            console.warn(`[CHANNEL] 🚫 Publication invalide reçue de ${from.slice(0, 12)}…`);
+            return;
+        }
+        // Cache des publications vues : un doublon s'arrête ici, une publication trop ancienne aussi
+        const seen = this.tcpServer.replays.check(post.author, post.postId, post.timestamp, CHANNEL_MAX_AGE_MS);
+        if (seen === DropReason.STALE) this.tcpServer.drops.record(from, DropReason.STALE);
+        if (seen) return;
+        // Après le cache : les doublons reçus de plusieurs voisins ne consomment pas de jeton
+        if (!this.authorRate.take(post.author)) {
+            this.tcpServer.drops.record(from, DropReason.RATE_LIMITED);
+            console.warn(`[CHANNEL] 🚫 Auteur ${post.author.slice(0, 12)}… trop bavard — publication ni stockée ni relayée`);
+            return;
+        }
+
+        const channel = getChannels().find(c => c.channelId === post.channelId);
+        if (channel) this._accept(channel, post);
+
+        const nextHops = (Number.isInteger(hops) && hops > 0 ? hops : 1) + 1;
+        if (nextHops <= CHANNEL_MAX_HOPS) await this._gossip(post, nextHops, [from, post.author]);
+    }
+
+    /* ── Demande de rattrapage d'un voisin ───────────────────────────── */
+    async _onSync(from, { channelId, since }) {
+        if (!getChannels().some(c => c.channelId === channelId)) return;
+        const posts = getChannelHistory(channelId, { since: Number(since) || 0, limit: SYNC_MAX_POSTS })
+            .map(row => row.raw && JSON.parse(row.raw))
+            .filter(Boolean);
+        if (posts.length === 0) return;
+        await this._send(from, { kind: 'history', channelId, posts, timestamp: Date.now() });
+    }
+
+    /* ── Historique rattrapé : chaque publication est vérifiée ───────── */
+    _onHistory(from, { channelId, posts }) {
+        const channel = getChannels().find(c => c.channelId === channelId);
+        if (!channel || !Array.isArray(posts)) return;
+
+        let added = 0;
+        for (const post of posts.slice(0, SYNC_MAX_POSTS)) {
+            if (post?.channelId !== channelId) continue;
+            if (isOversizedChannelPost(post)) {
+                this.tcpServer.drops.record(from, DropReason.OVERSIZED);
+                continue;
+            }
+            if (!isValidChannelPost(post)) {
+                this.tcpServer.drops.record(from, DropReason.BAD_SIGNATURE);
+                continue;
+            }
+            if (this._accept(channel, post)) added++;
+        }
+        if (added) console.log(`[CHANNEL] 📥 #${channel.name} : ${added} publication(s) rattrapée(s) auprès de ${from.slice(0, 12)}…`);
+    }
+
+    /**
+     * Publication d'un canal abonné : lue, stockée (une seule fois) et signalée
+     * @returns {boolean} true si elle est nouvelle
+     */
+    _accept(channel, post) {
+        if (getMessage(`channel:${channel.channelId}`, post.postId)) return false;
+        const text = readChannelPost(post, channel);
+        if (text === null) {
+            console.warn(`[CHANNEL] 🚨 Publication illisible dans #${channel.name} — ignorée`);
+            return false;
+        }
+        const from = post.author === this.identity.nodeId ? 'MOI' : post.author;
+        this._store(channel, post, from, text);
+        if (from !== 'MOI') console.log(`[CHANNEL] 📨 #${channel.name} ${post.author.slice(0, 12)}…: ${text}`);
+        return true;
+    }
+
+    _store(channel, post, from, text) {
+        saveMessage(`channel:${channel.channelId}`, from, text, !!channel.key, from === 'MOI' ? null : SignatureStatus.VALID, {
+            msgId: post.postId,
+            timestamp: post.timestamp,
+            raw: JSON.stringify(post),
+        });
+        this.emit('post', { channelId: channel.channelId, name: channel.name, from, message: text, postId: post.postId, timestamp: post.timestamp });
+    }
+
+    _subscribe(name, key) {
+        const id = deriveChannelId(name, key);
+        if (!getChannels().some(c => c.channelId === id)) saveChannel(id, name, key);
+        const channel = getChannels().find(c => c.channelId === id);
+        console.log(`[CHANNEL] ✅ Abonné à #${name}${key ? ' (privé)' : ''}`);
+
+        for (const peer of peerTable.getActivePeers()) this._requestSync(peer.nodeId, channel);
+        return { channelId: id, name, private: !!key };
+    }
+
+    /* ── Demande à un voisin les publications postérieures à la plus récente connue ── */
+    _requestSync(nodeId, channel) {
+        const latest = getChannelHistory(channel.channelId, { limit: 1 })[0]?.timestamp;
+        const since = latest || Date.now() - SYNC_WINDOW_MS;
+        this._send(nodeId, { kind: 'sync', channelId: channel.channelId, since, timestamp: Date.now() })
+            .catch(err => console.warn(`[CHANNEL] ⚠️ Rattrapage de #${channel.name} non demandé à ${nodeId.slice(0, 12)}… (${err.message})`));
+    }
+
+    /**
+     * Envoie une publication à tous les pairs actifs, sauf `except`, en parallèle
+     * (un pair lent ou injoignable ne retarde pas les autres)
+     * @returns {Promise<number>} Nombre de pairs atteints
+     */
+    async _gossip(post, hops, except = []) {
+        const peers = peerTable.getActivePeers().filter(peer => !except.includes(peer.nodeId));
+        const results = await Promise.allSettled(peers.map(peer => this._send(peer.nodeId, { kind: 'post', post, hops })));
+        results.forEach(({ status, reason }, i) => {
+            if (status === 'rejected') {
+                console.warn(`[CHANNEL] ⚠️ Publication non transmise à ${peers[i].nodeId.slice(0, 12)}… (${reason.message})`);
+            }
+        });
+        return results.filter(r => r.status === 'fulfilled').length;
+    }
+
+    _send(nodeId, payload) {
+        return this.tcpServer.sendPacket(nodeId, PacketType.CHANNEL, payload, this.tcpServer.networkKeyFor(nodeId));
+    }
+}
@@ -0,0 +1,389 @@
+/**
+ * ARCHIPEL — Conversations de groupe (paquet GROUP, 0x0B)
+ *
+ * Un groupe a un créateur, seul habilité à changer sa composition. Son état est signé par le créateur :
+ *   { groupId, name, creator, creatorSigningPub, members: [nodeId…], epoch, timestamp, signature }
+ * À chaque changement de membres (invitation, exclusion, départ), l'époque augmente et une nouvelle
+ * clé de groupe (AES-256-GCM) est tirée puis distribuée à chaque membre sur sa session E2E :
+ * un membre exclu ne peut pas lire les messages suivants.
+ *
+ * Paquets GROUP :
+ *   state   { kind, state, key: { ciphertext, nonce }, timestamp }  créateur → membre (clé chiffrée par la session)
+ *   message { kind, groupId, epoch, msgId, nodeId, timestamp, ciphertext, nonce, signature }
+ *           chiffré une fois avec la clé de groupe, signé par l'émetteur, envoyé à chaque membre ;
+ *           un membre injoignable le reçoit par enveloppe RELAY scellée (groupId dans le contenu)
+ *   leave   { kind, groupId, nodeId, timestamp, signature }  membre → créateur
+ *
+ * Un membre hors ligne pendant une rotation reçoit l'état et la clé courants à son retour (HELLO).
+ * Événements : 'message' ({ groupId, name, from, message, msgId, timestamp }), 'updated' (groupe)
+ */
+
+import { EventEmitter } from 'events';
+import { createHash, randomBytes } from 'crypto';
+import { encryptMessage, decryptMessage } from '../crypto/encryption.js';
+import { signGroup, verifyGroup, signGroupMessage, verifyGroupMessage, SignatureStatus } from '../crypto/signing.js';
+import { PacketType, DropReason } from '../crypto/packet.js';
+import { sealRelayEnvelope } from '../crypto/relay-envelope.js';
+import { getVerificationKeys } from '../crypto/wot.js';
+import { peerTable } from '../network/peer-table.js';
+import {
+    saveGroup, getGroup, getGroups, setGroupStatus, saveGroupMessage, getGroupHistory,
+} from '../database/db.js';
+
+export const GroupStatus = Object.freeze({
+    ACTIVE: 'active',
+    LEFT: 'left',
+    REMOVED: 'removed',
+});
+
+export class GroupManager extends EventEmitter {
+    /**
+     * @param {Messenger} messenger - Identité, transport et sessions E2E
+     */
+    constructor(messenger) {
+        super();
+        this.messenger = messenger;
+        this.identity = messenger.identity;
+        this.tcpServer = messenger.tcpServer;
+
+        this.tcpServer.onGroupPacket = packet => this.onPacket(packet);
+        peerTable.on('seen', (peer, isNew) => {
+            if (isNew) this._resync(peer.nodeId);
+        });
+    }
+
+    /**
+     * Groupes connus (actifs et quittés)
+     */
+    list() {
+        return getGroups();
+    }
+
+    /**
+     * Retrouve un groupe par nom ou par début d'identifiant
+     * @throws {Error} groupe inconnu ou nom ambigu
+     */
+    resolve(ref) {
+        const groups = getGroups();
+        const matches = groups.filter(g => g.name === ref);
+        if (matches.length === 0) matches.push(...groups.filter(g => ref && g.groupId.startsWith(ref)));
+        if (matches.length === 0) throw new Error(`Groupe inconnu: ${ref}`);
+        if (matches.length > 1) throw new Error(`Plusieurs groupes correspondent à "${ref}" : précisez l'identifiant`);
+        return matches[0];
+    }
+
+    /**
+     * Historique d'un groupe
+     */
+    history(ref, limit = 50) {
+        return getGroupHistory(this.resolve(ref).groupId, limit);
+    }
+
+    /**
+     * Crée un groupe dont le nœud local est le créateur
+     * @param {string[]} [members] - NODE_ID des premiers membres invités
+     */
+    async create(name, members = []) {
+        if (!name) throw new Error('Nom de groupe requis');
+        const state = this._signState({
+            groupId: randomBytes(16).toString('hex'),
+            name,
+            members: [...new Set([this.identity.nodeId, ...members])],
+            epoch: 1,
+        });
+        const key = randomBytes(32).toString('hex');
+        saveGroup(state, GroupStatus.ACTIVE, key);
+        console.log(`[GROUP] 👥 Groupe "${name}" créé (${state.members.length} membre(s))`);
+
+        await this._distribute(state, key);
+        this.emit('updated', getGroup(state.groupId));
+        return getGroup(state.groupId);
+    }
+
+    /**
+     * Invite un pair (créateur uniquement) : nouvelle époque, nouvelle clé
+     */
+    async invite(ref, nodeId) {
+        const group = this._managed(ref);
+        if (group.state.members.includes(nodeId)) throw new Error(`${nodeId.slice(0, 12)}… est déjà membre de "${group.name}"`);
+        return this._rotate(group, [...group.state.members, nodeId]);
+    }
+
+    /**
+     * Exclut un membre (créateur uniquement) : il ne reçoit plus la clé des époques suivantes
+     */
+    async kick(ref, nodeId) {
+        const group = this._managed(ref);
+        if (nodeId === this.identity.nodeId) throw new Error('Le créateur quitte le groupe avec "leave"');
+        if (!group.state.members.includes(nodeId)) throw new Error(`${nodeId.slice(0, 12)}… n'est pas membre de "${group.name}"`);
+        return this._rotate(group, group.state.members.filter(m => m !== nodeId), [nodeId]);
+    }
+
+    /**
+     * Quitte un groupe. Le départ du créateur dissout le groupe (état sans membres).
+     */
+    async leave(ref) {
+        const group = this._active(ref);
+        if (group.creator === this.identity.nodeId) {
+            await this._rotate(group, [], group.state.members);
+            console.log(`[GROUP] 👋 Groupe "${group.name}" dissous`);
+            return getGroup(group.groupId);
+        }
+
+        setGroupStatus(group.groupId, GroupStatus.LEFT);
+        await this._sendLeave(group).catch(err => {
+            console.warn(`[GROUP] ⚠️ Départ non transmis au créateur (${err.message}) — renvoyé à son retour`);
+        });
+        console.log(`[GROUP] 👋 Groupe "${group.name}" quitté`);
+        this.emit('updated', getGroup(group.groupId));
+        return getGroup(group.groupId);
+    }
+
+    /**
+     * Envoie un message au groupe : chiffré une fois avec la clé de groupe, envoyé à chaque membre ;
+     * les membres injoignables le reçoivent par relais
+     * @returns {Promise<{ msgId: string, results: { nodeId: string, relayed: boolean, error?: string }[] }>}
+     */
+    async send(ref, message) {
+        const group = this._active(ref);
+        const key = group.keys[group.epoch];
+        if (!key) throw new Error(`Clé de "${group.name}" (époque ${group.epoch}) pas encore reçue`);
+
+        const msgId = randomBytes(16).toString('hex');
+        const timestamp = Date.now();
+        const { ciphertext, nonce } = encryptMessage(message, key);
+        const payload = signGroupMessage({
+            kind: 'message',
+            groupId: group.groupId,
+            epoch: group.epoch,
+            msgId,
+            nodeId: this.identity.nodeId,
+            timestamp,
+            ciphertext,
+            nonce,
+        }, this.identity.signing.privateKey);
+        saveGroupMessage(group.groupId, msgId, 'MOI', message, timestamp);
+
+        const results = [];
+        for (const member of group.state.members) {
+            if (member === this.identity.nodeId) continue;
+            try {
+                await this.tcpServer.sendPacket(member, PacketType.GROUP, payload, this.tcpServer.networkKeyFor(member));
+                results.push({ nodeId: member, relayed: false });
+            } catch (err) {
+                try {
+                    this._relay(member, group, message, msgId);
+                    results.push({ nodeId: member, relayed: true });
+                } catch (relayErr) {
+                    console.warn(`[GROUP] ❌ ${relayErr.message}`);
+                    results.push({ nodeId: member, relayed: false, error: relayErr.message });
+                }
+            }
+        }
+
+        this.emit('message', { groupId: group.groupId, name: group.name, from: 'MOI', message, msgId, timestamp });
+        return { msgId, results };
+    }
+
+    /* ── Paquet GROUP reçu (ou message de groupe arrivé par relais) ──── */
+    onPacket({ from, data, sessionKey = null, relayed = false }) {
+        if (!data) return;
+        switch (data.kind) {
+            case 'state': return this._onState(from, data, sessionKey);
+            case 'message': return this._onMessage(from, data, relayed);
+            case 'leave': return this._onLeave(from, data);
+        }
+    }
+
+    /* ── Nouvel état signé par le créateur (et clé de la nouvelle époque) ── */
+    _onState(from, data, sessionKey) {
+        const { state } = data;
+        if (typeof state?.groupId !== 'string' || !Array.isArray(state.members) || !Number.isInteger(state.epoch)) return;
+
+        // Seul le créateur distribue l'état, signé avec la clé dont dérive son NODE_ID
+        const derivedId = createHash('sha256').update(Buffer.from(state.creatorSigningPub || '', 'hex')).digest('hex');
+        if (from !== state.creator || derivedId !== state.creator
+            || verifyGroup(state, state.creatorSigningPub) !== SignatureStatus.VALID) {
+            this._reject(from, DropReason.BAD_SIGNATURE, 'état de groupe');
+            return;
+        }
+
+        const known = getGroup(state.groupId);
+        if (known && known.creator !== state.creator) return;
+        // Ancienne époque (rejeu) : ignorée ; même époque : seule la clé manquante est complétée
+        if (known && (state.epoch < known.epoch || state.epoch === known.epoch && known.keys[state.epoch])) return;
+
+        if (!state.members.includes(this.identity.nodeId)) {
+            if (!known) return;
+            saveGroup(state, known.status === GroupStatus.ACTIVE ? GroupStatus.REMOVED : known.status);
+            console.log(`[GROUP] 🚪 Retiré du groupe "${state.name}" (${state.members.length ? 'exclu' : 'groupe dissous'})`);
+            this.emit('updated', getGroup(state.groupId));
+            return;
+        }
+
+        // Départ pas encore pris en compte par le créateur : on le lui rappelle
+        if (known?.status === GroupStatus.LEFT) {
+            saveGroup(state, GroupStatus.LEFT);
+            this._sendLeave(known).catch(err => console.warn(`[GROUP] ⚠️ Départ non transmis au créateur (${err.message})`));
+            return;
+        }
+
+        // La clé n'est acceptée que chiffrée par la session E2E avec le créateur
+        const key = data.key && sessionKey ? decryptMessage(data.key.ciphertext, data.key.nonce, sessionKey) : null;
+        if (!key) console.warn(`[GROUP] ⚠️ Clé du groupe "${state.name}" absente ou indéchiffrable (époque ${state.epoch})`);
+        saveGroup(state, GroupStatus.ACTIVE, key);
+        console.log(`[GROUP] 👥 Groupe "${state.name}" : ${state.members.length} membre(s), époque ${state.epoch}`);
+        this.emit('updated', getGroup(state.groupId));
+    }
+
+    /* ── Message d'un membre ─────────────────────────────────────────── */
+    _onMessage(from, data, relayed) {
+        const group = getGroup(data.groupId);
+        if (!group || group.status !== GroupStatus.ACTIVE || typeof data.msgId !== 'string') return;
+        if (!group.state.members.includes(from)) {
+            console.warn(`[GROUP] 🚫 Message de ${from.slice(0, 12)}… ignoré : pas membre de "${group.name}"`);
+            return;
+        }
+
+        let text;
+        if (relayed) {
+            // Enveloppe RELAY : déjà ouverte et signature de l'expéditeur vérifiée
+            text = data.content;
+        } else {
+            const status = data.nodeId !== from
+                ? SignatureStatus.FORGED
+                : verifyGroupMessage(data, this.tcpServer._signingKeyOf(from));
+            if (status !== SignatureStatus.VALID) {
+                this._reject(from, status === SignatureStatus.UNSIGNED ? DropReason.UNSIGNED : DropReason.BAD_SIGNATURE, 'message de groupe');
+                return;
+            }
+            const key = group.keys[data.epoch];
+            text = key ? decryptMessage(data.ciphertext, data.nonce, key) : null;
+            if (text === null) {
+                console.warn(`[GROUP] 🚨 Message de "${group.name}" indéchiffrable (époque ${data.epoch}) — ignoré`);
+                return;
+            }
+        }
+
+        const timestamp = data.timestamp || Date.now();
+        if (!saveGroupMessage(group.groupId, data.msgId, from, text, timestamp)) return;
+        console.log(`[GROUP] 📨 [${group.name}] ${from.slice(0, 12)}…: ${text}`);
+        this.emit('message', { groupId: group.groupId, name: group.name, from, message: text, msgId: data.msgId, timestamp });
+    }
+
+    /* ── Départ signé d'un membre (reçu par le créateur) ─────────────── */
+    async _onLeave(from, data) {
+        const group = getGroup(data.groupId);
+        if (!group || group.creator !== this.identity.nodeId || group.status !== GroupStatus.ACTIVE) return;
+        if (data.nodeId !== from || verifyGroup(data, this.tcpServer._signingKeyOf(from)) !== SignatureStatus.VALID) {
+            this._reject(from, DropReason.BAD_SIGNATURE, 'départ de groupe');
+            return;
+        }
+        if (!group.state.members.includes(from)) return;
+
+        console.log(`[GROUP] 👋 ${from.slice(0, 12)}… a quitté "${group.name}"`);
+        await this._rotate(group, group.state.members.filter(m => m !== from));
+    }
+
+    /**
+     * Pair de retour : le créateur lui renvoie l'état et la clé courants (rotation manquée),
+     * un membre parti renvoie son départ au créateur qui ne l'a pas reçu
+     */
+    _resync(nodeId) {
+        for (const group of getGroups()) {
+            const listed = group.state.members.includes(nodeId);
+            let pending = null;
+            if (group.creator === this.identity.nodeId && group.status === GroupStatus.ACTIVE && listed) {
+                pending = this._sendState(nodeId, group.state, group.keys[group.epoch]);
+            } else if (group.creator === nodeId && group.status === GroupStatus.LEFT && group.state.members.includes(this.identity.nodeId)) {
+                pending = this._sendLeave(group);
+            }
+            pending?.catch(err => console.warn(`[GROUP] ⚠️ Groupe "${group.name}" non synchronisé avec ${nodeId.slice(0, 12)}… (${err.message})`));
+        }
+    }
+
+    /* ── Nouvelle composition : époque suivante, nouvelle clé, distribution ── */
+    async _rotate(group, members, removed = []) {
+        const state = this._signState({ groupId: group.groupId, name: group.name, members, epoch: group.epoch + 1 });
+        const key = members.length ? randomBytes(32).toString('hex') : null;
+        saveGroup(state, members.length ? GroupStatus.ACTIVE : GroupStatus.LEFT, key);
+        console.log(`[GROUP] 🔑 Groupe "${group.name}" : ${members.length} membre(s), nouvelle clé (époque ${state.epoch})`);
+
+        await this._distribute(state, key, removed);
+        this.emit('updated', getGroup(group.groupId));
+        return getGroup(group.groupId);
+    }
+
+    _signState({ groupId, name, members, epoch }) {
+        return signGroup({
+            groupId,
+            name,
+            creator: this.identity.nodeId,
+            creatorSigningPub: this.identity.signing.publicKey,
+            members,
+            epoch,
+            timestamp: Date.now(),
+        }, this.identity.signing.privateKey);
+    }
+
+    /**
+     * Envoie l'état à chaque membre (avec la clé) et aux membres retirés (sans la clé)
+     */
+    async _distribute(state, key, removed = []) {
+        const targets = [...state.members, ...removed].filter(nodeId => nodeId !== this.identity.nodeId);
+        for (const nodeId of targets) {
+            try {
+                await this._sendState(nodeId, state, state.members.includes(nodeId) ? key : null);
+            } catch (err) {
+                console.warn(`[GROUP] ⏳ ${nodeId.slice(0, 12)}… injoignable (${err.message}) — état transmis à son retour`);
+            }
+        }
+    }
+
+    /* ── État (et clé chiffrée par la session E2E) vers un pair ──────── */
+    async _sendState(nodeId, state, key) {
+        const session = await this.messenger._ensureSession(nodeId);
+        if (!session) throw new Error('session E2E impossible');
+        const payload = { kind: 'state', state, timestamp: Date.now() };
+        if (key) payload.key = encryptMessage(key, session.send.encKey);
+        await this.tcpServer.sendPacket(nodeId, PacketType.GROUP, payload, session.send.macKey);
+    }
+
+    _sendLeave(group) {
+        const payload = signGroup({
+            kind: 'leave',
+            groupId: group.groupId,
+            nodeId: this.identity.nodeId,
+            timestamp: Date.now(),
+        }, this.identity.signing.privateKey);
+        return this.tcpServer.sendPacket(group.creator, PacketType.GROUP, payload, this.tcpServer.networkKeyFor(group.creator));
+    }
+
+    /* ── Membre injoignable : message scellé pour lui et confié au relais ── */
+    _relay(nodeId, group, message, msgId) {
+        const targetDhPub = peerTable.get(nodeId)?.dhPublicKey || getVerificationKeys(nodeId)?.dhPub;
+        if (!targetDhPub) {
+            throw new Error(`Clé publique de ${nodeId.slice(0, 12)}… inconnue — message de groupe NON relayé`);
+        }
+        const envelope = sealRelayEnvelope(this.identity, nodeId, targetDhPub, message, { msgId, groupId: group.groupId });
+        this.tcpServer.router.originate(envelope);
+        console.log(`[GROUP] 📥 Message de "${group.name}" mis en relais pour ${nodeId.slice(0, 12)}…`);
+    }
+
+    _active(ref) {
+        const group = this.resolve(ref);
+        if (group.status !== GroupStatus.ACTIVE) throw new Error(`Vous n'êtes plus membre de "${group.name}"`);
+        return group;
+    }
+
+    _managed(ref) {
+        const group = this._active(ref);
+        if (group.creator !== this.identity.nodeId) throw new Error(`Seul le créateur gère les membres de "${group.name}"`);
+        return group;
+    }
+
+    _reject(from, reason, what) {
+        this.tcpServer.drops.record(from, reason);
+        console.warn(`[GROUP] 🚫 ${what} rejeté (${reason}) de ${from.slice(0, 12)}…`);
+    }
+}
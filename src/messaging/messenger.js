@@ -1,18 +1,65 @@
 /**
  * ARCHIPEL — Messenger complet (Sprint 2)
  * Chat chiffré E2E avec handshake automatique
+ *
+ * Suivi de remise : chaque message porte un identifiant (msgId) et un statut
+ *   queued → sent → relayed → delivered → read
+ * - direct : "sent" une fois écrit, "delivered" à l'ACK signé du destinataire ; sans ACK, le message
+ *   est renvoyé (même msgId, dédoublonné à l'arrivée) puis confié au relais
+ * - relais : "queued" en file, "relayed" dès qu'une copie est confiée à un pair, "delivered" à
+ *   l'accusé de remise de l'enveloppe
+ * - "read" : accusé de lecture, envoyé seulement par les nœuds lancés avec ARCHIPEL_READ_RECEIPTS=1
+ * Un message non remis en direct est aussi gardé dans la boîte d'envoi (outbox.js) et renvoyé
+ * en direct dès que le pair réapparaît, jusqu'à son accusé ou son expiration.
+ * Événement 'status' ({ msgId, peerId, status }) à chaque changement.
  */
 
-import { encryptMessage, deriveSessionKey, signData } from '../crypto/encryption.js';
-import { buildPacket, PacketType, PUBLIC_HMAC_KEY } from '../crypto/packet.js';
-import { initiateHandshake, finalizeHandshake } from '../crypto/handshake.js';
+import { EventEmitter } from 'events';
+import { randomBytes } from 'crypto';
+import { encryptMessage } from '../crypto/encryption.js';
+import { signMessage, SignatureStatus } from '../crypto/signing.js';
+import { PacketType, AckStatus } from '../crypto/packet.js';
+import { HandshakeError } from '../crypto/handshake.js';
 import { peerTable } from '../network/peer-table.js';
-import { saveMessage, getHistory as getDbHistory, queueRelayMessage } from '../database/db.js';
+import { sealRelayEnvelope, envelopeId } from '../crypto/relay-envelope.js';
+import { getVerificationKeys } from '../crypto/wot.js';
+import { Outbox } from './outbox.js';
+import { GroupManager } from './groups.js';
+import { ChannelManager } from './channels.js';
+import {
+    saveMessage, getHistory as getDbHistory, getMessage, getMessageByEnvelope, updateMessageStatus,
+} from '../database/db.js';
 
-export class Messenger {
+export const MessageStatus = Object.freeze({
+    QUEUED: 'queued',
+    SENT: 'sent',
+    RELAYED: 'relayed',
+    DELIVERED: 'delivered',
+    READ: 'read',
+});
+
+// Un statut ne recule jamais (un ACK en retard ne fait pas repasser un message lu à "délivré")
+const STATUS_RANK = { queued: 0, sent: 1, relayed: 2, delivered: 3, read: 4 };
+
+// Attente de l'ACK d'un message direct (ARCHIPEL_ACK_TIMEOUT_SECONDS) et renvois avant le relais
+export const ACK_TIMEOUT_MS = (Number(process.env.ARCHIPEL_ACK_TIMEOUT_SECONDS) || 10) * 1000;
+const ACK_RETRIES = 2;
+// Accusés de lecture envoyés aux expéditeurs (opt-in)
+export const READ_RECEIPTS = process.env.ARCHIPEL_READ_RECEIPTS === '1';
+
+export class Messenger extends EventEmitter {
     constructor(identity, tcpServer) {
+        super();
         this.identity = identity;
         this.tcpServer = tcpServer;
+        /** @type {Map<string, NodeJS.Timeout>} msgId -> attente de l'ACK */
+        this.pendingAcks = new Map();
+        /** Messages directs en attente d'un pair injoignable */
+        this.outbox = new Outbox(this);
+        /** Conversations de groupe (clés de groupe, membres, historique par groupe) */
+        this.groups = new GroupManager(this);
+        /** Canaux publics ou privés propagés de proche en proche (alertes) */
+        this.channels = new ChannelManager(this);
 
         // Charger l'historique initial
         const rawHistory = getDbHistory() || [];
@@ -21,80 +68,161 @@ export class Messenger {
             to: m.sender === 'MOI' ? m.peer_id : 'MOI',
             message: m.content,
             encrypted: !!m.encrypted,
+            signatureStatus: m.signature_status,
+            msgId: m.msg_id,
+            status: m.status,
             timestamp: m.timestamp
         }));
 
-        this._pendingHandshakes = new Map();
+        // Accusés directs (ACK) et progression des enveloppes relayées
+        tcpServer.onAck = ack => this._onAck(ack);
+        tcpServer.router.on('forwarded', id => this._onRelayProgress(id, MessageStatus.RELAYED));
+        tcpServer.router.on('delivered', receipt => this._onRelayProgress(receipt.envelopeId, MessageStatus.DELIVERED));
     }
 
     /* ── Envoie un message à un pair ────────────────────────────────── */
     async send(nodeId, message) {
+        const msgId = randomBytes(16).toString('hex');
+
+        // 1. Session E2E : réutilisée si elle existe, sinon handshake
+        let session;
         try {
-            const hmacKey = PUBLIC_HMAC_KEY;
-            const payload = JSON.stringify({ ciphertext: message, nonce: null, timestamp: Date.now() });
-            
-            // Signature Ed25519 pour prouver l'identité
-            const signature = signData(message, this.identity.signing.privateKey);
-            const signedPayload = JSON.parse(payload);
-            signedPayload.signature = signature;
-            signedPayload.nodeId = this.identity.nodeId; // Ajout explicite de l'ID émetteur
+            session = await this._ensureSession(nodeId);
+        } catch (err) {
+            // Échec d'authentification : jamais de repli (ni relais, ni clair)
+            if (err instanceof HandshakeError) throw err;
+            console.warn(`[MSG] ❌ Pair ${nodeId.slice(0, 12)}… injoignable (${err.message}). Passage en mode RELAIS.`);
+            return this._defer(nodeId, message, msgId, err.message);
+        }
 
-            const finalPacket = buildPacket(PacketType.MSG, this.identity.nodeId, JSON.stringify(signedPayload), hmacKey);
-            await this.tcpServer.sendTo(nodeId, finalPacket);
+        // Pas de session = pas d'envoi : on ne retombe JAMAIS en clair silencieusement
+        if (!session) {
+            throw new Error(`Session E2E impossible avec ${nodeId.slice(0, 12)}… — message NON envoyé`);
+        }
 
-            this._addToHistory({ from: 'MOI', to: nodeId, message, encrypted: false });
-            return { encrypted: false, relayed: false };
+        // 2. Chiffrement, signature et envoi ; l'ACK du destinataire est attendu en arrière-plan
+        try {
+            await this._transmit(nodeId, message, msgId, session);
         } catch (err) {
             console.warn(`[MSG] ❌ Échec envoi direct vers ${nodeId.slice(0, 12)}… (${err.message}). Passage en mode RELAIS.`);
-            return this.sendRelay(nodeId, message);
+            return this._defer(nodeId, message, msgId, err.message);
         }
+
+        this._addToHistory({ from: 'MOI', to: nodeId, message, encrypted: true, msgId, status: MessageStatus.SENT });
+        this._awaitAck(nodeId, message, msgId);
+        return { encrypted: true, relayed: false, msgId, status: MessageStatus.SENT };
+    }
+
+    /* ── Chiffrement AES-256-GCM + signature Ed25519 (chiffré, émetteur, msgId, horodatage) ── */
+    async _transmit(nodeId, message, msgId, session) {
+        // Clé de chiffrement pour le contenu, clé HMAC (distincte) pour la trame
+        const { ciphertext, nonce } = encryptMessage(message, session.send.encKey);
+        const payload = JSON.stringify(signMessage({
+            ciphertext,
+            nonce,
+            nodeId: this.identity.nodeId,
+            msgId,
+            timestamp: Date.now(),
+        }, this.identity.signing.privateKey));
+        // Version de trame négociée avec ce pair (v2 si les deux la parlent)
+        await this.tcpServer.sendPacket(nodeId, PacketType.MSG, payload, session.send.macKey);
     }
 
     /**
-     * Prépare un message pour être relayé par le prochain pair rencontré
+     * Attend l'accusé de réception d'un message direct ; sans réponse, le renvoie
+     * (ACK_RETRIES fois) puis le confie au relais et à la boîte d'envoi
      */
-    async sendRelay(nodeId, message) {
-        // Pour le relais, on n'a pas forcément de session active.
-        // On construit un message "enveloppé" que n'importe qui peut transporter.
-        const payload = JSON.stringify({
-            target: nodeId,
-            sender: this.identity.nodeId,
-            content: message, // Idéalement, on chiffrerait avec la clé publique du destinataire ici
-            timestamp: Date.now()
-        });
-
-        // On stocke dans notre propre file d'attente pour le donner aux autres
-        queueRelayMessage(nodeId, this.identity.nodeId, payload);
-
-        this._addToHistory({ from: 'MOI', to: nodeId, message: `(Relais) ${message}`, encrypted: false });
-        console.log(`[MSG] 📥 Message mis en file d'attente de RELAIS pour ${nodeId.slice(0, 12)}…`);
-        return { encrypted: false, relayed: true };
-    }
-
-    /* ── Handshake X25519 avec un pair ──────────────────────────────── */
-    async _doHandshake(nodeId) {
-        const { message, ephemeralPriv, ephemeralPub } = initiateHandshake(this.identity);
-        this._pendingHandshakes.set(nodeId, { ephemeralPriv, ephemeralPub });
-        await this.tcpServer.sendTo(nodeId, message);
-
-        // Attend la réponse (polling)
-        return new Promise((resolve) => {
-            const check = setInterval(() => {
-                const resp = this.tcpServer._pendingHandshakeResp;
-                if (resp && resp.nodeId === nodeId) {
-                    this.tcpServer._pendingHandshakeResp = null;
-                    const pending = this._pendingHandshakes.get(nodeId);
-                    const sessionKey = finalizeHandshake(resp, pending.ephemeralPriv, this.identity);
-                    peerTable.setSessionKey(nodeId, sessionKey);
-                    this._pendingHandshakes.delete(nodeId);
-                    clearInterval(check);
-                    console.log(`[MSG] 🔑 Session E2E établie avec ${nodeId.slice(0, 12)}…`);
-                    resolve(sessionKey);
+    _awaitAck(nodeId, message, msgId, attempt = 0) {
+        const timer = setTimeout(async () => {
+            this.pendingAcks.delete(msgId);
+            if (attempt < ACK_RETRIES) {
+                try {
+                    await this._transmit(nodeId, message, msgId, await this._ensureSession(nodeId));
+                    console.log(`[MSG] 🔁 Pas d'ACK de ${nodeId.slice(0, 12)}… — message renvoyé (${attempt + 1}/${ACK_RETRIES})`);
+                    this._awaitAck(nodeId, message, msgId, attempt + 1);
+                    return;
+                } catch (err) {
+                    // Échec d'authentification : jamais de repli
+                    if (err instanceof HandshakeError) {
+                        console.warn(`[MSG] 🚨 Renvoi vers ${nodeId.slice(0, 12)}… impossible (${err.message})`);
+                        return;
+                    }
                 }
-            }, 100);
-            // Timeout 5s → fallback sans session
-            setTimeout(() => { clearInterval(check); resolve(null); }, 5000);
-        });
+            }
+            console.warn(`[MSG] ⏳ Message ${msgId.slice(0, 8)}… sans ACK de ${nodeId.slice(0, 12)}… — passage en mode RELAIS`);
+            this._defer(nodeId, message, msgId, 'pas d\'ACK').catch(err => console.warn(`[MSG] ❌ ${err.message}`));
+        }, ACK_TIMEOUT_MS);
+        timer.unref();
+        this.pendingAcks.set(msgId, timer);
+    }
+
+    /**
+     * Message non remis en direct : gardé dans la boîte d'envoi et, si la clé du destinataire
+     * est connue, confié au relais (le premier des deux chemins qui aboutit l'emporte)
+     */
+    async _defer(nodeId, message, msgId, reason) {
+        this.outbox.add(nodeId, message, msgId, reason);
+        try {
+            return await this.sendRelay(nodeId, message, msgId);
+        } catch (err) {
+            console.warn(`[MSG] ⚠️ ${err.message} — message gardé dans la boîte d'envoi`);
+            if (getMessage(nodeId, msgId)) {
+                this._setStatus(nodeId, msgId, MessageStatus.QUEUED, { force: true });
+            } else {
+                this._addToHistory({ from: 'MOI', to: nodeId, message, encrypted: true, msgId, status: MessageStatus.QUEUED });
+            }
+            return { encrypted: true, relayed: false, msgId, status: MessageStatus.QUEUED };
+        }
+    }
+
+    /**
+     * Renvoi direct d'un message de la boîte d'envoi (même msgId : dédoublonné à l'arrivée).
+     * Lève une erreur si le pair est toujours injoignable.
+     */
+    async resend(nodeId, message, msgId) {
+        const session = await this._ensureSession(nodeId);
+        if (!session) throw new Error(`Session E2E impossible avec ${nodeId.slice(0, 12)}…`);
+        await this._transmit(nodeId, message, msgId, session);
+        this._setStatus(nodeId, msgId, MessageStatus.SENT);
+    }
+
+    /**
+     * Retourne la session ({ send, recv } : clés de chiffrement et HMAC par sens) avec un pair, en lançant un handshake si besoin.
+     * Lève HandshakeError si l'authentification échoue, une autre erreur si le pair est injoignable
+     * ou ne répond pas après les relances.
+     */
+    async _ensureSession(nodeId) {
+        return this.tcpServer.handshakes.establish(nodeId);
+    }
+
+    /**
+     * Prépare un message pour être relayé de proche en proche jusqu'au destinataire.
+     * Pas besoin de session : l'enveloppe est scellée pour la clé X25519 statique du destinataire
+     * et signée par nous ; les relais ne voient que le destinataire et l'expiration.
+     */
+    async sendRelay(nodeId, message, msgId = randomBytes(16).toString('hex')) {
+        const targetDhPub = peerTable.get(nodeId)?.dhPublicKey || getVerificationKeys(nodeId)?.dhPub;
+        if (!targetDhPub) {
+            throw new Error(`Clé publique de ${nodeId.slice(0, 12)}… inconnue — message NON mis en relais`);
+        }
+        const envelope = sealRelayEnvelope(this.identity, nodeId, targetDhPub, message, { msgId });
+        const relayId = envelopeId(envelope);
+
+        // Message déjà envoyé en direct sans ACK : il change de voie, pas d'entrée d'historique en plus
+        if (getMessage(nodeId, msgId)) {
+            this._setStatus(nodeId, msgId, MessageStatus.QUEUED, { envelopeId: relayId, force: true });
+        } else {
+            this._addToHistory({
+                from: 'MOI', to: nodeId, message: `(Relais) ${message}`, encrypted: true,
+                msgId, status: MessageStatus.QUEUED, envelopeId: relayId,
+            });
+        }
+
+        // On stocke dans notre propre file d'attente et on en confie des copies aux pairs connectés
+        this.tcpServer.router.originate(envelope);
+
+        console.log(`[MSG] 📥 Message scellé mis en file d'attente de RELAIS pour ${nodeId.slice(0, 12)}…`);
+        return { encrypted: true, relayed: true, msgId, status: MessageStatus.QUEUED };
     }
 
     /* ── Envoie un message à TOUS les pairs (Broadcast) ───────────── */
@@ -114,7 +242,15 @@ export class Messenger {
 
     /* ── Message reçu ────────────────────────────────────────────────── */
     async receive(msgInfo) {
-        this._addToHistory({ from: msgInfo.from, to: 'MOI', message: msgInfo.message, encrypted: msgInfo.encrypted });
+        this._addToHistory({
+            from: msgInfo.from,
+            to: 'MOI',
+            message: msgInfo.message,
+            encrypted: msgInfo.encrypted,
+            signatureStatus: msgInfo.signatureStatus ?? SignatureStatus.UNSIGNED,
+            msgId: msgInfo.msgId ?? null,
+            status: msgInfo.msgId ? MessageStatus.DELIVERED : null,
+        });
 
         // 🧠 MISSION ORACLE : Partage d'IA P2P
         // Si je reçois une demande IA et que J'AI la connexion (Clé API présente), je deviens le cerveau du réseau.
@@ -137,12 +273,65 @@ export class Messenger {
         }
     }
 
+    /**
+     * Marque comme lus les messages reçus d'un pair (accusé de lecture si ARCHIPEL_READ_RECEIPTS=1)
+     * @returns {number} Nombre de messages nouvellement lus
+     */
+    markRead(nodeId) {
+        const unread = this.history.filter(m => m.from === nodeId && m.msgId && m.status === MessageStatus.DELIVERED);
+        for (const m of unread) this._setStatus(nodeId, m.msgId, MessageStatus.READ);
+
+        if (READ_RECEIPTS && unread.length) {
+            this.tcpServer.sendAck(nodeId, unread.map(m => m.msgId), AckStatus.READ)
+                .catch(err => console.warn(`[MSG] ⚠️ Accusé de lecture non transmis à ${nodeId.slice(0, 12)}… (${err.message})`));
+        }
+        return unread.length;
+    }
+
+    /* ── Accusé signé reçu : seuls nos propres messages à ce pair changent de statut ── */
+    _onAck({ from, msgIds, status }) {
+        if (!Object.values(AckStatus).includes(status)) return;
+        for (const msgId of msgIds) {
+            if (getMessage(from, msgId)?.sender !== 'MOI') continue;
+            clearTimeout(this.pendingAcks.get(msgId));
+            this.pendingAcks.delete(msgId);
+            this._setStatus(from, msgId, status);
+        }
+    }
+
+    /* ── Enveloppe relayée confiée à un pair, ou remise à son destinataire ── */
+    _onRelayProgress(id, status) {
+        const stored = getMessageByEnvelope(id);
+        if (stored?.sender === 'MOI') this._setStatus(stored.peer_id, stored.msg_id, status);
+    }
+
+    /**
+     * Change le statut d'un message (jamais en arrière, sauf `force`) et le signale
+     * @returns {boolean} true si le statut a changé
+     */
+    _setStatus(peerId, msgId, status, { envelopeId: relayId, force = false } = {}) {
+        const stored = getMessage(peerId, msgId);
+        if (!stored) return false;
+        if (!force && STATUS_RANK[stored.status] >= STATUS_RANK[status]) return false;
+
+        updateMessageStatus(peerId, msgId, status, relayId);
+        if (STATUS_RANK[status] >= STATUS_RANK[MessageStatus.DELIVERED]) this.outbox.remove(msgId);
+        const entry = this.history.find(m => m.msgId === msgId && (m.from === peerId || m.to === peerId));
+        if (entry) entry.status = status;
+        this.emit('status', { msgId, peerId, status });
+        return true;
+    }
+
     /* ── Historique ─────────────────────────────────────────────────── */
     _addToHistory(entry) {
         const timestamp = Date.now();
         const peerId = entry.from === 'MOI' ? entry.to : entry.from;
 
-        saveMessage(peerId, entry.from, entry.message, entry.encrypted);
+        saveMessage(peerId, entry.from, entry.message, entry.encrypted, entry.signatureStatus ?? null, {
+            msgId: entry.msgId,
+            status: entry.status,
+            envelopeId: entry.envelopeId,
+        });
 
         this.history.push({ ...entry, timestamp });
     }
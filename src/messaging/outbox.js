@@ -0,0 +1,117 @@
+/**
+ * ARCHIPEL — Boîte d'envoi persistante (messages directs en attente d'un pair injoignable)
+ *
+ * Un message qui n'a pas pu être remis en direct y reste jusqu'à son accusé de réception
+ * (ACK, ou accusé de remise de son enveloppe RELAY) ou son expiration (ARCHIPEL_OUTBOX_TTL_HOURS).
+ * Il est renvoyé en direct dès que le pair se manifeste (HELLO, découverte), avec un délai
+ * exponentiel entre deux tentatives : 5 s, 10 s, 20 s… plafonné à 10 min.
+ * Un pair qui réapparaît (absent de la table des pairs) est servi sans attendre ce délai.
+ */
+
+import { peerTable } from '../network/peer-table.js';
+import { addOutboxMessage, getOutbox, updateOutboxAttempt, removeOutboxMessage } from '../database/db.js';
+
+// Durée de garde d'un message dans la boîte d'envoi (ARCHIPEL_OUTBOX_TTL_HOURS)
+export const OUTBOX_TTL_MS = (Number(process.env.ARCHIPEL_OUTBOX_TTL_HOURS) || 24) * 3600_000;
+const RETRY_BASE_MS = 5_000;
+const RETRY_MAX_MS = 10 * 60_000;
+
+/**
+ * Délai avant la prochaine tentative, après `attempts` tentatives
+ */
+function retryDelay(attempts) {
+    return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}
+
+export class Outbox {
+    /**
+     * @param {Messenger} messenger - Renvoi direct (session E2E, MSG signé avec le même msgId)
+     */
+    constructor(messenger) {
+        this.messenger = messenger;
+        /** @type {Set<string>} pairs dont la boîte est en cours de vidage */
+        this.flushing = new Set();
+
+        peerTable.on('seen', (peer, isNew) => {
+            this.flush(peer.nodeId, { force: isNew }).catch(err => console.warn(`[OUTBOX] ⚠️ ${err.message}`));
+        });
+    }
+
+    /**
+     * Garde un message dont l'envoi direct vient d'échouer
+     * @param {string} [error] - Cause de l'échec
+     */
+    add(nodeId, message, msgId, error = null) {
+        const now = Date.now();
+        addOutboxMessage(nodeId, msgId, message, now + retryDelay(1), now + OUTBOX_TTL_MS, error);
+        console.log(`[OUTBOX] 📥 Message ${msgId.slice(0, 8)}… gardé pour ${nodeId.slice(0, 12)}… (renvoi à son retour)`);
+    }
+
+    /**
+     * Retire un message remis
+     */
+    remove(msgId) {
+        removeOutboxMessage(msgId);
+    }
+
+    /**
+     * Messages en attente (les expirés sont retirés au passage)
+     * @param {string} [nodeId]
+     */
+    list(nodeId = null) {
+        const now = Date.now();
+        return getOutbox(nodeId).filter(entry => {
+            if (entry.expiresAt > now) return true;
+            removeOutboxMessage(entry.msgId);
+            console.warn(`[OUTBOX] ⌛ Message ${entry.msgId.slice(0, 8)}… pour ${entry.peerId.slice(0, 12)}… expiré après ${entry.attempts} tentative(s)`);
+            return false;
+        });
+    }
+
+    /**
+     * Renvoie en direct les messages en attente pour un pair
+     * @param {Object} [opts] - { force } : ignore le délai entre deux tentatives
+     * @returns {Promise<number>} Nombre de messages renvoyés
+     */
+    async flush(nodeId, { force = false } = {}) {
+        if (this.flushing.has(nodeId)) return 0;
+        const now = Date.now();
+        const due = this.list(nodeId).filter(entry => force || entry.nextAttemptAt <= now);
+        if (due.length === 0) return 0;
+
+        this.flushing.add(nodeId);
+        let sent = 0;
+        try {
+            for (const entry of due) {
+                const attempts = entry.attempts + 1;
+                try {
+                    await this.messenger.resend(nodeId, entry.content, entry.msgId);
+                    // Gardé jusqu'à l'ACK : sans réponse, nouvelle tentative après le délai
+                    updateOutboxAttempt(entry.msgId, attempts, Date.now() + retryDelay(attempts));
+                    sent++;
+                } catch (err) {
+                    updateOutboxAttempt(entry.msgId, attempts, Date.now() + retryDelay(attempts), err.message);
+                    // Pair toujours injoignable : inutile d'essayer les messages suivants
+                    console.warn(`[OUTBOX] ⏳ ${nodeId.slice(0, 12)}… toujours injoignable (${err.message})`);
+                    break;
+                }
+            }
+        } finally {
+            this.flushing.delete(nodeId);
+        }
+
+        if (sent) console.log(`[OUTBOX] 📤 ${sent} message(s) renvoyé(s) à ${nodeId.slice(0, 12)}…`);
+        return sent;
+    }
+
+    /**
+     * Renvoie immédiatement tous les messages en attente (ou ceux d'un pair)
+     * @returns {Promise<number>} Nombre de messages renvoyés
+     */
+    async retry(nodeId = null) {
+        const peers = nodeId ? [nodeId] : [...new Set(this.list().map(entry => entry.peerId))];
+        let sent = 0;
+        for (const peer of peers) sent += await this.flush(peer, { force: true });
+        return sent;
+    }
+}
@@ -0,0 +1,319 @@
+/**
+ * ARCHIPEL — Stratégies de découverte (au-delà du multicast)
+ *
+ * Beaucoup de points d'accès et de partages de connexion bloquent le multicast. PeerDiscovery
+ * combine donc plusieurs stratégies, choisies par ARCHIPEL_DISCOVERY (liste séparée par des virgules,
+ * "multicast,broadcast,seed" par défaut) :
+ *   - multicast : HELLO sur 239.255.42.99:6000 et ff02::4172:6368 (IPv6), sur chaque interface
+ *   - broadcast : HELLO sur l'adresse de broadcast de chaque sous-réseau IPv4 (port 6001)
+ *   - seed      : au démarrage, reconnexion TCP aux dernières adresses connues (table `peers`)
+ *   - scan      : sur demande, balayage TCP limité en débit du /24 local (port 7777) — jamais par défaut
+ * Chaque stratégie : { name, start(discovery), stop() } et, pour les stratégies UDP, announce(packets).
+ * Le pair découvert garde le nom de la stratégie qui l'a trouvé (peerTable : discoveredBy).
+ */
+
+import dgram from 'dgram';
+import net from 'net';
+import { peerTable } from './peer-table.js';
+import { localInterfaces, isLinkLocal } from './interfaces.js';
+import { getStoredPeers } from '../database/db.js';
+
+// Origine de la découverte d'un pair (stratégies, et connexions TCP hors stratégie)
+export const DiscoverySource = Object.freeze({
+    MULTICAST: 'multicast',
+    BROADCAST: 'broadcast',
+    SEED: 'seed',
+    SCAN: 'scan',
+    PEX: 'pex',         // annoncé par un pair (PEER_LIST)
+    MANUAL: 'manual',   // connect <ip>
+    INBOUND: 'inbound', // le pair s'est connecté à nous
+});
+
+const MULTICAST_ADDR = '239.255.42.99';
+// Groupe IPv6 de lien local ("Arch" en hexadécimal), rejoint sur chaque interface
+const MULTICAST_ADDR_V6 = 'ff02::4172:6368';
+const MULTICAST_PORT = 6000;
+const BROADCAST_PORT = 6001;
+// Adresses rappelées au démarrage (les plus récentes d'abord)
+const SEED_MAX_PEERS = 32;
+// Balayage : port visé, débit (connexions par seconde) et délai de réponse d'un hôte
+const SCAN_PORT = Number(process.env.ARCHIPEL_SCAN_PORT) || 7777;
+const SCAN_RATE = Number(process.env.ARCHIPEL_SCAN_RATE) || 20;
+const SCAN_PROBE_TIMEOUT_MS = 800;
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Ouvre une socket UDP de découverte ; `setup` (adhésions multicast…) s'exécute une fois liée
+ */
+function openUdpSocket(type, port, onMessage, setup) {
+    return new Promise((resolve, reject) => {
+        const socket = dgram.createSocket({ type, reuseAddr: true, ipv6Only: type === 'udp6' });
+        socket.on('error', err => {
+            console.error(`[DISCOVERY] ❌ Erreur UDP (${type}):`, err.message);
+            reject(err);
+        });
+        socket.on('message', onMessage);
+        socket.bind(port, type === 'udp6' ? '::' : '0.0.0.0', () => {
+            try {
+                setup(socket);
+                resolve(socket);
+            } catch (err) {
+                socket.close();
+                reject(err);
+            }
+        });
+    });
+}
+
+/* ── multicast : HELLO sur 239.255.42.99 et ff02::4172:6368 (port 6000), sur chaque interface ── */
+export class MulticastStrategy {
+    constructor() {
+        this.name = DiscoverySource.MULTICAST;
+        this.socket4 = null;
+        this.socket6 = null;
+        /** Interfaces rejointes : adresses IPv4 (null : interface par défaut), noms d'interface IPv6 */
+        this.interfaces4 = [];
+        this.interfaces6 = [];
+        // Un envoi par interface à la fois (l'interface de sortie est un réglage de la socket)
+        this.sending = Promise.resolve();
+    }
+
+    async start(discovery) {
+        const onMessage = (msg, rinfo) => discovery._handleIncoming(msg, rinfo, this.name);
+        this.socket4 = await openUdpSocket('udp4', MULTICAST_PORT, onMessage, socket => socket.setMulticastTTL(128));
+        try {
+            this.socket6 = await openUdpSocket('udp6', MULTICAST_PORT, onMessage, () => { });
+        } catch (err) {
+            console.warn(`[DISCOVERY] ⚠️ Multicast IPv6 indisponible: ${err.message}`);
+        }
+        this._syncInterfaces();
+
+        const joined = [...this.interfaces4.map(a => a || 'interface par défaut'), ...this.interfaces6.map(n => `${n} (IPv6)`)];
+        console.log(`[DISCOVERY] ✅ UDP Multicast actif sur ${MULTICAST_ADDR}, ${MULTICAST_ADDR_V6} (port ${MULTICAST_PORT}) — ${joined.join(', ')}`);
+    }
+
+    /**
+     * Rejoint le groupe sur les interfaces apparues (hotspot activé, câble branché), oublie les disparues
+     */
+    _syncInterfaces() {
+        const interfaces = localInterfaces();
+        const v4 = interfaces.filter(i => i.family === 4).map(i => i.address);
+        const v6 = [...new Set(interfaces.filter(i => i.family === 6 && isLinkLocal(i.address)).map(i => i.name))];
+
+        // Sans interface (machine isolée) : interface choisie par le système
+        this.interfaces4 = this._join(this.socket4, MULTICAST_ADDR, this.interfaces4, v4.length ? v4 : [null], iface => iface);
+        if (this.socket6) this.interfaces6 = this._join(this.socket6, MULTICAST_ADDR_V6, this.interfaces6, v6, name => `::%${name}`);
+    }
+
+    /**
+     * @returns {Array} Interfaces désormais rejointes
+     */
+    _join(socket, group, joined, wanted, toInterface) {
+        for (const iface of joined) {
+            if (wanted.includes(iface)) continue;
+            try {
+                if (iface === null) socket.dropMembership(group);
+                else socket.dropMembership(group, toInterface(iface));
+            } catch { /* interface disparue */ }
+        }
+        return wanted.filter(iface => {
+            if (joined.includes(iface)) return true;
+            try {
+                if (iface === null) socket.addMembership(group);
+                else socket.addMembership(group, toInterface(iface));
+                return true;
+            } catch (err) {
+                console.warn(`[DISCOVERY] ⚠️ Groupe ${group} non rejoint sur ${iface}: ${err.message}`);
+                return false;
+            }
+        });
+    }
+
+    announce(packets) {
+        this._syncInterfaces();
+        const targets = [
+            ...this.interfaces4.map(address => ({ socket: this.socket4, iface: address, group: MULTICAST_ADDR })),
+            ...this.interfaces6.map(name => ({ socket: this.socket6, iface: `::%${name}`, group: `${MULTICAST_ADDR_V6}%${name}` })),
+        ];
+        this.sending = this.sending.then(async () => {
+            for (const { socket, iface, group } of targets) {
+                if (iface) socket.setMulticastInterface(iface);
+                for (const packet of packets) {
+                    await new Promise(resolve => socket.send(packet, MULTICAST_PORT, group, err => {
+                        if (err) console.error(`[DISCOVERY] ❌ Erreur envoi HELLO (${iface || 'défaut'}):`, err.message);
+                        resolve();
+                    }));
+                }
+            }
+        }).catch(err => console.error('[DISCOVERY] ❌ Erreur envoi HELLO:', err.message));
+    }
+
+    stop() {
+        if (!this.socket4) return;
+        this._join(this.socket4, MULTICAST_ADDR, this.interfaces4, [], iface => iface);
+        this.socket4.close();
+        if (this.socket6) {
+            this._join(this.socket6, MULTICAST_ADDR_V6, this.interfaces6, [], name => `::%${name}`);
+            this.socket6.close();
+        }
+    }
+}
+
+/* ── broadcast : HELLO sur le broadcast de chaque sous-réseau IPv4 ───── */
+export class BroadcastStrategy {
+    constructor() {
+        this.name = DiscoverySource.BROADCAST;
+        this.socket = null;
+    }
+
+    async start(discovery) {
+        const onMessage = (msg, rinfo) => discovery._handleIncoming(msg, rinfo, this.name);
+        this.socket = await openUdpSocket('udp4', BROADCAST_PORT, onMessage, socket => socket.setBroadcast(true));
+        console.log(`[DISCOVERY] ✅ UDP Broadcast actif sur le port ${BROADCAST_PORT}`);
+    }
+
+    announce(packets) {
+        // Sans interface configurée (hotspot en cours de montage) : broadcast limité
+        const targets = [...new Set(localInterfaces().filter(i => i.family === 4).map(i => i.broadcast))];
+        if (targets.length === 0) targets.push('255.255.255.255');
+        for (const packet of packets) {
+            for (const address of targets) {
+                this.socket.send(packet, BROADCAST_PORT, address, err => {
+                    if (err) console.warn(`[DISCOVERY] ⚠️ Broadcast vers ${address} impossible: ${err.message}`);
+                });
+            }
+        }
+    }
+
+    stop() {
+        if (this.socket) this.socket.close();
+    }
+}
+
+/* ── seed : reconnexion aux dernières adresses connues ────────────────── */
+export class SeedStrategy {
+    constructor() {
+        this.name = DiscoverySource.SEED;
+        this.stopped = false;
+    }
+
+    start(discovery) {
+        const seeds = getStoredPeers()
+            .filter(p => p.ip && p.tcp_port && p.node_id !== discovery.identity.nodeId)
+            .sort((a, b) => b.last_seen - a.last_seen)
+            .slice(0, SEED_MAX_PEERS);
+        if (seeds.length === 0) return;
+        console.log(`[DISCOVERY] 🌱 Reconnexion à ${seeds.length} adresse(s) connue(s)`);
+
+        // En arrière-plan : un pair éteint ne retarde pas le démarrage
+        (async () => {
+            for (const seed of seeds) {
+                if (this.stopped) return;
+                if (peerTable.isDirect(seed.node_id)) continue;
+                await discovery.tcpServer.sendToIP(seed.ip, seed.tcp_port, this.name)
+                    .catch(() => console.log(`[DISCOVERY] 🌱 ${seed.node_id.slice(0, 12)}… absent de ${seed.ip}:${seed.tcp_port}`));
+            }
+        })();
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+/* ── scan : balayage TCP du /24 local, limité en débit (opt-in) ───────── */
+export class ScanStrategy {
+    constructor() {
+        this.name = DiscoverySource.SCAN;
+        this.discovery = null;
+        this.running = false;
+        this.stopped = false;
+    }
+
+    start(discovery) {
+        this.discovery = discovery;
+        this.scan().catch(err => console.warn(`[DISCOVERY] ⚠️ Balayage interrompu: ${err.message}`));
+    }
+
+    /**
+     * Balaie une fois chaque /24 local (hôtes .1 à .254, sauf soi-même et les pairs connus)
+     * @returns {Promise<number>} Nombre d'hôtes qui ont répondu
+     */
+    async scan() {
+        if (this.running) return 0;
+        this.running = true;
+        this.stopped = false;
+        let found = 0;
+        try {
+            const own = localInterfaces().filter(i => i.family === 4).map(i => i.address);
+            const prefixes = [...new Set(own.map(ip => ip.split('.').slice(0, 3).join('.')))];
+            const known = new Set(peerTable.getActivePeers().map(p => p.ip));
+            const probes = [];
+            console.log(`[DISCOVERY] 🔍 Balayage de ${prefixes.map(p => `${p}.0/24`).join(', ') || '(aucune interface)'} — ${SCAN_RATE} hôtes/s`);
+
+            for (const prefix of prefixes) {
+                for (let host = 1; host <= 254; host++) {
+                    if (this.stopped) break;
+                    const ip = `${prefix}.${host}`;
+                    if (own.includes(ip) || known.has(ip)) continue;
+                    probes.push(this._probe(ip).then(open => open && this._dial(ip)).then(ok => { if (ok) found++; }));
+                    await wait(1000 / SCAN_RATE);
+                }
+            }
+            await Promise.all(probes);
+            console.log(`[DISCOVERY] 🔍 Balayage terminé : ${found} nœud(s) contacté(s)`);
+            return found;
+        } finally {
+            this.running = false;
+        }
+    }
+
+    /* Port ouvert ? (connexion fermée aussitôt, sans rien envoyer) */
+    _probe(ip) {
+        return new Promise(resolve => {
+            const socket = net.createConnection({ host: ip, port: SCAN_PORT });
+            const done = open => { socket.destroy(); resolve(open); };
+            socket.setTimeout(SCAN_PROBE_TIMEOUT_MS, () => done(false));
+            socket.once('connect', () => done(true));
+            socket.once('error', () => done(false));
+        });
+    }
+
+    async _dial(ip) {
+        try {
+            await this.discovery.tcpServer.sendToIP(ip, SCAN_PORT, this.name);
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    stop() {
+        this.stopped = true;
+    }
+}
+
+const STRATEGIES = {
+    [DiscoverySource.MULTICAST]: MulticastStrategy,
+    [DiscoverySource.BROADCAST]: BroadcastStrategy,
+    [DiscoverySource.SEED]: SeedStrategy,
+    [DiscoverySource.SCAN]: ScanStrategy,
+};
+
+/**
+ * Instancie les stratégies demandées (noms inconnus ignorés avec un avertissement)
+ * @param {string} [names] - Liste séparée par des virgules (défaut : ARCHIPEL_DISCOVERY)
+ */
+export function createStrategies(names = process.env.ARCHIPEL_DISCOVERY || 'multicast,broadcast,seed') {
+    const strategies = [];
+    for (const name of names.split(',').map(n => n.trim().toLowerCase()).filter(Boolean)) {
+        const Strategy = STRATEGIES[name];
+        if (!Strategy) {
+            console.warn(`[DISCOVERY] ⚠️ Stratégie inconnue ignorée: ${name}`);
+            continue;
+        }
+        if (!strategies.some(s => s.name === name)) strategies.push(new Strategy());
+    }
+    return strategies;
+}
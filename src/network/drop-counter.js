@@ -0,0 +1,56 @@
+/**
+ * ARCHIPEL — Compteurs de paquets rejetés
+ *
+ * Tient, par pair, le nombre de paquets rejetés par raison (HMAC invalide, TYPE inconnu,
+ * paquet tronqué…). Utile pour repérer une altération ou un décalage de version du protocole.
+ * Un rejet avant authentification (HMAC, troncature, HELLO invalide) est compté sur l'adresse IP :
+ * le nodeId de l'en-tête n'est alors pas prouvé et pourrait être tiré au hasard à chaque trame.
+ * Au plus MAX_TRACKED entrées : la moins récemment touchée est oubliée (le total, lui, reste exact).
+ */
+
+const MAX_TRACKED = 256;
+
+export class DropCounter {
+    constructor() {
+        /** @type {Map<string, { total: number, reasons: Object<string, number>, lastReason: string, lastAt: number }>} */
+        this.peers = new Map();
+        this._total = 0;
+    }
+
+    /**
+     * Enregistre un paquet rejeté
+     * @param {string} peerKey - nodeId authentifié de l'émetteur ou, à défaut, son IP
+     * @param {string} reason  - Une valeur de DropReason
+     */
+    record(peerKey, reason) {
+        const key = peerKey || 'inconnu';
+        const entry = this.peers.get(key) || { total: 0, reasons: {}, lastReason: null, lastAt: 0 };
+        entry.total++;
+        entry.reasons[reason] = (entry.reasons[reason] || 0) + 1;
+        entry.lastReason = reason;
+        entry.lastAt = Date.now();
+        this._total++;
+
+        // Réinsertion : la Map reste triée du moins au plus récemment touché
+        this.peers.delete(key);
+        this.peers.set(key, entry);
+        if (this.peers.size > MAX_TRACKED) this.peers.delete(this.peers.keys().next().value);
+    }
+
+    /**
+     * Nombre total de paquets rejetés, tous pairs confondus (entrées oubliées comprises)
+     */
+    get total() {
+        return this._total;
+    }
+
+    /**
+     * Résumé sérialisable (pour /api/status)
+     */
+    toJSON() {
+        return {
+            total: this.total,
+            peers: Object.fromEntries(this.peers),
+        };
+    }
+}
@@ -0,0 +1,314 @@
+/**
+ * ARCHIPEL — Gestionnaire de handshakes (un automate par pair)
+ *
+ * États : idle → init-sent → established   (initiateur)
+ *         idle → resp-sent → established   (répondeur)
+ *         … → failed                       (timeout ou authentification refusée)
+ *
+ * - Attente par promesse (plus de polling) et relance de l'INIT si la RESP se perd
+ * - Handshakes croisés (INIT dans les deux sens) : le plus petit NODE_ID garde le rôle
+ *   d'initiateur, l'autre abandonne son INIT et répond
+ * - Renouvellement (rekey) : nouveau handshake éphémère sur la connexion existante après
+ *   N paquets, N octets reçus ou T minutes ; l'ancienne session reste utilisable pendant ce temps
+ * - Événements : 'state' (nodeId, state), 'established' (nodeId), 'failed' (nodeId, err)
+ *
+ * Les sessions ne sont pas persistées (forward secrecy) : après un redémarrage, le pair
+ * rétablit une session au premier paquet qu'on ne sait plus authentifier.
+ */
+
+import { EventEmitter } from 'events';
+import { initiateHandshake, respondHandshake, finalizeHandshake, completeHandshake, HandshakeError } from '../crypto/handshake.js';
+import { requiresReverification } from '../crypto/wot.js';
+import { peerTable } from './peer-table.js';
+
+export const HandshakeState = Object.freeze({
+    IDLE: 'idle',
+    INIT_SENT: 'init-sent',
+    RESP_SENT: 'resp-sent',
+    ESTABLISHED: 'established',
+    FAILED: 'failed',
+});
+
+// Délai d'attente de la RESP (ou du FINISH) par tentative
+const HANDSHAKE_TIMEOUT_MS = 3_000;
+// Nombre de renvois de l'INIT avant abandon
+const HANDSHAKE_RETRIES = 2;
+
+// Seuils de renouvellement de session (ARCHIPEL_REKEY_MESSAGES, _BYTES, _MINUTES)
+export const REKEY_AFTER_MESSAGES = Number(process.env.ARCHIPEL_REKEY_MESSAGES) || 1_000;
+export const REKEY_AFTER_BYTES = Number(process.env.ARCHIPEL_REKEY_BYTES) || 64 * 1024 * 1024;
+export const REKEY_AFTER_MS = (Number(process.env.ARCHIPEL_REKEY_MINUTES) || 30) * 60_000;
+// Délai minimal entre deux tentatives de renouvellement avec un même pair
+const REKEY_RETRY_MS = 60_000;
+
+export class HandshakeManager extends EventEmitter {
+    /**
+     * @param {Object}    identity  - Identité locale
+     * @param {TcpServer} tcpServer - Transport (sendTo, networkKeyFor)
+     */
+    constructor(identity, tcpServer) {
+        super();
+        this.identity = identity;
+        this.tcpServer = tcpServer;
+        /** @type {Map<string, Object>} nodeId -> état du handshake */
+        this.entries = new Map();
+    }
+
+    /**
+     * Retourne la session avec un pair, en lançant (ou en rejoignant) un handshake si besoin.
+     * Une session existante est retournée immédiatement, même pendant son renouvellement.
+     * @returns {Promise<{ send: { encKey: string, macKey: string }, recv: { encKey: string, macKey: string } }>}
+     * @throws {HandshakeError} authentification refusée, ou clé d'un pair vérifié changée
+     * @throws {Error} pair injoignable ou muet après toutes les tentatives
+     */
+    async establish(nodeId) {
+        // Pair vérifié dont la clé a changé : rien ne passe avant une nouvelle vérification
+        if (requiresReverification(nodeId)) {
+            throw new HandshakeError(`clé de ${nodeId.slice(0, 12)}… changée depuis sa vérification — comparez le nouveau numéro de sécurité (verify)`);
+        }
+
+        const entry = this._entry(nodeId);
+        const session = peerTable.getSession(nodeId);
+
+        if (session) {
+            if (this._rekeyDue(session)) this.rekey(nodeId);
+            return session;
+        }
+
+        const waiting = new Promise((resolve, reject) => entry.waiters.push({ resolve, reject }));
+        if (!this._inProgress(entry)) this._start(nodeId, entry);
+        return waiting;
+    }
+
+    /**
+     * Renouvelle la session avec un pair (nouvel échange éphémère, sans couper la connexion)
+     * @returns {boolean} false si un handshake est déjà en cours ou trop récent
+     */
+    rekey(nodeId) {
+        const entry = this._entry(nodeId);
+        if (this._inProgress(entry) || Date.now() - entry.lastRekeyAt < REKEY_RETRY_MS) return false;
+
+        entry.lastRekeyAt = Date.now();
+        console.log(`[HS] 🔄 Renouvellement de la session avec ${nodeId.slice(0, 12)}…`);
+        try {
+            this._start(nodeId, entry);
+        } catch (err) {
+            this._fail(nodeId, entry, err);
+        }
+        return true;
+    }
+
+    /**
+     * Compte un paquet entrant authentifié par la session ; déclenche le renouvellement aux seuils
+     * @param {string} nodeId
+     * @param {number} bytes - Taille du payload
+     */
+    recordInbound(nodeId, bytes) {
+        const session = peerTable.getSession(nodeId);
+        if (!session) return;
+        session.packets++;
+        session.bytes += bytes;
+        if (this._rekeyDue(session)) this.rekey(nodeId);
+    }
+
+    /**
+     * Le pair nous envoie du trafic de session qu'on ne sait pas authentifier (on a redémarré,
+     * ou il a gardé une session qu'on a oubliée) : on rétablit une session
+     */
+    recover(nodeId) {
+        if (!peerTable.get(nodeId) || peerTable.getSession(nodeId)) return;
+        if (this._inProgress(this._entry(nodeId))) return;
+        console.log(`[HS] 🩹 Session inconnue de ${nodeId.slice(0, 12)}… — nouveau handshake`);
+        this.establish(nodeId).catch(() => { });
+    }
+
+    /**
+     * État du handshake avec un pair
+     */
+    getState(nodeId) {
+        const entry = this.entries.get(nodeId);
+        if (entry) return entry.state;
+        return peerTable.getSession(nodeId) ? HandshakeState.ESTABLISHED : HandshakeState.IDLE;
+    }
+
+    /* ── Réception d'un HANDSHAKE_INIT (nous sommes répondeur) ─────── */
+    onInit(data, socket, hmacKey) {
+        const entry = this._entry(data.nodeId);
+
+        // INIT croisé : le plus petit NODE_ID reste initiateur
+        if (entry.state === HandshakeState.INIT_SENT) {
+            if (this.identity.nodeId < data.nodeId) {
+                console.log(`[HS] 🔀 Handshake croisé avec ${data.nodeId.slice(0, 12)}… — on garde l'initiative`);
+                return;
+            }
+            console.log(`[HS] 🔀 Handshake croisé avec ${data.nodeId.slice(0, 12)}… — on répond au sien`);
+            entry.init = null;
+        }
+
+        // INIT renvoyé (notre RESP s'est perdue) : même réponse, sinon le transcript diverge
+        if (entry.state === HandshakeState.RESP_SENT && entry.initEphemeral === data.ephemeralDhPub) {
+            socket.write(entry.responsePacket);
+            return;
+        }
+
+        try {
+            const { responsePacket, pending } = respondHandshake(data, this.identity, hmacKey);
+            entry.pending = pending;
+            entry.responsePacket = responsePacket;
+            entry.initEphemeral = data.ephemeralDhPub;
+            this._setState(data.nodeId, entry, HandshakeState.RESP_SENT);
+            this._arm(data.nodeId, entry);
+            socket.write(responsePacket);
+        } catch (err) {
+            this._fail(data.nodeId, entry, err);
+        }
+    }
+
+    /* ── Réception d'un HANDSHAKE_RESP (nous sommes initiateur) ────── */
+    async onResp(data) {
+        const entry = this.entries.get(data.nodeId);
+        if (!entry || entry.state !== HandshakeState.INIT_SENT) {
+            console.warn(`[HS] ⚠️ RESP inattendue de ${String(data.nodeId).slice(0, 12)}… — ignorée`);
+            return;
+        }
+
+        try {
+            // Vérifie signature + confirmation du répondeur, puis envoie la nôtre
+            const { finishPacket, session } = finalizeHandshake(data, entry.init.state, this.identity, entry.hmacKey, data.nodeId);
+            await this.tcpServer.sendTo(data.nodeId, finishPacket);
+            this._establish(data.nodeId, entry, session);
+        } catch (err) {
+            this._fail(data.nodeId, entry, err);
+        }
+    }
+
+    /**
+     * RESP d'un pair jugé non fiable par le Web of Trust : notre handshake échoue immédiatement
+     */
+    refuse(nodeId, err) {
+        const entry = this.entries.get(nodeId);
+        if (entry && entry.state === HandshakeState.INIT_SENT) this._fail(nodeId, entry, err);
+    }
+
+    /* ── Réception d'un HANDSHAKE_FINISH (nous sommes répondeur) ───── */
+    onFinish(nodeId, data) {
+        const entry = this.entries.get(nodeId);
+        if (!entry || entry.state !== HandshakeState.RESP_SENT) return false;
+
+        try {
+            this._establish(nodeId, entry, completeHandshake(data, entry.pending));
+            return true;
+        } catch (err) {
+            this._fail(nodeId, entry, err);
+            return false;
+        }
+    }
+
+    /**
+     * Résumé par pair (CLI, /api/sessions)
+     */
+    toJSON() {
+        return peerTable.getActivePeers().map(peer => {
+            const entry = this.entries.get(peer.nodeId);
+            const session = peerTable.getSession(peer.nodeId);
+            return {
+                nodeId: peer.nodeId,
+                state: this.getState(peer.nodeId),
+                since: entry?.since ?? session?.establishedAt ?? null,
+                establishedAt: session?.establishedAt ?? null,
+                keyAgeMs: session ? Date.now() - session.establishedAt : null,
+                packets: session?.packets ?? 0,
+                bytes: session?.bytes ?? 0,
+                rekeys: session?.rekeys ?? 0,
+                attempts: entry?.attempts ?? 0,
+                error: entry?.error ?? null,
+            };
+        });
+    }
+
+    /* ── Internes ───────────────────────────────────────────────────── */
+    _entry(nodeId) {
+        let entry = this.entries.get(nodeId);
+        if (!entry) {
+            entry = {
+                state: HandshakeState.IDLE, since: Date.now(), attempts: 0, error: null,
+                waiters: [], timer: null, lastRekeyAt: 0,
+            };
+            this.entries.set(nodeId, entry);
+        }
+        return entry;
+    }
+
+    _inProgress(entry) {
+        return entry.state === HandshakeState.INIT_SENT || entry.state === HandshakeState.RESP_SENT;
+    }
+
+    _rekeyDue(session) {
+        return session.packets >= REKEY_AFTER_MESSAGES
+            || session.bytes >= REKEY_AFTER_BYTES
+            || Date.now() - session.establishedAt >= REKEY_AFTER_MS;
+    }
+
+    /* ── Nouveau handshake en tant qu'initiateur (éphémère neuf) ───── */
+    _start(nodeId, entry) {
+        entry.attempts = 0;
+        entry.hmacKey = this.tcpServer.networkKeyFor(nodeId);
+        entry.init = initiateHandshake(this.identity, entry.hmacKey);
+        this._sendInit(nodeId, entry);
+    }
+
+    _setState(nodeId, entry, state) {
+        entry.state = state;
+        entry.since = Date.now();
+        this.emit('state', nodeId, state);
+    }
+
+    async _sendInit(nodeId, entry) {
+        entry.attempts++;
+        this._setState(nodeId, entry, HandshakeState.INIT_SENT);
+        this._arm(nodeId, entry);
+        try {
+            await this.tcpServer.sendTo(nodeId, entry.init.message);
+        } catch (err) {
+            this._fail(nodeId, entry, err);
+        }
+    }
+
+    /* ── Délai d'attente : relance de l'INIT, puis abandon ─────────── */
+    _arm(nodeId, entry) {
+        clearTimeout(entry.timer);
+        entry.timer = setTimeout(() => {
+            if (entry.state === HandshakeState.INIT_SENT && entry.attempts <= HANDSHAKE_RETRIES) {
+                console.warn(`[HS] ⏳ Pas de RESP de ${nodeId.slice(0, 12)}… — nouvel essai (${entry.attempts}/${HANDSHAKE_RETRIES})`);
+                this._sendInit(nodeId, entry);
+                return;
+            }
+            const step = entry.state === HandshakeState.INIT_SENT ? 'RESP' : 'FINISH';
+            this._fail(nodeId, entry, new Error(`pas de ${step} de ${nodeId.slice(0, 12)}… après ${entry.attempts || 1} tentative(s)`));
+        }, HANDSHAKE_TIMEOUT_MS);
+    }
+
+    _establish(nodeId, entry, session) {
+        clearTimeout(entry.timer);
+        const renewed = !!peerTable.getSession(nodeId);
+        peerTable.setSession(nodeId, session);
+        entry.init = entry.pending = entry.responsePacket = entry.initEphemeral = null;
+        entry.error = null;
+        this._setState(nodeId, entry, HandshakeState.ESTABLISHED);
+        console.log(`[HS] 🔑 Session E2E ${renewed ? 'renouvelée' : 'établie'} avec ${nodeId.slice(0, 12)}…`);
+        for (const { resolve } of entry.waiters.splice(0)) resolve(session);
+        this.emit('established', nodeId);
+    }
+
+    _fail(nodeId, entry, err) {
+        clearTimeout(entry.timer);
+        entry.init = entry.pending = entry.responsePacket = entry.initEphemeral = null;
+        entry.error = err.message;
+        // Échec d'un renouvellement : l'ancienne session reste en service
+        const fallback = peerTable.getSession(nodeId) ? HandshakeState.ESTABLISHED : HandshakeState.FAILED;
+        this._setState(nodeId, entry, fallback);
+        console.warn(`[HS] 🚨 ${err.message}`);
+        for (const { reject } of entry.waiters.splice(0)) reject(err);
+        this.emit('failed', nodeId, err);
+    }
+}
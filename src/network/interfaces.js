@@ -0,0 +1,75 @@
+/**
+ * ARCHIPEL — Interfaces réseau locales et adresses des pairs (IPv4, IPv6)
+ *
+ * Une machine peut avoir plusieurs interfaces (Wi-Fi, Ethernet, partage de connexion) : la découverte
+ * s'annonce sur chacune, et un pair est joignable à plusieurs adresses (une par interface et par famille).
+ * Les adresses IPv6 de lien local gardent leur zone (fe80::1%wlan0) : sans elle, elles ne sont pas joignables.
+ */
+
+import net from 'net';
+import os from 'os';
+
+/**
+ * Adresse d'un pair telle qu'on la garde : IPv4 mappée en IPv6 (::ffff:a.b.c.d) ramenée à l'IPv4
+ */
+export function normalizeAddress(address) {
+    return address ? address.replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/i, '') : address;
+}
+
+/**
+ * Adresse sans sa zone IPv6 (fe80::1%wlan0 → fe80::1)
+ */
+export function stripZone(address) {
+    return String(address || '').split('%')[0];
+}
+
+export function isIPv6(address) {
+    return net.isIPv6(stripZone(address));
+}
+
+/**
+ * Adresse de lien local (IPv6 fe80::/10, IPv4 169.254.0.0/16) : valable seulement depuis le même lien
+ */
+export function isLinkLocal(address) {
+    const ip = stripZone(address).toLowerCase();
+    return /^fe[89ab][0-9a-f]:/.test(ip) || ip.startsWith('169.254.');
+}
+
+/**
+ * Interfaces actives (hors loopback), une entrée par adresse :
+ * { name, family: 4|6, address, netmask, broadcast (IPv4), scopeid (IPv6) }
+ */
+export function localInterfaces() {
+    const toInt = ip => ip.split('.').reduce((n, byte) => (n << 8) + Number(byte), 0) >>> 0;
+    const toIp = n => [24, 16, 8, 0].map(shift => (n >>> shift) & 255).join('.');
+    const result = [];
+    for (const [name, addresses] of Object.entries(os.networkInterfaces())) {
+        for (const addr of addresses || []) {
+            if (addr.internal) continue;
+            const family = addr.family === 'IPv6' || addr.family === 6 ? 6 : 4;
+            result.push({
+                name,
+                family,
+                address: addr.address,
+                netmask: addr.netmask,
+                broadcast: family === 4 ? toIp((toInt(addr.address) | ~toInt(addr.netmask)) >>> 0) : null,
+                scopeid: addr.scopeid ?? null,
+            });
+        }
+    }
+    return result;
+}
+
+/**
+ * Nos adresses, annoncées (signées) dans le HELLO
+ */
+export function localAddresses() {
+    return [...new Set(localInterfaces().map(i => i.address))];
+}
+
+/**
+ * Adresse lisible avec son port (IPv6 entre crochets : [fe80::1%wlan0]:7777)
+ */
+export function formatAddress(ip, port) {
+    return isIPv6(ip) ? `[${ip}]:${port}` : `${ip}:${port}`;
+}
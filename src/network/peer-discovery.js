@@ -1,92 +1,128 @@
 /**
- * ARCHIPEL — Peer Discovery (UDP Multicast)
+ * ARCHIPEL — Peer Discovery (UDP Multicast, Broadcast, adresses connues, balayage)
  * 
- * Découverte automatique des nœuds sur le réseau local.
- * - Multicast address : 239.255.42.99:6000
- * - Émission HELLO toutes les 30s
+ * Découverte automatique des nœuds sur le réseau local, par stratégies (discovery-strategies.js) :
+ * - Multicast address : 239.255.42.99 et ff02::4172:6368 (IPv6), port 6000, sur chaque interface ;
+ *   broadcast de sous-réseau : port 6001
+ * - Émission HELLO toutes les 30s (sur chaque stratégie UDP)
+ * - Reconnexion aux dernières adresses connues, balayage du /24 local sur demande
  * - Timeout nœud : 90s sans signal
  */
 
-import dgram from 'dgram';
-import { buildHelloPacket, parsePacket, parseJsonPayload, PacketType, PUBLIC_HMAC_KEY } from '../crypto/packet.js';
+import { buildHelloPacket, parsePacket, parseJsonPayload, verifyHello, PacketType, PacketError } from '../crypto/packet.js';
+import { getNetworkKeys, networkForKey } from '../crypto/network-keys.js';
 import { peerTable } from './peer-table.js';
+import { DropCounter } from './drop-counter.js';
+import { createStrategies, ScanStrategy, DiscoverySource } from './discovery-strategies.js';
+import { normalizeAddress, localAddresses, formatAddress } from './interfaces.js';
 import { getSharedFileSummaries } from '../transfer/file-index.js';
 
-const MULTICAST_ADDR = '239.255.42.99';
-const MULTICAST_PORT = 6000;
 const HELLO_INTERVAL_MS = 30_000; // 30 secondes
 
 export class PeerDiscovery {
-    constructor(identity, tcpPort, onPeerDiscovered) {
+    /**
+     * @param {Object}    [opts]
+     * @param {TcpServer} [opts.tcpServer]  - Connexions TCP (stratégies seed et scan)
+     * @param {string}    [opts.strategies] - Stratégies actives (défaut : ARCHIPEL_DISCOVERY)
+     */
+    constructor(identity, tcpPort, onPeerDiscovered, { tcpServer = null, strategies } = {}) {
         this.identity = identity;
         this.tcpPort = tcpPort;
         this.onPeerDiscovered = onPeerDiscovered || (() => { });
-        this.socket = null;
+        this.tcpServer = tcpServer;
+        // Sans serveur TCP, seules les stratégies UDP ont un sens
+        this.strategies = createStrategies(strategies).filter(s => tcpServer || s.announce);
         this.helloInterval = null;
-        // Clé HMAC publique pour les paquets de découverte (connue de tous)
-        this.publicHmacKey = PUBLIC_HMAC_KEY;
+        /** Paquets UDP rejetés par pair (HMAC, TYPE, troncature) */
+        this.drops = new DropCounter();
     }
 
     /**
-     * Démarre le service de découverte UDP Multicast
+     * Démarre les stratégies de découverte (une stratégie en échec n'empêche pas les autres)
      */
-    start() {
-        return new Promise((resolve, reject) => {
-            this.socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
-
-            this.socket.on('error', (err) => {
-                console.error('[DISCOVERY] ❌ Erreur UDP:', err.message);
-                reject(err);
-            });
-
-            this.socket.on('message', (msg, rinfo) => {
-                this._handleIncoming(msg, rinfo);
-            });
-
-            this.socket.bind(MULTICAST_PORT, () => {
-                try {
-                    this.socket.addMembership(MULTICAST_ADDR);
-                    this.socket.setMulticastTTL(128);
-                    console.log(`[DISCOVERY] ✅ UDP Multicast actif sur ${MULTICAST_ADDR}:${MULTICAST_PORT}`);
-
-                    // Envoi immédiat d'un HELLO, puis toutes les 30s
-                    this._sendHello();
-                    this.helloInterval = setInterval(() => this._sendHello(), HELLO_INTERVAL_MS);
-
-                    // Nettoyage des pairs morts toutes les 30s
-                    this.pruneInterval = setInterval(() => {
-                        const removed = peerTable.pruneDeadPeers();
-                        if (removed.length > 0) {
-                            console.log(`[DISCOVERY] 🔴 Nœuds morts supprimés: ${removed.length}`);
-                        }
-                    }, 30_000);
-
-                    resolve();
-                } catch (err) {
-                    reject(err);
-                }
-            });
-        });
+    async start() {
+        const started = [];
+        for (const strategy of this.strategies) {
+            try {
+                await strategy.start(this);
+                started.push(strategy);
+            } catch (err) {
+                console.warn(`[DISCOVERY] ⚠️ Stratégie ${strategy.name} indisponible: ${err.message}`);
+                strategy.stop();
+            }
+        }
+        this.strategies = started;
+        if (this.strategies.length === 0) {
+            throw new Error('Aucune stratégie de découverte active (ARCHIPEL_DISCOVERY)');
+        }
+
+        // Envoi immédiat d'un HELLO, puis toutes les 30s
+        this.announce();
+        this.helloInterval = setInterval(() => this.announce(), HELLO_INTERVAL_MS);
+
+        // Nettoyage des pairs morts toutes les 30s
+        this.pruneInterval = setInterval(() => {
+            const removed = peerTable.pruneDeadPeers();
+            if (removed.length > 0) {
+                console.log(`[DISCOVERY] 🔴 Nœuds morts supprimés: ${removed.length}`);
+            }
+        }, 30_000);
     }
 
     /**
-     * Envoie un paquet HELLO en broadcast multicast
+     * Envoie un paquet HELLO sur chaque stratégie UDP (un par réseau rejoint).
+     * Appelé toutes les 30 s, et aussitôt après avoir créé ou rejoint un réseau.
      */
-    _sendHello() {
+    announce() {
         const sharedFiles = getSharedFileSummaries();
-        const packet = buildHelloPacket(this.identity, this.tcpPort, sharedFiles);
-        this.socket.send(packet, MULTICAST_PORT, MULTICAST_ADDR, (err) => {
-            if (err) console.error('[DISCOVERY] ❌ Erreur envoi HELLO:', err.message);
-            // Log supprimé pour propreté CLI
-        });
+        const addresses = localAddresses();
+        const packets = getNetworkKeys().map(key => buildHelloPacket(this.identity, this.tcpPort, sharedFiles, key, addresses));
+        for (const strategy of this.strategies) {
+            if (strategy.announce) strategy.announce(packets);
+        }
+    }
+
+    /**
+     * Balaie le /24 local (stratégie scan, même si elle n'est pas active au démarrage)
+     * @returns {Promise<number>} Nombre de nœuds contactés
+     */
+    async scan() {
+        if (!this.tcpServer) throw new Error('Balayage impossible sans serveur TCP');
+        let strategy = this.strategies.find(s => s.name === DiscoverySource.SCAN);
+        if (!strategy) {
+            strategy = new ScanStrategy();
+            strategy.discovery = this;
+            this.strategies.push(strategy);
+        }
+        return strategy.scan();
+    }
+
+    /**
+     * Stratégies actives et nombre de pairs trouvés par chacune
+     */
+    status() {
+        const found = {};
+        for (const peer of peerTable.getActivePeers()) {
+            const source = peer.discoveredBy || '?';
+            found[source] = (found[source] || 0) + 1;
+        }
+        return { strategies: this.strategies.map(s => s.name), found };
     }
 
     /**
      * Traite les paquets UDP entrants
+     * @param {string} source - Stratégie qui a reçu le paquet (multicast, broadcast)
      */
-    _handleIncoming(buf, rinfo) {
-        const packet = parsePacket(buf, this.publicHmacKey);
-        if (!packet) return;
+    _handleIncoming(buf, rinfo, source) {
+        let packet;
+        try {
+            // Seuls les réseaux rejoints sont acceptés
+            packet = parsePacket(buf, getNetworkKeys());
+        } catch (err) {
+            if (!(err instanceof PacketError)) throw err;
+            this.drops.record(normalizeAddress(rinfo.address), err.reason);
+            return;
+        }
 
         // Ignore ses propres messages
         if (packet.nodeId === this.identity.nodeId) return;
@@ -95,20 +131,33 @@ export class PeerDiscovery {
             const data = parseJsonPayload(packet);
             if (!data || !data.nodeId) return;
 
+            // Signature Ed25519, NODE_ID = SHA256(clé), fraîcheur : sinon rejeté et compté
+            // IPv6 de lien local : avec sa zone (fe80::…%wlan0), seule joignable depuis cette interface
+            const ip = normalizeAddress(rinfo.address);
+            const rejected = verifyHello(data, packet.nodeId, { ip, known: peerTable.get(data.nodeId) });
+            if (rejected) {
+                this.drops.record(ip, rejected);
+                return;
+            }
+
             const peerInfo = {
                 nodeId: data.nodeId,
-                ip: rinfo.address.replace('::ffff:', ''),
+                ip,
                 tcpPort: data.tcpPort || 7777,
                 dhPublicKey: data.dhPublicKey,
                 signingPublicKey: data.signingPublicKey,
                 sharedFiles: data.sharedFiles || [],
+                network: networkForKey(packet.hmacKey),
+                helloTimestamp: data.timestamp,
+                hello: data,
+                discoveredBy: source,
             };
 
-            const isNew = !peerTable.get(peerInfo.nodeId);
+            const isNew = !peerTable.isDirect(peerInfo.nodeId);
             peerTable.upsert(peerInfo);
 
             if (isNew) {
-                console.log(`[DISCOVERY] 🟢 Nouveau nœud: ${peerInfo.nodeId.slice(0, 12)}… @ ${peerInfo.ip}:${peerInfo.tcpPort}`);
+                console.log(`[DISCOVERY] 🟢 Nouveau nœud (${source}): ${peerInfo.nodeId.slice(0, 12)}… @ ${formatAddress(peerInfo.ip, peerInfo.tcpPort)}`);
                 this.onPeerDiscovered(peerInfo);
             }
         }
@@ -120,10 +169,7 @@ export class PeerDiscovery {
     stop() {
         if (this.helloInterval) clearInterval(this.helloInterval);
         if (this.pruneInterval) clearInterval(this.pruneInterval);
-        if (this.socket) {
-            this.socket.dropMembership(MULTICAST_ADDR);
-            this.socket.close();
-        }
+        for (const strategy of this.strategies) strategy.stop();
         console.log('[DISCOVERY] 🔴 Service arrêté');
     }
 }
@@ -0,0 +1,158 @@
+/**
+ * ARCHIPEL — Échange de pairs (paquet PEER_LIST)
+ *
+ * Après chaque HELLO direct d'un nouveau pair, puis toutes les 60 s, un nœud envoie à ses pairs
+ * directs la liste de ses propres pairs directs :
+ *   { peers: [entrée…], timestamp }
+ *   entrée : { hello, ip, tcpPort, lastSeenAgo, introducer, timestamp, signature }
+ * `hello` est le HELLO signé par le pair annoncé lui-même (clés authentiques, NODE_ID prouvé) ;
+ * l'entrée entière est signée par le nœud qui l'annonce (`introducer`), garant de l'adresse :
+ * un tiers ne peut ni injecter une fausse adresse ni la réattribuer à un autre garant.
+ * Seuls les pairs directs sont annoncés : une entrée de seconde main n'est jamais retransmise.
+ *
+ * Un pair appris ainsi est marqué « de seconde main » (peerTable : secondHand, via) et on tente
+ * aussitôt une connexion TCP directe : son HELLO en réponse le confirme. Seule une adresse que le pair
+ * annonce lui-même dans son HELLO signé (`addresses`, `tcpPort`) est retenue : un garant ne peut pas nous
+ * faire contacter une machine ou un port quelconque. Un pair déjà connu (même de seconde main) garde
+ * son adresse : une annonce ne la remplace pas.
+ * Utile sur les réseaux qui bloquent le multicast : un seul pair connecté à la main suffit.
+ */
+
+import { PacketType, DropReason, verifyHello } from '../crypto/packet.js';
+import { networkForKey } from '../crypto/network-keys.js';
+import { signPeerEntry, verifyPeerEntry, SignatureStatus } from '../crypto/signing.js';
+import { peerTable } from './peer-table.js';
+import { DiscoverySource } from './discovery-strategies.js';
+import { stripZone } from './interfaces.js';
+
+// Intervalle entre deux échanges périodiques (ARCHIPEL_PEER_EXCHANGE_SECONDS)
+const EXCHANGE_INTERVAL_MS = (Number(process.env.ARCHIPEL_PEER_EXCHANGE_SECONDS) || 60) * 1000;
+// Entrées au plus par PEER_LIST (chaque HELLO porte la liste des fichiers partagés ; trame de 256 KB)
+const PEER_LIST_MAX_ENTRIES = 32;
+
+export class PeerExchange {
+    /**
+     * @param {Object}    identity  - Identité locale (signature des entrées)
+     * @param {TcpServer} tcpServer - Transport (sendPacket, sendToIP, networkKeyFor, drops)
+     */
+    constructor(identity, tcpServer) {
+        this.identity = identity;
+        this.tcpServer = tcpServer;
+        /** @type {Set<string>} pairs de seconde main en cours de connexion */
+        this.dialing = new Set();
+
+        // Nouveau pair direct (HELLO UDP ou TCP) : il reçoit aussitôt nos pairs
+        peerTable.on('seen', (peer, isNew) => {
+            if (isNew) this.sendTo(peer.nodeId).catch(err => this._warn(peer.nodeId, err));
+        });
+        this.timer = setInterval(() => this.exchange(), EXCHANGE_INTERVAL_MS);
+        this.timer.unref();
+    }
+
+    /**
+     * Envoie notre PEER_LIST à tous les pairs directs
+     */
+    exchange() {
+        for (const peer of peerTable.getActivePeers()) {
+            if (peer.secondHand) continue;
+            this.sendTo(peer.nodeId).catch(err => this._warn(peer.nodeId, err));
+        }
+    }
+
+    /**
+     * Envoie à un pair nos pairs directs (sauf lui-même), chaque entrée signée
+     * @returns {Promise<number>} Nombre d'entrées envoyées
+     */
+    async sendTo(nodeId) {
+        const timestamp = Date.now();
+        const peers = peerTable.toSummary()
+            .filter(entry => entry.hello.nodeId !== nodeId)
+            .slice(0, PEER_LIST_MAX_ENTRIES)
+            .map(entry => signPeerEntry({ ...entry, introducer: this.identity.nodeId, timestamp }, this.identity.signing.privateKey));
+        if (peers.length === 0) return 0;
+
+        await this.tcpServer.sendPacket(nodeId, PacketType.PEER_LIST, { peers, timestamp }, this.tcpServer.networkKeyFor(nodeId));
+        return peers.length;
+    }
+
+    /**
+     * PEER_LIST reçu : chaque entrée est vérifiée (garant, puis HELLO du pair annoncé)
+     * @param {string} from    - Émetteur du paquet
+     * @param {Object} data    - { peers, timestamp }
+     * @param {string} hmacKey - Clé ayant validé le paquet (réseau des pairs annoncés)
+     */
+    onPeerList(from, data, hmacKey) {
+        if (!Array.isArray(data?.peers)) return;
+        // Le garant doit être un pair direct : sa clé de signature vient de son propre HELLO
+        const introducer = peerTable.get(from);
+        if (!introducer || introducer.secondHand) return;
+
+        let learned = 0;
+        for (const entry of data.peers.slice(0, PEER_LIST_MAX_ENTRIES)) {
+            const rejected = this._verifyEntry(from, introducer.signingPublicKey, entry);
+            // HELLO pas plus récent que celui déjà connu : l'entrée n'apporte rien (ce n'est pas une attaque)
+            if (rejected === DropReason.REPLAY) continue;
+            if (rejected) {
+                this.tcpServer.drops.record(from, rejected);
+                continue;
+            }
+            const { hello } = entry;
+            // Pair déjà connu : son adresse ne dépend pas d'une annonce de seconde main
+            if (hello.nodeId === this.identity.nodeId || peerTable.get(hello.nodeId)) continue;
+            // Adresse que le pair annoncé ne revendique pas lui-même : ni retenue, ni contactée
+            if (!Array.isArray(hello.addresses) || !hello.addresses.includes(stripZone(entry.ip))) continue;
+            if (entry.tcpPort !== hello.tcpPort) continue;
+
+            peerTable.upsert({
+                nodeId: hello.nodeId,
+                ip: entry.ip,
+                tcpPort: entry.tcpPort,
+                dhPublicKey: hello.dhPublicKey,
+                signingPublicKey: hello.signingPublicKey,
+                sharedFiles: hello.sharedFiles || [],
+                network: networkForKey(hmacKey),
+                helloTimestamp: hello.timestamp,
+                hello,
+                via: from,
+                discoveredBy: DiscoverySource.PEX,
+                lastSeen: Date.now() - Math.max(0, entry.lastSeenAgo),
+            });
+            learned++;
+            this._dial(hello.nodeId, entry.ip, entry.tcpPort);
+        }
+        if (learned) console.log(`[PEX] 📋 ${learned} nouveau(x) pair(s) appris de ${from.slice(0, 12)}…`);
+    }
+
+    /**
+     * @returns {string|null} Une valeur de DropReason, ou null si l'entrée est valide
+     */
+    _verifyEntry(from, introducerKey, entry) {
+        if (!entry?.hello || typeof entry.ip !== 'string' || !Number.isInteger(entry.tcpPort) || typeof entry.lastSeenAgo !== 'number') {
+            return DropReason.BAD_PAYLOAD;
+        }
+        if (entry.introducer !== from) return DropReason.SPOOFED_ID;
+        const status = verifyPeerEntry(entry, introducerKey);
+        if (status === SignatureStatus.UNSIGNED) return DropReason.UNSIGNED;
+        if (status !== SignatureStatus.VALID) return DropReason.BAD_SIGNATURE;
+
+        // HELLO du pair annoncé : NODE_ID = SHA256(clé), signature, fraîcheur (pas plus ancien que connu)
+        return verifyHello(entry.hello, entry.hello.nodeId, { ip: entry.ip, known: peerTable.get(entry.hello.nodeId) });
+    }
+
+    /* ── Connexion directe à un pair de seconde main (son HELLO le confirmera) ── */
+    _dial(nodeId, ip, port) {
+        if (this.dialing.has(nodeId)) return;
+        this.dialing.add(nodeId);
+        this.tcpServer.sendToIP(ip, port, DiscoverySource.PEX)
+            .catch(err => console.warn(`[PEX] ⚠️ ${nodeId.slice(0, 12)}… injoignable en direct @ ${ip}:${port} (${err.message})`))
+            .finally(() => this.dialing.delete(nodeId));
+    }
+
+    _warn(nodeId, err) {
+        console.warn(`[PEX] ⚠️ PEER_LIST non transmis à ${nodeId.slice(0, 12)}… (${err.message})`);
+    }
+
+    stop() {
+        clearInterval(this.timer);
+    }
+}
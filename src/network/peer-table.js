@@ -3,15 +3,32 @@
  * 
  * Maintient la liste des nœuds actifs sur le réseau local.
  * Un nœud est considéré mort après 90s sans HELLO reçu.
+ * Un pair peut être joignable à plusieurs adresses (addresses, la plus récente d'abord) ; ip/tcpPort
+ * sont celles du dernier HELLO. Un pair appris par PEER_LIST est « de seconde main » (secondHand, via) jusqu'à ce qu'un HELLO
+ * direct le confirme ; les entrées de seconde main ne remplacent jamais une entrée directe.
+ * Événement : 'seen' (peer, isNew) à chaque HELLO accepté (isNew : pair absent de la table,
+ * ou connu seulement de seconde main)
+ * Les sessions E2E (clés secrètes) sont tenues à part des entrées de pair, qui sont exposées telles
+ * quelles (API, UI) : on y accède par getSession.
  */
 
 const PEER_TIMEOUT_MS = 90_000; // 90 secondes
-import { upsertPeer } from '../database/db.js';
+// Adresses gardées par pair (une par interface et par famille IPv4/IPv6)
+const MAX_ADDRESSES = 8;
+// Durée de validité de l'ancienne clé de réception après un renouvellement (paquets en vol)
+const SESSION_KEY_GRACE_MS = 30_000;
+import { EventEmitter } from 'events';
+import { upsertPeer, setPeerTrustLevel } from '../database/db.js';
+import { getTrustLevel, computeTrustLevels } from '../crypto/wot.js';
+import { isLinkLocal, formatAddress } from './interfaces.js';
 
-class PeerTable {
+class PeerTable extends EventEmitter {
     constructor() {
+        super();
         /** @type {Map<string, PeerEntry>} nodeId -> PeerEntry */
         this.peers = new Map();
+        /** @type {Map<string, Session>} nodeId -> session E2E (jamais sérialisée avec les pairs) */
+        this.sessions = new Map();
     }
 
     /**
@@ -19,9 +36,22 @@ class PeerTable {
      * @param {Object} peerInfo - Informations du nœud
      */
     upsert(peerInfo) {
-        const { nodeId, ip, tcpPort, dhPublicKey, signingPublicKey, sharedFiles = [] } = peerInfo;
+        const {
+            nodeId, ip, tcpPort, dhPublicKey, signingPublicKey, sharedFiles = [], network = null,
+            helloTimestamp = null, hello = null, via = null, lastSeen = Date.now(), discoveredBy = null,
+        } = peerInfo;
 
         const existing = this.peers.get(nodeId);
+        if (via && existing && !existing.secondHand) return;
+        // Réseaux (clés pré-partagées) sur lesquels ce pair a été vu
+        const networks = new Set(existing ? existing.networks : []);
+        if (network) networks.add(network);
+        // Adresses par lesquelles il a été vu (interfaces, IPv4/IPv6) : la plus récente d'abord
+        const addresses = [
+            { ip, tcpPort, lastSeen },
+            ...(existing?.addresses || []).filter(a => a.ip !== ip || a.tcpPort !== tcpPort),
+        ].slice(0, MAX_ADDRESSES);
+
         this.peers.set(nodeId, {
             nodeId,
             ip,
@@ -29,13 +59,50 @@ class PeerTable {
             dhPublicKey,
             signingPublicKey,
             sharedFiles,
-            lastSeen: Date.now(),
+            networks: [...networks],
+            addresses,
+            // Timestamp du dernier HELLO signé accepté (anti-rejeu)
+            helloTimestamp: helloTimestamp ?? existing?.helloTimestamp ?? null,
+            // HELLO signé par le pair lui-même (retransmis dans nos PEER_LIST)
+            hello: hello ?? existing?.hello ?? null,
+            // Appris par PEER_LIST : nœud qui s'en porte garant, en attente d'un HELLO direct
+            secondHand: !!via,
+            via,
+            // Stratégie qui a trouvé ce pair en premier (multicast, broadcast, seed, scan, pex…)
+            discoveredBy: existing?.discoveredBy ?? discoveredBy,
+            // Une annonce de seconde main ne fait pas reculer la dernière activité connue
+            lastSeen: via && existing ? Math.max(existing.lastSeen, lastSeen) : lastSeen,
             reputation: existing ? existing.reputation : 100,
-            sessionKey: existing ? existing.sessionKey : null,
+            // Niveau de confiance calculé par le Web of Trust (direct, introduit, inconnu…)
+            trust: getTrustLevel(nodeId),
         });
 
-        // Sauvegarde persistante (pour Web of Trust)
-        upsertPeer(nodeId, dhPublicKey, signingPublicKey);
+        // Sauvegarde persistante (pour Web of Trust ; adresse confirmée = future adresse de reconnexion)
+        upsertPeer(nodeId, dhPublicKey, signingPublicKey, this.peers.get(nodeId).trust.score,
+            via ? {} : { ip, tcpPort, discoveredBy: this.peers.get(nodeId).discoveredBy });
+
+        if (!via) this.emit('seen', this.peers.get(nodeId), !existing || existing.secondHand);
+    }
+
+    /**
+     * Pair connu par un HELLO direct (et non seulement par PEER_LIST)
+     */
+    isDirect(nodeId) {
+        const peer = this.peers.get(nodeId);
+        return !!peer && !peer.secondHand;
+    }
+
+    /**
+     * Recalcule le niveau de confiance des pairs actifs (nouvelle attestation reçue ou émise)
+     */
+    refreshTrust() {
+        const levels = computeTrustLevels();
+        for (const peer of this.peers.values()) {
+            const trust = levels[peer.nodeId];
+            if (!trust) continue;
+            if (trust.score !== peer.trust?.score) setPeerTrustLevel(peer.nodeId, trust.score);
+            peer.trust = trust;
+        }
     }
 
     /**
@@ -48,6 +115,7 @@ class PeerTable {
         for (const [nodeId, peer] of this.peers) {
             if (now - peer.lastSeen > PEER_TIMEOUT_MS) {
                 this.peers.delete(nodeId);
+                this.sessions.delete(nodeId);
                 removed.push(nodeId);
             }
         }
@@ -70,13 +138,59 @@ class PeerTable {
     }
 
     /**
-     * Enregistre une clé de session établie avec un nœud
+     * Session E2E établie avec un nœud (null sans session)
+     * @returns {Session|null}
      */
-    setSessionKey(nodeId, sessionKey) {
-        const peer = this.peers.get(nodeId);
-        if (peer) {
-            peer.sessionKey = sessionKey;
-        }
+    getSession(nodeId) {
+        return this.sessions.get(nodeId) || null;
+    }
+
+    /**
+     * Enregistre la session E2E établie avec un nœud : par sens, une clé de chiffrement (AES-256-GCM)
+     * et une clé HMAC (trames), jamais utilisées l'une pour l'autre.
+     * En cas de renouvellement, les anciennes clés de réception restent acceptées SESSION_KEY_GRACE_MS.
+     * @param {string} nodeId
+     * @param {{ send: { encKey: string, macKey: string }, recv: { encKey: string, macKey: string } }} session
+     */
+    setSession(nodeId, { send, recv }) {
+        if (!this.peers.has(nodeId)) return;
+
+        const previous = this.sessions.get(nodeId);
+        this.sessions.set(nodeId, {
+            send,
+            recv,
+            establishedAt: Date.now(),
+            // Compteurs entrants (déclenchent le renouvellement)
+            packets: 0,
+            bytes: 0,
+            rekeys: previous ? previous.rekeys + 1 : 0,
+            previousRecv: previous ? previous.recv : null,
+            previousExpiresAt: previous ? Date.now() + SESSION_KEY_GRACE_MS : 0,
+        });
+    }
+
+    /**
+     * Clés HMAC de réception valides pour un nœud : clé courante, puis l'ancienne tant qu'elle n'a pas expiré
+     * @returns {string[]}
+     */
+    sessionRecvKeys(nodeId) {
+        return this._recvKeySets(nodeId).map(keys => keys.macKey);
+    }
+
+    /**
+     * Clé de déchiffrement associée à la clé HMAC qui a authentifié un paquet de session
+     * @returns {string|null}
+     */
+    sessionDecryptKey(nodeId, macKey) {
+        return this._recvKeySets(nodeId).find(keys => keys.macKey === macKey)?.encKey ?? null;
+    }
+
+    _recvKeySets(nodeId) {
+        const session = this.sessions.get(nodeId);
+        if (!session) return [];
+        const sets = [session.recv];
+        if (session.previousRecv && Date.now() < session.previousExpiresAt) sets.push(session.previousRecv);
+        return sets;
     }
 
     /**
@@ -90,17 +204,23 @@ class PeerTable {
     }
 
     /**
-     * Retourne un résumé de la table (pour PEER_LIST)
+     * Retourne un résumé de la table (pour PEER_LIST) : pairs directs seulement, avec leur HELLO signé
      */
     toSummary() {
-        return this.getActivePeers().map(p => ({
-            nodeId: p.nodeId,
-            ip: p.ip,
-            tcpPort: p.tcpPort,
-            dhPublicKey: p.dhPublicKey,
-            sharedFiles: p.sharedFiles,
-            reputation: p.reputation,
-        }));
+        const now = Date.now();
+        return this.getActivePeers()
+            .filter(p => !p.secondHand && p.hello)
+            .map(p => {
+                // Une adresse de lien local (fe80::…%wlan0) n'a de sens que sur notre propre lien
+                const address = p.addresses.find(a => !isLinkLocal(a.ip));
+                return address && {
+                    hello: p.hello,
+                    ip: address.ip,
+                    tcpPort: address.tcpPort,
+                    lastSeenAgo: now - p.lastSeen,
+                };
+            })
+            .filter(Boolean);
     }
 
     /**
@@ -114,7 +234,11 @@ class PeerTable {
         return peers.map((p, i) => {
             const ago = Math.floor((Date.now() - p.lastSeen) / 1000);
             const shortId = p.nodeId.slice(0, 12) + '…';
-            return `  [${i + 1}] ${shortId} | ${p.ip}:${p.tcpPort} | vu il y a ${ago}s | rep: ${p.reputation} | fichiers: ${p.sharedFiles.length}`;
+            const nets = p.networks.length ? p.networks.join(',') : '?';
+            const introducers = p.trust.introducers.length ? ` (${p.trust.introducers.length} garant(s))` : '';
+            const hand = p.secondHand ? ` (via ${p.via.slice(0, 8)}…)` : '';
+            const others = p.addresses.length > 1 ? ` (+${p.addresses.length - 1} adresse(s))` : '';
+            return `  [${i + 1}] ${shortId} | ${formatAddress(p.ip, p.tcpPort)}${others}${hand} | découvert: ${p.discoveredBy || '?'} | réseau: ${nets} | confiance: ${p.trust.level}${introducers} | vu il y a ${ago}s | rep: ${p.reputation} | fichiers: ${p.sharedFiles.length}`;
         }).join('\n');
     }
 
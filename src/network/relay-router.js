@@ -0,0 +1,218 @@
+/**
+ * ARCHIPEL — Routage RELAY multi-sauts (store-and-forward, spray-and-wait)
+ *
+ * À chaque contact, les deux pairs échangent un résumé (paquet RELAY_SUMMARY) :
+ *   { envelopes: [envelopeId…], receipts: [accusé…], reply }
+ * puis chacun pousse les enveloppes que l'autre n'a pas :
+ *   - au destinataire lui-même, toujours ;
+ *   - à un autre pair, la moitié des copies restantes (hops + 1), tant qu'il en reste au moins 2
+ *     et que la limite de sauts n'est pas atteinte. Avec une seule copie, on attend le destinataire.
+ * Les enveloppes sont dédoublonnées par identifiant (SHA256 de la boîte scellée) et purgées à
+ * expiration. Le destinataire signe un accusé de remise : il circule dans les résumés et retire
+ * l'enveloppe de chaque file qu'il atteint, ce qui arrête sa diffusion.
+ * La file des enveloppes en transit est plafonnée, par pair qui les confie et au total : au-delà,
+ * on oublie d'abord celle déjà confiée au plus de pairs, puis la plus ancienne.
+ *
+ * Événements : 'forwarded' (envelopeId, nodeId) enveloppe confiée à un pair,
+ *              'delivered' (receipt) nouvel accusé de remise reçu
+ */
+
+import { EventEmitter } from 'events';
+import { PacketType, DropReason } from '../crypto/packet.js';
+import { envelopeId, createRelayReceipt, isValidRelayReceipt } from '../crypto/relay-envelope.js';
+import {
+    queueRelayMessage, getRelayQueue, updateRelayMessage, deleteRelayMessage,
+    saveRelayReceipt, getRelayReceipt, getRelayReceipts,
+} from '../database/db.js';
+
+// Copies distribuées par l'expéditeur d'origine et sauts maximum (ARCHIPEL_RELAY_COPIES, _HOPS)
+export const RELAY_COPIES = Number(process.env.ARCHIPEL_RELAY_COPIES) || 8;
+export const RELAY_MAX_HOPS = Number(process.env.ARCHIPEL_RELAY_HOPS) || 8;
+// Délai minimal entre deux échanges de résumés déclenchés par un contact avec un même pair
+const CONTACT_INTERVAL_MS = 10_000;
+// Taille maximale d'un résumé (doit tenir dans une trame RELAY_SUMMARY de 256 KB)
+const SUMMARY_MAX_ENVELOPES = 1_000;
+const SUMMARY_MAX_RECEIPTS = 300;
+// Enveloppes en transit gardées au total (ARCHIPEL_RELAY_QUEUE) et par pair qui nous les confie
+export const RELAY_QUEUE_MAX = Number(process.env.ARCHIPEL_RELAY_QUEUE) || SUMMARY_MAX_ENVELOPES;
+export const RELAY_QUEUE_MAX_PER_PEER = Math.max(1, Math.floor(RELAY_QUEUE_MAX / 10));
+
+export class RelayRouter extends EventEmitter {
+    /**
+     * @param {Object}    identity  - Identité locale
+     * @param {TcpServer} tcpServer - Transport (connections, sendPacket, networkKeyFor, drops, replays)
+     */
+    constructor(identity, tcpServer) {
+        super();
+        this.identity = identity;
+        this.tcpServer = tcpServer;
+        /** @type {Map<string, number>} nodeId -> dernier échange de résumés */
+        this.lastContact = new Map();
+    }
+
+    /**
+     * Met en file un message scellé par le nœud local et lance sa diffusion
+     * @param {{ target: string, expiresAt: number, sealed: string }} envelope
+     * @returns {string} Identifiant de l'enveloppe
+     */
+    originate(envelope) {
+        queueRelayMessage(envelope.target, this.identity.nodeId, envelope, { copies: RELAY_COPIES });
+        this.spread();
+        return envelopeId(envelope);
+    }
+
+    /**
+     * Contact avec un pair (handshake terminé, connexion ouverte) : échange de résumés
+     * @param {net.Socket} [socket] - Connexion sur laquelle répondre
+     */
+    onContact(nodeId, socket = null) {
+        const now = Date.now();
+        if (now - (this.lastContact.get(nodeId) || 0) < CONTACT_INTERVAL_MS) return;
+        this.lastContact.set(nodeId, now);
+        this._sendSummary(nodeId, true, socket);
+    }
+
+    /**
+     * Propose nos enveloppes à tous les pairs connectés (nouvelle enveloppe en file)
+     * @param {string} [exceptNodeId] - Pair dont elle provient
+     */
+    spread(exceptNodeId = null) {
+        for (const nodeId of this.tcpServer.connections.keys()) {
+            if (nodeId !== exceptNodeId) this._sendSummary(nodeId, true);
+        }
+    }
+
+    /**
+     * Résumé reçu : accusés à enregistrer, enveloppes qui manquent au pair, réponse éventuelle
+     */
+    async onSummary(nodeId, data, socket = null) {
+        const receipts = Array.isArray(data.receipts) ? data.receipts : [];
+        const now = Date.now();
+        for (const receipt of receipts) {
+            if (!receipt || receipt.expiresAt < now || getRelayReceipt(receipt.envelopeId, receipt.target)) continue;
+            if (!isValidRelayReceipt(receipt)) {
+                this.tcpServer.drops.record(nodeId, DropReason.BAD_SIGNATURE);
+                console.warn(`[RELAY] 🚫 Accusé de remise invalide reçu de ${nodeId.slice(0, 12)}…`);
+                continue;
+            }
+            if (saveRelayReceipt(receipt)) {
+                console.log(`[RELAY] ✅ Enveloppe ${receipt.envelopeId.slice(0, 12)}… remise à ${receipt.target.slice(0, 12)}… — diffusion arrêtée`);
+                this.emit('delivered', receipt);
+            }
+        }
+
+        const known = new Set(Array.isArray(data.envelopes) ? data.envelopes : []);
+        await this._push(nodeId, known, socket);
+        if (data.reply) await this._sendSummary(nodeId, false, socket);
+    }
+
+    /**
+     * Enveloppe en transit confiée par un pair : dédoublonnée, mise en file puis rediffusée
+     */
+    onEnvelope(nodeId, data, socket = null) {
+        const id = envelopeId(data);
+
+        // Déjà remise : on renvoie l'accusé pour que le pair cesse de la diffuser
+        const delivered = getRelayReceipt(id, data.target);
+        if (delivered) {
+            this.acknowledge(nodeId, [delivered], socket);
+            return;
+        }
+
+        const hops = Number.isInteger(data.hops) && data.hops > 0 ? data.hops : 1;
+        if (hops > RELAY_MAX_HOPS) {
+            console.warn(`[RELAY] ⛔ Enveloppe pour ${data.target.slice(0, 12)}… ignorée (${hops} sauts > ${RELAY_MAX_HOPS})`);
+            return;
+        }
+        // Expiration bornée (pas d'enveloppe éternelle) ; un doublon est simplement ignoré
+        // (le maillage en apporte de légitimes par plusieurs relais), sans repasser par la file.
+        // Suivie par pair transmetteur (authentifié), pas par un champ de l'enveloppe : la file, elle,
+        // dédoublonne d'un pair à l'autre
+        const replayed = this.tcpServer.replays.checkUntil(nodeId, id, data.expiresAt);
+        if (replayed === DropReason.STALE) {
+            this.tcpServer.drops.record(nodeId, DropReason.STALE);
+            console.warn(`[RELAY] 🚫 Enveloppe expirée ou hors délai reçue de ${nodeId.slice(0, 12)}…`);
+            return;
+        }
+        if (replayed) return;
+
+        // Seul ce qu'un relais voit est conservé : destinataire, expiration, boîte opaque
+        const { target, expiresAt, sealed } = data;
+        const copies = Number.isInteger(data.copies) && data.copies > 0 ? Math.min(data.copies, RELAY_COPIES) : 1;
+        if (!queueRelayMessage(target, nodeId, { target, expiresAt, sealed }, { copies, hops, forwardedTo: [nodeId] })) return;
+        this._enforceLimits(nodeId);
+
+        console.log(`[RELAY] 🔄 Enveloppe pour ${target.slice(0, 12)}… mise en file (${hops} saut(s), ${copies} copie(s))`);
+        this.spread(nodeId);
+    }
+
+    /**
+     * Enveloppe adressée au nœud local et ouverte avec succès : accusé signé et conservé
+     * @returns {Object} Accusé de remise
+     */
+    recordDelivery(envelope) {
+        const receipt = createRelayReceipt(this.identity, envelope);
+        saveRelayReceipt(receipt);
+        return receipt;
+    }
+
+    /**
+     * Envoie des accusés de remise à un pair (sans lui demander son résumé)
+     */
+    acknowledge(nodeId, receipts, socket = null) {
+        this._send(nodeId, PacketType.RELAY_SUMMARY, { envelopes: [], receipts, reply: false }, socket)
+            .catch(err => console.warn(`[RELAY] ⚠️ Accusé non transmis à ${nodeId.slice(0, 12)}… (${err.message})`));
+    }
+
+    /* ── Pousse au pair les enveloppes qu'il n'a pas (copies partagées) ── */
+    async _push(nodeId, known, socket) {
+        for (const entry of getRelayQueue()) {
+            if (known.has(entry.envelopeId) || entry.forwardedTo.includes(nodeId)) continue;
+
+            const direct = entry.targetId === nodeId;
+            if (!direct && (entry.copies < 2 || entry.hops >= RELAY_MAX_HOPS)) continue;
+            const given = direct ? entry.copies : Math.floor(entry.copies / 2);
+
+            try {
+                await this._send(nodeId, PacketType.RELAY, { ...entry.envelope, hops: entry.hops + 1, copies: given }, socket);
+            } catch (err) {
+                console.warn(`[RELAY] ⚠️ Enveloppes non transmises à ${nodeId.slice(0, 12)}… (${err.message})`);
+                return;
+            }
+            updateRelayMessage(entry.envelopeId, direct ? entry.copies : entry.copies - given, [...entry.forwardedTo, nodeId]);
+            this.emit('forwarded', entry.envelopeId, nodeId);
+            console.log(`[RELAY] 📤 Enveloppe pour ${entry.targetId.slice(0, 12)}… ${direct ? 'remise à son destinataire' : `confiée à ${nodeId.slice(0, 12)}… (${given} copie(s))`}`);
+        }
+    }
+
+    /* ── Plafonds de la file (pair qui vient de confier une enveloppe, puis total) ── */
+    _enforceLimits(nodeId) {
+        // Nos propres enveloppes ne sont jamais évincées par celles des autres
+        const transit = getRelayQueue().filter(entry => entry.senderId !== this.identity.nodeId);
+        const fromPeer = transit.filter(entry => entry.senderId === nodeId);
+        const candidates = fromPeer.length > RELAY_QUEUE_MAX_PER_PEER ? fromPeer
+            : transit.length > RELAY_QUEUE_MAX ? transit
+            : null;
+        if (!candidates) return;
+
+        // Déjà confiée au plus de pairs, puis la plus ancienne (la file est dans l'ordre d'arrivée)
+        const victim = candidates.reduce((a, b) => b.forwardedTo.length > a.forwardedTo.length ? b : a);
+        deleteRelayMessage(victim.envelopeId);
+        console.warn(`[RELAY] ♻️ File pleine : enveloppe pour ${victim.targetId.slice(0, 12)}… oubliée (confiée par ${victim.senderId.slice(0, 12)}…)`);
+    }
+
+    /* ── Résumé de notre file et de nos accusés ─────────────────────── */
+    _sendSummary(nodeId, reply, socket = null) {
+        const envelopes = getRelayQueue().slice(-SUMMARY_MAX_ENVELOPES).map(entry => entry.envelopeId);
+        const receipts = getRelayReceipts(SUMMARY_MAX_RECEIPTS);
+        return this._send(nodeId, PacketType.RELAY_SUMMARY, { envelopes, receipts, reply }, socket)
+            .catch(err => console.warn(`[RELAY] ⚠️ Résumé non transmis à ${nodeId.slice(0, 12)}… (${err.message})`));
+    }
+
+    /* ── Envoi sur la connexion donnée, sinon sur celle du pair ──────── */
+    async _send(nodeId, type, payload, socket) {
+        const hmacKey = this.tcpServer.networkKeyFor(nodeId);
+        if (socket && !socket.destroyed) return this.tcpServer._writePacket(socket, type, payload, hmacKey);
+        return this.tcpServer.sendPacket(nodeId, type, payload, hmacKey);
+    }
+}
@@ -0,0 +1,106 @@
+/**
+ * ARCHIPEL — Protection anti-rejeu (MSG, RELAY, CHUNK_REQ, CHUNK_DATA, GROUP, PEER_LIST)
+ *
+ * Cache de nonces par émetteur sur une fenêtre glissante :
+ *   - un paquet hors fenêtre (timestamp trop ancien ou dans le futur) est rejeté (STALE) ;
+ *   - un paquet déjà vu dans la fenêtre est rejeté (REPLAY).
+ * Une entrée n'a plus besoin d'être gardée une fois sortie de la fenêtre : un rejeu
+ * serait de toute façon rejeté comme STALE.
+ * Certaines clés d'émetteur sont choisies par l'émetteur (auteur d'une publication, expéditeur d'une
+ * enveloppe) : au plus MAX_TRACKED_PEERS émetteurs sont suivis, le moins récemment touché est oublié.
+ */
+
+import { createHash } from 'crypto';
+import { DropReason, STRICT_MODE } from '../crypto/packet.js';
+import { RELAY_TTL_MS } from '../crypto/relay-envelope.js';
+
+// Fenêtre d'acceptation des messages directs et des chunks
+export const REPLAY_WINDOW_MS = 5 * 60_000;
+// Âge maximal d'une enveloppe RELAY (durée de garde dans la file de relais)
+export const RELAY_MAX_AGE_MS = RELAY_TTL_MS;
+// Avance d'horloge tolérée pour un émetteur (horloges non synchronisées hors-ligne)
+const MAX_FUTURE_SKEW_MS = 5 * 60_000;
+// Nonces retenus par émetteur (au-delà, les plus anciens sont oubliés)
+const MAX_NONCES_PER_PEER = 10_000;
+// Émetteurs suivis au plus
+const MAX_TRACKED_PEERS = 256;
+
+export class ReplayGuard {
+    constructor() {
+        /** @type {Map<string, Map<string, number>>} émetteur -> (nonce -> expiration) */
+        this.seen = new Map();
+    }
+
+    /**
+     * Vérifie qu'un paquet est frais et jamais vu, puis le retient
+     * @param {string} peerKey   - Émetteur (nodeId ; expéditeur d'origine pour un RELAY ouvert)
+     * @param {string} nonce     - Identifiant unique du paquet (voir replayNonce)
+     * @param {number} timestamp - Horodatage annoncé par l'émetteur
+     * @param {number} [maxAgeMs=REPLAY_WINDOW_MS]
+     * @returns {string|null} DropReason.STALE / DropReason.REPLAY, ou null si accepté
+     */
+    check(peerKey, nonce, timestamp, maxAgeMs = REPLAY_WINDOW_MS) {
+        const now = Date.now();
+
+        // Anciens pairs sans horodatage : tolérés uniquement hors mode strict
+        if (typeof timestamp !== 'number') return STRICT_MODE ? DropReason.STALE : null;
+        if (timestamp < now - maxAgeMs || timestamp > now + MAX_FUTURE_SKEW_MS) return DropReason.STALE;
+
+        return this._remember(peerKey, nonce, timestamp + maxAgeMs, now);
+    }
+
+    /**
+     * Variante pour une enveloppe RELAY en transit, dont seule l'expiration est visible
+     * @param {string} peerKey   - Pair qui a transmis l'enveloppe
+     * @param {string} nonce     - Identifiant de l'enveloppe (voir envelopeId)
+     * @param {number} expiresAt - Expiration annoncée (au plus RELAY_MAX_AGE_MS dans le futur)
+     * @returns {string|null} DropReason.STALE / DropReason.REPLAY, ou null si acceptée
+     */
+    checkUntil(peerKey, nonce, expiresAt) {
+        const now = Date.now();
+        if (typeof expiresAt !== 'number' || expiresAt <= now || expiresAt > now + RELAY_MAX_AGE_MS + MAX_FUTURE_SKEW_MS) {
+            return DropReason.STALE;
+        }
+        return this._remember(peerKey, nonce, expiresAt, now);
+    }
+
+    /* ── Retient un nonce jusqu'à `expiresAt` (REPLAY s'il est déjà connu) ─ */
+    _remember(peerKey, nonce, expiresAt, now) {
+        const nonces = this.seen.get(peerKey) || new Map();
+
+        const known = nonces.get(nonce);
+        if (known !== undefined && known > now) return DropReason.REPLAY;
+
+        this._prune(nonces, now);
+        nonces.set(nonce, expiresAt);
+
+        // Réinsertion : la Map reste triée du moins au plus récemment touché
+        this.seen.delete(peerKey);
+        this.seen.set(peerKey, nonces);
+        this._evict(now);
+        return null;
+    }
+
+    /* ── Oublie le moins récent des émetteurs s'il n'a plus de nonce en fenêtre, ou au-delà du plafond ─ */
+    _evict(now) {
+        const [oldestKey, oldest] = this.seen.entries().next().value;
+        this._prune(oldest, now);
+        if (oldest.size === 0 || this.seen.size > MAX_TRACKED_PEERS) this.seen.delete(oldestKey);
+    }
+
+    /* ── Oublie les nonces sortis de la fenêtre (et borne la mémoire) ─ */
+    _prune(nonces, now) {
+        for (const [nonce, expiresAt] of nonces) {
+            if (expiresAt <= now || nonces.size >= MAX_NONCES_PER_PEER) nonces.delete(nonce);
+            else break;
+        }
+    }
+}
+
+/**
+ * Identifiant anti-rejeu d'un paquet : SHA256 de son payload
+ * (qui contient un horodatage et, pour MSG/CHUNK, un nonce aléatoire)
+ */
+export function replayNonce(packet) {
+    return createHash('sha256').update(packet.payload).digest('hex');
+}
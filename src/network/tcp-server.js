@@ -1,24 +1,65 @@
 /**
  * ARCHIPEL — Serveur TCP (Port 7777) — Version complète Sprint 2+3
- * Gère : MSG, PEER_LIST, ACK, HANDSHAKE, MANIFEST, CHUNK_REQ, CHUNK_DATA, HELLO, RELAY
+ * Gère : MSG, PEER_LIST, ACK, HANDSHAKE, MANIFEST, CHUNK_REQ, CHUNK_DATA, HELLO, RELAY, TRUST, RELAY_SUMMARY, GROUP,
+ *        CHANNEL
  */
 
 import net from 'net';
+import { randomBytes } from 'crypto';
 import {
-    parsePacket, buildPacket, buildHelloPacket,
-    PacketType, PacketTypeName,
-    parseJsonPayload, PUBLIC_HMAC_KEY,
+    buildPacket, buildHelloPacket, verifyHello, encodeBinaryPayload, FrameDecoder,
+    PacketType, PacketTypeName, PacketFlag, PROTOCOL_VERSION, DropReason,
+    parseJsonPayload, STRICT_MODE, AckStatus,
 } from '../crypto/packet.js';
+import { getNetworkKeys, getNetworkKey, networkForKey } from '../crypto/network-keys.js';
 import { peerTable } from './peer-table.js';
-import { decryptMessage, verifySignature } from '../crypto/encryption.js';
-import { checkTrust } from '../crypto/wot.js';
-import { respondHandshake } from '../crypto/handshake.js';
-import { getLocalManifest } from '../transfer/file-index.js';
+import { DropCounter } from './drop-counter.js';
+import { HandshakeManager } from './handshake-manager.js';
+import { RelayRouter } from './relay-router.js';
+import { PeerExchange } from './peer-exchange.js';
+import { normalizeAddress, localAddresses, formatAddress } from './interfaces.js';
+import { DiscoverySource } from './discovery-strategies.js';
+import { HandshakeError } from '../crypto/handshake.js';
+import { ReplayGuard, replayNonce, RELAY_MAX_AGE_MS } from './replay-guard.js';
+import { decryptMessage } from '../crypto/encryption.js';
+import { verifyMessage, verifyManifest, signAck, verifyAck, SignatureStatus } from '../crypto/signing.js';
+import { openRelayEnvelope, envelopeId } from '../crypto/relay-envelope.js';
+import { checkTrust, recordCertificates, getCertificates, getVerificationKeys } from '../crypto/wot.js';
+import { getLocalManifest, getSharedFileSummaries } from '../transfer/file-index.js';
 import { readChunk } from '../transfer/chunker.js';
-import { fetchRelayMessages, queueRelayMessage } from '../database/db.js';
+import { getRelayReceipt, getMessage } from '../database/db.js';
 
 const TCP_PORT = 7777;
 const KEEPALIVE_INTERVAL = 15_000;
+// Connexion à un pair : délai avant d'essayer l'adresse suivante en parallèle, abandon d'une adresse
+const HAPPY_EYEBALLS_DELAY_MS = 250;
+const CONNECT_TIMEOUT_MS = 5_000;
+// Paquets décodés en attente de traitement avant mise en pause de la socket
+const HANDLER_QUEUE_SIZE = 32;
+// Certificats par trame TRUST : lots bien en deçà de la limite de 256 KB du TYPE
+const TRUST_BATCH_BYTES = 192 * 1024;
+
+/**
+ * Découpe une liste de certificats en lots qui tiennent chacun dans une trame TRUST
+ * @returns {Object[][]}
+ */
+function certificateBatches(certificates) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+    for (const cert of certificates) {
+        const length = Buffer.byteLength(JSON.stringify(cert)) + 1;
+        if (batch.length && size + length > TRUST_BATCH_BYTES) {
+            batches.push(batch);
+            batch = [];
+            size = 0;
+        }
+        batch.push(cert);
+        size += length;
+    }
+    if (batch.length) batches.push(batch);
+    return batches;
+}
 
 export class TcpServer {
     constructor(identity, onMessageReceived, onPeerDiscovered) {
@@ -26,194 +67,353 @@ export class TcpServer {
         this.onMessageReceived = onMessageReceived || (() => { });
         this.onPeerDiscovered = onPeerDiscovered || (() => { });
         this.onChunkReceived = () => { };
+        /** Accusé de réception / lecture vérifié : { from, msgIds, status } */
+        this.onAck = () => { };
+        /** Paquet GROUP (ou message de groupe relayé) : { from, data, sessionKey, relayed } */
+        this.onGroupPacket = () => { };
+        /** Paquet CHANNEL (publication propagée, rattrapage d'historique) : { from, data } */
+        this.onChannelPacket = () => { };
         this.server = null;
         this._port = TCP_PORT;
         /** @type {Map<string, net.Socket>} nodeId -> socket */
         this.connections = new Map();
+        /** Paquets rejetés par pair (HMAC, TYPE, troncature) */
+        this.drops = new DropCounter();
+        /** Nonces déjà vus par émetteur (anti-rejeu MSG, RELAY, CHUNK) */
+        this.replays = new ReplayGuard();
+        /** Automate de handshake par pair (sessions E2E) */
+        this.handshakes = new HandshakeManager(identity, this);
+        /** Routage RELAY multi-sauts (résumés, copies, accusés de remise) */
+        this.router = new RelayRouter(identity, this);
+        /** Échange de pairs signé (PEER_LIST) */
+        this.peerExchange = new PeerExchange(identity, this);
+        /** @type {WeakMap<net.Socket, { version: number, seqOut: number }>} état négocié par connexion */
+        this._connState = new WeakMap();
     }
 
     /* ── Démarrage ─────────────────────────────────────────────────── */
-    start(port = TCP_PORT) {
+    /**
+     * Écoute sur toutes les interfaces : IPv6 et IPv4 ("::", double pile), sinon IPv4 seul
+     */
+    start(port = TCP_PORT, host = '::') {
         return new Promise((resolve, reject) => {
             this.server = net.createServer(socket => this._handleConnection(socket));
 
             this.server.on('error', err => {
                 if (err.code === 'EADDRINUSE') {
-                    this.start(port + 1).then(resolve).catch(reject);
+                    this.start(port + 1, host).then(resolve).catch(reject);
+                } else if (host === '::' && (err.code === 'EAFNOSUPPORT' || err.code === 'EADDRNOTAVAIL')) {
+                    // Machine sans IPv6
+                    this.start(port, '0.0.0.0').then(resolve).catch(reject);
                 } else {
                     reject(err);
                 }
             });
 
-            this.server.listen(port, '0.0.0.0', () => {
+            this.server.listen({ port, host, ipv6Only: false }, () => {
                 this._port = port;
-                console.log(`[TCP] ✅ Serveur TCP actif sur port ${port}`);
+                console.log(`[TCP] ✅ Serveur TCP actif sur port ${port} (${host === '::' ? 'IPv4 + IPv6' : 'IPv4'})`);
                 resolve(port);
             });
         });
     }
 
     /* ── Connexion entrante ─────────────────────────────────────────── */
-    _handleConnection(socket) {
+    /**
+     * @param {string} [source] - Origine de la connexion (stratégie de découverte), si elle vient de nous
+     */
+    _handleConnection(socket, source = DiscoverySource.INBOUND) {
         socket.setKeepAlive(true, KEEPALIVE_INTERVAL);
-        let buffer = Buffer.alloc(0);
+        const state = this._getConnState(socket);
+        state.discoveredBy = source;
 
-        socket.on('data', chunk => {
-            buffer = Buffer.concat([buffer, chunk]);
-            while (buffer.length >= 41) {
-                const payloadLen = buffer.readUInt32BE(37);
-                const totalLen = 41 + payloadLen + 32;
-                if (buffer.length < totalLen) break;
+        // Décodage en flux : taille max par TYPE, resynchronisation, pause de la socket si file pleine
+        const decoder = new FrameDecoder({
+            getHmacKeys: header => this._getHmacKeys(header),
+            queueSize: HANDLER_QUEUE_SIZE,
+        });
+        decoder.on('drop', err => {
+            // Trame non authentifiée : son nodeId n'est pas prouvé, le rejet est compté sur l'IP
+            this.drops.record(normalizeAddress(socket.remoteAddress), err.reason);
+            console.warn(`[TCP] 🚫 Paquet rejeté (${err.reason}): ${err.message}`);
+            // Un pair connu nous parle avec une session qu'on n'a plus (redémarrage) : on la rétablit
+            if (err.reason === DropReason.BAD_HMAC && err.nodeId) this.handshakes.recover(err.nodeId);
+        });
+        socket.pipe(decoder);
 
-                const packetBuf = buffer.slice(0, totalLen);
-                buffer = buffer.slice(totalLen);
+        (async () => {
+            for await (const packet of decoder) {
+                // Le pair parle v2 : on lui répond en v2 sur cette connexion
+                if (packet.version > state.version) state.version = packet.version;
 
-                const hmacKey = this._getHmacKey(packetBuf);
-                const packet = parsePacket(packetBuf, hmacKey);
-                if (packet) this._handlePacket(packet, socket).catch(err => {
+                await this._handlePacket(packet, socket).catch(err => {
                     console.error('[TCP] ❌ Erreur handling packet:', err.message);
                 });
             }
-        });
+        })().catch(err => console.error('[TCP] ❌ Erreur décodeur:', err.message));
 
         socket.on('error', err => {
             if (err.code !== 'ECONNRESET') console.warn('[TCP] ⚠️', err.message);
         });
 
         socket.on('close', () => {
+            if (!decoder.writableEnded) decoder.end();
             for (const [id, s] of this.connections) {
                 if (s === socket) { this.connections.delete(id); break; }
             }
         });
     }
 
-    /* ── Clé HMAC à utiliser selon l'émetteur ───────────────────────── */
-    _getHmacKey(buf) {
-        if (buf.length < 37) return PUBLIC_HMAC_KEY;
-        const type = buf[4];
-        const senderId = buf.slice(5, 37).toString('hex');
-        const peer = peerTable.get(senderId);
+    /* ── État négocié d'une connexion (version du format, séquence) ─── */
+    _getConnState(socket) {
+        let state = this._connState.get(socket);
+        if (!state) {
+            state = { version: 1, seqOut: 0, discoveredBy: null, helloSent: false };
+            this._connState.set(socket, state);
+        }
+        return state;
+    }
+
+    /* ── Clés HMAC acceptées selon l'émetteur (d'après l'en-tête) ─── */
+    _getHmacKeys({ type, nodeId }) {
+        const networkKeys = getNetworkKeys();
+
+        // HELLO est toujours signé avec la clé d'un réseau rejoint
+        if (type === PacketType.HELLO) return networkKeys;
+
+        // Clés de session en priorité (courante, puis précédente pendant un renouvellement),
+        // clés réseau pour le handshake et les pairs sans session
+        return [...peerTable.sessionRecvKeys(nodeId), ...networkKeys];
+    }
+
+    /**
+     * Clé HMAC pour répondre à un paquet : clé d'envoi de la session si le paquet venait de la session,
+     * sinon la clé du réseau qui l'a validé
+     */
+    replyKeyFor(nodeId, packetHmacKey) {
+        if (packetHmacKey && peerTable.sessionRecvKeys(nodeId).includes(packetHmacKey)) {
+            return peerTable.getSession(nodeId).send.macKey;
+        }
+        return this.networkKeyFor(nodeId, packetHmacKey);
+    }
+
+    /**
+     * Clé du réseau à utiliser avec un pair.
+     * `preferred` (clé ayant validé le paquet reçu) est retenue si c'est une clé réseau.
+     */
+    networkKeyFor(nodeId, preferred = null) {
+        const keys = getNetworkKeys();
+        if (preferred && keys.includes(preferred)) return preferred;
+
+        const peer = peerTable.get(nodeId);
+        for (const name of peer?.networks || []) {
+            const key = getNetworkKey(name);
+            if (key) return key;
+        }
 
-        // Si on a une clé de session avec ce pair, on l'utilise en priorité
-        if (peer?.sessionKey) return peer.sessionKey;
+        if (keys.length === 0) throw new Error('Aucun réseau rejoint — utilisez "network create" ou "network join"');
+        return keys[0];
+    }
 
-        // Sinon, fallback sur la clé publique (obligatoire pour HELLO)
-        return PUBLIC_HMAC_KEY;
+    /* ── Envoie notre HELLO sur une socket (un par réseau) ─────────── */
+    _sendHello(socket, hmacKeys = getNetworkKeys()) {
+        this._getConnState(socket).helloSent = true;
+        const summaries = getSharedFileSummaries();
+        const addresses = localAddresses();
+        for (const key of hmacKeys) {
+            socket.write(buildHelloPacket(this.identity, this._port, summaries, key, addresses));
+        }
     }
 
     /* ── Dispatch des paquets reçus ────────────────────────────────── */
     async _handlePacket(packet, socket) {
         try {
-            // On enregistre systématiquement la connexion pour ce nodeId
-            if (packet.nodeId) {
+            // On n'associe la connexion à ce nodeId que si le paquet est authentifié par la session
+            // (sinon n'importe quel hôte pourrait détourner la connexion d'un pair)
+            const sessionKeys = peerTable.sessionRecvKeys(packet.nodeId);
+            const viaSession = !!packet.hmacKey && sessionKeys.includes(packet.hmacKey);
+            if (viaSession) {
                 this.connections.set(packet.nodeId, socket);
+                // Compteurs entrants : renouvellement de la session aux seuils
+                this.handshakes.recordInbound(packet.nodeId, packet.payload.length);
             }
 
             const data = parseJsonPayload(packet);
             if (!data && packet.type !== PacketType.ACK) return;
 
+            // Anti-rejeu : un paquet déjà vu (ou hors fenêtre) n'atteint jamais les handlers
+            const replayed = this._checkReplay(packet, data);
+            if (replayed) {
+                this.drops.record(packet.nodeId, replayed);
+                console.warn(`[TCP] 🚫 ${PacketTypeName[packet.type]} rejeté (${replayed}) de ${packet.nodeId.slice(0, 12)}…`);
+                return;
+            }
+
             switch (packet.type) {
 
                 /* ── HELLO (Découverte via TCP / Manuel IP) ───────────────── */
                 case PacketType.HELLO: {
+                    // Signature Ed25519, NODE_ID = SHA256(clé), fraîcheur : sinon rejeté et compté
+                    const ip = normalizeAddress(socket.remoteAddress);
+                    const rejected = verifyHello(data, packet.nodeId, { ip, known: peerTable.get(data.nodeId) });
+                    if (rejected) {
+                        this.drops.record(ip, rejected);
+                        console.warn(`[TCP] 🚫 HELLO rejeté (${rejected}) de ${ip}`);
+                        return;
+                    }
+
                     const peerInfo = {
                         nodeId: data.nodeId,
-                        ip: socket.remoteAddress?.replace('::ffff:', ''),
+                        ip,
                         tcpPort: data.tcpPort || 7777,
                         dhPublicKey: data.dhPublicKey,
                         signingPublicKey: data.signingPublicKey,
                         sharedFiles: data.sharedFiles || [],
+                        network: networkForKey(packet.hmacKey),
+                        helloTimestamp: data.timestamp,
+                        hello: data,
+                        discoveredBy: this._getConnState(socket).discoveredBy,
                     };
                     
-                    const isNew = !peerTable.get(data.nodeId);
+                    // Le pair annonce le format v2 : négocié pour cette connexion
+                    if (data.protocolVersion >= 2) {
+                        const state = this._getConnState(socket);
+                        state.version = Math.max(state.version, Math.min(data.protocolVersion, PROTOCOL_VERSION));
+                    }
+
+                    // Un pair connu seulement de seconde main (PEER_LIST) est nouveau pour nous
+                    const isNew = !peerTable.isDirect(data.nodeId);
+
+                    // Réponse une seule fois par connexion (pour briser la boucle), sur le réseau par lequel
+                    // le pair s'est annoncé : un pair déjà connu qui revient (redémarrage, reconnexion aux
+                    // adresses connues) a aussi besoin de notre HELLO. Envoyée avant tout autre paquet.
+                    const hmacKey = this.networkKeyFor(data.nodeId, packet.hmacKey);
+                    if (!this._getConnState(socket).helloSent) this._sendHello(socket, [hmacKey]);
                     
-                    // On enregistre le pair
-                    peerTable.upsert(peerInfo);
+                    // On enregistre le pair (connexion d'abord : les abonnés de 'seen' répondent dessus)
                     this.connections.set(data.nodeId, socket);
+                    peerTable.upsert(peerInfo);
                     
                     // On notifie l'UI
                     this.onPeerDiscovered(peerInfo);
 
-                    // ON NE RÉPOND QUE SI C'EST UN NOUVEAU PAIR (pour briser la boucle)
+                    // Contact : échange des files de relais (enveloppes en attente, accusés de remise)
+                    this.router.onContact(data.nodeId, socket);
+
                     if (isNew) {
                         console.log(`[TCP] ✨ Nouveau pair connecté via IP DIRECTE: ${data.nodeId.slice(0, 12)}…`);
-                        import('../transfer/file-index.js').then(({ getSharedFileSummaries }) => {
-                            const summaries = getSharedFileSummaries();
-                            const hello = buildHelloPacket(this.identity, this._port, summaries);
-                            socket.write(hello);
-                        });
+
+                        // Certificats de rotation / révocation / attestation connus (diffusion de proche en proche)
+                        for (const certificates of certificateBatches(getCertificates())) {
+                            await this._writePacket(socket, PacketType.TRUST, { certificates }, hmacKey);
+                        }
                     }
                     break;
                 }
 
                 /* ── MSG (chat + handshake) ────────────────────────────────── */
                 case PacketType.MSG: {
-                    // Handshake INIT
+                    // Handshake INIT : on répond (signé) et on attend le FINISH
                     if (data.type === 'HANDSHAKE_INIT') {
                         const trust = checkTrust(data.nodeId, data.signingPub, data.dhPub);
                         if (!trust.trusted) {
                             console.warn(`[TCP] 🚨 Pair non fiable refusé: ${data.nodeId.slice(0, 12)}…`);
                             return;
                         }
-                        const { responsePacket, sessionKey } = respondHandshake(data, this.identity);
-                        peerTable.setSessionKey(data.nodeId, sessionKey);
-                        socket.write(responsePacket);
-                        this.connections.set(data.nodeId, socket);
-                        console.log(`[TCP] 🤝 Handshake terminé avec ${data.nodeId.slice(0, 12)}…`);
-
-                        // Vérifier s'il y a des messages en attente de relais pour ce pair
-                        this._deliverRelayMessages(data.nodeId, socket);
+                        this.handshakes.onInit(data, socket, this.networkKeyFor(data.nodeId, packet.hmacKey));
                         return;
                     }
 
-                    // Handshake RESP
+                    // Handshake RESP : vérifiée et finalisée par l'automate de handshake
                     if (data.type === 'HANDSHAKE_RESP') {
-                        checkTrust(data.nodeId, data.signingPub, data.dhPub);
+                        const trust = checkTrust(data.nodeId, data.signingPub, data.dhPub);
+                        if (!trust.trusted) {
+                            this.handshakes.refuse(data.nodeId, new HandshakeError(`pair non fiable (${trust.status}): ${data.nodeId.slice(0, 12)}…`));
+                            return;
+                        }
                         this.connections.set(data.nodeId, socket);
-                        // La finalisation de la clé est faite côté Messenger
-                        this._pendingHandshakeResp = data;
+                        await this.handshakes.onResp(data);
 
-                        // Délivrer les messages en attente
-                        this._deliverRelayMessages(data.nodeId, socket);
+                        // Échange des files de relais (enveloppes en attente, accusés de remise)
+                        this.router.onContact(data.nodeId, socket);
                         return;
                     }
 
-                    // Message chat normal (Mode Simplifié Hackathon)
+                    // Handshake FINISH : signature + confirmation de clé de l'initiateur
+                    if (data.type === 'HANDSHAKE_FINISH') {
+                        if (!this.handshakes.onFinish(packet.nodeId, data)) return;
+                        this.connections.set(packet.nodeId, socket);
+                        console.log(`[TCP] 🤝 Handshake terminé avec ${packet.nodeId.slice(0, 12)}…`);
+
+                        // Échange des files de relais (enveloppes en attente, accusés de remise)
+                        this.router.onContact(packet.nodeId, socket);
+                        return;
+                    }
+
+                    // Message chat chiffré E2E
                     const peer = peerTable.get(packet.nodeId);
                     if (!peer) {
                         console.log(`[TCP] 📨 Message reçu de ${packet.nodeId.slice(0, 12)}… (Inconnu dans peerTable, mais traité)`);
                     }
+                    // Signature de l'émetteur : falsifiée → rejet ; absente → acceptée mais signalée
+                    const signatureStatus = data.nodeId && data.nodeId !== packet.nodeId
+                        ? SignatureStatus.FORGED
+                        : verifyMessage(data, this._signingKeyOf(packet.nodeId));
+                    if (this._rejectSignature(packet, signatureStatus)) return;
+
                     let text = data.ciphertext;
-                    
-                    // On tente de décrypter seulement si on a une session, sinon on prend le clair
-                    if (peer?.sessionKey && data.nonce) {
-                        const decrypted = decryptMessage(data.ciphertext, data.nonce, peer.sessionKey);
-                        if (decrypted) text = decrypted;
+                    let encrypted = false;
+
+                    // Message chiffré : on n'accepte que ce qui se déchiffre avec la clé de session
+                    // (celle associée à la clé HMAC qui a authentifié le paquet, éventuellement l'ancienne
+                    // pendant un renouvellement)
+                    if (data.nonce) {
+                        const key = viaSession ? peerTable.sessionDecryptKey(packet.nodeId, packet.hmacKey) : peerTable.getSession(packet.nodeId)?.recv.encKey;
+                        const decrypted = key ? decryptMessage(data.ciphertext, data.nonce, key) : null;
+                        if (decrypted === null) {
+                            console.warn(`[TCP] 🚨 Message indéchiffrable de ${packet.nodeId.slice(0, 12)}… (session absente ou invalide) — ignoré`);
+                            return;
+                        }
+                        text = decrypted;
+                        encrypted = true;
                     }
 
                     this.connections.set(packet.nodeId, socket);
+
+                    // Accusé de réception signé, renvoyé aussi pour un doublon (le premier a pu se perdre)
+                    if (data.msgId) {
+                        this.sendAck(packet.nodeId, [data.msgId], AckStatus.DELIVERED, socket)
+                            .catch(err => console.warn(`[TCP] ⚠️ ACK non transmis à ${packet.nodeId.slice(0, 12)}… (${err.message})`));
+                        if (getMessage(packet.nodeId, data.msgId)) {
+                            console.log(`[TCP] ♻️ Message ${data.msgId.slice(0, 8)}… déjà reçu de ${packet.nodeId.slice(0, 12)}… (renvoi)`);
+                            return;
+                        }
+                    }
+
                     this.onMessageReceived({
                         from: packet.nodeId,
                         message: text,
                         timestamp: data.timestamp || Date.now(),
-                        encrypted: !!peer?.sessionKey
+                        encrypted,
+                        signatureStatus,
+                        msgId: data.msgId || null,
                     });
                     break;
                 }
 
                 /* ── PEER_LIST ─────────────────────────────────────────────── */
                 case PacketType.PEER_LIST: {
-                    if (!data?.peers) return;
-                    for (const p of data.peers) {
-                        if (p.nodeId !== this.identity.nodeId) peerTable.upsert(p);
-                    }
-                    console.log(`[TCP] 📋 PEER_LIST: ${data.peers.length} pairs`);
+                    // Entrées signées par l'émetteur, HELLO de chaque pair annoncé vérifié
+                    this.peerExchange.onPeerList(packet.nodeId, data, packet.hmacKey);
                     break;
                 }
 
                 /* ── MANIFEST reçu ─────────────────────────────────────────── */
                 case PacketType.MANIFEST: {
                     if (!data?.manifest) return;
+                    const manifestStatus = verifyManifest(data.manifest, this._signingKeyOf(packet.nodeId));
+                    if (this._rejectSignature(packet, manifestStatus)) return;
+
                     const { saveRemoteManifest } = await import('../transfer/file-index.js');
                     saveRemoteManifest(data.manifest, packet.nodeId);
                     console.log(`[TCP] 📦 Manifest reçu: ${data.manifest.file_name}`);
@@ -222,6 +422,7 @@ export class TcpServer {
                         message: `📦 Fichier disponnible: ${data.manifest.file_name} (${(data.manifest.file_size / 1024 / 1024).toFixed(2)} MB)`,
                         timestamp: Date.now(),
                         encrypted: false,
+                        signatureStatus: manifestStatus,
                     });
                     break;
                 }
@@ -234,15 +435,17 @@ export class TcpServer {
                     try {
                         const chunkData = readChunk(manifest.path, data.chunk_index);
                         const chunkInfo = manifest.chunks[data.chunk_index];
-                        const payload = JSON.stringify({
+                        const payload = {
                             type: 'CHUNK_DATA',
                             file_id: data.file_id,
                             chunk_index: data.chunk_index,
                             hash: chunkInfo.hash,
-                            data: chunkData.toString('base64'),
-                        });
-                        const resp = buildPacket(PacketType.CHUNK_DATA, this.identity.nodeId, payload, PUBLIC_HMAC_KEY);
-                        socket.write(resp);
+                            timestamp: Date.now(),
+                            nonce: randomBytes(8).toString('hex'),
+                            data: chunkData,
+                        };
+                        const hmacKey = this.replyKeyFor(packet.nodeId, packet.hmacKey);
+                        await this._writePacket(socket, PacketType.CHUNK_DATA, payload, hmacKey, { binary: true });
                     } catch (err) {
                         console.error('[TCP] ❌ Erreur lecture chunk:', err.message);
                     }
@@ -256,25 +459,121 @@ export class TcpServer {
                     break;
                 } /* ── RELAY reçu : on transporte ou on reçoit ? ────────────── */
                 case PacketType.RELAY: {
-                    if (!data || !data.target) return;
+                    if (!data || !data.target || !data.sealed) return;
 
                     if (data.target === this.identity.nodeId) {
-                        console.log(`[TCP] 📨 Message RELAY reçu de ${data.sender?.slice(0, 12) || 'Inconnu'}…`);
+                        // Déjà reçue par un autre chemin du maillage : on renvoie l'accusé, sans la réafficher
+                        const delivered = getRelayReceipt(envelopeId(data), this.identity.nodeId);
+                        if (delivered) {
+                            this.router.acknowledge(packet.nodeId, [delivered], socket);
+                            return;
+                        }
+
+                        // Seul le destinataire ouvre l'enveloppe et vérifie l'expéditeur d'origine
+                        let envelope;
+                        try {
+                            envelope = openRelayEnvelope(this.identity, data);
+                        } catch (err) {
+                            this.drops.record(err.nodeId || packet.nodeId, err.reason);
+                            console.warn(`[TCP] 🚫 RELAY rejeté (${err.reason}): ${err.message}`);
+                            return;
+                        }
+                        // Même enveloppe arrivée par plusieurs relais : dédoublonnée par expéditeur d'origine
+                        const replayed = this.replays.check(envelope.sender, envelopeId(data), envelope.timestamp, RELAY_MAX_AGE_MS);
+                        if (replayed) {
+                            this.drops.record(envelope.sender, replayed);
+                            console.warn(`[TCP] 🚫 RELAY rejeté (${replayed}) de ${envelope.sender.slice(0, 12)}…`);
+                            return;
+                        }
+                        // Accusé de remise signé, renvoyé tout de suite au relais qui l'a apportée
+                        this.router.acknowledge(packet.nodeId, [this.router.recordDelivery(data)], socket);
+
+                        const trust = checkTrust(envelope.sender, envelope.senderSigningPub, envelope.senderDhPub);
+                        if (!trust.trusted) {
+                            console.warn(`[TCP] 🚨 RELAY d'un pair non fiable (${trust.status}) ignoré: ${envelope.sender.slice(0, 12)}…`);
+                            return;
+                        }
+                        // Déjà reçu en direct (l'expéditeur est passé au relais faute d'accusé)
+                        if (envelope.msgId && getMessage(envelope.sender, envelope.msgId)) {
+                            console.log(`[TCP] ♻️ Message ${envelope.msgId.slice(0, 8)}… déjà reçu de ${envelope.sender.slice(0, 12)}… (relayé)`);
+                            return;
+                        }
+
+                        // Message de groupe relayé vers un membre hors ligne : traité par les groupes
+                        if (envelope.groupId) {
+                            await this.onGroupPacket({
+                                from: envelope.sender,
+                                data: { kind: 'message', groupId: envelope.groupId, msgId: envelope.msgId, timestamp: envelope.timestamp, content: envelope.content },
+                                relayed: true,
+                            });
+                            return;
+                        }
+
+                        console.log(`[TCP] 📨 Message RELAY reçu de ${envelope.sender.slice(0, 12)}…`);
                         this.onMessageReceived({
-                            from: data.sender || 'Inconnu',
-                            message: `[Relay] ${data.content}`,
-                            timestamp: data.timestamp || Date.now(),
-                            encrypted: false
+                            from: envelope.sender,
+                            message: `[Relay] ${envelope.content}`,
+                            timestamp: envelope.timestamp,
+                            encrypted: true,
+                            signatureStatus: SignatureStatus.VALID,
+                            msgId: envelope.msgId || null,
                         });
                     } else {
-                        console.log(`[TCP] 🔄 On accepte de relayer un message pour ${data.target.slice(0, 12)}…`);
-                        queueRelayMessage(data.target, data.sender, data);
+                        // En transit : dédoublonnée, mise en file et rediffusée par le routeur
+                        this.router.onEnvelope(packet.nodeId, data, socket);
                     }
                     break;
                 }
 
-                case PacketType.ACK:
+                /* ── RELAY_SUMMARY : résumé de la file de relais d'un pair ──── */
+                case PacketType.RELAY_SUMMARY: {
+                    await this.router.onSummary(packet.nodeId, data, socket);
                     break;
+                }
+
+                /* ── TRUST : certificats de rotation / révocation / attestation ── */
+                case PacketType.TRUST: {
+                    if (!Array.isArray(data.certificates)) return;
+                    const results = recordCertificates(data.certificates);
+                    const fresh = data.certificates.filter((cert, i) => results[i] === 'added');
+                    // Seuls les certificats nouveaux sont relayés : la diffusion s'arrête d'elle-même
+                    if (fresh.length) {
+                        peerTable.refreshTrust();
+                        this.broadcastCertificates(fresh, packet.nodeId);
+                    }
+                    break;
+                }
+
+                /* ── GROUP : état d'un groupe, message de groupe, départ ────────── */
+                case PacketType.GROUP: {
+                    // Clé de déchiffrement de la session qui a authentifié le paquet (seule à pouvoir ouvrir une clé de groupe)
+                    const sessionKey = viaSession ? peerTable.sessionDecryptKey(packet.nodeId, packet.hmacKey) : null;
+                    await this.onGroupPacket({ from: packet.nodeId, data, sessionKey });
+                    break;
+                }
+
+                /* ── CHANNEL : publication de canal, rattrapage d'historique ────── */
+                case PacketType.CHANNEL: {
+                    await this.onChannelPacket({ from: packet.nodeId, data });
+                    break;
+                }
+
+                /* ── ACK : accusé de réception / lecture signé par le destinataire ── */
+                case PacketType.ACK: {
+                    // Ancien ACK vide : ignoré
+                    if (!data || !Array.isArray(data.msgIds)) break;
+                    const status = data.nodeId !== packet.nodeId
+                        ? SignatureStatus.FORGED
+                        : verifyAck(data, this._signingKeyOf(packet.nodeId));
+                    if (status !== SignatureStatus.VALID) {
+                        const reason = status === SignatureStatus.UNSIGNED ? DropReason.UNSIGNED : DropReason.BAD_SIGNATURE;
+                        this.drops.record(packet.nodeId, reason);
+                        console.warn(`[TCP] 🚫 ACK rejeté (${reason}) de ${packet.nodeId.slice(0, 12)}…`);
+                        return;
+                    }
+                    this.onAck({ from: packet.nodeId, msgIds: data.msgIds, status: data.status });
+                    break;
+                }
 
                 default:
                     console.log(`[TCP] Paquet inconnu: ${PacketTypeName[packet.type] || packet.type}`);
@@ -284,33 +583,128 @@ export class TcpServer {
         }
     }
 
-    /* ── Délivre les messages stockés pour un pair ─────────────────── */
-    _deliverRelayMessages(nodeId, socket) {
-        try {
-            const messages = fetchRelayMessages(nodeId);
-            if (messages.length > 0) {
-                console.log(`[TCP] 📤 Délivrance de ${messages.length} message(s) en attente pour ${nodeId.slice(0, 12)}…`);
-                for (const msg of messages) {
-                    const packet = buildPacket(PacketType.RELAY, this.identity.nodeId, JSON.stringify(msg.packet_data), PUBLIC_HMAC_KEY);
-                    socket.write(packet);
+    /**
+     * Clé publique Ed25519 d'un pair (HELLO vérifié, sinon Web of Trust)
+     */
+    _signingKeyOf(nodeId) {
+        return peerTable.get(nodeId)?.signingPublicKey || getVerificationKeys(nodeId)?.signingPub || null;
+    }
+
+    /**
+     * Rejette (et compte) un MSG ou MANIFEST à la signature falsifiée, ou non signé en mode strict
+     * @returns {boolean} true si le paquet doit être ignoré
+     */
+    _rejectSignature(packet, status) {
+        const reason = status === SignatureStatus.FORGED ? DropReason.BAD_SIGNATURE
+            : status === SignatureStatus.UNSIGNED && STRICT_MODE ? DropReason.UNSIGNED
+            : null;
+        if (status === SignatureStatus.UNSIGNED && !reason) {
+            console.warn(`[TCP] ⚠️  ${PacketTypeName[packet.type]} non signé de ${packet.nodeId.slice(0, 12)}… (signalé dans l'historique)`);
+        }
+        if (!reason) return false;
+        this.drops.record(packet.nodeId, reason);
+        console.warn(`[TCP] 🚫 ${PacketTypeName[packet.type]} rejeté (${reason}) de ${packet.nodeId.slice(0, 12)}…`);
+        return true;
+    }
+
+    /**
+     * Vérifie fraîcheur et unicité des paquets rejouables
+     * @returns {string|null} DropReason, ou null si le paquet est accepté
+     */
+    _checkReplay(packet, data) {
+        switch (packet.type) {
+            case PacketType.MSG:
+                // Les messages de handshake sont liés à leur transcript (un rejeu échoue à la vérification)
+                if (String(data.type).startsWith('HANDSHAKE_')) return null;
+                return this.replays.check(packet.nodeId, replayNonce(packet), data.timestamp);
+            case PacketType.RELAY:
+                // Pour nous : vérifiée une fois ouverte (expéditeur d'origine connu) ;
+                // en transit : expiration et doublons vérifiés par le routeur (relay-router.js)
+                return null;
+            case PacketType.CHUNK_REQ:
+            case PacketType.CHUNK_DATA:
+            case PacketType.GROUP:
+            case PacketType.PEER_LIST:
+                return this.replays.check(packet.nodeId, replayNonce(packet), data.timestamp);
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Diffuse des certificats de clés à tous les pairs actifs
+     * @param {Object[]} certificates
+     * @param {string}   [exceptNodeId] - Pair dont ils proviennent
+     */
+    broadcastCertificates(certificates, exceptNodeId = null) {
+        const batches = certificateBatches(certificates);
+        for (const peer of peerTable.getActivePeers()) {
+            if (peer.nodeId === exceptNodeId) continue;
+            (async () => {
+                for (const batch of batches) {
+                    await this.sendPacket(peer.nodeId, PacketType.TRUST, { certificates: batch }, this.networkKeyFor(peer.nodeId));
                 }
-            }
-        } catch (err) {
-            console.error('[TCP] ❌ Erreur délivrance relais:', err.message);
+            })().catch(err => console.warn(`[TCP] ⚠️ Certificats non transmis à ${peer.nodeId.slice(0, 12)}… (${err.message})`));
         }
     }
 
+    /**
+     * Envoie un accusé signé pour des messages reçus d'un pair
+     * @param {string[]}   msgIds
+     * @param {string}     status   - AckStatus (delivered, read)
+     * @param {net.Socket} [socket] - Connexion sur laquelle répondre
+     */
+    async sendAck(nodeId, msgIds, status, socket = null) {
+        const ack = signAck({ msgIds, status, nodeId: this.identity.nodeId, timestamp: Date.now() }, this.identity.signing.privateKey);
+        const hmacKey = this.networkKeyFor(nodeId);
+        if (socket && !socket.destroyed) return this._writePacket(socket, PacketType.ACK, ack, hmacKey);
+        return this.sendPacket(nodeId, PacketType.ACK, ack, hmacKey);
+    }
+
     /* ── Envoi TCP vers un pair ─────────────────────────────────────── */
     async sendTo(nodeId, packetBuf) {
-        let socket = this.connections.get(nodeId);
+        const socket = await this._getSocket(nodeId);
+        return new Promise((resolve, reject) => {
+            socket.write(packetBuf, err => err ? reject(err) : resolve());
+        });
+    }
 
-        if (!socket || socket.destroyed) {
-            const peer = peerTable.get(nodeId);
-            if (!peer) {
-                console.warn(`[TCP] ⚠️ Pair ${nodeId.slice(0, 12)}… inconnu dans peerTable. On attend le HELLO ?`);
-                throw new Error(`Pair inconnu: ${nodeId}`);
+    /**
+     * Construit et envoie un paquet dans la version négociée avec ce pair (v1 ou v2)
+     * @param {string}        nodeId
+     * @param {number}        type
+     * @param {Object|string} payload - Objet JSON ; en mode binaire, `payload.data` est un Buffer
+     * @param {string}        hmacKey
+     * @param {Object}        [opts] - { binary, compress } (ignorés si le pair ne parle que v1)
+     */
+    async sendPacket(nodeId, type, payload, hmacKey, opts = {}) {
+        const socket = await this._getSocket(nodeId);
+        return this._writePacket(socket, type, payload, hmacKey, opts);
+    }
+
+    /* ── Encode un paquet selon la version négociée sur la socket ──── */
+    _writePacket(socket, type, payload, hmacKey, { binary = false, compress = false } = {}) {
+        const state = this._getConnState(socket);
+        let packetBuf;
+
+        if (state.version >= 2) {
+            let flags = compress ? PacketFlag.COMPRESSED : 0;
+            let body;
+            if (binary) {
+                const { data, ...meta } = payload;
+                body = encodeBinaryPayload(meta, data);
+                flags |= PacketFlag.BINARY;
+            } else {
+                body = typeof payload === 'string' ? payload : JSON.stringify(payload);
             }
-            socket = await this._connect(peer.ip, peer.tcpPort, nodeId);
+            packetBuf = buildPacket(type, this.identity.nodeId, body, hmacKey, {
+                version: 2, flags, seq: state.seqOut++,
+            });
+        } else {
+            // Repli v1 : JSON uniquement, les données binaires passent en base64
+            const json = binary ? { ...payload, data: payload.data.toString('base64') } : payload;
+            const body = typeof json === 'string' ? json : JSON.stringify(json);
+            packetBuf = buildPacket(type, this.identity.nodeId, body, hmacKey);
         }
 
         return new Promise((resolve, reject) => {
@@ -318,26 +712,38 @@ export class TcpServer {
         });
     }
 
+    /* ── Socket ouverte vers un pair (connexion à la demande) ──────── */
+    async _getSocket(nodeId) {
+        const socket = this.connections.get(nodeId);
+        if (socket && !socket.destroyed) return socket;
+
+        const peer = peerTable.get(nodeId);
+        if (!peer) {
+            console.warn(`[TCP] ⚠️ Pair ${nodeId.slice(0, 12)}… inconnu dans peerTable. On attend le HELLO ?`);
+            throw new Error(`Pair inconnu: ${nodeId}`);
+        }
+        return this._connect(peer);
+    }
+
     /* ── Nouvelle méthode : Force la connexion via IP (Découverte manuelle) ─── */
-    async sendToIP(ip, port) {
+    /**
+     * @param {string} [source] - Stratégie à l'origine de la connexion (manual, seed, scan, pex)
+     */
+    async sendToIP(ip, port, source = DiscoverySource.MANUAL) {
         return new Promise((resolve, reject) => {
-            console.log(`[TCP] 🔗 Connexion directe vers ${ip}:${port}...`);
+            console.log(`[TCP] 🔗 Connexion directe vers ${formatAddress(ip, port)}...`);
             const socket = net.createConnection({ host: ip, port }, () => {
                 socket.setKeepAlive(true, KEEPALIVE_INTERVAL);
 
-                // Envoi immédiat de notre HELLO pour se présenter
-                import('../transfer/file-index.js').then(({ getSharedFileSummaries }) => {
-                    const summaries = getSharedFileSummaries();
-                    const hello = buildHelloPacket(this.identity, this._port, summaries);
-                    socket.write(hello);
-                    
-                    // On traite les données entrantes (le HELLO de l'autre PC)
-                    this._handleConnection(socket);
-                    resolve(socket);
-                });
+                // Envoi immédiat de notre HELLO (sur chaque réseau rejoint) pour se présenter
+                this._sendHello(socket);
+
+                // On traite les données entrantes (le HELLO de l'autre PC)
+                this._handleConnection(socket, source);
+                resolve(socket);
             });
             socket.on('error', (err) => {
-                console.error(`[TCP] ❌ Échec connexion vers ${ip}:${port}`);
+                console.error(`[TCP] ❌ Échec connexion vers ${formatAddress(ip, port)}`);
                 reject(err);
             });
             setTimeout(() => {
@@ -348,32 +754,76 @@ export class TcpServer {
         });
     }
 
-    _connect(ip, port, nodeId) {
+    /* ── Connexion à un pair connu : ses adresses en course (happy eyeballs) ── */
+    async _connect(peer) {
+        const { nodeId } = peer;
+        const hmacKey = this.networkKeyFor(nodeId);
+        const socket = await this._raceConnect(peer.addresses?.length ? peer.addresses : [{ ip: peer.ip, tcpPort: peer.tcpPort }]);
+        socket.setKeepAlive(true, KEEPALIVE_INTERVAL);
+
+        // Envoi immédiat du HELLO pour se présenter (réseau partagé avec ce pair)
+        this._sendHello(socket, [hmacKey]);
+
+        this.connections.set(nodeId, socket);
+        this._handleConnection(socket);
+        this.router.onContact(nodeId, socket);
+        return socket;
+    }
+
+    /**
+     * Ouvre une connexion TCP vers la première adresse qui répond. Les adresses sont essayées dans
+     * l'ordre, une nouvelle tentative partant toutes les 250 ms sans attendre l'échec de la précédente
+     * (happy eyeballs, RFC 8305) ; la première connectée l'emporte, les autres sont abandonnées.
+     * @param {{ ip: string, tcpPort: number }[]} addresses - La plus récemment vue d'abord
+     * @returns {Promise<net.Socket>}
+     */
+    _raceConnect(addresses) {
         return new Promise((resolve, reject) => {
-            const socket = net.createConnection({ host: ip, port }, () => {
-                socket.setKeepAlive(true, KEEPALIVE_INTERVAL);
-                
-                // Envoi immédiat du HELLO pour se présenter
-                import('../transfer/file-index.js').then(({ getSharedFileSummaries }) => {
-                    const summaries = getSharedFileSummaries();
-                    const hello = buildHelloPacket(this.identity, this._port, summaries);
-                    socket.write(hello);
-                    
-                    this.connections.set(nodeId, socket);
-                    this._handleConnection(socket);
-                    this._deliverRelayMessages(nodeId, socket);
+            const pending = new Set();
+            const errors = [];
+            let next = 0;
+            let won = false;
+            let timer = null;
+
+            const attempt = () => {
+                if (won || next >= addresses.length) return;
+                const { ip, tcpPort } = addresses[next++];
+                const socket = net.createConnection({ host: ip, port: tcpPort });
+                pending.add(socket);
+                socket.setTimeout(CONNECT_TIMEOUT_MS, () => socket.destroy(new Error('Timeout connexion TCP')));
+
+                const onError = err => {
+                    pending.delete(socket);
+                    errors.push(`${formatAddress(ip, tcpPort)}: ${err.message}`);
+                    if (won) return;
+                    if (errors.length === addresses.length) {
+                        reject(new Error(`Aucune adresse joignable (${errors.join(', ')})`));
+                        return;
+                    }
+                    // Échec immédiat (adresse refusée, réseau absent) : la suivante part sans attendre
+                    clearTimeout(timer);
+                    attempt();
+                };
+                socket.once('error', onError);
+                socket.once('connect', () => {
+                    pending.delete(socket);
+                    socket.setTimeout(0);
+                    socket.removeListener('error', onError);
+                    if (won) return socket.destroy();
+                    won = true;
+                    clearTimeout(timer);
+                    for (const other of pending) other.destroy();
                     resolve(socket);
                 });
-            });
-            socket.on('error', reject);
-            setTimeout(() => {
-                socket.destroy();
-                reject(new Error('Timeout connexion TCP'));
-            }, 5000);
+
+                timer = setTimeout(attempt, HAPPY_EYEBALLS_DELAY_MS);
+            };
+            attempt();
         });
     }
 
     stop() {
+        this.peerExchange.stop();
         for (const s of this.connections.values()) s.destroy();
         this.connections.clear();
         if (this.server) this.server.close();
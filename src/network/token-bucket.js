@@ -0,0 +1,41 @@
+/**
+ * ARCHIPEL — Limitation de débit par seau à jetons
+ *
+ * Un seau par clé (nodeId d'un pair, auteur d'une publication…) : il se remplit de `ratePerSec`
+ * jetons par seconde jusqu'à `burst`, et chaque message en consomme un. Un seau vide refuse.
+ * Au plus MAX_TRACKED seaux : le moins récemment touché est oublié (il repartira plein).
+ */
+
+const MAX_TRACKED = 1024;
+
+export class TokenBuckets {
+    /**
+     * @param {{ ratePerSec: number, burst: number }} options
+     */
+    constructor({ ratePerSec, burst }) {
+        this.ratePerSec = ratePerSec;
+        this.burst = burst;
+        /** @type {Map<string, { tokens: number, updatedAt: number }>} */
+        this.buckets = new Map();
+    }
+
+    /**
+     * Consomme un jeton du seau de `key`
+     * @returns {boolean} false si le seau est vide (message à refuser)
+     */
+    take(key, now = Date.now()) {
+        const bucket = this.buckets.get(key) || { tokens: this.burst, updatedAt: now };
+        const elapsed = Math.max(0, now - bucket.updatedAt) / 1000;
+        bucket.tokens = Math.min(this.burst, bucket.tokens + elapsed * this.ratePerSec);
+        bucket.updatedAt = now;
+
+        // Réinsertion : la Map reste triée du moins au plus récemment touché
+        this.buckets.delete(key);
+        this.buckets.set(key, bucket);
+        if (this.buckets.size > MAX_TRACKED) this.buckets.delete(this.buckets.keys().next().value);
+
+        if (bucket.tokens < 1) return false;
+        bucket.tokens--;
+        return true;
+    }
+}
@@ -6,17 +6,10 @@
 
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { createManifest } from './chunker.js';
+import { dataPath, SHARE_DIR, DL_DIR } from '../config/profile.js';
 
-const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const INDEX_FILE = path.join(__dirname, '../../.index.json');
-const SHARE_DIR = path.join(__dirname, '../../shared');
-const DL_DIR = path.join(__dirname, '../../downloads');
-
-// Crée les dossiers s'ils n'existent pas
-if (!fs.existsSync(SHARE_DIR)) fs.mkdirSync(SHARE_DIR, { recursive: true });
-if (!fs.existsSync(DL_DIR)) fs.mkdirSync(DL_DIR, { recursive: true });
+const INDEX_FILE = dataPath('.index.json');
 
 /**
  * Charge l'index depuis le disque
@@ -5,30 +5,34 @@
  */
 
 import path from 'path';
-import { buildPacket, PacketType, PUBLIC_HMAC_KEY } from '../crypto/packet.js';
+import { randomBytes } from 'crypto';
+import { PacketType } from '../crypto/packet.js';
+import { signManifest } from '../crypto/signing.js';
 import { readChunk, assembleFile, verifyChunk } from './chunker.js';
 import { getLocalManifest, saveRemoteManifest, DL_DIR } from './file-index.js';
 import { peerTable } from '../network/peer-table.js';
 
 /**
  * Récupère la meilleure clé HMAC pour communiquer avec un pair
+ * (clé de session, sinon clé du réseau partagé)
  */
-function getHmacKeyFor(nodeId) {
-    const peer = peerTable.get(nodeId);
-    return peer?.sessionKey || PUBLIC_HMAC_KEY;
+function getHmacKeyFor(tcpServer, nodeId) {
+    return peerTable.getSession(nodeId)?.send.macKey || tcpServer.networkKeyFor(nodeId);
 }
 
 /**
  * ÉMETTEUR — Envoie le manifest d'un fichier à un pair
  */
-export async function sendManifest(tcpServer, nodeId, fileId, hmacKey = PUBLIC_HMAC_KEY) {
+export async function sendManifest(tcpServer, nodeId, fileId, hmacKey = null) {
     const manifest = getLocalManifest(fileId);
     if (!manifest) throw new Error(`Fichier inconnu: ${fileId}`);
 
-    const payload = JSON.stringify({ type: 'MANIFEST', manifest });
-    const key = hmacKey === PUBLIC_HMAC_KEY ? getHmacKeyFor(nodeId) : hmacKey;
-    const packet = buildPacket(PacketType.MANIFEST, tcpServer.identity.nodeId, payload, key);
-    await tcpServer.sendTo(nodeId, packet);
+    const key = hmacKey || getHmacKeyFor(tcpServer, nodeId);
+    // Chemin local retiré ; le reste est signé (le destinataire vérifie l'émetteur)
+    const { path: localPath, ...shared } = manifest;
+    const signed = signManifest(shared, tcpServer.identity.signing.privateKey);
+    // La liste des chunks se compresse bien (compression appliquée si le pair parle v2)
+    await tcpServer.sendPacket(nodeId, PacketType.MANIFEST, { type: 'MANIFEST', manifest: signed }, key, { compress: true });
     console.log(`[TRANSFER] 📤 Manifest envoyé: ${manifest.file_name}`);
 }
 
@@ -44,31 +48,35 @@ export async function sendChunk(tcpServer, nodeId, fileId, chunkIndex, localIden
 
     const data = readChunk(manifest.path, chunkIndex);
 
-    const payload = JSON.stringify({
+    const payload = {
         type: 'CHUNK_DATA',
         file_id: fileId,
         chunk_index: chunkIndex,
         hash: chunkInfo.hash,
-        data: data.toString('base64'),
-    });
-
-    const key = hmacKey || getHmacKeyFor(nodeId);
-    const packet = buildPacket(PacketType.CHUNK_DATA, localIdentityNodeId, payload, key);
-    await tcpServer.sendTo(nodeId, packet);
+        // Horodatage + nonce : anti-rejeu côté récepteur
+        timestamp: Date.now(),
+        nonce: randomBytes(8).toString('hex'),
+        data,
+    };
+
+    // Binaire brut en v2, base64 en v1
+    const key = hmacKey || getHmacKeyFor(tcpServer, nodeId);
+    await tcpServer.sendPacket(nodeId, PacketType.CHUNK_DATA, payload, key, { binary: true });
 }
 
 /**
  * RÉCEPTEUR — Demande un chunk à un pair
  */
 export async function requestChunk(tcpServer, nodeId, fileId, chunkIndex, localIdentityNodeId, hmacKey = null) {
-    const payload = JSON.stringify({
+    const payload = {
         type: 'CHUNK_REQ',
         file_id: fileId,
         chunk_index: chunkIndex,
-    });
-    const key = hmacKey || getHmacKeyFor(nodeId);
-    const packet = buildPacket(PacketType.CHUNK_REQ, localIdentityNodeId, payload, key);
-    await tcpServer.sendTo(nodeId, packet);
+        timestamp: Date.now(),
+        nonce: randomBytes(8).toString('hex'),
+    };
+    const key = hmacKey || getHmacKeyFor(tcpServer, nodeId);
+    await tcpServer.sendPacket(nodeId, PacketType.CHUNK_REQ, payload, key);
 }
 
 /**
@@ -103,7 +111,8 @@ export async function downloadFile(tcpServer, fromNodeId, manifest, localNodeId,
         }, 120_000);
 
         chunkHandlers[manifest.file_id] = (data) => {
-            const chunkBuf = Buffer.from(data.data, 'base64');
+            // v2 : Buffer brut ; v1 : base64
+            const chunkBuf = Buffer.isBuffer(data.data) ? data.data : Buffer.from(data.data, 'base64');
             const chunkInfo = manifest.chunks[data.chunk_index];
 
             if (!verifyChunk(chunkBuf, chunkInfo.hash)) {
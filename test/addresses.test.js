@@ -0,0 +1,150 @@
+/**
+ * ARCHIPEL — Plusieurs interfaces et adresses par pair : adresses locales, adresses gardées par pair,
+ * connexion en course (happy eyeballs)
+ */
+
+import './setup-profile.js';
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+import net from 'net';
+import os from 'os';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { initDatabase } from '../src/database/db.js';
+import {
+    localInterfaces, localAddresses, normalizeAddress, stripZone, isLinkLocal, formatAddress,
+} from '../src/network/interfaces.js';
+import { peerTable } from '../src/network/peer-table.js';
+import { TcpServer } from '../src/network/tcp-server.js';
+
+const tcpServer = new TcpServer(generateIdentity());
+let server, openPort, closedPort;
+
+before(async () => {
+    await initDatabase();
+    server = net.createServer(socket => socket.destroy());
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    openPort = server.address().port;
+    // Port libéré aussitôt : connexion refusée
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+});
+
+after(() => {
+    tcpServer.peerExchange.stop();
+    server.close();
+});
+
+test('interfaces locales : loopback exclue, broadcast calculé, zone IPv6 gardée à part', () => {
+    const interfaces = mock.method(os, 'networkInterfaces', () => ({
+        lo: [{ address: '127.0.0.1', netmask: '255.0.0.0', family: 'IPv4', internal: true }],
+        wlan0: [
+            { address: '192.168.1.20', netmask: '255.255.255.0', family: 'IPv4', internal: false },
+            { address: 'fe80::1', netmask: 'ffff:ffff:ffff:ffff::', family: 'IPv6', internal: false, scopeid: 3 },
+        ],
+        eth0: [{ address: '10.1.2.3', netmask: '255.255.0.0', family: 4, internal: false }],
+    }));
+    try {
+        assert.deepEqual(localInterfaces().map(i => [i.name, i.family, i.address, i.broadcast, i.scopeid]), [
+            ['wlan0', 4, '192.168.1.20', '192.168.1.255', null],
+            ['wlan0', 6, 'fe80::1', null, 3],
+            ['eth0', 4, '10.1.2.3', '10.1.255.255', null],
+        ]);
+        assert.deepEqual(localAddresses(), ['192.168.1.20', 'fe80::1', '10.1.2.3']);
+    } finally {
+        interfaces.mock.restore();
+    }
+});
+
+test('adresses d\'un pair : IPv4 mappée ramenée, lien local reconnu, format avec port', () => {
+    assert.equal(normalizeAddress('::ffff:192.168.1.20'), '192.168.1.20');
+    assert.equal(normalizeAddress('::ffff:abcd'), '::ffff:abcd');
+    assert.equal(stripZone('fe80::1%wlan0'), 'fe80::1');
+    assert.ok(isLinkLocal('fe80::1%wlan0'));
+    assert.ok(isLinkLocal('169.254.10.1'));
+    assert.ok(!isLinkLocal('fd00::1'));
+    assert.equal(formatAddress('fe80::1%wlan0', 7777), '[fe80::1%wlan0]:7777');
+    assert.equal(formatAddress('10.0.0.1', 7777), '10.0.0.1:7777');
+});
+
+test('table des pairs : dernière adresse vue en tête, PEER_LIST sans adresse de lien local', () => {
+    const peer = generateIdentity();
+    const seen = (ip) => peerTable.upsert({
+        nodeId: peer.nodeId,
+        ip,
+        tcpPort: 7777,
+        dhPublicKey: peer.dh.publicKey,
+        signingPublicKey: peer.signing.publicKey,
+        hello: { nodeId: peer.nodeId },
+    });
+    seen('192.168.1.20');
+    seen('fe80::1%wlan0');
+    seen('192.168.1.20');
+    seen('fe80::1%wlan0');
+    const entry = peerTable.get(peer.nodeId);
+    assert.deepEqual(entry.addresses.map(a => a.ip), ['fe80::1%wlan0', '192.168.1.20']);
+    assert.equal(entry.ip, 'fe80::1%wlan0');
+
+    const announced = peerTable.toSummary().find(e => e.hello.nodeId === peer.nodeId);
+    assert.equal(announced.ip, '192.168.1.20');
+
+    for (let i = 1; i <= 10; i++) seen(`10.0.0.${i}`);
+    assert.equal(peerTable.get(peer.nodeId).addresses.length, 8);
+    assert.equal(peerTable.get(peer.nodeId).addresses[0].ip, '10.0.0.10');
+});
+
+test('course : une adresse refusée laisse partir la suivante sans attendre', async () => {
+    const start = Date.now();
+    const socket = await tcpServer._raceConnect([
+        { ip: '127.0.0.1', tcpPort: closedPort },
+        { ip: '127.0.0.1', tcpPort: openPort },
+    ]);
+    assert.equal(socket.remotePort, openPort);
+    assert.ok(Date.now() - start < 250);
+    socket.destroy();
+});
+
+test('course : une adresse muette n\'empêche pas la suivante de gagner après 250 ms', async () => {
+    // Adresse qui ne répond jamais (ni connexion, ni refus) : socket simulée
+    const connect = net.createConnection.bind(net);
+    const attempts = [];
+    let silent = null;
+    const createConnection = mock.method(net, 'createConnection', (options) => {
+        attempts.push({ host: options.host, at: Date.now() });
+        if (options.host !== '192.0.2.1') return connect(options);
+        silent = Object.assign(new EventEmitter(), {
+            destroyed: false,
+            setTimeout() { },
+            destroy() { this.destroyed = true; },
+        });
+        return silent;
+    });
+    try {
+        const socket = await tcpServer._raceConnect([
+            { ip: '192.0.2.1', tcpPort: 7777 },
+            { ip: '127.0.0.1', tcpPort: openPort },
+        ]);
+        assert.equal(socket.remotePort, openPort);
+        assert.deepEqual(attempts.map(a => a.host), ['192.0.2.1', '127.0.0.1']);
+        assert.ok(attempts[1].at - attempts[0].at >= 240);
+        // La tentative muette est abandonnée
+        assert.ok(silent.destroyed);
+        socket.destroy();
+    } finally {
+        createConnection.mock.restore();
+    }
+});
+
+test('course : aucune adresse joignable, chaque échec est rapporté', async () => {
+    await assert.rejects(
+        tcpServer._raceConnect([
+            { ip: '127.0.0.1', tcpPort: closedPort },
+            { ip: '::1', tcpPort: closedPort },
+        ]),
+        err => err.message.startsWith('Aucune adresse joignable')
+            && err.message.includes(`127.0.0.1:${closedPort}`)
+            && err.message.includes(`[::1]:${closedPort}`),
+    );
+});
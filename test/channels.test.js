@@ -0,0 +1,182 @@
+/**
+ * ARCHIPEL — Canaux : doublons et sauts limités, rattrapage vérifié, publications trop longues rejetées,
+ * débit limité par pair et par auteur, envois en parallèle
+ */
+
+import './setup-profile.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { PacketType, DropReason } from '../src/crypto/packet.js';
+import { channelId, createChannelPost, CHANNEL_MAX_POST_LENGTH } from '../src/crypto/channel-post.js';
+import { signChannelPost } from '../src/crypto/signing.js';
+import { initDatabase } from '../src/database/db.js';
+import { peerTable } from '../src/network/peer-table.js';
+import { DropCounter } from '../src/network/drop-counter.js';
+import { ReplayGuard } from '../src/network/replay-guard.js';
+import { ChannelManager, CHANNEL_MAX_HOPS } from '../src/messaging/channels.js';
+
+const identity = generateIdentity();
+const author = generateIdentity();
+const publicChannel = { channelId: channelId('alertes'), key: null };
+
+// Transport simulé : paquets CHANNEL envoyés mis de côté, envoi retenu pour les pairs de `held`
+const sent = [];
+const held = new Map();
+const tcpServer = {
+    drops: new DropCounter(),
+    replays: new ReplayGuard(),
+    networkKeyFor: () => null,
+    sendPacket(nodeId, type, payload) {
+        assert.equal(type, PacketType.CHANNEL);
+        sent.push({ nodeId, payload });
+        return held.get(nodeId)?.promise ?? Promise.resolve();
+    },
+};
+const channels = new ChannelManager({ identity, tcpServer });
+
+/**
+ * Paquets CHANNEL de type `kind` envoyés depuis le dernier appel
+ */
+const drain = (kind = 'post') => sent.splice(0).filter(p => p.payload.kind === kind);
+
+/**
+ * Voisin actif dans la table des pairs
+ */
+function addPeer() {
+    const peer = generateIdentity();
+    peerTable.upsert({
+        nodeId: peer.nodeId,
+        ip: '127.0.0.1',
+        tcpPort: 7777,
+        dhPublicKey: peer.dh.publicKey,
+        signingPublicKey: peer.signing.publicKey,
+    });
+    return peer.nodeId;
+}
+
+const dropsOf = (nodeId, reason) => tcpServer.drops.peers.get(nodeId)?.reasons[reason] || 0;
+
+let neighbor, other;
+
+before(async () => {
+    await initDatabase();
+    neighbor = addPeer();
+    other = addPeer();
+});
+
+test('publication trop longue : rejetée sans être relayée, en public comme en privé', async () => {
+    const long = 'x'.repeat(CHANNEL_MAX_POST_LENGTH + 1);
+    await channels.onPacket({ from: neighbor, data: { kind: 'post', post: createChannelPost(author, publicChannel, long), hops: 1 } });
+
+    const privateChannel = { channelId: channelId('secret', 'a'.repeat(64)), key: 'a'.repeat(64) };
+    await channels.onPacket({ from: neighbor, data: { kind: 'post', post: createChannelPost(author, privateChannel, '€'.repeat(CHANNEL_MAX_POST_LENGTH * 2)), hops: 1 } });
+
+    assert.deepEqual(drain(), []);
+    assert.equal(dropsOf(neighbor, DropReason.OVERSIZED), 2);
+
+    // À la limite : relayée
+    await channels.onPacket({ from: neighbor, data: { kind: 'post', post: createChannelPost(author, privateChannel, '€'.repeat(CHANNEL_MAX_POST_LENGTH)), hops: 1 } });
+    assert.deepEqual(drain().map(p => p.nodeId), [other]);
+});
+
+test('auteur trop bavard : au-delà de sa réserve, ses publications ne sont plus relayées', async () => {
+    const chatty = generateIdentity();
+    const posts = Array.from({ length: 12 }, (_, i) => createChannelPost(chatty, publicChannel, `alerte ${i}`));
+    for (const post of posts) {
+        await channels.onPacket({ from: neighbor, data: { kind: 'post', post, hops: 1 } });
+        // Doublon reçu d'un autre voisin : ne consomme pas de jeton
+        await channels.onPacket({ from: other, data: { kind: 'post', post, hops: 1 } });
+    }
+    const relayed = drain().map(p => p.payload.post.postId);
+    assert.deepEqual(relayed, posts.slice(0, 10).map(p => p.postId));
+    assert.equal(dropsOf(neighbor, DropReason.RATE_LIMITED), 2);
+});
+
+test('pair trop bavard : refusé avant la vérification de signature', async () => {
+    const noisy = generateIdentity().nodeId;
+    for (let i = 0; i < 60; i++) {
+        await channels.onPacket({ from: noisy, data: { kind: 'post', post: { postId: String(i) }, hops: 1 } });
+    }
+    assert.equal(dropsOf(noisy, DropReason.BAD_SIGNATURE), 50);
+    assert.equal(dropsOf(noisy, DropReason.RATE_LIMITED), 10);
+});
+
+test('un pair lent ne retarde pas l\'envoi aux autres', async () => {
+    let release;
+    held.set(neighbor, { promise: new Promise(resolve => { release = resolve; }) });
+    const gossip = channels.onPacket({ from: generateIdentity().nodeId, data: { kind: 'post', post: createChannelPost(author, publicChannel, 'vite'), hops: 1 } });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(drain().map(p => p.nodeId).sort(), [neighbor, other].sort());
+
+    release();
+    held.clear();
+    await gossip;
+});
+
+test('doublon reçu de deux voisins : stocké, signalé et relayé une seule fois', async () => {
+    const veille = channels.join('veille');
+    drain();
+    const writer = generateIdentity();
+    const post = createChannelPost(writer, veille, 'route coupée');
+    const shown = [];
+    const onPost = event => shown.push(event.message);
+    channels.on('post', onPost);
+
+    await channels.onPacket({ from: neighbor, data: { kind: 'post', post, hops: 1 } });
+    await channels.onPacket({ from: other, data: { kind: 'post', post, hops: 2 } });
+    channels.off('post', onPost);
+
+    assert.deepEqual(shown, ['route coupée']);
+    assert.equal(channels.history('veille').length, 1);
+    // Relayée à tous sauf au voisin d'où elle vient, avec un saut de plus
+    assert.deepEqual(drain().map(p => [p.nodeId, p.payload.hops]), [[other, 2]]);
+});
+
+test('limite de sauts : stockée par un abonné mais plus relayée', async () => {
+    const veille = { channelId: channelId('veille'), key: null };
+    const writer = generateIdentity();
+
+    const last = createChannelPost(writer, veille, 'dernier saut');
+    await channels.onPacket({ from: neighbor, data: { kind: 'post', post: last, hops: CHANNEL_MAX_HOPS } });
+    assert.deepEqual(drain(), []);
+    assert.ok(channels.history('veille').some(m => m.msg_id === last.postId));
+
+    const earlier = createChannelPost(writer, veille, 'avant-dernier saut');
+    await channels.onPacket({ from: neighbor, data: { kind: 'post', post: earlier, hops: CHANNEL_MAX_HOPS - 1 } });
+    assert.deepEqual(drain().map(p => p.payload.hops), [CHANNEL_MAX_HOPS]);
+});
+
+test('rattrapage : demandé aux voisins à l\'abonnement, publications vérifiées une à une', async () => {
+    const quai = channels.join('quai');
+    const syncs = drain('sync');
+    assert.deepEqual(syncs.map(p => p.nodeId).sort(), [neighbor, other].sort());
+    assert.equal(syncs[0].payload.channelId, quai.channelId);
+    assert.ok(syncs[0].payload.since <= Date.now() - 6 * 24 * 3600_000);
+
+    const writer = generateIdentity();
+    const good = createChannelPost(writer, quai, 'bateau à 8 h');
+    const forged = { ...createChannelPost(writer, quai, 'bateau annulé'), content: 'bateau à 6 h' };
+    const elsewhere = createChannelPost(writer, { channelId: channelId('ailleurs'), key: null }, 'hors sujet');
+    const oversized = signChannelPost({ ...good, postId: 'f'.repeat(32), content: 'x'.repeat(CHANNEL_MAX_POST_LENGTH + 1) }, writer.signing.privateKey);
+    const forgedBefore = dropsOf(neighbor, DropReason.BAD_SIGNATURE);
+
+    await channels.onPacket({
+        from: neighbor,
+        data: { kind: 'history', channelId: quai.channelId, posts: [good, forged, elsewhere, oversized, good], timestamp: Date.now() },
+    });
+    assert.deepEqual(channels.history('quai').map(m => m.content), ['bateau à 8 h']);
+    assert.equal(dropsOf(neighbor, DropReason.BAD_SIGNATURE), forgedBefore + 1);
+    // Un rattrapage n'est jamais relayé
+    assert.deepEqual(drain(), []);
+
+    // À notre tour de répondre à un voisin : publications signées telles que reçues
+    await channels.onPacket({ from: other, data: { kind: 'sync', channelId: quai.channelId, since: 0, timestamp: Date.now() } });
+    const [history] = drain('history');
+    assert.equal(history.nodeId, other);
+    assert.deepEqual(history.payload.posts, [good]);
+
+    // Canal auquel on n'est pas abonné : rien à fournir
+    await channels.onPacket({ from: other, data: { kind: 'sync', channelId: channelId('ailleurs'), since: 0, timestamp: Date.now() } });
+    assert.deepEqual(drain('history'), []);
+});
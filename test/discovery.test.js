@@ -0,0 +1,125 @@
+/**
+ * ARCHIPEL — Stratégies de découverte : choix par ARCHIPEL_DISCOVERY, reconnexion aux adresses connues,
+ * balayage du /24 limité en débit
+ */
+
+import './setup-profile.js';
+import { test, before, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import os from 'os';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { initDatabase, upsertPeer } from '../src/database/db.js';
+import { peerTable } from '../src/network/peer-table.js';
+
+// Nœuds simulés : deux hôtes du /24 qui écoutent sur le port balayé (127.0.0.7 et 127.0.0.8)
+const listen = (host, port) => new Promise(resolve => {
+    const server = net.createServer(socket => socket.destroy());
+    server.listen(port, host, () => resolve(server));
+});
+const listeners = [await listen('127.0.0.7', 0)];
+listeners.push(await listen('127.0.0.8', listeners[0].address().port));
+const SCAN_RATE = 200;
+process.env.ARCHIPEL_SCAN_PORT = String(listeners[0].address().port);
+process.env.ARCHIPEL_SCAN_RATE = String(SCAN_RATE);
+// Lus au chargement du module (aussi importé par helpers.js) : importés après le réglage du port et du débit
+const { createStrategies, SeedStrategy, ScanStrategy, DiscoverySource } = await import('../src/network/discovery-strategies.js');
+const { waitFor } = await import('./helpers.js');
+
+const identity = generateIdentity();
+const dialed = [];
+const discovery = {
+    identity,
+    tcpServer: {
+        async sendToIP(ip, port, source) {
+            dialed.push({ ip, port, source });
+        },
+    },
+};
+
+before(async () => {
+    await initDatabase();
+});
+
+after(() => {
+    for (const server of listeners) server.close();
+});
+
+test('stratégies choisies par liste, noms inconnus et doublons ignorés', () => {
+    assert.deepEqual(createStrategies().map(s => s.name), ['multicast', 'broadcast', 'seed']);
+    assert.deepEqual(createStrategies(' Scan, seed,scan, wifi-direct ').map(s => s.name), ['scan', 'seed']);
+    assert.deepEqual(createStrategies(''), []);
+});
+
+test('seed : reconnexion aux dernières adresses connues, les plus récentes d\'abord', async () => {
+    const store = async (peer, ip) => {
+        upsertPeer(peer.nodeId, peer.dh.publicKey, peer.signing.publicKey, 0, ip ? { ip, tcpPort: 7777 } : {});
+        await new Promise(resolve => setTimeout(resolve, 2));
+    };
+    const [older, newer, noAddress, direct] = [generateIdentity(), generateIdentity(), generateIdentity(), generateIdentity()];
+    await store(older, '10.0.0.1');
+    await store(newer, '10.0.0.2');
+    await store(noAddress, null);
+    await store(identity, '10.0.0.3');
+    await store(direct, '10.0.0.4');
+    // Déjà connecté : pas de reconnexion
+    peerTable.upsert({
+        nodeId: direct.nodeId, ip: '10.0.0.4', tcpPort: 7777,
+        dhPublicKey: direct.dh.publicKey, signingPublicKey: direct.signing.publicKey,
+    });
+
+    dialed.length = 0;
+    new SeedStrategy().start(discovery);
+    await waitFor(() => dialed.length === 2);
+    await new Promise(resolve => setTimeout(resolve, 20));
+    assert.deepEqual(dialed.map(d => d.ip), ['10.0.0.2', '10.0.0.1']);
+    assert.ok(dialed.every(d => d.source === DiscoverySource.SEED));
+});
+
+test('scan : /24 local balayé à débit limité, seuls les ports ouverts de pairs inconnus composés', async () => {
+    // Interface simulée 127.0.0.5/24 (les interfaces internes sont ignorées par la découverte)
+    const interfaces = mock.method(os, 'networkInterfaces', () => ({
+        test0: [{ address: '127.0.0.5', netmask: '255.255.255.0', family: 'IPv4', internal: false }],
+    }));
+    const known = generateIdentity();
+    peerTable.upsert({
+        nodeId: known.nodeId, ip: '127.0.0.8', tcpPort: 7777,
+        dhPublicKey: known.dh.publicKey, signingPublicKey: known.signing.publicKey,
+    });
+
+    const scan = new ScanStrategy();
+    scan.discovery = discovery;
+    dialed.length = 0;
+    try {
+        const start = Date.now();
+        const running = scan.scan();
+        // Un seul balayage à la fois
+        assert.equal(await scan.scan(), 0);
+        assert.equal(await running, 1);
+        // 252 hôtes sondés (.1 à .254, sauf soi-même et le pair connu), au plus SCAN_RATE par seconde
+        assert.ok(Date.now() - start >= 251 * 1000 / SCAN_RATE);
+    } finally {
+        interfaces.mock.restore();
+    }
+    assert.deepEqual(dialed, [{ ip: '127.0.0.7', port: listeners[0].address().port, source: DiscoverySource.SCAN }]);
+});
+
+test('scan interrompu par stop() : plus aucun hôte sondé', async () => {
+    const interfaces = mock.method(os, 'networkInterfaces', () => ({
+        test0: [{ address: '127.0.0.5', netmask: '255.255.255.0', family: 'IPv4', internal: false }],
+    }));
+    const scan = new ScanStrategy();
+    scan.discovery = discovery;
+    const probe = mock.method(scan, '_probe', async () => false);
+    try {
+        const running = scan.scan();
+        await new Promise(resolve => setTimeout(resolve, 50));
+        scan.stop();
+        const probed = probe.mock.callCount();
+        assert.equal(await running, 0);
+        assert.ok(probed > 0 && probed < 252);
+        assert.equal(probe.mock.callCount(), probed);
+    } finally {
+        interfaces.mock.restore();
+    }
+});
@@ -0,0 +1,101 @@
+/**
+ * ARCHIPEL — Groupes : nouvelle époque et nouvelle clé à chaque changement de membres, exclusion effective
+ */
+
+import './setup-profile.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { encryptMessage, decryptMessage } from '../src/crypto/encryption.js';
+import { signGroup } from '../src/crypto/signing.js';
+import { PacketType } from '../src/crypto/packet.js';
+import { initDatabase, getGroup } from '../src/database/db.js';
+import { GroupManager, GroupStatus } from '../src/messaging/groups.js';
+
+const identity = generateIdentity();
+const [alice, bob, carol] = [generateIdentity(), generateIdentity(), generateIdentity()];
+const key = () => randomBytes(32).toString('hex');
+// Sessions E2E simulées avec chaque pair (clé de chiffrement seule utile ici)
+const sessions = new Map([alice, bob, carol].map(peer => [peer.nodeId, { send: { encKey: key(), macKey: key() } }]));
+
+// Transport simulé : paquets GROUP envoyés, mis de côté
+const sent = [];
+const tcpServer = {
+    async sendPacket(nodeId, type, payload) {
+        assert.equal(type, PacketType.GROUP);
+        sent.push({ nodeId, payload });
+    },
+    networkKeyFor: () => key(),
+    drops: { record() { } },
+    router: { originate() { } },
+};
+const groups = new GroupManager({ identity, tcpServer, _ensureSession: async nodeId => sessions.get(nodeId) });
+
+/**
+ * Paquets GROUP envoyés depuis le dernier appel
+ */
+const drain = () => sent.splice(0);
+
+/**
+ * Clé de groupe reçue par un membre dans un paquet `state` (déchiffrée avec sa session)
+ */
+const groupKeyFor = (nodeId, { payload }) =>
+    payload.key ? decryptMessage(payload.key.ciphertext, payload.key.nonce, sessions.get(nodeId).send.encKey) : null;
+
+before(async () => {
+    await initDatabase();
+});
+
+test('exclusion : nouvelle époque, nouvelle clé pour les restants, aucune pour l\'exclu', async () => {
+    const group = await groups.create('équipe', [alice.nodeId, bob.nodeId]);
+    const created = drain();
+    assert.deepEqual(created.map(p => p.nodeId).sort(), [alice.nodeId, bob.nodeId].sort());
+    const firstKey = group.keys[1];
+    assert.ok(created.every(p => groupKeyFor(p.nodeId, p) === firstKey));
+
+    const kicked = await groups.kick('équipe', bob.nodeId);
+    const states = drain();
+    const toAlice = states.find(p => p.nodeId === alice.nodeId);
+    const toBob = states.find(p => p.nodeId === bob.nodeId);
+    assert.equal(kicked.epoch, 2);
+    assert.deepEqual(toAlice.payload.state.members, [identity.nodeId, alice.nodeId]);
+    assert.equal(groupKeyFor(alice.nodeId, toAlice), kicked.keys[2]);
+    assert.notEqual(kicked.keys[2], firstKey);
+    // L'exclu apprend son exclusion, sans la clé de la nouvelle époque
+    assert.equal(toBob.payload.state.epoch, 2);
+    assert.equal(toBob.payload.key, undefined);
+
+    // Message suivant : envoyé aux seuls membres, illisible avec l'ancienne clé
+    await groups.send('équipe', 'réunion à 18 h');
+    const messages = drain();
+    assert.deepEqual(messages.map(p => p.nodeId), [alice.nodeId]);
+    const { ciphertext, nonce, epoch } = messages[0].payload;
+    assert.equal(epoch, 2);
+    assert.equal(decryptMessage(ciphertext, nonce, firstKey), null);
+    assert.equal(decryptMessage(ciphertext, nonce, kicked.keys[2]), 'réunion à 18 h');
+});
+
+test('membre exclu par le créateur : groupe marqué retiré, ancienne époque rejouée ignorée', async () => {
+    const session = sessions.get(carol.nodeId).send.encKey;
+    const state = (members, epoch) => signGroup({
+        groupId: 'c'.repeat(32), name: 'voisins', creator: carol.nodeId, creatorSigningPub: carol.signing.publicKey,
+        members, epoch, timestamp: Date.now(),
+    }, carol.signing.privateKey);
+    const receive = (data) => groups.onPacket({ from: carol.nodeId, data: { kind: 'state', timestamp: Date.now(), ...data }, sessionKey: session });
+
+    const firstKey = key();
+    const first = state([carol.nodeId, identity.nodeId], 1);
+    receive({ state: first, key: encryptMessage(firstKey, session) });
+    assert.equal(getGroup(first.groupId).status, GroupStatus.ACTIVE);
+    assert.equal(getGroup(first.groupId).keys[1], firstKey);
+
+    receive({ state: state([carol.nodeId], 2) });
+    assert.equal(getGroup(first.groupId).status, GroupStatus.REMOVED);
+
+    // Rejeu de l'état de l'époque 1 : ne nous réintègre pas
+    receive({ state: first, key: encryptMessage(firstKey, session) });
+    assert.equal(getGroup(first.groupId).status, GroupStatus.REMOVED);
+    assert.equal(getGroup(first.groupId).epoch, 2);
+    await assert.rejects(groups.send('voisins', 'encore là ?'), /plus membre/);
+});
@@ -0,0 +1,113 @@
+/**
+ * ARCHIPEL — Outils communs aux tests : nœud local et pair simulé sur une vraie socket TCP
+ */
+
+import './setup-profile.js';
+import net from 'net';
+import { once } from 'events';
+import { FrameDecoder, buildPacket, PacketType } from '../src/crypto/packet.js';
+import { signHello } from '../src/crypto/signing.js';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { createNetwork, getNetworkKey } from '../src/crypto/network-keys.js';
+import { initDatabase } from '../src/database/db.js';
+import { TcpServer } from '../src/network/tcp-server.js';
+
+/**
+ * Démarre un TcpServer sur la boucle locale, avec un réseau rejoint
+ * @returns {Promise<{ tcpServer: TcpServer, identity: Object, port: number, hmacKey: string, received: Object[] }>}
+ */
+export async function startNode() {
+    await initDatabase();
+    const { name } = createNetwork(`test-${process.pid}`);
+    const identity = generateIdentity();
+    const received = [];
+    const tcpServer = new TcpServer(identity, msg => received.push(msg));
+    await tcpServer.start(0, '127.0.0.1');
+    return { tcpServer, identity, port: tcpServer.server.address().port, hmacKey: getNetworkKey(name), received };
+}
+
+/**
+ * Pair simulé : connexion TCP brute, trames reçues décodées et mises de côté
+ */
+export class FakePeer {
+    /**
+     * @param {string[]} hmacKeys - Clés acceptées pour les trames reçues (réseau, session…)
+     */
+    constructor(hmacKeys) {
+        this.identity = generateIdentity();
+        this.hmacKeys = hmacKeys;
+        /** Trames reçues du nœud testé */
+        this.packets = [];
+        this._waiters = [];
+    }
+
+    get nodeId() {
+        return this.identity.nodeId;
+    }
+
+    async connect(port) {
+        this.socket = net.createConnection({ host: '127.0.0.1', port });
+        await once(this.socket, 'connect');
+        const decoder = new FrameDecoder({ getHmacKeys: () => this.hmacKeys });
+        this.socket.pipe(decoder);
+        decoder.on('data', packet => {
+            this.packets.push(packet);
+            for (const waiter of this._waiters.splice(0)) waiter();
+        });
+        return this;
+    }
+
+    /**
+     * Envoie un HELLO signé ; sans `protocolVersion`, le pair se présente comme un nœud v1
+     */
+    hello(hmacKey, { protocolVersion } = {}) {
+        const fields = {
+            nodeId: this.nodeId,
+            dhPublicKey: this.identity.dh.publicKey,
+            signingPublicKey: this.identity.signing.publicKey,
+            tcpPort: 7777,
+            sharedFiles: [],
+            addresses: ['127.0.0.1'],
+            ...(protocolVersion ? { protocolVersion } : {}),
+            timestamp: Date.now(),
+        };
+        const signed = signHello(fields, this.identity.signing.privateKey);
+        return this.write(buildPacket(PacketType.HELLO, this.nodeId, JSON.stringify(signed), hmacKey));
+    }
+
+    write(frame) {
+        return new Promise((resolve, reject) => this.socket.write(frame, err => err ? reject(err) : resolve()));
+    }
+
+    /**
+     * Attend la prochaine trame d'un TYPE donné (trames déjà reçues comprises)
+     */
+    async next(type, timeoutMs = 2_000) {
+        const deadline = Date.now() + timeoutMs;
+        for (;;) {
+            const index = this.packets.findIndex(p => p.type === type);
+            if (index !== -1) return this.packets.splice(index, 1)[0];
+            const left = deadline - Date.now();
+            if (left <= 0) throw new Error(`Aucune trame 0x${type.toString(16)} reçue`);
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, left);
+                this._waiters.push(() => { clearTimeout(timer); resolve(); });
+            });
+        }
+    }
+
+    close() {
+        this.socket?.destroy();
+    }
+}
+
+/**
+ * Attend que `condition()` soit vraie (traitement asynchrone côté serveur)
+ */
+export async function waitFor(condition, timeoutMs = 2_000) {
+    const deadline = Date.now() + timeoutMs;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Condition non atteinte à temps');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+}
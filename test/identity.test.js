@@ -0,0 +1,79 @@
+/**
+ * ARCHIPEL — Trousseau : chiffrement scrypt, migration des clés en clair, sauvegarde, saisie masquée
+ */
+
+import { TEST_HOME } from './setup-profile.js';
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import {
+    generateIdentity, getKeystoreStatus, loadOrCreateIdentity, exportIdentity, importIdentity, KeystoreError,
+} from '../src/crypto/identity.js';
+import { askPassphrase, createTerminal } from '../src/cli/passphrase.js';
+
+const KEYS_FILE = path.join(TEST_HOME, '.keys.json');
+const readKeys = () => fs.readFileSync(KEYS_FILE, 'utf-8');
+
+test('clés en clair migrées au premier chargement : plus aucune clé privée sur le disque', () => {
+    const plain = generateIdentity();
+    fs.writeFileSync(KEYS_FILE, JSON.stringify(plain));
+    assert.equal(getKeystoreStatus(), 'plaintext');
+
+    assert.deepEqual(loadOrCreateIdentity('phrase'), plain);
+    assert.equal(getKeystoreStatus(), 'encrypted');
+    assert.ok(!readKeys().includes(plain.signing.privateKey));
+    assert.ok(!readKeys().includes(plain.dh.privateKey));
+    assert.equal(fs.statSync(KEYS_FILE).mode & 0o777, 0o600);
+
+    // Déverrouillage : même identité avec la bonne phrase, KeystoreError sinon
+    assert.deepEqual(loadOrCreateIdentity('phrase'), plain);
+    assert.throws(() => loadOrCreateIdentity('autre'), KeystoreError);
+    assert.throws(() => loadOrCreateIdentity(''), KeystoreError);
+});
+
+test('trousseau altéré refusé', () => {
+    const record = JSON.parse(readKeys());
+    const data = Buffer.from(record.keystore.ciphertext, 'hex');
+    data[0] ^= 1;
+    fs.writeFileSync(KEYS_FILE, JSON.stringify({ ...record, keystore: { ...record.keystore, ciphertext: data.toString('hex') } }));
+    assert.throws(() => loadOrCreateIdentity('phrase'), KeystoreError);
+});
+
+test('sauvegarde chiffrée : restaurée avec sa propre phrase de passe, qui devient celle du trousseau', () => {
+    const identity = generateIdentity();
+    const bundle = exportIdentity(identity, 'sauvegarde');
+    assert.ok(!bundle.includes(identity.signing.privateKey));
+
+    assert.throws(() => importIdentity(bundle, 'phrase'), KeystoreError);
+    assert.throws(() => importIdentity('{}', 'sauvegarde'), KeystoreError);
+    assert.deepEqual(importIdentity(bundle, 'sauvegarde'), identity);
+    assert.deepEqual(loadOrCreateIdentity('sauvegarde'), identity);
+    // Ancien trousseau conservé à côté
+    assert.ok(fs.readdirSync(TEST_HOME).some(file => /^\.keys\.json\.\d+\.bak$/.test(file)));
+});
+
+test('phrase de passe saisie sans écho, la question et la suite restent affichées', async () => {
+    const input = new PassThrough();
+    const rl = createTerminal({ input, terminal: true });
+    const shown = [];
+    const write = mock.method(process.stdout, 'write', (chunk, encoding, callback) => {
+        shown.push(String(chunk));
+        (typeof encoding === 'function' ? encoding : callback)?.();
+        return true;
+    });
+    try {
+        const answer = askPassphrase('Phrase de passe : ', rl);
+        input.write('correct horse\r');
+        assert.equal(await answer, 'correct horse');
+        rl.output.write('suite');
+    } finally {
+        write.mock.restore();
+        rl.close();
+    }
+    const output = shown.join('');
+    assert.ok(output.includes('Phrase de passe : '));
+    assert.ok(!output.includes('correct'));
+    assert.ok(output.endsWith('suite'));
+});
@@ -0,0 +1,105 @@
+/**
+ * ARCHIPEL — Négociation v1 / v2 par connexion, sur une vraie socket TCP
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { FakePeer, startNode, waitFor } from './helpers.js';
+import { buildPacket, parseJsonPayload, PacketType, PacketFlag, PROTOCOL_VERSION } from '../src/crypto/packet.js';
+import { decryptMessage } from '../src/crypto/encryption.js';
+import { verifyMessage, SignatureStatus } from '../src/crypto/signing.js';
+import { Messenger } from '../src/messaging/messenger.js';
+
+let node;
+const peers = [];
+
+before(async () => {
+    node = await startNode();
+});
+
+after(() => {
+    for (const peer of peers) peer.close();
+    node.tcpServer.stop();
+});
+
+/**
+ * Pair connecté qui s'est présenté (HELLO) ; attend la réponse HELLO du nœud
+ */
+async function connectPeer(helloOpts) {
+    const peer = new FakePeer([node.hmacKey]);
+    peers.push(peer);
+    await peer.connect(node.port);
+    await peer.hello(node.hmacKey, helloOpts);
+    await peer.next(PacketType.HELLO);
+    await waitFor(() => node.tcpServer.connections.has(peer.nodeId));
+    return peer;
+}
+
+/**
+ * CHUNK_DATA envoyé par le nœud dans la version négociée avec ce pair
+ */
+function sendChunk(peer, data) {
+    const payload = { type: 'CHUNK_DATA', file_id: 'f'.repeat(64), chunk_index: 0, hash: 'h'.repeat(64), timestamp: Date.now(), data };
+    return node.tcpServer.sendPacket(peer.nodeId, PacketType.CHUNK_DATA, payload, node.hmacKey, { binary: true, compress: true });
+}
+
+test('pair v1 (HELLO sans protocolVersion) : trames v1, données binaires en base64', async () => {
+    const peer = await connectPeer();
+    const data = randomBytes(300);
+    await sendChunk(peer, data);
+
+    const packet = await peer.next(PacketType.CHUNK_DATA);
+    assert.equal(packet.version, 1);
+    assert.equal(packet.flags, 0);
+    assert.equal(packet.seq, null);
+    const decoded = parseJsonPayload(packet);
+    assert.deepEqual(Buffer.from(decoded.data, 'base64'), data);
+});
+
+test('pair v2 annoncé dans son HELLO : trames v2 BINARY|COMPRESSED, SEQ croissant', async () => {
+    const peer = await connectPeer({ protocolVersion: PROTOCOL_VERSION });
+    const chunks = [randomBytes(300), randomBytes(300)];
+    for (const data of chunks) await sendChunk(peer, data);
+
+    const packets = [await peer.next(PacketType.CHUNK_DATA), await peer.next(PacketType.CHUNK_DATA)];
+    for (const [i, packet] of packets.entries()) {
+        assert.equal(packet.version, 2);
+        assert.equal(packet.flags, PacketFlag.BINARY | PacketFlag.COMPRESSED);
+        assert.deepEqual(parseJsonPayload(packet).data, chunks[i]);
+    }
+    assert.ok(packets[1].seq > packets[0].seq);
+});
+
+test('pair v1 qui envoie une trame v2 : la connexion passe en v2', async () => {
+    const peer = await connectPeer();
+    await sendChunk(peer, randomBytes(16));
+    assert.equal((await peer.next(PacketType.CHUNK_DATA)).version, 1);
+
+    // Toute trame v2 authentifiée suffit, même ignorée par les handlers
+    await peer.write(buildPacket(PacketType.CHUNK_DATA, peer.nodeId, '{}', node.hmacKey, { version: 2, seq: 0 }));
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    await sendChunk(peer, randomBytes(16));
+    assert.equal((await peer.next(PacketType.CHUNK_DATA)).version, 2);
+});
+
+test('message direct : envoyé dans la version négociée, HMAC de session et contenu chiffré par des clés distinctes', async () => {
+    const messenger = new Messenger(node.identity, node.tcpServer);
+    const session = { send: { encKey: randomBytes(32).toString('hex'), macKey: randomBytes(32).toString('hex') } };
+
+    for (const helloOpts of [undefined, { protocolVersion: PROTOCOL_VERSION }]) {
+        const peer = await connectPeer(helloOpts);
+        peer.hmacKeys = [session.send.macKey];
+        await messenger._transmit(peer.nodeId, 'bonjour', 'a'.repeat(32), session);
+
+        const packet = await peer.next(PacketType.MSG);
+        assert.equal(packet.version, helloOpts ? 2 : 1);
+        assert.equal(packet.hmacKey, session.send.macKey);
+
+        const data = parseJsonPayload(packet);
+        assert.equal(verifyMessage(data, node.identity.signing.publicKey), SignatureStatus.VALID);
+        assert.equal(decryptMessage(data.ciphertext, data.nonce, session.send.encKey), 'bonjour');
+        assert.equal(decryptMessage(data.ciphertext, data.nonce, session.send.macKey), null);
+    }
+});
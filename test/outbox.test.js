@@ -0,0 +1,91 @@
+/**
+ * ARCHIPEL — Boîte d'envoi : délai exponentiel, tentatives comptées, expiration, vidage au retour du pair
+ */
+
+import './setup-profile.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { initDatabase, addOutboxMessage, getOutbox } from '../src/database/db.js';
+import { peerTable } from '../src/network/peer-table.js';
+import { Outbox } from '../src/messaging/outbox.js';
+
+const msgId = () => randomBytes(16).toString('hex');
+
+// Messenger simulé : renvoi réussi, ou échec tant que `unreachable` est vrai
+const messenger = {
+    unreachable: false,
+    resent: [],
+    async resend(nodeId, content, id) {
+        if (this.unreachable) throw new Error('ECONNREFUSED');
+        this.resent.push(id);
+    },
+};
+const outbox = new Outbox(messenger);
+
+before(async () => {
+    await initDatabase();
+});
+
+const entry = (id) => getOutbox().find(e => e.msgId === id);
+
+test('délai doublé à chaque tentative, pair injoignable : messages suivants non tentés', async () => {
+    const peer = generateIdentity().nodeId;
+    const [first, second] = [msgId(), msgId()];
+    outbox.add(peer, 'un', first, 'hors ligne');
+    outbox.add(peer, 'deux', second);
+    assert.equal(entry(first).attempts, 1);
+
+    // Premier délai (5 s) pas encore écoulé
+    assert.equal(await outbox.flush(peer), 0);
+
+    let start = Date.now();
+    assert.equal(await outbox.flush(peer, { force: true }), 2);
+    assert.deepEqual(messenger.resent, [first, second]);
+    assert.equal(entry(first).attempts, 2);
+    assert.ok(entry(first).nextAttemptAt >= start + 10_000);
+
+    messenger.unreachable = true;
+    start = Date.now();
+    assert.equal(await outbox.retry(peer), 0);
+    messenger.unreachable = false;
+    assert.equal(entry(first).attempts, 3);
+    assert.ok(entry(first).nextAttemptAt >= start + 20_000);
+    assert.equal(entry(first).lastError, 'ECONNREFUSED');
+    assert.equal(entry(second).attempts, 2);
+
+    // Remis (ACK) : retiré de la boîte
+    outbox.remove(first);
+    outbox.remove(second);
+    assert.equal(outbox.list(peer).length, 0);
+});
+
+test('message expiré retiré sans renvoi', async () => {
+    const peer = generateIdentity().nodeId;
+    const id = msgId();
+    addOutboxMessage(peer, id, 'trop tard', Date.now() - 1, Date.now() - 1);
+
+    messenger.resent = [];
+    assert.equal(await outbox.retry(peer), 0);
+    assert.deepEqual(messenger.resent, []);
+    assert.equal(entry(id), undefined);
+});
+
+test('pair qui réapparaît (HELLO) : boîte vidée sans attendre le délai', async () => {
+    const peer = generateIdentity();
+    const id = msgId();
+    outbox.add(peer.nodeId, 'bon retour', id);
+
+    messenger.resent = [];
+    peerTable.upsert({
+        nodeId: peer.nodeId,
+        ip: '127.0.0.1',
+        tcpPort: 7777,
+        dhPublicKey: peer.dh.publicKey,
+        signingPublicKey: peer.signing.publicKey,
+    });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.deepEqual(messenger.resent, [id]);
+    assert.equal(entry(id).attempts, 2);
+});
@@ -0,0 +1,174 @@
+/**
+ * ARCHIPEL — Format de trame v1 / v2 : fixtures, aller-retour, rejet HMAC, décodeur de flux
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import {
+    buildPacket,
+    parsePacket,
+    parseJsonPayload,
+    encodeBinaryPayload,
+    FrameDecoder,
+    PacketError,
+    PacketType,
+    PacketFlag,
+    DropReason,
+} from '../src/crypto/packet.js';
+
+const fixtures = JSON.parse(fs.readFileSync(new URL('./fixtures/frames.json', import.meta.url), 'utf-8'));
+const { hmacKey, nodeId } = fixtures;
+const OTHER_KEY = 'b2'.repeat(32);
+
+const flagsOf = (names) => names.reduce((flags, name) => flags | PacketFlag[name], 0);
+
+/**
+ * Payload attendu d'une fixture (texte JSON, ou META + DATA binaire)
+ */
+function payloadOf(fixture) {
+    if (fixture.payload !== undefined) return Buffer.from(fixture.payload);
+    return encodeBinaryPayload(fixture.meta, Buffer.from(fixture.data, 'hex'));
+}
+
+/**
+ * Passe un flux au décodeur en morceaux de taille fixe (simule une socket TCP)
+ * @returns {Promise<{ packets: Object[], drops: PacketError[] }>}
+ */
+async function decode(decoder, buf, size) {
+    const drops = [];
+    decoder.on('drop', err => drops.push(err));
+    for (let i = 0; i < buf.length; i += size) decoder.write(buf.subarray(i, i + size));
+    decoder.end();
+    const packets = [];
+    for await (const packet of decoder) packets.push(packet);
+    return { packets, drops };
+}
+
+for (const fixture of fixtures.frames) {
+    test(`fixture ${fixture.name} : champs d'en-tête et payload`, () => {
+        const packet = parsePacket(Buffer.from(fixture.frame, 'hex'), hmacKey, { strict: true });
+        assert.equal(packet.version, fixture.version);
+        assert.equal(packet.type, PacketType[fixture.type]);
+        assert.equal(packet.typeName, fixture.type);
+        assert.equal(packet.flags, flagsOf(fixture.flags));
+        assert.equal(packet.seq, fixture.seq);
+        assert.equal(packet.nodeId, nodeId);
+        assert.equal(packet.verified, true);
+        assert.equal(packet.hmacKey, hmacKey);
+        assert.deepEqual(packet.payload, payloadOf(fixture));
+    });
+
+    test(`fixture ${fixture.name} : buildPacket reproduit la trame`, () => {
+        const opts = { version: fixture.version, flags: flagsOf(fixture.flags), seq: fixture.seq ?? 0 };
+        const frame = buildPacket(PacketType[fixture.type], nodeId, payloadOf(fixture), hmacKey, opts);
+        if (opts.flags & PacketFlag.COMPRESSED) {
+            // La sortie deflate peut varier selon la version de zlib : on compare le contenu décodé
+            assert.deepEqual(parsePacket(frame, hmacKey, { strict: true }).payload, payloadOf(fixture));
+        } else {
+            assert.equal(frame.toString('hex'), fixture.frame);
+        }
+    });
+}
+
+test('fixture v2 binaire : parseJsonPayload restitue META et DATA', () => {
+    const fixture = fixtures.frames.find(f => f.name === 'v2-chunk-data-binary-compressed');
+    const decoded = parseJsonPayload(parsePacket(Buffer.from(fixture.frame, 'hex'), hmacKey, { strict: true }));
+    assert.equal(decoded.chunk_index, fixture.meta.chunk_index);
+    assert.deepEqual(decoded.data, Buffer.from(fixture.data, 'hex'));
+});
+
+test('fixture v1 CHUNK_DATA : données en base64 dans le JSON', () => {
+    const fixture = fixtures.frames.find(f => f.name === 'v1-chunk-data-base64');
+    const decoded = parseJsonPayload(parsePacket(Buffer.from(fixture.frame, 'hex'), hmacKey, { strict: true }));
+    assert.equal(decoded.type, 'CHUNK_DATA');
+    assert.ok(Buffer.from(decoded.data, 'base64').length > 0);
+});
+
+test('aller-retour buildPacket → parsePacket pour chaque version et combinaison de drapeaux', () => {
+    const payload = Buffer.from(JSON.stringify({ text: 'é'.repeat(500), n: 42 }));
+    const variants = [
+        { version: 1 },
+        ...[0, PacketFlag.COMPRESSED, PacketFlag.BINARY, PacketFlag.ENCRYPTED, PacketFlag.COMPRESSED | PacketFlag.BINARY]
+            .map(flags => ({ version: 2, flags, seq: 0xfffffffe })),
+    ];
+    for (const opts of variants) {
+        for (const type of Object.values(PacketType)) {
+            const packet = parsePacket(buildPacket(type, nodeId, payload, hmacKey, opts), hmacKey, { strict: true });
+            assert.equal(packet.version, opts.version);
+            assert.equal(packet.type, type);
+            assert.equal(packet.flags, opts.flags ?? 0);
+            assert.equal(packet.seq, opts.version === 2 ? opts.seq : null);
+            assert.deepEqual(packet.payload, payload);
+        }
+    }
+});
+
+test('les drapeaux sont refusés en v1', () => {
+    assert.throws(() => buildPacket(PacketType.MSG, nodeId, 'x', hmacKey, { flags: PacketFlag.COMPRESSED }));
+});
+
+test('HMAC : mauvaise clé ou octet modifié → BAD_HMAC', () => {
+    for (const fixture of fixtures.frames) {
+        const frame = Buffer.from(fixture.frame, 'hex');
+        assert.throws(() => parsePacket(frame, OTHER_KEY, { strict: true }),
+            err => err instanceof PacketError && err.reason === DropReason.BAD_HMAC && err.nodeId === nodeId);
+
+        // Un octet du payload, du SEQ/FLAGS ou du HMAC lui-même
+        for (const offset of [frame.length - 40, 7, frame.length - 1]) {
+            const tampered = Buffer.from(frame);
+            tampered[offset] ^= 0x01;
+            assert.throws(() => parsePacket(tampered, hmacKey, { strict: true }),
+                err => err instanceof PacketError && err.reason === DropReason.BAD_HMAC);
+        }
+    }
+});
+
+test('HMAC : mode non strict → verified=false, clé valide retrouvée parmi plusieurs', () => {
+    const frame = Buffer.from(fixtures.frames[0].frame, 'hex');
+    const lax = parsePacket(frame, OTHER_KEY, { strict: false });
+    assert.equal(lax.verified, false);
+    assert.equal(lax.hmacKey, null);
+
+    const packet = parsePacket(frame, [OTHER_KEY, null, hmacKey], { strict: true });
+    assert.equal(packet.hmacKey, hmacKey);
+});
+
+test('trame tronquée ou magic inconnu', () => {
+    const frame = Buffer.from(fixtures.frames[2].frame, 'hex');
+    assert.throws(() => parsePacket(frame.subarray(0, frame.length - 1), hmacKey, { strict: true }),
+        err => err.reason === DropReason.TRUNCATED);
+    const bad = Buffer.from(frame);
+    bad.write('XXXX', 0);
+    assert.throws(() => parsePacket(bad, hmacKey, { strict: true }), err => err.reason === DropReason.BAD_MAGIC);
+    const badVersion = Buffer.from(frame);
+    badVersion[4] = 9;
+    assert.throws(() => parsePacket(badVersion, hmacKey, { strict: true }), err => err.reason === DropReason.BAD_VERSION);
+});
+
+test('FrameDecoder : trames v1 et v2 mélangées, découpées octet par octet', async () => {
+    const stream = Buffer.concat(fixtures.frames.map(f => Buffer.from(f.frame, 'hex')));
+    const decoder = new FrameDecoder({ getHmacKeys: () => [hmacKey], strict: true });
+    const { packets, drops } = await decode(decoder, stream, 1);
+    assert.equal(drops.length, 0);
+    assert.deepEqual(packets.map(p => p.typeName), fixtures.frames.map(f => f.type));
+    assert.deepEqual(packets.map(p => p.seq), fixtures.frames.map(f => f.seq));
+});
+
+test('FrameDecoder : HMAC invalide rejeté sans interrompre le flux, resynchronisation après du bruit', async () => {
+    const [v1, , v2] = fixtures.frames.map(f => Buffer.from(f.frame, 'hex'));
+    const forged = buildPacket(PacketType.MSG, nodeId, '{"forged":true}', OTHER_KEY, { version: 2, seq: 1 });
+    const noise = Buffer.from('bruit sans magic');
+    const decoder = new FrameDecoder({ getHmacKeys: () => [hmacKey], strict: true });
+    const { packets, drops } = await decode(decoder, Buffer.concat([v1, forged, noise, v2]), 13);
+    assert.deepEqual(packets.map(p => p.version), [1, 2]);
+    assert.deepEqual(drops.map(d => d.reason), [DropReason.BAD_HMAC, DropReason.BAD_MAGIC]);
+});
+
+test('FrameDecoder : trame annoncée trop grande rejetée avant accumulation', async () => {
+    const frame = buildPacket(PacketType.HELLO, nodeId, Buffer.alloc(2048), hmacKey);
+    const decoder = new FrameDecoder({ getHmacKeys: () => [hmacKey], maxFrameSize: { [PacketType.HELLO]: 1024 }, strict: true });
+    const { packets, drops } = await decode(decoder, Buffer.concat([frame, Buffer.from(fixtures.frames[0].frame, 'hex')]), 512);
+    assert.equal(drops[0].reason, DropReason.OVERSIZED);
+    assert.deepEqual(packets.map(p => p.typeName), ['MSG']);
+});
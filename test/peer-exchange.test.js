@@ -0,0 +1,99 @@
+/**
+ * ARCHIPEL — Échange de pairs : seules les adresses signées par le pair annoncé sont composées,
+ * un pair déjà connu garde son adresse
+ */
+
+import './setup-profile.js';
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { signHello, signPeerEntry } from '../src/crypto/signing.js';
+import { initDatabase } from '../src/database/db.js';
+import { peerTable } from '../src/network/peer-table.js';
+import { TcpServer } from '../src/network/tcp-server.js';
+
+const tcpServer = new TcpServer(generateIdentity());
+const introducer = generateIdentity();
+const hmacKey = randomBytes(32).toString('hex');
+const dialed = [];
+
+before(async () => {
+    await initDatabase();
+    tcpServer.sendToIP = async (ip, port) => { dialed.push(`${ip}:${port}`); };
+    peerTable.upsert({
+        nodeId: introducer.nodeId,
+        ip: '127.0.0.1',
+        tcpPort: 7777,
+        dhPublicKey: introducer.dh.publicKey,
+        signingPublicKey: introducer.signing.publicKey,
+    });
+});
+
+after(() => tcpServer.peerExchange.stop());
+
+/**
+ * Entrée PEER_LIST signée par le garant (adresse `ip`, port `tcpPort`) pour un pair annonçant `addresses` dans son HELLO
+ */
+function entry(ip, addresses, { peer = generateIdentity(), tcpPort = 7777 } = {}) {
+    const hello = signHello({
+        nodeId: peer.nodeId,
+        dhPublicKey: peer.dh.publicKey,
+        signingPublicKey: peer.signing.publicKey,
+        tcpPort: 7777,
+        sharedFiles: [],
+        addresses,
+        timestamp: Date.now(),
+    }, peer.signing.privateKey);
+    const fields = { hello, ip, tcpPort, lastSeenAgo: 0, introducer: introducer.nodeId, timestamp: Date.now() };
+    return { peer, nodeId: peer.nodeId, signed: signPeerEntry(fields, introducer.signing.privateKey) };
+}
+
+test('adresse absente du HELLO signé du pair annoncé : ni retenue, ni composée', () => {
+    const foreign = entry('192.0.2.50', ['10.0.0.5']);
+    const listed = entry('10.0.0.6', ['10.0.0.6', 'fe80::6']);
+    tcpServer.peerExchange.onPeerList(introducer.nodeId, { peers: [foreign.signed, listed.signed], timestamp: Date.now() }, hmacKey);
+
+    assert.deepEqual(dialed, ['10.0.0.6:7777']);
+    assert.equal(peerTable.get(foreign.nodeId), null);
+    assert.equal(peerTable.get(listed.nodeId).via, introducer.nodeId);
+});
+
+test('port différent de celui du HELLO signé : ni retenu, ni composé', () => {
+    dialed.length = 0;
+    const wrongPort = entry('10.0.0.7', ['10.0.0.7'], { tcpPort: 22 });
+    tcpServer.peerExchange.onPeerList(introducer.nodeId, { peers: [wrongPort.signed], timestamp: Date.now() }, hmacKey);
+
+    assert.deepEqual(dialed, []);
+    assert.equal(peerTable.get(wrongPort.nodeId), null);
+});
+
+test('pair déjà connu : son adresse n\'est pas remplacée par une annonce, il n\'est pas recomposé', async () => {
+    dialed.length = 0;
+    const first = entry('10.0.0.8', ['10.0.0.8', '10.0.0.9']);
+    tcpServer.peerExchange.onPeerList(introducer.nodeId, { peers: [first.signed], timestamp: Date.now() }, hmacKey);
+    assert.deepEqual(dialed, ['10.0.0.8:7777']);
+
+    // HELLO plus récent du même pair, annonçant son autre adresse
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const moved = entry('10.0.0.9', ['10.0.0.8', '10.0.0.9'], { peer: first.peer });
+    tcpServer.peerExchange.onPeerList(introducer.nodeId, { peers: [moved.signed], timestamp: Date.now() }, hmacKey);
+    assert.deepEqual(dialed, ['10.0.0.8:7777']);
+    assert.equal(peerTable.get(first.nodeId).ip, '10.0.0.8');
+
+    // Pair direct : idem
+    const direct = generateIdentity();
+    peerTable.upsert({
+        nodeId: direct.nodeId,
+        ip: '10.0.0.10',
+        tcpPort: 7777,
+        dhPublicKey: direct.dh.publicKey,
+        signingPublicKey: direct.signing.publicKey,
+    });
+    dialed.length = 0;
+    const announced = entry('10.0.0.11', ['10.0.0.11'], { peer: direct });
+    tcpServer.peerExchange.onPeerList(introducer.nodeId, { peers: [announced.signed], timestamp: Date.now() }, hmacKey);
+    assert.deepEqual(dialed, []);
+    assert.equal(peerTable.get(direct.nodeId).ip, '10.0.0.10');
+    assert.equal(peerTable.isDirect(direct.nodeId), true);
+});
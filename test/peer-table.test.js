@@ -0,0 +1,49 @@
+/**
+ * ARCHIPEL — Table des pairs : sessions E2E tenues hors des entrées exposées (API, UI)
+ */
+
+import './setup-profile.js';
+import { test, before } from 'node:test';
+import assert from 'node:assert/strict';
+import { randomBytes } from 'crypto';
+import { peerTable } from '../src/network/peer-table.js';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { initDatabase } from '../src/database/db.js';
+
+const key = () => randomBytes(32).toString('hex');
+const identity = generateIdentity();
+
+before(async () => {
+    await initDatabase();
+    peerTable.upsert({
+        nodeId: identity.nodeId,
+        ip: '127.0.0.1',
+        tcpPort: 7777,
+        dhPublicKey: identity.dh.publicKey,
+        signingPublicKey: identity.signing.publicKey,
+    });
+});
+
+test('les clés de session ne figurent pas dans les entrées de pair sérialisées', () => {
+    const session = { send: { encKey: key(), macKey: key() }, recv: { encKey: key(), macKey: key() } };
+    peerTable.setSession(identity.nodeId, session);
+    peerTable.setSession(identity.nodeId, { send: { encKey: key(), macKey: key() }, recv: { encKey: key(), macKey: key() } });
+
+    const json = JSON.stringify(peerTable.getActivePeers());
+    for (const secret of [...Object.values(session.send), ...Object.values(session.recv)]) {
+        assert.ok(!json.includes(secret));
+    }
+    // L'ancienne clé de réception reste acceptée pendant le renouvellement
+    assert.equal(peerTable.sessionDecryptKey(identity.nodeId, session.recv.macKey), session.recv.encKey);
+    assert.equal(peerTable.getSession(identity.nodeId).rekeys, 1);
+});
+
+test('une session est conservée à la mise à jour du pair et oubliée avec lui', () => {
+    peerTable.upsert({ ...peerTable.get(identity.nodeId), ip: '127.0.0.2' });
+    assert.ok(peerTable.getSession(identity.nodeId));
+
+    peerTable.get(identity.nodeId).lastSeen = 0;
+    peerTable.pruneDeadPeers();
+    assert.equal(peerTable.getSession(identity.nodeId), null);
+    assert.deepEqual(peerTable.sessionRecvKeys(identity.nodeId), []);
+});
@@ -0,0 +1,79 @@
+/**
+ * ARCHIPEL — Enveloppes RELAY scellées : opaques pour les relais, ouvertes et vérifiées par le seul destinataire
+ */
+
+import './setup-profile.js';
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { sealBox } from '../src/crypto/encryption.js';
+import { signRelay } from '../src/crypto/signing.js';
+import { DropReason } from '../src/crypto/packet.js';
+import { sealRelayEnvelope, openRelayEnvelope } from '../src/crypto/relay-envelope.js';
+
+const sender = generateIdentity();
+const recipient = generateIdentity();
+
+const seal = (message = 'rendez-vous au port') =>
+    sealRelayEnvelope(sender, recipient.nodeId, recipient.dh.publicKey, message, { msgId: 'm1' });
+
+/**
+ * Vérifie que l'ouverture échoue avec la raison de rejet attendue
+ */
+function rejects(identity, envelope, reason) {
+    assert.throws(() => openRelayEnvelope(identity, envelope), err => err.reason === reason);
+}
+
+test('un relais ne voit que le destinataire, l\'expiration et une boîte opaque', () => {
+    const envelope = seal();
+    assert.deepEqual(Object.keys(envelope).sort(), ['expiresAt', 'sealed', 'target']);
+    const visible = JSON.stringify(envelope);
+    for (const secret of ['rendez-vous', sender.nodeId, sender.signing.publicKey]) {
+        assert.ok(!visible.includes(secret));
+    }
+    // Clé éphémère neuve à chaque scellement
+    assert.notEqual(seal().sealed, envelope.sealed);
+});
+
+test('le destinataire ouvre l\'enveloppe et authentifie l\'expéditeur d\'origine', () => {
+    const inner = openRelayEnvelope(recipient, seal());
+    assert.equal(inner.content, 'rendez-vous au port');
+    assert.equal(inner.sender, sender.nodeId);
+    assert.equal(inner.msgId, 'm1');
+});
+
+test('autre nœud, boîte altérée, destinataire ou expiration modifiés : enveloppe illisible', () => {
+    const envelope = seal();
+    rejects(sender, envelope, DropReason.BAD_PAYLOAD);
+
+    const data = Buffer.from(envelope.sealed, 'base64');
+    data[data.length - 20] ^= 1;
+    rejects(recipient, { ...envelope, sealed: data.toString('base64') }, DropReason.BAD_PAYLOAD);
+
+    // AAD : un relais ne peut ni prolonger ni rediriger l'enveloppe
+    rejects(recipient, { ...envelope, expiresAt: envelope.expiresAt + 1 }, DropReason.BAD_PAYLOAD);
+    const other = generateIdentity();
+    rejects(other, { ...seal(), target: other.nodeId }, DropReason.BAD_PAYLOAD);
+
+    rejects(recipient, { ...envelope, expiresAt: Date.now() - 1 }, DropReason.STALE);
+});
+
+test('expéditeur usurpé ou signature invalide : enveloppe rejetée', () => {
+    const expiresAt = Date.now() + 60_000;
+    const forge = (content) => ({
+        target: recipient.nodeId,
+        expiresAt,
+        sealed: sealBox(JSON.stringify(content), recipient.dh.publicKey, `${recipient.nodeId}|${expiresAt}`),
+    });
+    const fields = {
+        sender: sender.nodeId, senderSigningPub: sender.signing.publicKey, senderDhPub: sender.dh.publicKey,
+        target: recipient.nodeId, expiresAt, timestamp: Date.now(), msgId: null, groupId: null, content: 'faux',
+    };
+
+    // Signé par un tiers qui se fait passer pour `sender`
+    const impostor = generateIdentity();
+    rejects(recipient, forge(signRelay(fields, impostor.signing.privateKey)), DropReason.BAD_SIGNATURE);
+    // Clé du tiers annoncée, NODE_ID de `sender` revendiqué
+    const spoofed = signRelay({ ...fields, senderSigningPub: impostor.signing.publicKey }, impostor.signing.privateKey);
+    rejects(recipient, forge(spoofed), DropReason.SPOOFED_ID);
+});
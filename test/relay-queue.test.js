@@ -0,0 +1,95 @@
+/**
+ * ARCHIPEL — File de relais : plafonds par pair et global, ordre d'éviction, sauvegarde groupée
+ */
+
+import './setup-profile.js';
+import { test, before, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { randomBytes } from 'crypto';
+import { generateIdentity } from '../src/crypto/identity.js';
+import { envelopeId } from '../src/crypto/relay-envelope.js';
+import { initDatabase, getRelayQueue, updateRelayMessage } from '../src/database/db.js';
+import { TcpServer } from '../src/network/tcp-server.js';
+import { RELAY_QUEUE_MAX, RELAY_QUEUE_MAX_PER_PEER } from '../src/network/relay-router.js';
+
+const identity = generateIdentity();
+const tcpServer = new TcpServer(identity);
+const router = tcpServer.router;
+const peerId = () => randomBytes(32).toString('hex');
+
+/**
+ * Enveloppe en transit confiée par `nodeId` (boîte opaque : seul l'identifiant compte ici)
+ */
+function relay(nodeId) {
+    const envelope = { target: peerId(), expiresAt: Date.now() + 3600_000, sealed: randomBytes(48).toString('hex'), hops: 1, copies: 4 };
+    router.onEnvelope(nodeId, envelope);
+    return envelopeId(envelope);
+}
+
+const queued = (id) => getRelayQueue().some(entry => entry.envelopeId === id);
+
+before(async () => {
+    await initDatabase();
+});
+
+test('enveloppes en file analysées une seule fois, puis tenues à jour en mémoire', () => {
+    const id = relay(peerId());
+    const [first] = getRelayQueue().filter(entry => entry.envelopeId === id);
+    assert.equal(getRelayQueue().find(entry => entry.envelopeId === id), first);
+
+    updateRelayMessage(id, 1, [...first.forwardedTo, 'b'.repeat(64)]);
+    assert.equal(first.copies, 1);
+    assert.equal(first.forwardedTo.length, 2);
+});
+
+test('plafond par pair : la plus diffusée part d\'abord, puis la plus ancienne', () => {
+    const own = router.originate({ target: peerId(), expiresAt: Date.now() + 3600_000, sealed: randomBytes(48).toString('hex') });
+    const flooder = peerId();
+    const ids = Array.from({ length: RELAY_QUEUE_MAX_PER_PEER }, () => relay(flooder));
+    const spread = getRelayQueue().find(entry => entry.envelopeId === ids[5]);
+    updateRelayMessage(ids[5], 1, [...spread.forwardedTo, peerId(), peerId()]);
+
+    relay(flooder);
+    assert.ok(!queued(ids[5]));
+    assert.ok(queued(ids[0]));
+
+    relay(flooder);
+    assert.ok(!queued(ids[0]));
+    assert.equal(getRelayQueue().filter(entry => entry.senderId === flooder).length, RELAY_QUEUE_MAX_PER_PEER);
+    assert.ok(queued(own));
+});
+
+test('plafond global des enveloppes en transit', () => {
+    const transit = () => getRelayQueue().filter(entry => entry.senderId !== identity.nodeId);
+    // File remplie tout juste au plafond, par des pairs qui restent sous le leur
+    let nodeId = peerId();
+    for (let i = transit().length; i < RELAY_QUEUE_MAX; i++) {
+        if (i % (RELAY_QUEUE_MAX_PER_PEER / 2) === 0) nodeId = peerId();
+        relay(nodeId);
+    }
+    const oldest = transit().find(entry => entry.forwardedTo.length === 1);
+
+    // Évincée : la seule enveloppe déjà confiée à deux pairs (premier test), pas la plus ancienne
+    relay(peerId());
+    assert.equal(transit().length, RELAY_QUEUE_MAX);
+    assert.ok(transit().every(entry => entry.forwardedTo.length === 1));
+    assert.ok(queued(oldest.envelopeId));
+
+    relay(peerId());
+    assert.ok(!queued(oldest.envelopeId));
+});
+
+test('modifications rapprochées de la file : une seule écriture du fichier', async () => {
+    const writes = mock.method(fs, 'writeFileSync');
+    try {
+        const nodeId = peerId();
+        for (let i = 0; i < 20; i++) relay(nodeId);
+        assert.equal(writes.mock.callCount(), 0);
+
+        await new Promise(resolve => setTimeout(resolve, 1_200));
+        assert.equal(writes.mock.callCount(), 1);
+    } finally {
+        writes.mock.restore();
+    }
+});
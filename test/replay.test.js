@@ -0,0 +1,105 @@
+/**
+ * ARCHIPEL — Anti-rejeu : trames MSG, CHUNK_REQ et RELAY capturées puis réécrites sur une vraie socket TCP
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { randomBytes } from 'crypto';
+import { FakePeer, startNode, waitFor } from './helpers.js';
+import { buildPacket, PacketType, DropReason } from '../src/crypto/packet.js';
+import { signMessage } from '../src/crypto/signing.js';
+import { sealRelayEnvelope, envelopeId } from '../src/crypto/relay-envelope.js';
+import { getRelayQueue } from '../src/database/db.js';
+import { ReplayGuard, REPLAY_WINDOW_MS } from '../src/network/replay-guard.js';
+import { indexSharedFiles } from '../src/transfer/file-index.js';
+import { SHARE_DIR } from '../src/config/profile.js';
+
+let node;
+let peer;
+
+before(async () => {
+    node = await startNode();
+    peer = new FakePeer([node.hmacKey]);
+    await peer.connect(node.port);
+    await peer.hello(node.hmacKey);
+    await peer.next(PacketType.HELLO);
+    await waitFor(() => node.tcpServer.connections.has(peer.nodeId));
+});
+
+after(() => {
+    peer.close();
+    node.tcpServer.stop();
+});
+
+/**
+ * Écrit deux fois la même trame, puis laisse le serveur la traiter
+ */
+async function writeTwice(frame) {
+    await peer.write(frame);
+    await peer.write(frame);
+    await new Promise(resolve => setTimeout(resolve, 200));
+}
+
+const replays = () => node.tcpServer.drops.peers.get(peer.nodeId)?.reasons[DropReason.REPLAY] || 0;
+
+test('MSG rejoué : remis une seule fois, second exemplaire compté REPLAY', async () => {
+    const before = replays();
+    const payload = signMessage({ ciphertext: 'bonjour', nodeId: peer.nodeId, timestamp: Date.now() }, peer.identity.signing.privateKey);
+    await writeTwice(buildPacket(PacketType.MSG, peer.nodeId, JSON.stringify(payload), node.hmacKey));
+
+    assert.deepEqual(node.received.filter(m => m.from === peer.nodeId).map(m => m.message), ['bonjour']);
+    assert.equal(replays(), before + 1);
+});
+
+test('CHUNK_REQ rejoué : un seul CHUNK_DATA servi, second exemplaire compté REPLAY', async () => {
+    fs.writeFileSync(path.join(SHARE_DIR, 'carte.txt'), randomBytes(1024));
+    const [manifest] = indexSharedFiles();
+    const before = replays();
+
+    const request = { type: 'CHUNK_REQ', file_id: manifest.file_id, chunk_index: 0, timestamp: Date.now(), nonce: randomBytes(8).toString('hex') };
+    await writeTwice(buildPacket(PacketType.CHUNK_REQ, peer.nodeId, JSON.stringify(request), node.hmacKey));
+
+    await peer.next(PacketType.CHUNK_DATA);
+    await assert.rejects(peer.next(PacketType.CHUNK_DATA, 200));
+    assert.equal(replays(), before + 1);
+});
+
+test('RELAY en transit rejoué : mis en file une seule fois', async () => {
+    const spread = [];
+    const original = node.tcpServer.router.spread;
+    node.tcpServer.router.spread = (...args) => { spread.push(args); };
+    try {
+        const envelope = { target: randomBytes(32).toString('hex'), expiresAt: Date.now() + 3600_000, sealed: randomBytes(64).toString('hex'), hops: 1, copies: 2 };
+        await writeTwice(buildPacket(PacketType.RELAY, peer.nodeId, JSON.stringify(envelope), node.hmacKey));
+
+        const queued = getRelayQueue().filter(entry => entry.envelopeId === envelopeId(envelope));
+        assert.equal(queued.length, 1);
+        assert.equal(spread.length, 1);
+    } finally {
+        node.tcpServer.router.spread = original;
+    }
+});
+
+test('RELAY pour nous rejoué : message remis une seule fois', async () => {
+    const envelope = sealRelayEnvelope(peer.identity, node.identity.nodeId, node.identity.dh.publicKey, 'via relais', {
+        msgId: randomBytes(16).toString('hex'),
+    });
+    await writeTwice(buildPacket(PacketType.RELAY, peer.nodeId, JSON.stringify({ ...envelope, hops: 1, copies: 1 }), node.hmacKey));
+
+    assert.equal(node.received.filter(m => m.message === '[Relay] via relais').length, 1);
+});
+
+test('émetteurs suivis en nombre borné, oubliés une fois leurs nonces sortis de la fenêtre', async () => {
+    const guard = new ReplayGuard();
+    for (let i = 0; i < 1_000; i++) guard.check(randomBytes(32).toString('hex'), 'n', Date.now());
+    assert.equal(guard.seen.size, 256);
+
+    const expiring = new ReplayGuard();
+    expiring.check('a', 'n', Date.now() - REPLAY_WINDOW_MS + 50);
+    expiring.check('b', 'n', Date.now());
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expiring.check('c', 'n', Date.now());
+    assert.deepEqual([...expiring.seen.keys()], ['b', 'c']);
+});
@@ -0,0 +1,19 @@
+/**
+ * ARCHIPEL — Profil temporaire des tests
+ *
+ * À importer en premier : les modules qui lisent ARCHIPEL_HOME (clés, base, réseaux, Web of Trust)
+ * le résolvent à leur chargement. `node --test` lance chaque fichier de test dans son propre
+ * processus : chaque fichier a donc son profil vierge, supprimé à la fin.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const TEST_HOME = fs.mkdtempSync(path.join(os.tmpdir(), 'archipel-test-'));
+process.env.ARCHIPEL_HOME = TEST_HOME;
+
+// Supprimé après les gestionnaires de sortie des modules testés (sauvegarde différée de la base)
+process.once('beforeExit', () => {
+    process.on('exit', () => fs.rmSync(TEST_HOME, { recursive: true, force: true }));
+});
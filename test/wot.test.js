@@ -0,0 +1,180 @@
+/**
+ * ARCHIPEL — Web of Trust : attestations reçues (garant connu, plafond), rotations et révocations,
+ * diffusion en trames TRUST
+ */
+
+import { TEST_HOME } from './setup-profile.js';
+import { test, after, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { FakePeer, startNode } from './helpers.js';
+import { generateIdentity } from '../src/crypto/identity.js';
+import {
+    createAttestation, createRotationCertificate, createRevocation, recordCertificate, recordCertificates, checkTrust, vouch, trust,
+    getCertificates, getTrustLevel, listTrusted, TrustLevel,
+} from '../src/crypto/wot.js';
+import { PacketType, MAX_FRAME_SIZE } from '../src/crypto/packet.js';
+
+const local = generateIdentity();
+const known = (identity) => checkTrust(identity.nodeId, identity.signing.publicKey, identity.dh.publicKey);
+
+/**
+ * Attestation de `subject` signée par `voucher` (createAttestation lit les clés de `subject` dans le WoT)
+ */
+function attest(voucher, subject) {
+    known(subject);
+    return createAttestation(voucher, subject.nodeId);
+}
+
+const cleanups = [];
+after(() => cleanups.forEach(cleanup => cleanup()));
+
+test('attestation d\'un garant absent du WoT local : ni gardée ni relayée', () => {
+    const voucher = generateIdentity();
+    const cert = attest(voucher, generateIdentity());
+
+    assert.equal(recordCertificate(cert), 'ignored');
+    assert.ok(!getCertificates().some(c => c.signature === cert.signature));
+
+    known(voucher);
+    assert.equal(recordCertificate(cert), 'added');
+    assert.equal(recordCertificate(cert), 'known');
+});
+
+test('au plus 64 attestations gardées par garant', () => {
+    const voucher = generateIdentity();
+    known(voucher);
+    const results = Array.from({ length: 65 }, () => recordCertificate(attest(voucher, generateIdentity())));
+
+    assert.equal(results.filter(r => r === 'added').length, 64);
+    assert.equal(results.at(-1), 'ignored');
+});
+
+test('nos propres attestations sont toujours gardées', () => {
+    const subject = generateIdentity();
+    known(subject);
+    const cert = vouch(local, subject.nodeId);
+    assert.ok(getCertificates().some(c => c.signature === cert.signature));
+});
+
+test('certificats d\'une trame TRUST : WoT et certificats lus une fois, écrits une fois', () => {
+    const voucher = generateIdentity();
+    known(voucher);
+    const batch = Array.from({ length: 20 }, () => attest(voucher, generateIdentity()));
+
+    const reads = mock.method(fs, 'readFileSync');
+    const writes = mock.method(fs, 'writeFileSync');
+    try {
+        assert.deepEqual(recordCertificates(batch), batch.map(() => 'added'));
+        assert.equal(reads.mock.callCount(), 2);
+        assert.equal(writes.mock.callCount(), 1);
+    } finally {
+        reads.mock.restore();
+        writes.mock.restore();
+    }
+    assert.deepEqual(recordCertificates(batch), batch.map(() => 'known'));
+});
+
+test('révocation ou rotation d\'une identité absente du WoT local : ni gardée ni relayée', () => {
+    const stranger = generateIdentity();
+    const revocation = createRevocation(stranger);
+    const rotation = createRotationCertificate(stranger, generateIdentity());
+
+    assert.equal(recordCertificate(revocation), 'ignored');
+    assert.equal(recordCertificate(rotation), 'ignored');
+    assert.ok(!getCertificates().some(c => c.signature === revocation.signature || c.signature === rotation.signature));
+    assert.equal(checkTrust(stranger.nodeId, stranger.signing.publicKey, stranger.dh.publicKey).status, 'new');
+});
+
+test('chaîne de rotations : le successeur hérite de la confiance, l\'ancienne clé puis la clé révoquée sont refusées', () => {
+    const [first, second, third] = [generateIdentity(), generateIdentity(), generateIdentity()];
+    known(first);
+    trust(first.nodeId);
+
+    assert.equal(recordCertificate(createRotationCertificate(first, second)), 'added');
+    // Maillon suivant : `second` n'a jamais été rencontré, mais succède à une rotation gardée
+    assert.equal(recordCertificate(createRotationCertificate(second, third)), 'added');
+    assert.equal(recordCertificate(createRotationCertificate(first, generateIdentity())), 'conflict');
+
+    assert.deepEqual(known(third), { status: 'rotated', trusted: true });
+    assert.equal(getTrustLevel(third.nodeId).level, TrustLevel.DIRECT);
+    assert.deepEqual(listTrusted().find(e => e.nodeId === third.nodeId).history.map(h => h.nodeId), [first.nodeId, second.nodeId]);
+    assert.equal(known(first).status, 'superseded');
+
+    assert.equal(recordCertificate(createRevocation(third)), 'added');
+    assert.deepEqual(known(third), { status: 'revoked', trusted: false });
+    assert.equal(recordCertificate(createRotationCertificate(third, generateIdentity())), 'invalid');
+});
+
+test('niveaux de confiance gardés en mémoire, recalculés après une modification du WoT', () => {
+    const subject = generateIdentity();
+    known(subject);
+    assert.equal(getTrustLevel(subject.nodeId).level, TrustLevel.UNKNOWN);
+
+    const reads = mock.method(fs, 'readFileSync');
+    try {
+        for (let i = 0; i < 10; i++) getTrustLevel(subject.nodeId);
+        assert.equal(reads.mock.callCount(), 0);
+    } finally {
+        reads.mock.restore();
+    }
+
+    trust(subject.nodeId);
+    assert.equal(getTrustLevel(subject.nodeId).level, TrustLevel.DIRECT);
+});
+
+test('contacts répétés avec une clé connue : aucune écriture du WoT, niveaux de confiance conservés', () => {
+    const subject = generateIdentity();
+    known(subject);
+    getTrustLevel(subject.nodeId);
+    const before = listTrusted().find(e => e.nodeId === subject.nodeId).lastSeen;
+
+    const writes = mock.method(fs, 'writeFileSync');
+    try {
+        for (let i = 0; i < 10; i++) assert.equal(known(subject).status, 'known');
+        assert.equal(writes.mock.callCount(), 0);
+    } finally {
+        writes.mock.restore();
+    }
+    const reads = mock.method(fs, 'readFileSync');
+    try {
+        getTrustLevel(subject.nodeId);
+        assert.equal(reads.mock.callCount(), 0);
+    } finally {
+        reads.mock.restore();
+    }
+    // Dernier contact visible aussitôt, écrit avec la prochaine sauvegarde du WoT
+    const { lastSeen } = listTrusted().find(e => e.nodeId === subject.nodeId);
+    assert.ok(lastSeen >= before);
+    trust(subject.nodeId);
+    assert.equal(JSON.parse(fs.readFileSync(path.join(TEST_HOME, '.wot.json'), 'utf-8'))[subject.nodeId].lastSeen, lastSeen);
+});
+
+test('certificats envoyés à un nouveau pair en plusieurs trames TRUST sous la limite du TYPE', async () => {
+    const node = await startNode();
+    cleanups.push(() => node.tcpServer.stop());
+    for (let i = 0; i < 400; i++) {
+        const subject = generateIdentity();
+        known(subject);
+        vouch(node.identity, subject.nodeId);
+    }
+    const expected = getCertificates().length;
+
+    const peer = new FakePeer([node.hmacKey]);
+    cleanups.push(() => peer.close());
+    await peer.connect(node.port);
+    await peer.hello(node.hmacKey);
+
+    const frames = [];
+    let received = 0;
+    while (received < expected) {
+        const packet = await peer.next(PacketType.TRUST);
+        const { certificates } = JSON.parse(packet.payload.toString('utf-8'));
+        frames.push(packet);
+        received += certificates.length;
+    }
+    assert.equal(received, expected);
+    assert.ok(frames.length > 1);
+    assert.ok(frames.every(packet => packet.payload.length < MAX_FRAME_SIZE[PacketType.TRUST]));
+});